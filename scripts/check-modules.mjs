@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+// scripts/check-modules.mjs
+// Checks for the framework-free modules, on signals with known answers:
+//   - filters (src/modules/ppg/dsp/filters.js): Butterworth band-pass gain
+//     at the centre and cutoffs, stopband rejection, zero-phase filtering
+//   - spectrum (dsp/spectrum.js): spectral heart rate, the fundamental over
+//     a dicrotic 2x peak, a real fast rate not halved
+//   - hrv (dsp/hrv.js): RMSSD / SDNN / pNN50 on fixed RR series, the
+//     HRV_MIN_DURATION_SEC windows, missed beats
+//   - ble (src/modules/heartRate/ble.js): Heart Rate Measurement parsing
+//   - entrainment (src/modules/audio/entrainment.js): ramp curves, targets
+//     and the ramp slowing for a listener who isn't following
+//
+// Usage:
+//   npm run check:modules -- [--only filters,hrv]
+//
+// Prints one line per check and exits non-zero if any fails.
+import path from 'node:path';
+
+const root = path.resolve(path.dirname(new URL(import.meta.url).pathname), '..');
+const filters = await import(path.join(root, 'src/modules/ppg/dsp/filters.js'));
+const spectrum = await import(path.join(root, 'src/modules/ppg/dsp/spectrum.js'));
+const hrv = await import(path.join(root, 'src/modules/ppg/dsp/hrv.js'));
+const ble = await import(path.join(root, 'src/modules/heartRate/ble.js'));
+const entrainment = await import(path.join(root, 'src/modules/audio/entrainment.js'));
+
+const FPS = 30;
+
+// ========================================
+// SIGNALS
+// ========================================
+
+// Sample times (ms) at FPS over durationSec, with a little frame jitter
+const frameTimes = (durationSec, jitterMs = 0) => Array.from(
+  { length: Math.round(durationSec * FPS) },
+  (_, i) => i * 1000 / FPS + (i % 2 ? jitterMs : -jitterMs)
+);
+
+// Sum of sines: [{ hz, amplitude }] at each time (ms)
+const sines = (times, components) => times.map(t => components
+  .reduce((sum, { hz, amplitude }) => sum + amplitude * Math.sin(2 * Math.PI * hz * t / 1000), 0));
+
+// Beat times (ms) from an RR series repeated until durationMs
+const beatsFrom = (pattern, durationMs) => {
+  const beats = [0];
+  for (let i = 0; beats[beats.length - 1] < durationMs; i++) {
+    beats.push(beats[beats.length - 1] + pattern[i % pattern.length]);
+  }
+  return beats;
+};
+
+const near = (value, expected, tolerance) => value != null && Math.abs(value - expected) <= tolerance;
+const fixed = (value, digits = 2) => (value == null ? '-' : value.toFixed(digits));
+
+// ========================================
+// CHECKS
+// ========================================
+
+const checks = [];
+const check = (name, pass, detail) => checks.push({ name, pass: !!pass, detail });
+
+const GROUPS = {
+  filters() {
+    const { designButterworthBandpass, biquadMagnitude, bandpassFilter } = filters;
+    const sections = designButterworthBandpass(0.5, 4, FPS);
+    const gainAt = hz => sections.reduce((gain, section) => gain * biquadMagnitude(section, 2 * Math.PI * hz / FPS), 1);
+    const centre = Math.sqrt(0.5 * 4);
+    check('filters: centre gain', near(gainAt(centre), 1, 0.01), `${fixed(gainAt(centre), 3)} at ${fixed(centre)} Hz`);
+    check('filters: -3 dB at the cutoffs', near(gainAt(0.5), Math.SQRT1_2, 0.01) && near(gainAt(4), Math.SQRT1_2, 0.01),
+      `${fixed(gainAt(0.5), 3)} at 0.5 Hz, ${fixed(gainAt(4), 3)} at 4 Hz`);
+    check('filters: stopband', gainAt(0.05) < 0.02 && gainAt(12) < 0.1,
+      `${fixed(gainAt(0.05), 3)} at 0.05 Hz, ${fixed(gainAt(12), 3)} at 12 Hz`);
+    check('filters: invalid bands', designButterworthBandpass(4, 0.5, FPS) === null && designButterworthBandpass(0.5, 15, FPS) === null,
+      'low >= high, high at Nyquist');
+
+    // A 1.2 Hz pulse on a DC level: zero-phase keeps it in place, at full size
+    const times = frameTimes(20);
+    const pulse = sines(times, [{ hz: 1.2, amplitude: 1 }]);
+    const filtered = bandpassFilter(pulse.map(v => v + 140), 0.5, 4, FPS, { zeroPhase: true });
+    const middle = [Math.round(times.length * 0.25), Math.round(times.length * 0.75)];
+    let worst = 0;
+    for (let i = middle[0]; i < middle[1]; i++) worst = Math.max(worst, Math.abs(filtered[i] - pulse[i]));
+    check('filters: zero phase', worst < 0.05, `max deviation ${fixed(worst, 3)} mid-signal`);
+
+    const causal = bandpassFilter(new Array(300).fill(140), 0.5, 4, FPS);
+    const transient = Math.max(...causal.map(Math.abs));
+    check('filters: no start-up transient', transient < 1e-6, `max |y| ${transient.toExponential(1)} for a constant input`);
+  },
+
+  spectrum() {
+    const { estimateSpectralHeartRate } = spectrum;
+    const times = frameTimes(30, 1.5);
+    const describe = estimate => `${estimate.bpm ?? '-'} BPM, confidence ${estimate.confidence}, `
+      + `harmonic support ${fixed(estimate.harmonicSupport)}`;
+
+    const pure = estimateSpectralHeartRate(sines(times, [{ hz: 1.2, amplitude: 1 }]), times);
+    check('spectrum: 72 BPM', near(pure.bpm, 72, 1), describe(pure));
+
+    // Pulse at 1.1 Hz with a dicrotic notch putting most energy at 2x
+    const dicrotic = estimateSpectralHeartRate(sines(times, [
+      { hz: 1.1, amplitude: 0.55 }, { hz: 2.2, amplitude: 1 }, { hz: 4.4, amplitude: 0.05 },
+    ]), times);
+    check('spectrum: fundamental over a dicrotic 2x', near(dicrotic.bpm, 66, 1), describe(dicrotic));
+
+    // A real 150 BPM pulse with its harmonic and a weak component at half rate
+    const fast = estimateSpectralHeartRate(sines(times, [
+      { hz: 2.5, amplitude: 1 }, { hz: 5, amplitude: 0.4 }, { hz: 1.25, amplitude: 0.3 },
+    ]), times);
+    check('spectrum: fast rate not halved', near(fast.bpm, 150, 1), describe(fast));
+
+    const harmonic = estimateSpectralHeartRate(sines(times, [{ hz: 1.2, amplitude: 1 }, { hz: 2.4, amplitude: 0.5 }]), times);
+    check('spectrum: harmonic support', harmonic.harmonicSupport > pure.harmonicSupport && harmonic.confidence > 0,
+      `${fixed(harmonic.harmonicSupport)} with a 2x harmonic, ${fixed(pure.harmonicSupport)} without`);
+
+    const short = estimateSpectralHeartRate([1, 2, 3], [0, 33, 66]);
+    check('spectrum: too few samples', short.bpm === null && short.confidence === 0, short.reason);
+  },
+
+  hrv() {
+    const { computeHRV, extractRRIntervals, HRV_MIN_DURATION_SEC } = hrv;
+    const describe = result => `RMSSD ${fixed(result.rmssd.value, 1)} (${result.rmssd.valid}), `
+      + `SDNN ${fixed(result.sdnn.value, 1)}, pNN50 ${fixed(result.pnn50.value, 0)}, `
+      + `mean HR ${fixed(result.meanHR.value, 1)}, ${fixed(result.durationSec, 1)} s`;
+
+    check('hrv: minimum durations', HRV_MIN_DURATION_SEC.rmssd === 10 && HRV_MIN_DURATION_SEC.sdnn === 60,
+      `rmssd ${HRV_MIN_DURATION_SEC.rmssd} s, sdnn ${HRV_MIN_DURATION_SEC.sdnn} s`);
+
+    const steady = computeHRV(beatsFrom([1000], 70000));
+    check('hrv: steady 60 BPM', steady.rmssd.value === 0 && steady.sdnn.value === 0 && near(steady.meanHR.value, 60, 1e-9),
+      describe(steady));
+
+    const alternating = computeHRV(beatsFrom([950, 1050], 70000));
+    check('hrv: alternating ±50 ms', near(alternating.rmssd.value, 100, 1e-9) && alternating.pnn50.value === 100
+      && near(alternating.sdnn.value, 50, 1) && alternating.sdnn.valid, describe(alternating));
+
+    const under = computeHRV(beatsFrom([950, 1050], 8000));
+    const over = computeHRV(beatsFrom([950, 1050], 12000));
+    check('hrv: RMSSD needs 10 s', !under.rmssd.valid && over.rmssd.valid && !over.sdnn.valid,
+      `${describe(under)} / ${describe(over)}`);
+
+    // One missed beat: a 2000 ms interval that mustn't count as variability
+    const missed = beatsFrom([1000], 30000).filter((_, i) => i !== 15);
+    const withGap = computeHRV(missed);
+    check('hrv: missed beat dropped', withGap.removed === 1 && withGap.rmssd.value === 0, describe(withGap));
+
+    const { intervals, removed } = extractRRIntervals([0, 200, 1200, 2200, 5000, 6000]);
+    check('hrv: out-of-range intervals', removed === 2 && intervals.every(rr => rr.interval === 1000),
+      `${intervals.length} kept, ${removed} removed`);
+  },
+
+  ble() {
+    const { parseHeartRateMeasurement: parse } = ble;
+    const describe = m => (m ? `${m.bpm} BPM, contact ${m.sensorContact}, energy ${m.energyExpended}, RR [${m.rrIntervals}]` : 'null');
+
+    const basic = parse([0x00, 72]);
+    check('ble: 8-bit rate', basic && basic.bpm === 72 && basic.sensorContact === null
+      && basic.energyExpended === null && basic.rrIntervals.length === 0, describe(basic));
+
+    const wide = parse(new Uint8Array([0x01, 0x2c, 0x01]));
+    check('ble: 16-bit rate', wide && wide.bpm === 300, describe(wide));
+
+    const contact = parse([0x06, 60]);
+    const noContact = parse([0x04, 60]);
+    check('ble: sensor contact', contact?.sensorContact === true && noContact?.sensorContact === false,
+      `${describe(contact)} / ${describe(noContact)}`);
+
+    const bytes = [0x18, 70, 0x10, 0x00, 0x00, 0x04, 0x00, 0x02];
+    const full = parse(bytes);
+    check('ble: energy and RR intervals', full && full.energyExpended === 16
+      && full.rrIntervals.length === 2 && full.rrIntervals[0] === 1000 && full.rrIntervals[1] === 500, describe(full));
+
+    const base64 = parse(Buffer.from(bytes).toString('base64'));
+    check('ble: base64 value', JSON.stringify(base64) === JSON.stringify(full), describe(base64));
+
+    check('ble: truncated values', parse([]) === null && parse([0x01, 72]) === null && parse([0x08, 72, 0x10]) === null,
+      'empty, 16-bit rate and energy cut short');
+  },
+
+  entrainment() {
+    const { rampShape, resolveEntrainment, createTempoRamp, RAMP_CURVES } = entrainment;
+
+    const linear = [0, 0.5, 1].map(x => rampShape(RAMP_CURVES.LINEAR, x));
+    const exponential = [0, 0.5, 1].map(x => rampShape(RAMP_CURVES.EXPONENTIAL, x));
+    const stepped = [0, 0.2, 0.3, 0.6, 0.99, 1].map(x => rampShape(RAMP_CURVES.STEPPED, x, 4));
+    check('entrainment: curves', linear.join() === '0,0.5,1'
+      && exponential[0] === 0 && near(exponential[2], 1, 1e-12) && exponential[1] > 0.5
+      && stepped.every((v, i) => i === 0 || v >= stepped[i - 1]) && stepped[0] === 0 && stepped[stepped.length - 1] === 1,
+    `linear ${linear.map(v => fixed(v)).join('/')}, exponential ${exponential.map(v => fixed(v)).join('/')}, `
+      + `stepped ${stepped.map(v => fixed(v)).join('/')}`);
+
+    const calm = resolveEntrainment({ mood: 'calm', tempoId: 'balanced', heartRate: 80 });
+    const low = resolveEntrainment({ mood: 'calm', tempoId: 'deep', heartRate: 50 });
+    const energized = resolveEntrainment({ mood: 'energized', tempoId: 'peak', heartRate: 70 });
+    check('entrainment: targets', near(calm.targetBpm, 70.4, 1e-9) && low.targetBpm === 50
+      && near(energized.targetBpm, 87.5, 1e-9) && energized.curve === RAMP_CURVES.STEPPED,
+    `calm 80 -> ${fixed(calm.targetBpm, 1)}, calm 50 -> ${fixed(low.targetBpm, 1)}, energized 70 -> ${fixed(energized.targetBpm, 1)}`);
+
+    const ramp = () => createTempoRamp({ startBpm: 80, targetBpm: 70, durationMs: 60000 });
+    const following = ramp().advance(30000, 76);
+    const trailing = ramp().advance(30000, 90);
+    const open = ramp().advance(30000);
+    check('entrainment: follows the listener', near(following.tempo, 75, 1e-9) && following.rate === 1
+      && trailing.rate === 0.15 && trailing.tempo > 78 && open.rate === 1,
+    `following ${fixed(following.tempo, 1)} BPM (rate ${fixed(following.rate)}), `
+      + `trailing ${fixed(trailing.tempo, 1)} BPM (rate ${fixed(trailing.rate)})`);
+
+    const retargeted = ramp();
+    retargeted.advance(30000);
+    retargeted.retarget({ targetBpm: 60 });
+    const afterRetarget = retargeted.getState();
+    const finished = retargeted.advance(120000);
+    check('entrainment: retarget and finish', afterRetarget.progress === 0.5 && near(afterRetarget.tempo, 70, 1e-9)
+      && finished.progress === 1 && finished.tempo === 60,
+    `${fixed(afterRetarget.tempo, 1)} BPM at 50% after retarget, ${fixed(finished.tempo, 1)} BPM at the end`);
+  },
+};
+
+const parseArgs = (argv) => {
+  const args = { only: null };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    if (!(key in args)) {
+      console.error(`Unknown option: ${argv[i]}`);
+      process.exit(2);
+    }
+    args[key] = argv[i + 1];
+  }
+  return { only: args.only ? args.only.split(',') : null };
+};
+
+const main = () => {
+  const { only } = parseArgs(process.argv.slice(2));
+  Object.entries(GROUPS)
+    .filter(([name]) => !only || only.includes(name))
+    .forEach(([, run]) => run());
+
+  const width = Math.max(...checks.map(c => c.name.length));
+  checks.forEach(c => console.log(`${c.pass ? '✅' : '❌'} ${c.name.padEnd(width)}  ${c.detail}`));
+  const failed = checks.filter(c => !c.pass).length;
+  console.log(failed ? `${failed} of ${checks.length} checks failed` : `All ${checks.length} checks passed`);
+  if (failed) process.exitCode = 1;
+};
+
+main();
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+// scripts/evaluate-coherence.mjs
+// Checks for the heart-rhythm coherence score (src/modules/ppg/dsp/coherence.js).
+//
+// Builds beat series with a known rhythm and checks the level each one
+// gets, over several seeds:
+//   - resonance: RR swinging ±60 ms at 0.1 Hz (6 breaths/min) -> high
+//   - partial: the 0.1 Hz swing sharing the variability with a faster one
+//     (0.22 Hz, e.g. normal breathing) -> medium
+//   - random: independent RR intervals, no rhythm -> low
+//   - short: resonance over 20 s -> not valid
+//   - threshold: resonance spanning just under / just over 30 s -> invalid / valid
+// and pins the level thresholds and peak half-width, which the expected
+// values above were calibrated against.
+//
+// Usage:
+//   npm run evaluate:coherence -- [--seeds 5]
+//
+// Prints one line per check and exits non-zero if any fails.
+import path from 'node:path';
+
+const root = path.resolve(path.dirname(new URL(import.meta.url).pathname), '..');
+const {
+  computeCoherence,
+  COHERENCE_LEVELS,
+  COHERENCE_THRESHOLDS,
+  COHERENCE_PEAK_HALF_WIDTH,
+} = await import(path.join(root, 'src/modules/ppg/dsp/coherence.js'));
+
+const BASE_RR_MS = 850;
+const RESONANCE_HZ = 0.1;
+const MIN_DURATION_MS = 30000;
+
+// ========================================
+// BEAT SERIES
+// ========================================
+
+// mulberry32, as in src/modules/ppg/synthetic.js
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Beat times over durationMs, each interval from rrAt(time of the beat)
+const buildBeats = (durationMs, rrAt) => {
+  const beats = [0];
+  let time = 0;
+  while (time < durationMs) {
+    time += rrAt(time);
+    beats.push(time);
+  }
+  return beats;
+};
+
+const swing = (amplitudeMs, hz = RESONANCE_HZ) => (time) => amplitudeMs * Math.sin(2 * Math.PI * hz * time / 1000);
+
+const SERIES = {
+  resonance: () => buildBeats(64000, t => BASE_RR_MS + swing(60)(t)),
+  partial: (random) => buildBeats(64000, t => BASE_RR_MS + swing(40)(t) + swing(35, 0.22)(t) + (random() - 0.5) * 20),
+  random: (random) => buildBeats(64000, () => BASE_RR_MS + (random() - 0.5) * 200),
+  short: () => buildBeats(20000, t => BASE_RR_MS + swing(60)(t)),
+};
+
+// The first beats of a resonance series whose span is just under, or just
+// over, MIN_DURATION_MS
+const aroundThreshold = (over) => {
+  const beats = SERIES.resonance();
+  const first = beats.findIndex(t => t >= MIN_DURATION_MS);
+  return beats.slice(0, over ? first + 1 : first);
+};
+
+// ========================================
+// CHECKS
+// ========================================
+
+const checks = [];
+const check = (name, pass, detail) => checks.push({ name, pass: !!pass, detail });
+
+const describe = (result) => `coherence ${result.coherence.value?.toFixed(3) ?? '-'}, `
+  + `level ${result.level ?? '-'}, valid ${result.coherence.valid}, `
+  + `peak ${result.peakFrequency?.toFixed(3) ?? '-'} Hz, ${result.durationSec.toFixed(1)} s`;
+
+const expectLevel = (name, beats, level) => {
+  const result = computeCoherence(beats);
+  check(name, result.coherence.valid && result.level === level, describe(result));
+  return result;
+};
+
+const parseArgs = (argv) => {
+  const args = { seeds: 5 };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    if (!(key in args)) {
+      console.error(`Unknown option: ${argv[i]}`);
+      process.exit(2);
+    }
+    args[key] = argv[i + 1];
+  }
+  return { seeds: Number(args.seeds) };
+};
+
+const main = () => {
+  const { seeds } = parseArgs(process.argv.slice(2));
+
+  check('thresholds', COHERENCE_THRESHOLDS.high === 0.6 && COHERENCE_THRESHOLDS.medium === 0.35,
+    `high ${COHERENCE_THRESHOLDS.high}, medium ${COHERENCE_THRESHOLDS.medium}`);
+  check('peak half-width', COHERENCE_PEAK_HALF_WIDTH === 0.015, `${COHERENCE_PEAK_HALF_WIDTH} Hz`);
+
+  const resonance = expectLevel('resonance', SERIES.resonance(), COHERENCE_LEVELS.HIGH);
+  check('resonance peak', Math.abs(resonance.peakFrequency - RESONANCE_HZ) <= 0.01, describe(resonance));
+
+  for (let seed = 1; seed <= seeds; seed++) {
+    expectLevel(`partial#${seed}`, SERIES.partial(createRandom(seed)), COHERENCE_LEVELS.MEDIUM);
+    expectLevel(`random#${seed}`, SERIES.random(createRandom(seed)), COHERENCE_LEVELS.LOW);
+  }
+
+  const short = computeCoherence(SERIES.short());
+  check('short', !short.coherence.valid && short.level === null, describe(short));
+
+  const under = computeCoherence(aroundThreshold(false));
+  check('under 30 s', under.durationSec < MIN_DURATION_MS / 1000 && !under.coherence.valid, describe(under));
+  const over = computeCoherence(aroundThreshold(true));
+  check('over 30 s', over.durationSec >= MIN_DURATION_MS / 1000 && over.coherence.valid, describe(over));
+
+  const width = Math.max(...checks.map(c => c.name.length));
+  checks.forEach(c => console.log(`${c.pass ? '✅' : '❌'} ${c.name.padEnd(width)}  ${c.detail}`));
+  const failed = checks.filter(c => !c.pass).length;
+  console.log(failed ? `${failed} of ${checks.length} checks failed` : `All ${checks.length} checks passed`);
+  if (failed) process.exitCode = 1;
+};
+
+main();
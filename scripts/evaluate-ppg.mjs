@@ -0,0 +1,401 @@
+#!/usr/bin/env node
+// scripts/evaluate-ppg.mjs
+// Accuracy evaluation for the PPG heart rate / HRV estimators.
+//
+// Runs every estimator over a corpus of PPG traces with known beat times -
+// synthetic scenarios from src/modules/ppg/synthetic.js, plus any recordings
+// passed with --recordings - and reports, per scenario and estimator:
+//   - rejection rate (readings the estimator refused to report)
+//   - mean absolute BPM error over accepted readings
+//   - beat detection sensitivity and positive predictive value
+//   - RMSSD / SDNN error against HRV computed from the true beats
+//
+// Usage:
+//   npm run evaluate:ppg -- [options]
+//   node scripts/evaluate-ppg.mjs [--seeds 5] [--duration 30] [--scenario rest,motion]
+//                                 [--recordings dir] [--out results.json] [--compare baseline.json]
+//                                 [--max-mae 5]
+//
+// JSON goes to stdout (or --out), the summary table to stderr. Keep a
+// baseline from before a change and pass it to --compare afterwards. The
+// JSON holds nothing but the results, so runs over the same corpus compare
+// byte for byte.
+//
+// Exits non-zero if any estimator's overall BPM error (MAE) is above
+// --max-mae.
+import { register } from 'node:module';
+import { readFileSync, readdirSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+
+// The app's modules use Metro-style imports ('../modules/ppg/dsp',
+// '../modules/ppg/synthetic'); let Node resolve them the same way
+const resolveHooks = `
+export async function resolve(specifier, context, next) {
+  try {
+    return await next(specifier, context);
+  } catch (error) {
+    if (!specifier.startsWith('.') || !['ERR_UNSUPPORTED_DIR_IMPORT', 'ERR_MODULE_NOT_FOUND'].includes(error.code)) throw error;
+    for (const suffix of ['.js', '/index.js']) {
+      try {
+        return await next(specifier + suffix, context);
+      } catch (_) {}
+    }
+    throw error;
+  }
+}`;
+register(`data:text/javascript,${encodeURIComponent(resolveHooks)}`, import.meta.url);
+
+const root = path.resolve(path.dirname(new URL(import.meta.url).pathname), '..');
+const dsp = await import(path.join(root, 'src/modules/ppg/dsp/index.js'));
+const { generatePPG } = await import(path.join(root, 'src/modules/ppg/synthetic.js'));
+const { parseRecording, getRecordingSamples } = await import(path.join(root, 'src/modules/ppg/recording.js'));
+const { default: FrameProcessor } = await import(path.join(root, 'src/utils/FrameProcessor.js'));
+
+const RESULTS_VERSION = 1;
+// Detected beats within this distance of a true beat (after removing the
+// constant detection lag) count as hits
+const MATCH_TOLERANCE_MS = 100;
+// Filters ring at the edges of a reading; beats there aren't scored
+const EDGE_MS = 1000;
+// Default ceiling on each estimator's overall MAE (BPM)
+const MAX_MAE_BPM = 5;
+
+// ========================================
+// CORPUS
+// ========================================
+
+const SCENARIOS = {
+  rest: { heartRate: 72 },
+  bradycardia: { heartRate: 50, respiratoryRate: 8 },
+  tachycardia: { heartRate: 125, respiratoryRate: 18 },
+  highHrv: { heartRate: 65, hrvMs: 60, rsaMs: 80 },
+  ectopic: { heartRate: 70, ectopicProbability: 0.08 },
+  rampUp: { heartRate: s => 65 + s },
+  motion: { heartRate: 75, motion: [{ startMs: 8000, durationMs: 8000, amplitude: 15 }] },
+  saturation: { heartRate: 70, saturation: [{ startMs: 10000, durationMs: 4000 }] },
+  dropout: { heartRate: 70, dropouts: [{ startMs: 12000, durationMs: 500 }] },
+  lowPerfusion: { heartRate: 70, perfusion: 0.004, noise: 0.25 },
+};
+
+const syntheticCorpus = ({ seeds, durationSec, only }) => {
+  const traces = [];
+  for (const [scenario, options] of Object.entries(SCENARIOS)) {
+    if (only && !only.includes(scenario)) continue;
+    for (let seed = 1; seed <= seeds; seed++) {
+      const reading = generatePPG({ ...options, durationSec, seed });
+      traces.push({ scenario, id: `${scenario}#${seed}`, ...reading });
+    }
+  }
+  return traces;
+};
+
+// Recordings need ground truth in their metadata: groundTruth.beats for
+// the full set of metrics, or just groundTruth.bpm for BPM error
+const recordingCorpus = (dir) => {
+  const traces = [];
+  for (const file of readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+    let recording;
+    try {
+      recording = parseRecording(readFileSync(path.join(dir, file), 'utf8'));
+    } catch (error) {
+      console.error(`Skipping ${file}: ${error.message}`);
+      continue;
+    }
+    const truth = recording.metadata.groundTruth;
+    if (!truth || (!truth.beats && !truth.bpm)) {
+      console.error(`Skipping ${file}: no ground truth`);
+      continue;
+    }
+    const samples = getRecordingSamples(recording).filter(s => typeof s.luma === 'number');
+    traces.push({
+      scenario: `recording:${recording.metadata.scenario || path.basename(file, '.json')}`,
+      id: file,
+      timestamps: samples.map(s => s.ts),
+      values: samples.map(s => s.luma),
+      beats: truth.beats || null,
+      beatTimes: truth.beats ? truth.beats.map(beat => beat.time) : null,
+      truthBpm: truth.bpm,
+    });
+  }
+  return traces;
+};
+
+// ========================================
+// ESTIMATORS
+// ========================================
+// Each returns { bpm, rejected, beatTimes? }. `spanMs` limits the true BPM
+// to the end of the reading for estimators that only look at recent data.
+
+const ESTIMATORS = {
+  // BiometricCaptureScreen: converged estimate, HRV from detectBeats
+  estimateHeartRate: (values, timestamps) => {
+    const estimate = dsp.estimateHeartRate(values, timestamps);
+    return { bpm: estimate.bpm, rejected: !estimate.converged, beatTimes: dsp.detectBeats(values, timestamps).beatTimes };
+  },
+
+  estimateWindow: (values, timestamps) => {
+    const estimate = dsp.estimateWindow(values, timestamps);
+    return { bpm: estimate.bpm, rejected: !estimate.bpm };
+  },
+
+  estimateSpectralHeartRate: (values, timestamps) => {
+    const estimate = dsp.estimateSpectralHeartRate(values, timestamps);
+    return { bpm: estimate.bpm, rejected: !estimate.bpm };
+  },
+
+  // HeartRateDetector
+  analyzeCapture: (values, timestamps) => {
+    const result = dsp.analyzeCapture(values, timestamps);
+    return { bpm: result.bpm, rejected: !!result.error, beatTimes: result.beatTimes };
+  },
+
+  'FrameProcessor.analyzeHeartRate': {
+    spanMs: 10000,
+    run: (values, timestamps) => {
+      const bpm = FrameProcessor.analyzeHeartRate(values, timestamps, 10);
+      return { bpm, rejected: bpm == null };
+    },
+  },
+
+  // Live readout: 6 s stream windows once a second through the tracker
+  bpmTracker: {
+    spanMs: 10000,
+    run: (values, timestamps) => {
+      const stream = dsp.createPPGStream({ windowMs: 6000 });
+      const tracker = dsp.createBpmTracker();
+      let next = timestamps[0] + 1000;
+      timestamps.forEach((ts, i) => {
+        stream.push(ts, values[i]);
+        if (ts >= next) {
+          tracker.push(stream.estimate(), ts);
+          next += 1000;
+        }
+      });
+      const { bpm } = tracker.getState();
+      return { bpm, rejected: bpm == null };
+    },
+  },
+
+  // Frame-processor worklet's live beat picker (BiometricCaptureScreen)
+  workletSnapshot: {
+    spanMs: 10000,
+    run: (values, timestamps) => {
+      const state = dsp.createWorkletPPGState();
+      timestamps.forEach((ts, i) => dsp.pushWorkletSample(state, ts, values[i]));
+      const { bpm } = dsp.getWorkletSnapshot(state);
+      return { bpm, rejected: bpm == null };
+    },
+  },
+};
+
+// ========================================
+// SCORING
+// ========================================
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+// Rate over normal-to-normal intervals, which is what the estimators report
+const trueBpm = (trace, spanMs) => {
+  if (!trace.beats) return trace.truthBpm ?? null;
+  const end = trace.timestamps[trace.timestamps.length - 1];
+  const beats = spanMs ? trace.beats.filter(beat => beat.time >= end - spanMs) : trace.beats;
+  const intervals = [];
+  for (let i = 1; i < beats.length; i++) {
+    if (beats[i].type === 'normal' && beats[i - 1].type === 'normal') {
+      intervals.push(beats[i].time - beats[i - 1].time);
+    }
+  }
+  if (!intervals.length) return null;
+  return 60000 / (intervals.reduce((sum, v) => sum + v, 0) / intervals.length);
+};
+
+// One-to-one matching of detected to true beats within MATCH_TOLERANCE_MS
+const countMatches = (truth, detected) => {
+  const used = new Set();
+  let hits = 0;
+  detected.forEach(t => {
+    let bestIndex = -1;
+    truth.forEach((b, i) => {
+      if (!used.has(i) && Math.abs(t - b) <= MATCH_TOLERANCE_MS && (bestIndex < 0 || Math.abs(t - b) < Math.abs(t - truth[bestIndex]))) {
+        bestIndex = i;
+      }
+    });
+    if (bestIndex >= 0) {
+      used.add(bestIndex);
+      hits++;
+    }
+  });
+  return hits;
+};
+
+// Detectors mark beats at a fixed point of the filtered pulse (the foot,
+// after filter delay), not the onset - remove that constant lag first. The
+// lag is the shift that lines up the most beats, searched within half a beat
+// so a detector can't earn hits against the neighbouring beat.
+const matchBeats = (truth, detected, start, end) => {
+  const inside = (t) => t >= start + EDGE_MS && t <= end - EDGE_MS;
+  const truthInside = truth.filter(inside);
+  const intervals = truth.slice(1).map((t, i) => t - truth[i]);
+  const maxLag = intervals.length ? median(intervals) / 2 : 0;
+
+  let best = { lag: 0, hits: -1 };
+  for (let lag = -maxLag; lag <= maxLag; lag += 5) {
+    const hits = countMatches(truthInside, detected.map(t => t - lag).filter(inside));
+    if (hits > best.hits || (hits === best.hits && Math.abs(lag) < Math.abs(best.lag))) best = { lag, hits };
+  }
+
+  const shifted = detected.map(t => t - best.lag).filter(inside);
+  const hits = Math.max(0, best.hits);
+  return { lagMs: best.lag, truePositives: hits, falsePositives: shifted.length - hits, falseNegatives: truthInside.length - hits };
+};
+
+const scoreTrace = (trace, estimator) => {
+  const { run, spanMs } = typeof estimator === 'function' ? { run: estimator } : estimator;
+  const result = run(trace.values, trace.timestamps);
+  const truth = trueBpm(trace, spanMs);
+  const score = {
+    rejected: result.rejected,
+    bpm: result.bpm,
+    truthBpm: truth,
+    error: !result.rejected && result.bpm != null && truth != null ? Math.abs(result.bpm - truth) : null,
+  };
+
+  // Beat and HRV metrics, like BPM error, only for accepted readings -
+  // rejections are already counted in the rejection rate
+  if (!result.rejected && result.beatTimes && trace.beatTimes) {
+    const start = trace.timestamps[0];
+    const end = trace.timestamps[trace.timestamps.length - 1];
+    score.beats = matchBeats(trace.beatTimes, result.beatTimes, start, end);
+
+    const durationMs = end - start;
+    const measured = dsp.computeHRV(result.beatTimes, { durationMs });
+    const reference = dsp.computeHRV(trace.beatTimes, { durationMs });
+    const hrvError = (name) => (measured[name].value != null && reference[name].value != null
+      ? Math.abs(measured[name].value - reference[name].value)
+      : null);
+    score.rmssdError = hrvError('rmssd');
+    score.sdnnError = hrvError('sdnn');
+  }
+  return score;
+};
+
+const round = (value) => (value == null || Number.isNaN(value) ? null : Math.round(value * 1000) / 1000);
+const mean = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+const summarize = (scores) => {
+  const accepted = scores.filter(s => !s.rejected);
+  const errors = accepted.map(s => s.error).filter(e => e != null);
+  const beatScores = scores.filter(s => s.beats);
+  const total = (key) => beatScores.reduce((sum, s) => sum + s.beats[key], 0);
+  const tp = total('truePositives');
+  const fp = total('falsePositives');
+  const fn = total('falseNegatives');
+
+  return {
+    runs: scores.length,
+    rejectionRate: round((scores.length - accepted.length) / scores.length),
+    maeBpm: round(mean(errors)),
+    maxErrorBpm: round(errors.length ? Math.max(...errors) : null),
+    beatSensitivity: beatScores.length ? round(tp / Math.max(1, tp + fn)) : null,
+    beatPpv: beatScores.length ? round(tp / Math.max(1, tp + fp)) : null,
+    rmssdMaeMs: round(mean(scores.map(s => s.rmssdError).filter(e => e != null))),
+    sdnnMaeMs: round(mean(scores.map(s => s.sdnnError).filter(e => e != null))),
+  };
+};
+
+// ========================================
+// REPORTING
+// ========================================
+
+const METRICS = ['rejectionRate', 'maeBpm', 'beatSensitivity', 'beatPpv', 'rmssdMaeMs', 'sdnnMaeMs'];
+
+const printTable = (results, baseline) => {
+  const format = (value, base) => {
+    if (value == null) return '-';
+    const text = String(value);
+    if (base == null || base === value) return text;
+    const delta = Math.round((value - base) * 1000) / 1000;
+    return `${text} (${delta > 0 ? '+' : ''}${delta})`;
+  };
+  const rows = [['scenario', 'estimator', ...METRICS]];
+  const sections = { ...results.scenarios, ALL: results.overall };
+  for (const [scenario, estimators] of Object.entries(sections)) {
+    for (const [name, metrics] of Object.entries(estimators)) {
+      const base = scenario === 'ALL' ? baseline?.overall?.[name] : baseline?.scenarios?.[scenario]?.[name];
+      rows.push([scenario, name, ...METRICS.map(key => format(metrics[key], base?.[key]))]);
+    }
+  }
+  const widths = rows[0].map((_, col) => Math.max(...rows.map(row => row[col].length)));
+  rows.forEach(row => console.error(row.map((cell, col) => cell.padEnd(widths[col])).join('  ')));
+};
+
+const parseArgs = (argv) => {
+  const args = { seeds: 5, duration: 30, scenario: null, recordings: null, out: null, compare: null, 'max-mae': MAX_MAE_BPM };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    if (!(key in args)) {
+      console.error(`Unknown option: ${argv[i]}`);
+      process.exit(2);
+    }
+    args[key] = argv[i + 1];
+  }
+  return {
+    seeds: Number(args.seeds),
+    durationSec: Number(args.duration),
+    only: args.scenario ? args.scenario.split(',') : null,
+    recordings: args.recordings,
+    out: args.out,
+    compare: args.compare,
+    maxMae: Number(args['max-mae']),
+  };
+};
+
+const main = () => {
+  const config = parseArgs(process.argv.slice(2));
+  const traces = [
+    ...syntheticCorpus(config),
+    ...(config.recordings ? recordingCorpus(config.recordings) : []),
+  ];
+  console.error(`Evaluating ${Object.keys(ESTIMATORS).length} estimators on ${traces.length} traces...`);
+
+  const byScenario = {};
+  const byEstimator = {};
+  for (const trace of traces) {
+    byScenario[trace.scenario] = byScenario[trace.scenario] || {};
+    for (const [name, estimator] of Object.entries(ESTIMATORS)) {
+      const score = scoreTrace(trace, estimator);
+      (byScenario[trace.scenario][name] = byScenario[trace.scenario][name] || []).push(score);
+      (byEstimator[name] = byEstimator[name] || []).push(score);
+    }
+  }
+
+  const results = {
+    version: RESULTS_VERSION,
+    config: { seeds: config.seeds, durationSec: config.durationSec, matchToleranceMs: MATCH_TOLERANCE_MS, traces: traces.length },
+    scenarios: Object.fromEntries(Object.entries(byScenario).map(([scenario, estimators]) => [
+      scenario,
+      Object.fromEntries(Object.entries(estimators).map(([name, scores]) => [name, summarize(scores)])),
+    ])),
+    overall: Object.fromEntries(Object.entries(byEstimator).map(([name, scores]) => [name, summarize(scores)])),
+  };
+
+  const baseline = config.compare ? JSON.parse(readFileSync(config.compare, 'utf8')) : null;
+  printTable(results, baseline);
+
+  const json = JSON.stringify(results, null, 2);
+  if (config.out) {
+    writeFileSync(config.out, `${json}\n`);
+    console.error(`Results written to ${config.out}`);
+  } else {
+    process.stdout.write(`${json}\n`);
+  }
+
+  const failing = Object.entries(results.overall).filter(([, metrics]) => metrics.maeBpm > config.maxMae);
+  failing.forEach(([name, metrics]) => console.error(`❌ ${name}: MAE ${metrics.maeBpm} BPM is above ${config.maxMae}`));
+  if (failing.length) process.exitCode = 1;
+};
+
+main();
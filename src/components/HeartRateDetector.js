@@ -2,9 +2,41 @@ import React, { useState, useRef, useEffect, useCallback } from 'react';
 import { View, StyleSheet, Text, Platform, TouchableOpacity } from 'react-native';
 import { Camera, useCameraDevice, useCameraPermission } from 'react-native-vision-camera';
 // Correct import path from src/components/ to src/modules/ppg/
-import { usePPGFrameProcessor, PPGUtils } from '../modules/ppg/PPGProcessor';
-
-export default function HeartRateDetector({ onHeartRateDetected, isCapturing, onProgress }) {
+import { PPGUtils } from '../modules/ppg/PPGProcessor';
+import { useHeartRateSource } from '../hooks/useHeartRateSource';
+import { HEART_RATE_SOURCES } from '../modules/heartRate';
+import { analyzeCapture, createConvergenceMonitor, CONVERGENCE_STATES } from '../modules/ppg/dsp';
+import { createPPGRecorder } from '../modules/ppg/recording';
+import PPGRecordingService from '../services/PPGRecordingService';
+
+// Most samples a capture can hold: the ceiling at 60 fps
+const maxSamplesFor = (maxCaptureMs) => Math.ceil(maxCaptureMs / 1000) * 60;
+
+// What the overlay says for sources other than the camera
+const SOURCE_INSTRUCTIONS = {
+  [HEART_RATE_SOURCES.REPLAY]: 'Replaying a recorded reading',
+  [HEART_RATE_SOURCES.SYNTHETIC]: 'Running a simulated reading',
+};
+
+/**
+ * Heart rate capture, from the camera by default. Pass another PPG `source`
+ * (see modules/heartRate) to run the same pipeline on something else - a
+ * saved reading (HEART_RATE_SOURCES.REPLAY, `sourceOptions.recording`) for
+ * reproducing capture problems, or a synthetic one for demos.
+ *
+ * A capture ends as soon as the estimate converges (after `minCaptureMs`),
+ * and runs on while signal quality is marginal up to `maxCaptureMs`.
+ * onProgress reports convergence (0-100), not elapsed time.
+ */
+export default function HeartRateDetector({
+  onHeartRateDetected,
+  isCapturing,
+  onProgress,
+  source: sourceKind = HEART_RATE_SOURCES.CAMERA,
+  sourceOptions,
+  minCaptureMs = 6000,
+  maxCaptureMs = 30000,
+}) {
   const [hasPermission, setHasPermission] = useState(null);
   const [isTorchOn, setIsTorchOn] = useState(false);
   const [cameraReady, setCameraReady] = useState(false);
@@ -26,6 +58,13 @@ export default function HeartRateDetector({ onHeartRateDetected, isCapturing, on
   
   // Keep recent values for PPG processing
   const recentValuesRef = useRef([]);
+  // Latest signal quality index result for the recent window
+  const sqiRef = useRef(null);
+  const frameCountRef = useRef(0);
+  // Raw frames of the current reading, saved for replay when it ends
+  const recorderRef = useRef(null);
+  // Decides when the capture has converged
+  const convergenceRef = useRef(null);
   
   // Processing interval reference
   const processingTimerRef = useRef(null);
@@ -41,238 +80,21 @@ export default function HeartRateDetector({ onHeartRateDetected, isCapturing, on
     setDebugInfo(prev => message + '\n' + prev.substring(0, 200));
   }, []); // No dependencies
 
-  // Signal processing utilities - pure functions
-  const movingAverage = useCallback((values, windowSize) => {
-    const result = [];
-    for (let i = 0; i < values.length; i++) {
-      let sum = 0;
-      let count = 0;
-      for (let j = Math.max(0, i - windowSize + 1); j <= i; j++) {
-        sum += values[j];
-        count++;
-      }
-      result.push(sum / count);
-    }
-    return result;
-  }, []); // Pure function, no dependencies
-
-  // Detrending function - pure function
-  const detrendSignal = useCallback((values, windowSize = 15) => {
-    const result = [];
-    for (let i = 0; i < values.length; i++) {
-      const window = values.slice(Math.max(0, i - windowSize), i + 1);
-      const sorted = [...window].sort((a, b) => a - b);
-      const median = sorted[Math.floor(sorted.length / 2)];
-      result.push(values[i] - median);
-    }
-    return result;
-  }, []); // Pure function
-
-  // Prominence calculation - pure function
-  const calculateProminence = useCallback((values, index) => {
-    const window = 10;
-    const left = values.slice(Math.max(0, index - window), index);
-    const right = values.slice(index + 1, index + 1 + window);
-    const leftMin = left.length > 0 ? Math.min(...left) : values[index];
-    const rightMin = right.length > 0 ? Math.min(...right) : values[index];
-    const minSurround = Math.min(leftMin, rightMin);
-    return values[index] - minSurround;
-  }, []); // Pure function
-
-  // Filter design functions - pure functions
-  const designHighPassBiquad = useCallback((cutoffNormalized, q) => {
-    const omega = Math.PI * cutoffNormalized;
-    const alpha = Math.sin(omega) / (2 * q);
-    const cosw = Math.cos(omega);
-    
-    const b0 = (1 + cosw) / 2;
-    const b1 = -(1 + cosw);
-    const b2 = (1 + cosw) / 2;
-    const a0 = 1 + alpha;
-    const a1 = -2 * cosw;
-    const a2 = 1 - alpha;
-    
-    return {
-      b0: b0 / a0,
-      b1: b1 / a0,
-      b2: b2 / a0,
-      a1: a1 / a0,
-      a2: a2 / a0
-    };
-  }, []); // Pure function
-
-  const designLowPassBiquad = useCallback((cutoffNormalized, q) => {
-    const omega = Math.PI * cutoffNormalized;
-    const alpha = Math.sin(omega) / (2 * q);
-    const cosw = Math.cos(omega);
-    
-    const b0 = (1 - cosw) / 2;
-    const b1 = 1 - cosw;
-    const b2 = (1 - cosw) / 2;
-    const a0 = 1 + alpha;
-    const a1 = -2 * cosw;
-    const a2 = 1 - alpha;
-    
-    return {
-      b0: b0 / a0,
-      b1: b1 / a0,
-      b2: b2 / a0,
-      a1: a1 / a0,
-      a2: a2 / a0
-    };
-  }, []); // Pure function
-
-  const applyBiquadSection = useCallback((values, coeffs) => {
-    const { b0, b1, b2, a1, a2 } = coeffs;
-    const output = [];
-    
-    let x1 = 0, x2 = 0;
-    let y1 = 0, y2 = 0;
-    
-    for (let i = 0; i < values.length; i++) {
-      const x0 = values[i];
-      const y0 = b0 * x0 + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
-      
-      output.push(y0);
-      
-      x2 = x1;
-      x1 = x0;
-      y2 = y1;
-      y1 = y0;
-    }
-    
-    return output;
-  }, []); // Pure function
-
   // ========================================
-  // COMPOSITE FUNCTIONS (MINIMAL DEPENDENCIES)
+  // SIGNAL PROCESSING
   // ========================================
-
-  const applyBiquadFilter = useCallback((values, filterSections) => {
-    if (!values || values.length === 0) return [];
-    
-    let output = [...values];
-    
-    for (const section of filterSections) {
-      output = applyBiquadSection(output, section);
-    }
-    
-    return output;
-  }, [applyBiquadSection]); // Only depends on pure function
-
-  const designHighPassFilter = useCallback((cutoffNormalized) => {
-    const q1 = 0.7654;
-    const q2 = 1.8478;
-    
-    const section1 = designHighPassBiquad(cutoffNormalized, q1);
-    const section2 = designHighPassBiquad(cutoffNormalized, q2);
-    
-    return [section1, section2];
-  }, [designHighPassBiquad]); // Only depends on pure function
-
-  const designLowPassFilter = useCallback((cutoffNormalized) => {
-    const q1 = 0.7654;
-    const q2 = 1.8478;
-    
-    const section1 = designLowPassBiquad(cutoffNormalized, q1);
-    const section2 = designLowPassBiquad(cutoffNormalized, q2);
-    
-    return [section1, section2];
-  }, [designLowPassBiquad]); // Only depends on pure function
-
-  const bandpassFilter = useCallback((values, lowCutoff, highCutoff, sampleRate) => {
-    if (!values || values.length === 0) return [];
-    if (lowCutoff >= highCutoff) return values;
-    
-    const nyquist = sampleRate / 2;
-    const lowWn = lowCutoff / nyquist;
-    const highWn = highCutoff / nyquist;
-    
-    if (lowWn <= 0 || highWn >= 1) {
-      console.warn("Invalid filter frequencies");
-      return values;
-    }
-    
-    const highPassCoeffs = designHighPassFilter(lowWn);
-    const lowPassCoeffs = designLowPassFilter(highWn);
-    
-    let highPassOutput = applyBiquadFilter(values, highPassCoeffs);
-    let output = applyBiquadFilter(highPassOutput, lowPassCoeffs);
-    
-    return output;
-  }, [designHighPassFilter, designLowPassFilter, applyBiquadFilter]);
-
-  const findPeaks = useCallback((values, minDistance = 10) => {
-    if (!values || values.length < 3) return [];
-
-    const peaks = [];
-
-    // Signal stats
-    let sum = 0;
-    let sumSquares = 0;
-    let min = Infinity;
-    let max = -Infinity;
-
-    for (const value of values) {
-      sum += value;
-      sumSquares += value * value;
-      min = Math.min(min, value);
-      max = Math.max(max, value);
-    }
-
-    const mean = sum / values.length;
-    const variance = (sumSquares / values.length) - (mean * mean);
-    const stdDev = Math.sqrt(variance);
-    const range = max - min;
-
-    // Dynamic thresholding
-    let baseThreshold;
-    if (range > 10 * stdDev) {
-      const sorted = [...values].sort((a, b) => a - b);
-      const median = sorted[Math.floor(sorted.length / 2)];
-      baseThreshold = median + range * 0.3;
-    } else {
-      baseThreshold = mean + stdDev * 1.5;
-    }
-
-    let adaptiveThreshold = baseThreshold;
-    const potentialPeaks = [];
-
-    for (let i = 1; i < values.length - 1; i++) {
-      const prev = values[i - 1];
-      const curr = values[i];
-      const next = values[i + 1];
-
-      const localLevel = (prev + curr + next) / 3;
-      adaptiveThreshold = adaptiveThreshold * 0.95 + (localLevel + stdDev) * 0.05;
-
-      if (curr > prev && curr > next && curr > adaptiveThreshold) {
-        potentialPeaks.push({
-          index: i,
-          value: curr,
-          prominence: calculateProminence(values, i)
-        });
-      }
-    }
-
-    if (potentialPeaks.length === 0) return [];
-
-    potentialPeaks.sort((a, b) => b.prominence - a.prominence);
-    const finalPeaks = [];
-    const used = new Array(values.length).fill(false);
-
-    for (const peak of potentialPeaks) {
-      const { index } = peak;
-      if (!used[index]) {
-        finalPeaks.push(index);
-        for (let i = Math.max(0, index - minDistance); i <= Math.min(values.length - 1, index + minDistance); i++) {
-          used[i] = true;
-        }
-      }
+  // The end-of-capture pipeline lives in the shared DSP library
+  // (src/modules/ppg/dsp/capture.js) so every capture path gets the same
+  // numbers and scripts/evaluate-ppg.mjs can score it.
+
+  // Save the current reading's raw frames along with how it ended
+  const finishRecording = useCallback((outcome) => {
+    const recorder = recorderRef.current;
+    recorderRef.current = null;
+    if (recorder && recorder.getSampleCount() > 0) {
+      PPGRecordingService.saveRecording(recorder.finish({ outcome }));
     }
-
-    return finalPeaks.sort((a, b) => a - b);
-  }, [calculateProminence]); // Only depends on pure function
+  }, []); // Refs only
 
   // ========================================
   // ERROR HANDLING FUNCTIONS
@@ -288,14 +110,15 @@ export default function HeartRateDetector({ onHeartRateDetected, isCapturing, on
       "Motion detected": "ERR_MOTION_ARTIFACTS",
       "Poor signal quality": "ERR_POOR_SIGNAL",
       "Measurement outside physiological range": "ERR_INVALID_RANGE",
-      "Irregular heart rhythm detected": "ERR_IRREGULAR_RHYTHM",
       "Failed to detect consistent pulse": "ERR_INCONSISTENT_PULSE",
       "Processing error": "ERR_PROCESSING_FAILURE",
       "Insufficient signal quality after maximum capture time": "ERR_TIMEOUT_POOR_SIGNAL",
-      "Capture failed": "ERR_CAPTURE_FAILED"
+      "Capture failed": "ERR_CAPTURE_FAILED",
+      "Too many dropped frames": "ERR_FRAME_DROPS"
     };
     
     const errorCode = errorCodes[errorType] || "ERR_UNKNOWN";
+    finishRecording({ error: errorType, code: errorCode });
     
     if (onHeartRateDetected) {
       onHeartRateDetected(null, 0, { 
@@ -308,7 +131,7 @@ export default function HeartRateDetector({ onHeartRateDetected, isCapturing, on
         }
       });
     }
-  }, [onHeartRateDetected]); // Only depends on prop
+  }, [onHeartRateDetected, finishRecording]); // Only depends on prop
 
   // ========================================
   // MAIN PROCESSING FUNCTIONS (CAREFUL DEPENDENCIES)
@@ -322,141 +145,22 @@ export default function HeartRateDetector({ onHeartRateDetected, isCapturing, on
       onProgress(100);
     }
     
-    const frameDataArray = recentValuesRef.current.map(item => ({
-      value: item.value,
-      isFingerDetected: true,
-      luminance: 150,
-      stdDev: 5,
-    }));
-    
-    const validFrameIndices = [];
-    
-    for (let i = 0; i < frameDataArray.length; i++) {
-      const contextValues = recentValuesRef.current.slice(0, i + 1).map(item => item.value);
-      const validation = PPGUtils.validateSignal(frameDataArray[i], contextValues);
-      
-      if (validation.isValid) {
-        validFrameIndices.push(i);
-      }
-    }
-    
-    if (validFrameIndices.length < 20) {
-      logEvent("Not enough valid data for calculation");
-      reportHeartRateError("Not enough valid signal data");
-      return;
-    }
-    
     try {
-      const values = validFrameIndices.map(i => recentValuesRef.current[i].value);
-      const times = validFrameIndices.map(i => recentValuesRef.current[i].timestamp);
-      
-      const intervals = [];
-      for (let i = 1; i < times.length; i++) {
-        intervals.push(times[i] - times[i-1]);
-      }
-      
-      logEvent(`Timestamp intervals: min=${Math.min(...intervals)}, max=${Math.max(...intervals)}, count=${intervals.length}`);
-      
-      const sortedIntervals = [...intervals].sort((a, b) => a - b);
-      const medianInterval = sortedIntervals[Math.floor(sortedIntervals.length / 2)];
-      const q1 = sortedIntervals[Math.floor(sortedIntervals.length * 0.25)];
-      const q3 = sortedIntervals[Math.floor(sortedIntervals.length * 0.75)];
-      const iqr = q3 - q1;
-      
-      const filteredIntervals = intervals.filter(
-        interval => (interval >= q1 - 1.5 * iqr) && (interval <= q3 + 1.5 * iqr)
+      const result = analyzeCapture(
+        recentValuesRef.current.map(item => item.value),
+        recentValuesRef.current.map(item => item.timestamp),
+        { onLog: logEvent }
       );
       
-      const averageInterval = filteredIntervals.reduce((sum, val) => sum + val, 0) / filteredIntervals.length;
-      const samplingRate = 1000 / averageInterval;
-      
-      logEvent(`Actual sampling rate: ${samplingRate.toFixed(2)} Hz (median interval: ${medianInterval}ms)`);
-      
-      const smoothedValues = movingAverage(values, 5);
-      const detrendedValues = detrendSignal(smoothedValues, 15);
-      
-      const lowCutoff = 0.5;
-      const highCutoff = 3.0;
-      const nyquistFreq = samplingRate / 2;
-      const adjustedHighCutoff = Math.min(highCutoff, nyquistFreq * 0.8);
-      
-      logEvent(`Filter parameters: ${lowCutoff.toFixed(2)}-${adjustedHighCutoff.toFixed(2)} Hz (Nyquist: ${nyquistFreq.toFixed(2)} Hz)`);
-      
-      const filteredValues = bandpassFilter(detrendedValues, lowCutoff, adjustedHighCutoff, samplingRate);
-      
-      const minPeakDistance = Math.ceil(samplingRate / 4);
-      logEvent(`Peak detection parameters: min distance ${minPeakDistance} samples`);
-      
-      const peaks = findPeaks(filteredValues, minPeakDistance);
-      logEvent(`Detected ${peaks.length} peaks`);
-      
-      if (peaks.length < 4) {
-        logEvent("Not enough peaks detected");
-        reportHeartRateError("Irregular pulse detected");
-        return;
-      }
-      
-      const peakTimes = peaks.map(idx => {
-        const safeIdx = Math.min(idx, times.length - 1);
-        return times[safeIdx];
-      });
-      
-      const peakIntervals = [];
-      for (let i = 1; i < peakTimes.length; i++) {
-        peakIntervals.push(peakTimes[i] - peakTimes[i-1]);
-      }
-      
-      const validIntervals = [];
-      for (const interval of peakIntervals) {
-        const bpm = 60000 / interval;
-        if (bpm >= 30 && bpm <= 220) {
-          validIntervals.push(interval);
-        }
-      }
-      
-      if (validIntervals.length < 3) {
-        logEvent("Not enough valid peak intervals");
-        reportHeartRateError("Insufficient valid pulse data");
-        return;
-      }      
-      
-      const totalIntervalMs = validIntervals.reduce((sum, val) => sum + val, 0);
-      const meanInterval = totalIntervalMs / validIntervals.length;
-      
-      let varianceSum = 0;
-      for (const interval of validIntervals) {
-        varianceSum += Math.pow(interval - meanInterval, 2);
-      }
-      
-      const intervalStdDev = Math.sqrt(varianceSum / validIntervals.length);
-      const variabilityPercent = (intervalStdDev / meanInterval) * 100;
-      
-      logEvent(`Interval stats: mean=${meanInterval.toFixed(0)}ms, variability=${variabilityPercent.toFixed(1)}%`);
-      
-      if (variabilityPercent > 25) {
-        logEvent("Heart rate too irregular, measurement unreliable");
-        reportHeartRateError("Irregular heart rhythm detected");
-        return;
-      }
-      
-      const heartRate = Math.round(60000 / meanInterval);
-      logEvent(`Calculated heart rate: ${heartRate} BPM`);
-      
-      if (heartRate < 40 || heartRate > 200) {
-        logEvent("Heart rate outside valid range");
-        reportHeartRateError("Measurement outside physiological range");
+      if (result.error) {
+        reportHeartRateError(result.error);
         return;
       }
       
-      let confidence = 100;
-      confidence -= variabilityPercent;
-      confidence -= Math.max(0, 15 - validIntervals.length) * 3;
-      confidence = Math.max(0, Math.min(100, confidence));
-      
-      logEvent(`Final heart rate: ${heartRate} BPM (${confidence.toFixed(0)}% confidence)`);
+      finishRecording({ bpm: result.bpm, confidence: result.confidence, rhythm: result.details?.rhythm });
       
       if (onHeartRateDetected) {
-        onHeartRateDetected(heartRate, confidence);
+        onHeartRateDetected(result.bpm, result.confidence, result.details);
       }
     } catch (error) {
       logEvent(`Error calculating heart rate: ${error.message}`);
@@ -468,22 +172,28 @@ export default function HeartRateDetector({ onHeartRateDetected, isCapturing, on
     onProgress, 
     onHeartRateDetected, 
     reportHeartRateError,
-    movingAverage,
-    detrendSignal,
-    bandpassFilter,
-    findPeaks
+    finishRecording
   ]);
 
   // ========================================
   // REMAINING FUNCTIONS WITH MINIMAL DEPENDENCIES
   // ========================================
 
+  const onError = useCallback((msg) => {
+    console.warn('[PPG Error]', msg);
+    logEvent(`PPG Error: ${msg}`);
+    setCaptureError(msg);
+    setCaptureState('failed');
+    
+    // Simplified error handling to avoid circular dependencies
+    reportHeartRateError(`Capture failed: ${msg}`);
+  }, [logEvent, reportHeartRateError]);
+
   // Enhanced frame processor callback for native PPG data
   const onFrameProcessed = useCallback((data) => {
+    // Called for each sample of a source's batch, so nothing here should
+    // log or set state on every frame
     try {
-      // Debug logging for PPG frame data
-      console.log('🎯 PPG Frame received:', data);
-      
       // Handle native PPG data structure
       if (data.isCalibrating) {
         setSignalQuality(`Calibrating... ${Math.round(data.progress * 100)}%`);
@@ -491,15 +201,16 @@ export default function HeartRateDetector({ onHeartRateDetected, isCapturing, on
         return;
       }
       
-      // Extract values from native PPG processor
+      // Extract values from native PPG processor. Current plugin builds
+      // report only { ts, luma }; older ones the full set below.
       const { 
-        bpm, 
-        signalValue, 
-        signalQuality: quality, 
+        bpm = 0, 
+        signalValue = data.luma, 
+        signalQuality: quality = 0, 
         waveform,
-        heartbeatDetected,
-        timestamp,
-        signalRange,
+        heartbeatDetected = false,
+        timestamp = data.ts,
+        signalRange = 0,
         baseline
       } = data;
       
@@ -509,8 +220,6 @@ export default function HeartRateDetector({ onHeartRateDetected, isCapturing, on
         throw new Error('Invalid frame data structure');
       }
       
-      console.log(`✅ Frame processed: BPM=${bpm}, signal=${signalValue.toFixed(2)}, quality=${quality.toFixed(2)}, heartbeat=${heartbeatDetected}`);
-      
       if (retryCount > 0) {
         setRetryCount(0);
         logEvent('Frame processing resumed - retry count reset');
@@ -520,13 +229,8 @@ export default function HeartRateDetector({ onHeartRateDetected, isCapturing, on
         setCaptureState('active');
       }
       
-      // Check signal quality and provide feedback
-      if (quality < 0.3) {
-        setSignalQuality("Poor signal - adjust finger position");
-      } else if (quality < 0.6) {
-        setSignalQuality("Fair signal - hold steady");
-      } else {
-        setSignalQuality("Good signal - detecting pulse...");
+      if (recorderRef.current) {
+        recorderRef.current.add(data);
       }
       
       // Store the signal value for processing
@@ -537,13 +241,26 @@ export default function HeartRateDetector({ onHeartRateDetected, isCapturing, on
         quality
       });
       
-      if (recentValuesRef.current.length > 300) {
+      if (recentValuesRef.current.length > maxSamplesFor(maxCaptureMs)) {
         recentValuesRef.current.shift();
       }
       
-      // If we have a valid BPM from native processor, use it
-      if (bpm > 0 && quality > 0.5) {
-        const confidence = Math.round(quality * 100);
+      // Re-score the last 5 s twice a second and provide feedback
+      frameCountRef.current++;
+      if (frameCountRef.current % 15 === 0) {
+        const recent = recentValuesRef.current.slice(-150);
+        const recentValues = recent.map(item => item.value);
+        const timestamps = recent.map(item => item.timestamp);
+        sqiRef.current = PPGUtils.validateSignal(data, recentValues, { timestamps });
+        setSignalQuality(PPGUtils.getFingerPlacementFeedback(data, recentValues, {
+          validation: sqiRef.current,
+        }));
+      }
+      
+      // If we have a valid BPM from native processor and the SQI passes, use it
+      const sqi = sqiRef.current;
+      if (bpm > 0 && sqi && sqi.isValid) {
+        const confidence = Math.round(sqi.score * 100);
         logEvent(`Native BPM detected: ${bpm} (${confidence}% confidence)`);
         
         // Wait for stable readings (at least 3 seconds of data)
@@ -579,27 +296,21 @@ export default function HeartRateDetector({ onHeartRateDetected, isCapturing, on
       console.error('Frame processing error:', frameError);
       onError(frameError.message);
     }
-  }, [retryCount, captureState, isCapturing, logEvent, onHeartRateDetected, onError]);
-
-  // Rest of the component functions here...
-  // (I'll continue with the remaining functions in a way that breaks circular dependencies)
-
-  const onError = useCallback((msg) => {
-    console.warn('[PPG Error]', msg);
-    logEvent(`PPG Error: ${msg}`);
-    setCaptureError(msg);
-    setCaptureState('failed');
-    
-    // Simplified error handling to avoid circular dependencies
-    reportHeartRateError(`Capture failed: ${msg}`);
-  }, [logEvent, reportHeartRateError]);
-
-  // Simplified frame processor creation
-  const frameProcessor = usePPGFrameProcessor(
-    onFrameProcessed, 
-    onError, 
-    isCapturing && captureState === 'active'
-  );
+  }, [retryCount, captureState, isCapturing, logEvent, onHeartRateDetected, onError, maxCaptureMs]);
+
+  // The PPG source; its frame processor feeds the camera source only
+  const {
+    source: heartRateSource,
+    frameProcessor,
+    start: startSource,
+    stop: stopSource,
+    reset: resetSource,
+  } = useHeartRateSource(sourceKind, {
+    sourceOptions,
+    onSamples: ({ samples }) => samples.forEach(onFrameProcessed),
+    onError: ({ message }) => onError(message),
+  });
+  const isCamera = !!heartRateSource.requiresCamera;
 
   // Enable torch
   const enableTorch = useCallback(() => {
@@ -633,30 +344,64 @@ export default function HeartRateDetector({ onHeartRateDetected, isCapturing, on
   // Simplified capture start
   const startCapturing = useCallback(() => {
     recentValuesRef.current = [];
+    sqiRef.current = null;
+    frameCountRef.current = 0;
+    // Only camera readings are worth recording for replay
+    recorderRef.current = !isCamera ? null : createPPGRecorder({
+      source: 'HeartRateDetector',
+      platform: Platform.OS,
+      osVersion: String(Platform.Version),
+      camera: device ? { id: device.id, name: device.name, position: device.position } : null,
+      torch: true,
+    });
     
     if (processingTimerRef.current) {
       clearInterval(processingTimerRef.current);
     }
     
+    convergenceRef.current = createConvergenceMonitor({ minDurationMs: minCaptureMs, maxDurationMs: maxCaptureMs });
+    
+    // Re-analyze the capture so far once a second until it converges
     processingTimerRef.current = setInterval(() => {
-      const allFrames = recentValuesRef.current.length;
-      const targetFrames = 150;
+      const frames = recentValuesRef.current;
+      if (frames.length < 2) {
+        return;
+      }
+      
+      const result = analyzeCapture(frames.map(item => item.value), frames.map(item => item.timestamp));
+      const elapsedMs = frames[frames.length - 1].timestamp - frames[0].timestamp;
+      const status = convergenceRef.current.push(
+        { bpm: result.bpm, confidence: result.confidence, converged: !result.error && !result.details?.lowConfidence },
+        elapsedMs
+      );
       
       if (onProgress) {
-        const progress = Math.min(Math.floor((allFrames / targetFrames) * 100), 99);
-        onProgress(progress);
+        onProgress(Math.min(Math.round(status.progress * 100), 99));
       }
       
-      // Simplified logic to avoid complex dependencies
-      if (allFrames >= targetFrames) {
-        calculateHeartRate();
-        clearInterval(processingTimerRef.current);
-        processingTimerRef.current = null;
+      if (!status.done) {
+        return;
       }
-    }, 500);
-  }, [onProgress, calculateHeartRate]);
+      clearInterval(processingTimerRef.current);
+      processingTimerRef.current = null;
+      
+      if (status.state === CONVERGENCE_STATES.TIMED_OUT && !result.bpm) {
+        logEvent(`No usable estimate after ${(elapsedMs / 1000).toFixed(0)}s`);
+        reportHeartRateError("Insufficient signal quality after maximum capture time");
+        return;
+      }
+      logEvent(`Capture ${status.state} after ${(elapsedMs / 1000).toFixed(0)}s`);
+      calculateHeartRate();
+    }, 1000);
+    
+    resetSource();
+    startSource();
+  }, [onProgress, calculateHeartRate, reportHeartRateError, logEvent, isCamera, device, minCaptureMs, maxCaptureMs, resetSource, startSource]);
   
   const stopCapturing = useCallback(() => {
+    stopSource();
+    // An unfinished reading isn't worth keeping
+    recorderRef.current = null;
     if (processingTimerRef.current) {
       clearInterval(processingTimerRef.current);
       processingTimerRef.current = null;
@@ -673,7 +418,7 @@ export default function HeartRateDetector({ onHeartRateDetected, isCapturing, on
     setIsRecovering(false);
     setCaptureError(null);
     setCaptureState('idle');
-  }, []);
+  }, [stopSource]);
 
   // ========================================
   // EFFECTS
@@ -714,7 +459,10 @@ export default function HeartRateDetector({ onHeartRateDetected, isCapturing, on
   // Main capture control
   useEffect(() => {
     if (isCapturing) {
-      if (hasPermission === 'granted') {
+      if (!isCamera) {
+        logEvent(`Starting capture from ${heartRateSource.label}`);
+        startCapturing();
+      } else if (hasPermission === true) {
         logEvent("Starting capture process");
         startCapturing();
         if (cameraReady) {
@@ -728,12 +476,35 @@ export default function HeartRateDetector({ onHeartRateDetected, isCapturing, on
       setIsTorchOn(false);
       logEvent("Capture stopped, torch OFF");
     }
-  }, [isCapturing, hasPermission, cameraReady, logEvent, startCapturing, stopCapturing, enableTorch]);
+  }, [isCapturing, hasPermission, cameraReady, isCamera, heartRateSource, logEvent, startCapturing, stopCapturing, enableTorch]);
 
   // ========================================
   // RENDER
   // ========================================
 
+  const overlay = (
+    <View style={styles.overlay}>
+      <Text style={styles.instructionText}>
+        {isCamera
+          ? 'Place your finger on the camera and flash'
+          : SOURCE_INSTRUCTIONS[sourceKind] || `Reading from ${heartRateSource.label}`}
+      </Text>
+      <Text style={styles.qualityText}>{signalQuality}</Text>
+
+      {isRecovering && (
+        <Text style={styles.recoveryText}>
+          Recovering... (Attempt {retryCount}/{maxRetries})
+        </Text>
+      )}
+      
+      {debugInfo && (
+        <View style={styles.debugContainer}>
+          <Text style={styles.debugText}>{debugInfo}</Text>
+        </View>
+      )}
+    </View>
+  );
+
   return (
     <View style={styles.container}>
       {(error || captureError) && (
@@ -748,7 +519,11 @@ export default function HeartRateDetector({ onHeartRateDetected, isCapturing, on
         </View>
       )}
       
-      {hasPermission === true && device && (
+      {!isCamera ? (
+        <View style={styles.cameraContainer}>
+          {overlay}
+        </View>
+      ) : hasPermission === true && device && (
         <View style={styles.cameraContainer}>
           <Camera
             ref={cameraRef}
@@ -760,24 +535,7 @@ export default function HeartRateDetector({ onHeartRateDetected, isCapturing, on
             onInitialized={onCameraReady}
           />
           
-          <View style={styles.overlay}>
-            <Text style={styles.instructionText}>
-              Place your finger on the camera and flash
-            </Text>
-            <Text style={styles.qualityText}>{signalQuality}</Text>
-
-            {isRecovering && (
-              <Text style={styles.recoveryText}>
-                Recovering... (Attempt {retryCount}/{maxRetries})
-              </Text>
-            )}
-            
-            {debugInfo && (
-              <View style={styles.debugContainer}>
-                <Text style={styles.debugText}>{debugInfo}</Text>
-              </View>
-            )}
-          </View>
+          {overlay}
         </View>
       )}
     </View>
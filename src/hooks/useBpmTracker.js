@@ -0,0 +1,28 @@
+// src/hooks/useBpmTracker.js
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { createBpmTracker } from '../modules/ppg/dsp';
+
+/**
+ * Smoothed heart rate from a stream of window estimates.
+ *
+ * Wraps createBpmTracker: push each window estimate as it arrives and render
+ * `tracked`. `push` and `reset` only touch refs, so they are safe to call
+ * from frame-processor callbacks that captured an old render.
+ *
+ * @param {Object} options - createBpmTracker options (read once)
+ * @returns {Object} { tracked: { bpm, confidence, trend, slope }, push, reset }
+ */
+export const useBpmTracker = (options) => {
+  const trackerRef = useRef(null);
+  if (!trackerRef.current) {
+    trackerRef.current = createBpmTracker(options);
+  }
+  const [tracked, setTracked] = useState(() => trackerRef.current.getState());
+
+  useEffect(() => trackerRef.current.subscribe(setTracked), []);
+
+  const push = useCallback((estimate, timestamp = Date.now()) => trackerRef.current.push(estimate, timestamp), []);
+  const reset = useCallback(() => trackerRef.current.reset(), []);
+
+  return { tracked, push, reset };
+};
@@ -0,0 +1,29 @@
+// src/hooks/useCoherence.js
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { createCoherenceTracker } from '../modules/ppg/dsp';
+
+/**
+ * Live heart-rhythm coherence from a stream of beats.
+ *
+ * Wraps createCoherenceTracker: push the beat times from each PPG batch and
+ * render `coherence`, which is recomputed every few seconds. `push` and
+ * `reset` only touch refs, so they are safe to call from frame-processor
+ * callbacks that captured an old render.
+ *
+ * @param {Object} options - createCoherenceTracker options (read once)
+ * @returns {Object} { coherence: computeCoherence result, push, reset }
+ */
+export const useCoherence = (options) => {
+  const trackerRef = useRef(null);
+  if (!trackerRef.current) {
+    trackerRef.current = createCoherenceTracker(options);
+  }
+  const [coherence, setCoherence] = useState(() => trackerRef.current.getState());
+
+  useEffect(() => trackerRef.current.subscribe(setCoherence), []);
+
+  const push = useCallback((beatTimes, timestamp) => trackerRef.current.push(beatTimes, timestamp), []);
+  const reset = useCallback(() => trackerRef.current.reset(), []);
+
+  return { coherence, push, reset };
+};
@@ -1,86 +1,116 @@
-// src/hooks/useHeartRateCapture.js - Mock Version (No Camera Dependencies)
-import { useState, useCallback, useEffect } from 'react';
+// src/hooks/useHeartRateCapture.js - Demo Version (No Camera Dependencies)
+import { useState, useCallback, useEffect, useRef } from 'react';
 // REMOVED: import { Camera } from 'expo-camera';
+import { estimateHeartRate } from '../modules/ppg/dsp';
+import { HEART_RATE_SOURCES, SOURCE_STATES } from '../modules/heartRate';
+import { useHeartRateSource } from './useHeartRateSource';
 
-export const useHeartRateCapture = () => {
+const DEBUG_PPG = false;
+
+/**
+ * Heart rate capture without a camera: the synthetic heart rate source
+ * stands in for the frames and runs through the real estimator, so screens
+ * get a genuine (if simulated) reading.
+ * @param {Object} options - { durationSec, synthetic: createSyntheticSource
+ *   options, read when the hook mounts }
+ */
+export const useHeartRateCapture = ({ durationSec = 10, synthetic = {} } = {}) => {
   const [isCapturing, setIsCapturing] = useState(false);
-  const [hasPermission, setHasPermission] = useState(true); // Mock as granted
+  const [hasPermission, setHasPermission] = useState(true); // No camera needed
   const [progress, setProgress] = useState(0);
   const [heartRate, setHeartRate] = useState(null);
   const [error, setError] = useState(null);
 
-  // Mock camera permissions check
+  const samplesRef = useRef([]);
+  // Whether the source stopping means the reading is complete
+  const capturingRef = useRef(false);
+
+  const { state, start, stop, reset } = useHeartRateSource(HEART_RATE_SOURCES.SYNTHETIC, {
+    sourceOptions: { ...synthetic, durationSec },
+    onSamples: ({ samples }) => {
+      samplesRef.current.push(...samples);
+      const elapsed = samplesRef.current[samplesRef.current.length - 1].ts - samplesRef.current[0].ts;
+      // Max progress is 95% until we actually get a heart rate
+      setProgress(Math.min(95, Math.round((elapsed / (durationSec * 1000)) * 100)));
+    },
+    onError: ({ message }) => {
+      capturingRef.current = false;
+      setError(`Detection failed: ${message}`);
+      setIsCapturing(false);
+    },
+  });
+
+  // No camera, nothing to ask for
   useEffect(() => {
-    const mockPermissionCheck = async () => {
-      try {
-        console.log("Mock: useHeartRateCapture permission check - simulating granted");
-        setHasPermission(true);
-        // No error in mock mode
-      } catch (err) {
-        console.log("Mock: useHeartRateCapture permission error:", err);
-        setError('Mock: Camera permission simulation failed');
-      }
-    };
-    
-    mockPermissionCheck();
+    if (DEBUG_PPG) console.log("Demo: useHeartRateCapture using synthetic PPG - no camera permission needed");
+    setHasPermission(true);
   }, []);
 
-  // Handle progress updates during capture
-  useEffect(() => {
-    let interval = null;
-    if (isCapturing) {
-      setProgress(0);
-      interval = setInterval(() => {
-        setProgress(prevProgress => {
-          // Max progress is 95% until we actually get a heart rate
-          if (prevProgress >= 95) {
-            clearInterval(interval);
-            return 95;
-          }
-          return prevProgress + 1;
-        });
-      }, 200); // Update every 200ms
+  // Run the estimator over the synthetic frames once the reading is complete
+  const finishCapture = useCallback(() => {
+    capturingRef.current = false;
+    const samples = samplesRef.current;
+    const estimate = estimateHeartRate(samples.map(s => s.luma), samples.map(s => s.ts));
+    if (DEBUG_PPG) console.log("Demo: useHeartRateCapture estimate:", estimate.bpm, estimate.confidence, estimate.reason);
+
+    setIsCapturing(false);
+    if (estimate.converged) {
+      setHeartRate(estimate.bpm);
+      setProgress(100);
+    } else {
+      setError(`Detection failed: ${estimate.reason}`);
     }
+  }, []);
 
-    return () => {
-      if (interval) clearInterval(interval);
-    };
-  }, [isCapturing]);
+  // The source stops by itself once durationSec of frames have played
+  useEffect(() => {
+    if (state === SOURCE_STATES.STOPPED && capturingRef.current) finishCapture();
+  }, [state, finishCapture]);
 
   // Start capturing heart rate
   const startCapture = useCallback(() => {
     setError(null);
     setHeartRate(null);
+    setProgress(0);
     setIsCapturing(true);
-    console.log("Mock: useHeartRateCapture starting capture");
-  }, []);
+    if (DEBUG_PPG) console.log("Demo: useHeartRateCapture starting capture");
+
+    capturingRef.current = false;
+    stop();
+    reset();
+    samplesRef.current = [];
+    capturingRef.current = true;
+    start();
+  }, [start, stop, reset]);
 
   // Stop capturing heart rate
   const stopCapture = useCallback(() => {
+    capturingRef.current = false;
+    stop();
     setIsCapturing(false);
-    console.log("Mock: useHeartRateCapture stopping capture");
-  }, []);
+    if (DEBUG_PPG) console.log("Demo: useHeartRateCapture stopping capture");
+  }, [stop]);
 
   // Reset capture state
   const resetCapture = useCallback(() => {
     setHeartRate(null);
     setError(null);
     setProgress(0);
-    console.log("Mock: useHeartRateCapture reset");
+    if (DEBUG_PPG) console.log("Demo: useHeartRateCapture reset");
   }, []);
 
   // Handle heart rate detection
   const handleHeartRateDetected = useCallback((detectedRate, confidence, errorInfo) => {
-    console.log("Mock: useHeartRateCapture heart rate detected:", detectedRate, "confidence:", confidence);
-    
+    if (DEBUG_PPG) console.log("Demo: useHeartRateCapture heart rate detected:", detectedRate, "confidence:", confidence);
+
     // Handle error case
     if (errorInfo && errorInfo.error) {
-      console.log("Mock: useHeartRateCapture detection error:", errorInfo.error);
+      if (DEBUG_PPG) console.log("Demo: useHeartRateCapture detection error:", errorInfo.error);
       setError(`Detection failed: ${errorInfo.error}`);
       setIsCapturing(false);
       return;
     }
-    
+
     setHeartRate(detectedRate);
     setIsCapturing(false);
     setProgress(100);
@@ -98,5 +128,3 @@ export const useHeartRateCapture = () => {
     handleHeartRateDetected
   };
 };
-
-export default useHeartRateCapture;
\ No newline at end of file
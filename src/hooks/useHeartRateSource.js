@@ -0,0 +1,120 @@
+// src/hooks/useHeartRateSource.js
+import { useState, useRef, useEffect, useMemo, useCallback } from 'react';
+import { createHeartRateSource, HEART_RATE_EVENTS, HEART_RATE_SOURCES, SOURCE_STATES } from '../modules/heartRate';
+import { usePPGBatchProcessor } from '../modules/ppg/PPGProcessor';
+
+/**
+ * Heart rate from any registered source (camera, synthetic, replay, manual,
+ * Bluetooth) through one event stream.
+ *
+ * Handlers get the source events (see HEART_RATE_EVENTS) and are read from
+ * refs, so they always see the latest render. The latest BPM, the source
+ * state and the last error are also kept as state for rendering.
+ *
+ * The camera source is fed by the VisionCamera frame processor: pass the
+ * returned `frameProcessor` to the screen's <Camera>. For other sources it
+ * is inert.
+ *
+ * @param {string} kind - Registered source kind (HEART_RATE_SOURCES); a new
+ *   kind creates a new source. An unregistered kind gets the camera, and
+ *   `error` says why.
+ * @param {Object} options
+ * @param {Object} options.sourceOptions - Provider options, read when the source is created
+ * @param {boolean} options.autoStart - Start the source as soon as it's created
+ * @param {Object} options.pipeline - createWorkletPPGState options for the camera (read once)
+ * @param {Function} options.onSamples - { samples, filtered }
+ * @param {Function} options.onBeats - { beats }
+ * @param {Function} options.onBpm - { bpm, confidence, ts }
+ * @param {Function} options.onQuality - { ts, ... }
+ * @param {Function} options.onError - { message }
+ * @returns {Object} { source, state, bpm, confidence, error, start, stop,
+ *   reset, frameProcessor } - reset() clears the pipeline's buffer and beat
+ *   history, e.g. when a new reading starts
+ */
+export const useHeartRateSource = (kind = HEART_RATE_SOURCES.CAMERA, options = {}) => {
+  const { sourceOptions, autoStart = false, pipeline, onSamples, onBeats, onBpm, onQuality, onError } = options;
+  const handlersRef = useRef({});
+  handlersRef.current = { onSamples, onBeats, onBpm, onQuality, onError };
+  const sourceOptionsRef = useRef(sourceOptions);
+  sourceOptionsRef.current = sourceOptions;
+  const autoStartRef = useRef(autoStart);
+  autoStartRef.current = autoStart;
+
+  // An unknown kind falls back to the camera, with the reason as the error
+  const { source, creationError } = useMemo(() => {
+    try {
+      return { source: createHeartRateSource(kind, sourceOptionsRef.current), creationError: null };
+    } catch (creationFailure) {
+      console.error('❌ Heart rate source unavailable, using the camera:', creationFailure.message);
+      return { source: createHeartRateSource(HEART_RATE_SOURCES.CAMERA), creationError: creationFailure.message };
+    }
+  }, [kind]);
+  const [state, setState] = useState(() => source.getState());
+  const [reading, setReading] = useState({ bpm: null, confidence: 0 });
+  const [error, setError] = useState(creationError);
+
+  useEffect(() => {
+    const forward = name => (payload) => {
+      if (handlersRef.current[name]) handlersRef.current[name](payload);
+    };
+    const unsubscribers = [
+      source.on(HEART_RATE_EVENTS.SAMPLES, forward('onSamples')),
+      source.on(HEART_RATE_EVENTS.BEATS, forward('onBeats')),
+      source.on(HEART_RATE_EVENTS.BPM, (payload) => {
+        // Only re-render when the reading actually changes
+        setReading(prev => (prev.bpm === payload.bpm && prev.confidence === payload.confidence
+          ? prev
+          : { bpm: payload.bpm, confidence: payload.confidence }));
+        forward('onBpm')(payload);
+      }),
+      source.on(HEART_RATE_EVENTS.QUALITY, forward('onQuality')),
+      source.on(HEART_RATE_EVENTS.ERROR, (payload) => {
+        setError(payload.message);
+        forward('onError')(payload);
+      }),
+      source.on(HEART_RATE_EVENTS.STATE, payload => setState(payload.state)),
+    ];
+    setState(source.getState());
+    setReading({ bpm: null, confidence: 0 });
+    setError(creationError);
+    if (creationError) forward('onError')({ message: creationError });
+    if (autoStartRef.current) source.start();
+
+    return () => {
+      source.stop();
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+    };
+  }, [source, creationError]);
+
+  // Camera frames only flow while the camera source runs
+  const isCamera = !!source.requiresCamera;
+  const { frameProcessor, reset: resetCameraPipeline } = usePPGBatchProcessor({
+    onBatch: (batch) => {
+      if (source.handleBatch) source.handleBatch(batch);
+    },
+    onError: (message) => {
+      if (source.handleError) source.handleError(message);
+    },
+    isActive: isCamera && state === SOURCE_STATES.RUNNING,
+    pipeline,
+  });
+
+  const start = useCallback(() => source.start(), [source]);
+  const stop = useCallback(() => source.stop(), [source]);
+  const reset = useCallback(() => {
+    if (isCamera) resetCameraPipeline();
+    source.reset();
+  }, [source, isCamera, resetCameraPipeline]);
+
+  return {
+    source,
+    state,
+    bpm: reading.bpm,
+    confidence: reading.confidence,
+    error,
+    start,
+    stop,
+    reset,
+    frameProcessor,
+  };
+};
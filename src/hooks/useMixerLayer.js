@@ -0,0 +1,92 @@
+// src/hooks/useMixerLayer.js
+import { useRef, useEffect, useCallback } from 'react';
+import AudioMixerService from '../services/AudioMixerService';
+
+/**
+ * One named layer on the shared mix (AudioMixerService) while `active`.
+ *
+ * The source is created when the layer starts, and again whenever
+ * `sourceKey` changes, in which case the new one crossfades in. `params`
+ * changes go to the running source's setParams(); gain, pan and ducking
+ * changes ramp on the mixer. The layer fades out when it goes inactive or
+ * the component unmounts.
+ *
+ * @param {string} name - Layer name, unique on the mix (e.g. 'ambient.pad')
+ * @param {Object} options
+ * @param {boolean} options.active - Whether the layer should sound
+ * @param {Function} options.createSource - () => { render(frames), setParams? },
+ *   at MIX_SAMPLE_RATE; read when a source is created
+ * @param {*} options.sourceKey - A change crossfades to a new source
+ * @param {Object} options.params - Passed to the source's setParams() on change
+ * @param {number} options.gain - 0-1
+ * @param {number} options.pan - -1 (left) to 1 (right)
+ * @param {Object|null} options.duck - mixer setDuck options, e.g. { by: 'other.layer', amount: 0.4 }
+ * @param {number} options.crossfadeMs - For sourceKey changes
+ * @param {number} options.fadeMs - Fade-out when the layer stops
+ * @returns {Object} { getSource } - the sounding source, or null, for
+ *   source-specific calls (e.g. the heartbeat's syncBeats)
+ */
+export const useMixerLayer = (name, options = {}) => {
+  const {
+    active = false,
+    createSource,
+    sourceKey,
+    params,
+    gain = 1,
+    pan = 0,
+    duck = null,
+    crossfadeMs = 2000,
+    fadeMs = 1500,
+  } = options;
+  const sourceRef = useRef(null);
+  const createSourceRef = useRef(createSource);
+  createSourceRef.current = createSource;
+  // Latest settings, for when a source is (re)created
+  const settingsRef = useRef({});
+  settingsRef.current = { params, gain, pan, duck };
+
+  // Start, and crossfade to a new source on sourceKey changes
+  useEffect(() => {
+    if (!active) return undefined;
+    const { params: current, gain: currentGain, pan: currentPan, duck: currentDuck } = settingsRef.current;
+    const replacing = !!sourceRef.current;
+    const source = createSourceRef.current();
+    if (current && source.setParams) source.setParams(current);
+    sourceRef.current = source;
+    AudioMixerService.setLayer(name, source, {
+      gain: currentGain,
+      pan: currentPan,
+      duck: currentDuck,
+      crossfadeMs: replacing ? crossfadeMs : 0,
+    });
+    return undefined;
+  }, [name, active, sourceKey]);
+
+  // Stop
+  useEffect(() => {
+    if (!active) return undefined;
+    return () => {
+      sourceRef.current = null;
+      AudioMixerService.removeLayer(name, fadeMs);
+    };
+  }, [name, active]);
+
+  useEffect(() => {
+    if (params && sourceRef.current?.setParams) sourceRef.current.setParams(params);
+  }, [params]);
+
+  useEffect(() => {
+    if (sourceRef.current) AudioMixerService.setLayerGain(name, gain);
+  }, [name, gain]);
+
+  useEffect(() => {
+    if (sourceRef.current) AudioMixerService.setLayerPan(name, pan);
+  }, [name, pan]);
+
+  useEffect(() => {
+    if (sourceRef.current) AudioMixerService.setLayerDuck(name, duck);
+  }, [name, duck]);
+
+  const getSource = useCallback(() => sourceRef.current, []);
+  return { getSource };
+};
@@ -0,0 +1,259 @@
+// src/modules/audio/blockPlayer.js
+// Plays audio that's generated in code. expo-av can only play files, so the
+// stream is rendered a block at a time, written to the cache as WAV, and the
+// blocks are chained with short crossfades:
+//
+//   block n      |fade in|------------ blockMs -----------|fade out|
+//   block n + 1                                   |fade in|--------- ...
+//                                                 <-overlap->
+//
+// The render is one continuous stream: each block starts with the last
+// `overlap` of the previous one, so rhythm and pitch carry straight across
+// and the complementary fades sum back to the original. Only that overlap
+// is ever played twice, so generated noise never audibly loops. The fades
+// also hide the few tens of ms of start-up jitter between Sound objects.
+//
+// Each block is rendered shortly before it's due, so parameter changes are
+// heard within about one block. render() is told when its audio will be
+// heard, for sources that line up with real time.
+import { Audio } from 'expo-av';
+import * as FileSystem from 'expo-file-system';
+import { encodeWav, bytesToBase64 } from './wav.js';
+
+// Rotating cache files per player; a file is only rewritten once the block
+// that used it has finished
+const FILE_SLOTS = 4;
+// Start preparing the next block this long before it's due - rendering a
+// block takes a few hundred ms on a phone
+const PREPARE_LEAD_MS = 1500;
+// Volume step interval for stop() fades
+const FADE_STEP_MS = 50;
+
+let nextPlayerId = 1;
+
+/**
+ * Create a player for rendered audio.
+ *
+ * Usage:
+ *   const player = createBlockPlayer({ render: frames => synth.render(frames) });
+ *   await player.start();
+ *   await player.setVolume(0.4);
+ *   await player.stop({ fadeMs: 1500 });
+ *
+ * @param {Object} options
+ * @param {Function} options.render - (frames, playsAt) => Float32Array of
+ *   frames * channels samples (interleaved), continuing from the previous
+ *   call; playsAt is the wall time (ms) its first frame will be heard
+ * @param {number} options.sampleRate - Hz
+ * @param {number} options.channels - 1 (mono) or 2 (interleaved stereo)
+ * @param {number} options.blockMs - Length of each block, excluding the overlap
+ * @param {number} options.overlapMs - Crossfade between blocks
+ * @param {number} options.volume - Initial volume, 0-1
+ * @param {string} options.label - For logs
+ * @param {Function} options.onError - (error) => void; playback stops first
+ * @returns {Object} { start, stop, setVolume, isPlaying, unloadAsync }
+ */
+export function createBlockPlayer({
+  render,
+  sampleRate = 22050,
+  channels = 1,
+  blockMs = 2000,
+  overlapMs = 300,
+  volume = 0.5,
+  label = 'generated audio',
+  onError,
+} = {}) {
+  const id = nextPlayerId++;
+  const blockFrames = Math.round(blockMs / 1000 * sampleRate);
+  const overlapFrames = Math.round(overlapMs / 1000 * sampleRate);
+
+  let playing = false;
+  let currentVolume = volume;
+  let blockIndex = 0;
+  let startedAt = 0;
+  let timer = null;
+  // Prepared (loaded, not yet started) block
+  let pending = null;
+  // Loaded Sounds that are playing or about to
+  const active = new Set();
+  // Bumped by every start() and stop(); block work that finishes after a
+  // stop, or after a quick stop and start, belongs to an old run and is dropped
+  let run = 0;
+  const isCurrent = token => playing && token === run;
+
+  const fileFor = index => `${FileSystem.cacheDirectory}sonarly-block-${id}-${index % FILE_SLOTS}.wav`;
+
+  // Unfaded tail of the last block - the head of the next
+  let carry = null;
+
+  const renderBlock = (playsAt) => {
+    const samples = new Float32Array((blockFrames + overlapFrames) * channels);
+    if (carry) {
+      samples.set(carry);
+      samples.set(render(blockFrames, playsAt + overlapMs), overlapFrames * channels);
+    } else {
+      samples.set(render(blockFrames + overlapFrames, playsAt));
+    }
+    carry = samples.slice(blockFrames * channels);
+    // Raised-cosine fades over the overlap; fade-in + fade-out = 1
+    const tail = samples.length - overlapFrames * channels;
+    for (let i = 0; i < overlapFrames; i++) {
+      const fadeIn = Math.pow(Math.sin((i + 0.5) / overlapFrames * Math.PI / 2), 2);
+      for (let c = 0; c < channels; c++) {
+        samples[i * channels + c] *= fadeIn;
+        samples[tail + i * channels + c] *= 1 - fadeIn;
+      }
+    }
+    return samples;
+  };
+
+  const unload = async (sound) => {
+    active.delete(sound);
+    try {
+      await sound.unloadAsync();
+    } catch (error) {
+      // Already unloaded
+    }
+  };
+
+  const prepare = async (index) => {
+    const uri = fileFor(index);
+    // The first block starts as soon as it's loaded
+    const wav = encodeWav(renderBlock(index === 0 ? Date.now() : dueAt(index)), sampleRate, channels);
+    await FileSystem.writeAsStringAsync(uri, bytesToBase64(wav), {
+      encoding: FileSystem.EncodingType.Base64,
+    });
+    const { sound } = await Audio.Sound.createAsync(
+      { uri },
+      { shouldPlay: false, volume: currentVolume }
+    );
+    active.add(sound);
+    sound.setOnPlaybackStatusUpdate((status) => {
+      if (status.didJustFinish) unload(sound);
+    });
+    return sound;
+  };
+
+  const fail = async (error) => {
+    console.error(`Error playing ${label}:`, error);
+    await stop();
+    if (onError) onError(error);
+  };
+
+  // Block start times are counted from the first block's, so the schedule
+  // doesn't drift
+  const dueAt = index => startedAt + index * blockMs;
+
+  // Start the prepared block, then come back shortly before the next is due
+  const advance = async (token) => {
+    if (!isCurrent(token) || !pending) return;
+    try {
+      const sound = pending;
+      pending = null;
+      await sound.playAsync();
+      if (!isCurrent(token)) return;
+      blockIndex += 1;
+      timer = setTimeout(() => prepareNext(token), Math.max(0, dueAt(blockIndex) - PREPARE_LEAD_MS - Date.now()));
+    } catch (error) {
+      if (isCurrent(token)) fail(error);
+    }
+  };
+
+  const prepareNext = async (token) => {
+    if (!isCurrent(token)) return;
+    try {
+      const next = await prepare(blockIndex);
+      if (!isCurrent(token)) {
+        await unload(next);
+        return;
+      }
+      pending = next;
+      timer = setTimeout(() => advance(token), Math.max(0, dueAt(blockIndex) - Date.now()));
+    } catch (error) {
+      if (isCurrent(token)) fail(error);
+    }
+  };
+
+  async function start() {
+    if (playing) return true;
+    const token = ++run;
+    try {
+      playing = true;
+      blockIndex = 0;
+      carry = null;
+      const first = await prepare(0);
+      if (!isCurrent(token)) {
+        // Stopped (and maybe restarted) while the first block was being prepared
+        await unload(first);
+        return false;
+      }
+      pending = first;
+      startedAt = Date.now();
+      await advance(token);
+      return true;
+    } catch (error) {
+      if (isCurrent(token)) await fail(error);
+      return false;
+    }
+  }
+
+  /**
+   * @param {Object} options
+   * @param {number} options.fadeMs - Fade the blocks already playing out
+   *   first (volume steps), rather than cutting them
+   * @returns {Promise<boolean>}
+   */
+  async function stop({ fadeMs = 0 } = {}) {
+    const token = ++run;
+    if (playing && fadeMs > 0) {
+      // No new blocks; the ones loaded fade out from where they are
+      playing = false;
+      if (timer) clearTimeout(timer);
+      timer = null;
+      const fading = [...active];
+      const steps = Math.max(1, Math.round(fadeMs / FADE_STEP_MS));
+      for (let step = 1; step <= steps; step++) {
+        const level = currentVolume * Math.pow(Math.cos(step / steps * Math.PI / 2), 2);
+        await Promise.all(fading.map(sound => sound.setVolumeAsync(level).catch(() => {})));
+        await new Promise(resolve => setTimeout(resolve, FADE_STEP_MS));
+      }
+      // Restarted during the fade: only this run's blocks go, the new run
+      // keeps its own and the cache files
+      if (token !== run) {
+        await Promise.all(fading.map(unload));
+        return true;
+      }
+    }
+    playing = false;
+    if (timer) clearTimeout(timer);
+    timer = null;
+    const sounds = [...active];
+    if (pending) sounds.push(pending);
+    pending = null;
+    await Promise.all(sounds.map(unload));
+    await Promise.all(
+      Array.from({ length: FILE_SLOTS }, (_, i) =>
+        FileSystem.deleteAsync(fileFor(i), { idempotent: true }).catch(() => {})
+      )
+    );
+    return true;
+  }
+
+  return {
+    start,
+    stop,
+
+    /** @param {number} value - 0-1, applied to the playing and prepared blocks */
+    async setVolume(value) {
+      currentVolume = value;
+      const sounds = [...active];
+      await Promise.all(sounds.map(sound => sound.setVolumeAsync(value).catch(() => {})));
+      return true;
+    },
+
+    isPlaying: () => playing,
+
+    // Sound-like, so SoundService.unloadSound() works on it
+    unloadAsync: () => stop(),
+  };
+}
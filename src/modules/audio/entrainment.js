@@ -0,0 +1,198 @@
+// src/modules/audio/entrainment.js
+// Tempo entrainment: the soundscape starts at the measured heart rate and
+// glides toward a mood target over the session, so the listener's heart
+// has something to follow - down for calm and sleepy, up for energized.
+//
+// The glide follows a curve over session progress (0-1):
+//
+//   linear       even all the way
+//   exponential  most of the change early, then settling in
+//   stepped      a few plateaus, each held before the next step
+//
+// With a live heart rate the ramp checks the listener is keeping up: while
+// the heart trails the soundscape tempo by more than a few BPM, progress
+// slows (down to a crawl), so the tempo never runs away from the listener.
+//
+// Framework-free.
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+export const RAMP_CURVES = {
+  LINEAR: 'linear',
+  EXPONENTIAL: 'exponential',
+  STEPPED: 'stepped',
+};
+
+// Per mood: the tempo bounds, and a ramp profile per generation-screen
+// tempo option (tempoOptions id). `change` is the target as a fraction of
+// the starting BPM.
+export const ENTRAINMENT_PROFILES = {
+  calm: {
+    minBpm: 55,
+    maxBpm: 100,
+    options: {
+      gentle: { curve: RAMP_CURVES.LINEAR, change: -0.08 },
+      balanced: { curve: RAMP_CURVES.EXPONENTIAL, change: -0.12 },
+      deep: { curve: RAMP_CURVES.EXPONENTIAL, change: -0.18 },
+    },
+  },
+  focused: {
+    minBpm: 55,
+    maxBpm: 110,
+    options: {
+      light: { curve: RAMP_CURVES.LINEAR, change: 0 },
+      steady: { curve: RAMP_CURVES.LINEAR, change: 0 },
+      intense: { curve: RAMP_CURVES.LINEAR, change: 0.05 },
+    },
+  },
+  energized: {
+    minBpm: 60,
+    maxBpm: 130,
+    options: {
+      steady: { curve: RAMP_CURVES.LINEAR, change: 0.08 },
+      elevated: { curve: RAMP_CURVES.EXPONENTIAL, change: 0.15 },
+      peak: { curve: RAMP_CURVES.STEPPED, change: 0.25, steps: 4 },
+    },
+  },
+  sleepy: {
+    minBpm: 50,
+    maxBpm: 95,
+    options: {
+      light: { curve: RAMP_CURVES.LINEAR, change: -0.1 },
+      gentle: { curve: RAMP_CURVES.EXPONENTIAL, change: -0.15 },
+      deep: { curve: RAMP_CURVES.STEPPED, change: -0.22, steps: 4 },
+    },
+  },
+};
+
+// Open-ended sessions ramp over this long, then hold
+export const OPEN_ENDED_RAMP_MS = 20 * 60000;
+// How sharply the exponential curve front-loads the change
+const EXPONENTIAL_RATE = 3;
+const DEFAULT_STEPS = 4;
+// Live HR within this many BPM of the ramp tempo counts as following; the
+// ramp reaches its slowest once the heart trails by another FOLLOW_SLACK_BPM
+const FOLLOW_TOLERANCE_BPM = 3;
+const FOLLOW_SLACK_BPM = 6;
+const MIN_RAMP_RATE = 0.15;
+
+/**
+ * Shape of a ramp curve
+ * @param {string} curve - One of RAMP_CURVES
+ * @param {number} progress - 0-1
+ * @param {number} steps - Plateaus, for stepped
+ * @returns {number} Fraction of the change applied, 0-1
+ */
+export function rampShape(curve, progress, steps = DEFAULT_STEPS) {
+  const x = clamp(progress, 0, 1);
+  switch (curve) {
+    case RAMP_CURVES.EXPONENTIAL:
+      return (1 - Math.exp(-EXPONENTIAL_RATE * x)) / (1 - Math.exp(-EXPONENTIAL_RATE));
+    case RAMP_CURVES.STEPPED: {
+      // The first plateau is the start; the last step lands on the target
+      const count = Math.max(1, Math.round(steps));
+      return Math.min(1, Math.floor(x * count + 1e-9) / (count - 1 || 1));
+    }
+    default:
+      return x;
+  }
+}
+
+/**
+ * Ramp for a mood and tempo option, from the measured heart rate
+ * @param {Object} options
+ * @param {string} options.mood - ENTRAINMENT_PROFILES key
+ * @param {string} options.tempoId - tempoOptions id; unknown ids use the
+ *   option at tempoIndex
+ * @param {number} options.tempoIndex
+ * @param {number} options.heartRate - Measured BPM, where the ramp starts
+ * @param {number} options.targetBpm - Overrides the profile's target
+ * @returns {Object} { startBpm, targetBpm, curve, steps }
+ */
+export function resolveEntrainment({ mood = 'calm', tempoId, tempoIndex = 0, heartRate = 68, targetBpm } = {}) {
+  const profile = ENTRAINMENT_PROFILES[mood] || ENTRAINMENT_PROFILES.calm;
+  const options = Object.values(profile.options);
+  const option = profile.options[tempoId] || options[clamp(tempoIndex, 0, options.length - 1)];
+  const startBpm = clamp(Number(heartRate) || 68, 40, 180);
+  // Never ramp the wrong way: a heart already below a calm target holds
+  const bounded = clamp(targetBpm ?? startBpm * (1 + option.change), profile.minBpm, profile.maxBpm);
+  const target = option.change < 0 ? Math.min(startBpm, bounded)
+    : option.change > 0 ? Math.max(startBpm, bounded)
+      : targetBpm != null ? bounded : startBpm;
+  return {
+    startBpm,
+    targetBpm: target,
+    curve: option.curve,
+    steps: option.steps ?? DEFAULT_STEPS,
+  };
+}
+
+/**
+ * A tempo ramp, advanced on the session clock
+ * @param {Object} options
+ * @param {number} options.startBpm
+ * @param {number} options.targetBpm
+ * @param {number} options.durationMs - Time to reach the target at full
+ *   rate; null for OPEN_ENDED_RAMP_MS
+ * @param {string} options.curve - One of RAMP_CURVES
+ * @param {number} options.steps - Plateaus, for stepped
+ * @returns {Object} { advance(elapsedMs, liveBpm), retarget(options), getState }
+ */
+export function createTempoRamp({ startBpm, targetBpm, durationMs = null, curve = RAMP_CURVES.LINEAR, steps = DEFAULT_STEPS }) {
+  let ramp = { startBpm, targetBpm, durationMs: durationMs ?? OPEN_ENDED_RAMP_MS, curve, steps };
+  let progress = 0;
+  let rate = 1;
+
+  const tempoAt = value => ramp.startBpm
+    + (ramp.targetBpm - ramp.startBpm) * rampShape(ramp.curve, value, ramp.steps);
+
+  /** @returns {Object} { tempo, startBpm, targetBpm, curve, progress, rate } */
+  const getState = () => ({
+    tempo: tempoAt(progress),
+    startBpm: ramp.startBpm,
+    targetBpm: ramp.targetBpm,
+    curve: ramp.curve,
+    progress,
+    // 1 while the listener follows; lower while the ramp waits
+    rate,
+  });
+
+  return {
+    /**
+     * Move the ramp on by session time
+     * @param {number} elapsedMs - Session time since the last call
+     * @param {number} liveBpm - Current heart rate, or null without one
+     * @returns {Object} getState()
+     */
+    advance(elapsedMs, liveBpm = null) {
+      const direction = Math.sign(ramp.targetBpm - ramp.startBpm);
+      if (direction !== 0 && Number.isFinite(liveBpm)) {
+        // How far the heart trails the tempo, in the ramp's direction
+        const lag = (tempoAt(progress) - liveBpm) * direction;
+        rate = clamp(1 - (lag - FOLLOW_TOLERANCE_BPM) / FOLLOW_SLACK_BPM, MIN_RAMP_RATE, 1);
+      } else {
+        rate = 1;
+      }
+      progress = clamp(progress + Math.max(0, elapsedMs) / ramp.durationMs * rate, 0, 1);
+      return getState();
+    },
+
+    /**
+     * Change where the ramp is heading (a new tempo option, duration or
+     * target) without starting over: the start and progress stay
+     * @param {Object} next - Any of { targetBpm, durationMs, curve, steps };
+     *   anything else (e.g. startBpm) is ignored
+     */
+    retarget({ targetBpm: nextTarget, durationMs: nextDuration, curve: nextCurve, steps: nextSteps } = {}) {
+      ramp = {
+        ...ramp,
+        targetBpm: nextTarget ?? ramp.targetBpm,
+        durationMs: nextDuration !== undefined ? nextDuration ?? OPEN_ENDED_RAMP_MS : ramp.durationMs,
+        curve: nextCurve ?? ramp.curve,
+        steps: nextSteps ?? ramp.steps,
+      };
+    },
+
+    getState,
+  };
+}
@@ -0,0 +1,173 @@
+// src/modules/audio/heartbeat.js
+// A synthesized heartbeat for a mixer layer: one "lub-dub" per beat, each
+// hit a triggered event on the render clock rather than a loop.
+//
+//  - Tempo follows setBpm(), smoothed: each beat moves part of the way to
+//    the target, and never more than a few BPM, so a jumpy reading doesn't
+//    make the heart stumble.
+//  - Phase lock: with detected beats (syncBeats) and a render clock (the
+//    `playsAt` wall time the mixer passes to render()), each next hit is
+//    nudged toward the nearest predicted real beat. A fraction of the
+//    error is corrected per beat, so the lock settles without jumps. With
+//    no recent beats it simply free-runs at the smoothed BPM.
+//
+// Framework-free.
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+export const HEARTBEAT_BPM_RANGE = { min: 30, max: 200 };
+
+// Fraction of the way to the target BPM per beat, and the most it may move
+const BPM_SMOOTHING = 0.3;
+const MAX_BPM_STEP = 6;
+// Fraction of the phase error corrected per beat, and the most one beat's
+// interval may be stretched or shortened by it
+const LOCK_GAIN = 0.25;
+const MAX_LOCK_CORRECTION = 0.15;
+// Detected beats older than this (at the hit being scheduled) no longer
+// steer. Hits are rendered a few seconds ahead of playback, and beats are
+// detected a second or so after they happen.
+const LOCK_TIMEOUT_MS = 8000;
+// S2 ("dub") follows S1 ("lub") by systole, which shortens with heart rate
+const SYSTOLE_FRACTION = 0.35;
+const MAX_SYSTOLE_MS = 320;
+// Each hit starts this much sharp and drops to pitch over PITCH_DROP_S
+const PITCH_DROP = 0.6;
+const PITCH_DROP_S = 0.012;
+
+/**
+ * Create a heartbeat source
+ * @param {Object} options
+ * @param {number} options.sampleRate - Hz
+ * @param {number} options.bpm - Starting heart rate
+ * @param {number} options.pitch - S1 frequency (Hz); S2 sits a little higher
+ * @param {number} options.decayMs - S1 decay; S2 is shorter
+ * @returns {Object} { setBpm, setParams, syncBeats, getBpm,
+ *   render(frames, playsAt) -> Float32Array, reset }
+ */
+export function createHeartbeatSource({ sampleRate = 22050, bpm = 60, pitch = 50, decayMs = 90 } = {}) {
+  const initialBpm = clamp(bpm ?? 60, HEARTBEAT_BPM_RANGE.min, HEARTBEAT_BPM_RANGE.max);
+  let targetBpm = initialBpm;
+  let currentBpm = initialBpm;
+  let tone = { pitch, decayMs };
+  // Stream position (frames) and the next S1
+  let position = 0;
+  let nextHitFrame = 0;
+  // Sounding hits: { startFrame, frequency, level, decay }
+  let voices = [];
+  // Wall time (ms) of the latest detected beat
+  let lastBeatAt = null;
+
+  const trigger = (startFrame) => {
+    const systoleMs = Math.min(MAX_SYSTOLE_MS, SYSTOLE_FRACTION * 60000 / currentBpm);
+    const decay = tone.decayMs / 1000 * sampleRate;
+    voices.push({ startFrame, frequency: tone.pitch, level: 1, decay });
+    voices.push({
+      startFrame: startFrame + Math.round(systoleMs / 1000 * sampleRate),
+      frequency: tone.pitch * 1.3,
+      level: 0.6,
+      decay: decay * 0.75,
+    });
+  };
+
+  // Pick the S1 after the one at hitFrame; hitAt is its wall time, if known
+  const scheduleNext = (hitFrame, hitAt) => {
+    currentBpm += clamp((targetBpm - currentBpm) * BPM_SMOOTHING, -MAX_BPM_STEP, MAX_BPM_STEP);
+    const beatMs = 60000 / currentBpm;
+    let intervalMs = beatMs;
+
+    if (hitAt != null && lastBeatAt != null) {
+      const candidateAt = hitAt + intervalMs;
+      if (candidateAt - lastBeatAt < LOCK_TIMEOUT_MS) {
+        // Nearest real beat, projected forward from the last detected one
+        const predictedAt = lastBeatAt + Math.round((candidateAt - lastBeatAt) / beatMs) * beatMs;
+        const limit = MAX_LOCK_CORRECTION * beatMs;
+        intervalMs += clamp((predictedAt - candidateAt) * LOCK_GAIN, -limit, limit);
+      }
+    }
+    nextHitFrame = hitFrame + Math.max(1, Math.round(intervalMs / 1000 * sampleRate));
+  };
+
+  const voiceSample = (voice, frame) => {
+    const age = frame - voice.startFrame;
+    if (age < 0) return 0;
+    const t = age / sampleRate;
+    // Quick attack, exponential decay, and a thump-like pitch drop
+    const attack = Math.min(1, t / 0.003);
+    const envelope = attack * Math.exp(-age / voice.decay);
+    const phase = 2 * Math.PI * voice.frequency
+      * (t + PITCH_DROP * PITCH_DROP_S * (1 - Math.exp(-t / PITCH_DROP_S)));
+    return Math.sin(phase) * envelope * voice.level;
+  };
+
+  /**
+   * @param {number} nextBpm - Measured heart rate; ignored when missing
+   */
+  const setBpm = (nextBpm) => {
+    if (!Number.isFinite(nextBpm) || nextBpm <= 0) return;
+    targetBpm = clamp(nextBpm, HEARTBEAT_BPM_RANGE.min, HEARTBEAT_BPM_RANGE.max);
+  };
+
+  return {
+    setBpm,
+
+    /** @param {Object} next - Any of { bpm, pitch, decayMs } */
+    setParams(next = {}) {
+      if (next.bpm !== undefined) setBpm(next.bpm);
+      tone = {
+        pitch: next.pitch ?? tone.pitch,
+        decayMs: next.decayMs ?? tone.decayMs,
+      };
+    },
+
+    /**
+     * Detected beats to lock to. Beat times may be on another clock (e.g.
+     * camera frame timestamps): pass that clock's current time as clockNow
+     * and they're moved onto the wall clock.
+     * @param {Array<number>} beats - Beat times (ms)
+     * @param {Object} options
+     * @param {number} options.clockNow - Current time on the beats' clock; defaults to wall time
+     * @param {number} options.now - Current wall time (ms)
+     */
+    syncBeats(beats, { clockNow, now = Date.now() } = {}) {
+      const latest = beats && beats.length ? beats[beats.length - 1] : null;
+      if (!Number.isFinite(latest)) return;
+      lastBeatAt = clockNow != null ? now - (clockNow - latest) : latest;
+    },
+
+    /** @returns {number} Smoothed BPM the hits are following */
+    getBpm: () => currentBpm,
+
+    /**
+     * @param {number} frames
+     * @param {number} playsAt - Wall time (ms) the first frame is heard;
+     *   needed for the phase lock
+     * @returns {Float32Array}
+     */
+    render(frames, playsAt) {
+      const out = new Float32Array(frames);
+      for (let i = 0; i < frames; i++) {
+        const frame = position + i;
+        if (frame >= nextHitFrame) {
+          trigger(frame);
+          scheduleNext(frame, playsAt != null ? playsAt + i / sampleRate * 1000 : null);
+        }
+        let sample = 0;
+        for (let v = 0; v < voices.length; v++) sample += voiceSample(voices[v], frame);
+        out[i] = sample * 0.7;
+      }
+      position += frames;
+      // Drop hits that have died away
+      voices = voices.filter(voice => position - voice.startFrame < voice.decay * 10);
+      return out;
+    },
+
+    reset() {
+      position = 0;
+      nextHitFrame = 0;
+      voices = [];
+      currentBpm = targetBpm;
+      lastBeatAt = null;
+    },
+  };
+}
@@ -0,0 +1,14 @@
+// src/modules/audio/index.js
+// Audio generated in code: procedural noise (noise.js), soundscape layer
+// sources (soundscape.js) and their tempo ramps (entrainment.js), the
+// synthesized heartbeat (heartbeat.js), the multi-layer mixer (mixer.js),
+// WAV encoding (wav.js) and block-by-block playback through expo-av
+// (blockPlayer.js). All but blockPlayer.js are framework-free and run in
+// Node.
+export * from './noise.js';
+export * from './wav.js';
+export * from './soundscape.js';
+export * from './entrainment.js';
+export * from './heartbeat.js';
+export * from './mixer.js';
+export * from './blockPlayer.js';
@@ -0,0 +1,322 @@
+// src/modules/audio/mixer.js
+// Multi-layer mixer for generated audio. Named layers, each a mono source
+// ({ render(frames, playsAt) -> Float32Array }), go through:
+//
+//   source(s) -> crossfade -> gain -> ducking -> pan -> master bus
+//   master bus -> master gain / fades -> soft limiter -> stereo out
+//
+//  - Replacing a layer's source crossfades old into new with equal-power
+//    curves (the two are unrelated, so their powers add).
+//  - Gain changes ramp, so nothing steps or clicks.
+//  - A layer can be ducked by another: an envelope follower on the other
+//    layer's output pulls this layer down while it's loud (e.g. the noise
+//    bed dipping under each heartbeat).
+//  - Pan uses the equal-power law, so a centred layer sits 3 dB down per side.
+//  - A paused layer fades to silence and then isn't rendered at all, so its
+//    source picks up where it left off when the layer resumes.
+//  - The limiter holds the master peak at the ceiling with a fast attack and
+//    a slower release, and a soft clip catches whatever gets past it, so
+//    stacked layers never hard-clip.
+//
+// Framework-free; rendering is on the caller's clock (see blockPlayer.js).
+// `playsAt`, the wall time the rendered audio will be heard, is handed on
+// to the sources for anything that has to line up with real time (the
+// heartbeat's phase lock); most ignore it.
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const dbToGain = db => Math.pow(10, db / 20);
+const coefficientFor = (ms, sampleRate) => 1 - Math.exp(-1 / Math.max(1, ms / 1000 * sampleRate));
+
+const DEFAULT_RAMP_MS = 250;
+const DEFAULT_DUCK = { amount: 0.5, threshold: 0.1, attackMs: 10, releaseMs: 250 };
+const LIMITER_CEILING_DB = -1;
+const LIMITER_ATTACK_MS = 1;
+const LIMITER_RELEASE_MS = 250;
+
+// Soft clip: linear below the knee, then tanh-shaped up to +-1
+const KNEE = 0.8;
+const softClip = (x) => {
+  const magnitude = Math.abs(x);
+  if (magnitude <= KNEE) return x;
+  return Math.sign(x) * (KNEE + (1 - KNEE) * Math.tanh((magnitude - KNEE) / (1 - KNEE)));
+};
+
+/**
+ * Create a mixer
+ * @param {Object} options
+ * @param {number} options.sampleRate - Hz
+ * @param {number} options.ceilingDb - Limiter ceiling (dBFS)
+ * @returns {Object} Mixer - see the methods below
+ */
+export function createMixer({ sampleRate = 22050, ceilingDb = LIMITER_CEILING_DB } = {}) {
+  const layers = new Map();
+  const ceiling = dbToGain(ceilingDb);
+  const limiterAttack = coefficientFor(LIMITER_ATTACK_MS, sampleRate);
+  const limiterRelease = coefficientFor(LIMITER_RELEASE_MS, sampleRate);
+  let limiterGain = 1;
+  // Gain reduction (dB) at the end of the last render, for metering
+  let reductionDb = 0;
+
+  // Master gain ramp: { value, target, step } per sample
+  const master = { value: 1, target: 1, step: 0 };
+
+  const rampTo = (ramp, target, ms) => {
+    const frames = Math.max(1, Math.round(ms / 1000 * sampleRate));
+    ramp.target = target;
+    ramp.step = (target - ramp.value) / frames;
+  };
+  const advanceRamp = (ramp) => {
+    if (ramp.step === 0) return ramp.value;
+    ramp.value += ramp.step;
+    if ((ramp.step > 0 && ramp.value >= ramp.target) || (ramp.step < 0 && ramp.value <= ramp.target)) {
+      ramp.value = ramp.target;
+      ramp.step = 0;
+    }
+    return ramp.value;
+  };
+
+  const panGains = (pan) => {
+    const angle = (clamp(pan, -1, 1) + 1) * Math.PI / 4;
+    return [Math.cos(angle), Math.sin(angle)];
+  };
+
+  const mixer = {
+    /**
+     * Add a layer, or give an existing one a new source. A new source
+     * crossfades in over `crossfadeMs` (equal-power); a new layer fades in
+     * over `fadeInMs`.
+     * @param {string} name
+     * @param {Object} source - { render(frames, playsAt) -> Float32Array }
+     * @param {Object} options
+     * @param {number} options.gain - 0-1 (more is allowed; the limiter has it)
+     * @param {number} options.pan - -1 (left) to 1 (right)
+     * @param {number} options.crossfadeMs - When replacing a source
+     * @param {number} options.fadeInMs - When adding a layer
+     * @param {Object} options.duck - See setDuck
+     */
+    setLayer(name, source, { gain, pan, crossfadeMs = 2000, fadeInMs = 500, duck } = {}) {
+      let layer = layers.get(name);
+      if (!layer) {
+        layer = {
+          name,
+          source,
+          outgoing: null,
+          fade: { value: 1, target: 1, step: 0 },
+          gain: { value: 0, target: 0, step: 0 },
+          pan: panGains(pan ?? 0),
+          panValue: pan ?? 0,
+          duck: null,
+          duckEnvelope: 0,
+          keyEnvelope: 0,
+          hold: { value: 1, target: 1, step: 0 },
+          paused: false,
+          removing: false,
+        };
+        layers.set(name, layer);
+        rampTo(layer.gain, gain ?? 1, fadeInMs);
+      } else {
+        if (source !== layer.source) {
+          // Crossfade position 0 -> 1; a crossfade already running is cut
+          // short by taking its incoming source as the outgoing one
+          layer.outgoing = layer.source;
+          layer.source = source;
+          layer.fade.value = 0;
+          rampTo(layer.fade, 1, crossfadeMs);
+        }
+        if (layer.removing) {
+          // Brought back while fading out
+          layer.removing = false;
+          rampTo(layer.gain, gain ?? 1, fadeInMs);
+        } else if (gain !== undefined) {
+          rampTo(layer.gain, gain, DEFAULT_RAMP_MS);
+        }
+        if (pan !== undefined) {
+          layer.pan = panGains(pan);
+          layer.panValue = pan;
+        }
+      }
+      if (duck !== undefined) mixer.setDuck(name, duck);
+    },
+
+    /**
+     * @param {string} name
+     * @param {number} gain - 0-1
+     * @param {number} rampMs
+     */
+    setGain(name, gain, rampMs = DEFAULT_RAMP_MS) {
+      const layer = layers.get(name);
+      if (layer && !layer.removing) rampTo(layer.gain, gain, rampMs);
+    },
+
+    /**
+     * @param {string} name
+     * @param {number} pan - -1 (left) to 1 (right)
+     */
+    setPan(name, pan) {
+      const layer = layers.get(name);
+      if (!layer) return;
+      layer.pan = panGains(pan);
+      layer.panValue = pan;
+    },
+
+    /**
+     * Duck a layer under another
+     * @param {string} name - Layer to duck
+     * @param {Object|null} duck - { by: layer name, amount: gain reduction
+     *   0-1, threshold: key level for full ducking, attackMs, releaseMs },
+     *   or null for none
+     */
+    setDuck(name, duck) {
+      const layer = layers.get(name);
+      if (!layer) return;
+      layer.duck = duck && duck.by ? { ...DEFAULT_DUCK, ...duck } : null;
+      if (layer.duck) {
+        layer.duck.attack = coefficientFor(layer.duck.attackMs, sampleRate);
+        layer.duck.release = coefficientFor(layer.duck.releaseMs, sampleRate);
+      }
+    },
+
+    /**
+     * Fade a layer out and drop it
+     * @param {string} name
+     * @param {number} fadeMs
+     */
+    removeLayer(name, fadeMs = 1000) {
+      const layer = layers.get(name);
+      if (!layer) return;
+      layer.removing = true;
+      rampTo(layer.gain, 0, fadeMs);
+    },
+
+    /**
+     * Fade a layer to silence and stop rendering it, keeping its source and
+     * settings for resumeLayer
+     * @param {string} name
+     * @param {number} fadeMs - 0 to silence it at once
+     */
+    pauseLayer(name, fadeMs = DEFAULT_RAMP_MS) {
+      const layer = layers.get(name);
+      if (!layer) return;
+      layer.paused = true;
+      rampTo(layer.hold, 0, fadeMs);
+      if (!(fadeMs > 0)) layer.hold = { value: 0, target: 0, step: 0 };
+    },
+
+    /**
+     * @param {string} name
+     * @param {number} fadeMs
+     */
+    resumeLayer(name, fadeMs = DEFAULT_RAMP_MS) {
+      const layer = layers.get(name);
+      if (!layer || !layer.paused) return;
+      layer.paused = false;
+      rampTo(layer.hold, 1, fadeMs);
+    },
+
+    hasLayer: name => layers.has(name) && !layers.get(name).removing,
+
+    /** @returns {Array<Object>} [{ name, gain, pan, ducked, paused, removing }] */
+    getLayers() {
+      return [...layers.values()].map(layer => ({
+        name: layer.name,
+        gain: layer.gain.target,
+        pan: layer.panValue,
+        ducked: layer.duckEnvelope,
+        paused: layer.paused,
+        removing: layer.removing,
+      }));
+    },
+
+    /**
+     * @param {number} gain - 0-1
+     * @param {number} rampMs
+     */
+    setMasterGain(gain, rampMs = DEFAULT_RAMP_MS) {
+      rampTo(master, gain, rampMs);
+    },
+
+    /** @returns {number} Limiter gain reduction at the end of the last render (dB, <= 0) */
+    getReductionDb: () => reductionDb,
+
+    /**
+     * Render the mix
+     * @param {number} frames
+     * @param {number} playsAt - Wall time (ms) the first frame will be heard, if known
+     * @returns {Float32Array} Interleaved stereo, frames * 2 samples within +-1
+     */
+    render(frames, playsAt) {
+      const out = new Float32Array(frames * 2);
+      const left = new Float32Array(frames);
+      const right = new Float32Array(frames);
+
+      // Render every layer first, so ducking can key off any of them
+      const rendered = new Map();
+      layers.forEach((layer, name) => {
+        if (layer.paused && layer.hold.value === 0) {
+          // Silent: hold the sources where they are
+          rendered.set(name, new Float32Array(frames));
+          return;
+        }
+        const signal = layer.source.render(frames, playsAt);
+        const outgoing = layer.outgoing ? layer.outgoing.render(frames, playsAt) : null;
+        const post = new Float32Array(frames);
+        for (let i = 0; i < frames; i++) {
+          let x = signal[i];
+          if (outgoing) {
+            const t = advanceRamp(layer.fade);
+            x = x * Math.sin(t * Math.PI / 2) + outgoing[i] * Math.cos(t * Math.PI / 2);
+          }
+          post[i] = x * advanceRamp(layer.gain) * advanceRamp(layer.hold);
+        }
+        if (outgoing && layer.fade.step === 0) layer.outgoing = null;
+        rendered.set(name, post);
+      });
+
+      layers.forEach((layer, name) => {
+        const post = rendered.get(name);
+        const key = layer.duck ? rendered.get(layer.duck.by) : null;
+        const [panLeft, panRight] = layer.pan;
+        for (let i = 0; i < frames; i++) {
+          let x = post[i];
+          if (key) {
+            const level = Math.abs(key[i]);
+            const coefficient = level > layer.keyEnvelope ? layer.duck.attack : layer.duck.release;
+            layer.keyEnvelope += (level - layer.keyEnvelope) * coefficient;
+            layer.duckEnvelope = Math.min(1, layer.keyEnvelope / layer.duck.threshold);
+            x *= 1 - layer.duck.amount * layer.duckEnvelope;
+          }
+          left[i] += x * panLeft;
+          right[i] += x * panRight;
+        }
+        if (layer.removing && (layer.gain.value === 0 || (layer.paused && layer.hold.value === 0))) layers.delete(name);
+      });
+
+      // Master: gain ramp, then the limiter on the louder channel
+      for (let i = 0; i < frames; i++) {
+        const gain = advanceRamp(master);
+        const l = left[i] * gain;
+        const r = right[i] * gain;
+        const peak = Math.max(Math.abs(l), Math.abs(r));
+        const wanted = peak > ceiling ? ceiling / peak : 1;
+        limiterGain += (wanted - limiterGain) * (wanted < limiterGain ? limiterAttack : limiterRelease);
+        out[i * 2] = softClip(l * limiterGain);
+        out[i * 2 + 1] = softClip(r * limiterGain);
+      }
+      reductionDb = 20 * Math.log10(limiterGain);
+      return out;
+    },
+
+    /** @returns {number} Number of layers still sounding */
+    size: () => layers.size,
+
+    clear() {
+      layers.clear();
+      limiterGain = 1;
+      master.value = 1;
+      master.target = 1;
+      master.step = 0;
+    },
+  };
+
+  return mixer;
+}
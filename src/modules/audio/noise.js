@@ -0,0 +1,394 @@
+// src/modules/audio/noise.js
+// Procedural noise: white, pink and brown generators, a continuous spectral
+// tilt, and a synth that shapes them with the noise soundscape's parameters.
+//
+// Colours (power spectral slope):
+//   white   flat                     uniform random samples
+//   pink    -3 dB/octave (1/f)       Voss-McCartney: random rows updated at
+//                                    octave-spaced rates, summed
+//   brown   -6 dB/octave (1/f^2)     leaky integral of white noise
+// `tilt` adds a further slope in dB/octave (-6 to +6), so any colour in
+// between is reachable, e.g. pink with -1.5 for something darker.
+//
+// The tilt is a bank of first-order pole/zero pairs one octave apart. A pole
+// followed by a zero a fraction g of an octave above it cuts 6.02 * g dB per
+// octave on average, so spacing the pairs evenly gives a straight slope
+// (within ~0.5 dB) across the audio band.
+//
+// Everything runs sample by sample on plain arrays: framework-free, and
+// deterministic for a given seed.
+
+export const NOISE_TYPES = {
+  WHITE: 'white',
+  PINK: 'pink',
+  BROWN: 'brown',
+};
+
+// Slope of each colour, dB/octave
+export const NOISE_SLOPES = {
+  [NOISE_TYPES.WHITE]: 0,
+  [NOISE_TYPES.PINK]: -3.01,
+  [NOISE_TYPES.BROWN]: -6.02,
+};
+
+export const MAX_TILT_DB = 6.02;
+
+// Voss-McCartney rows; the lowest row changes every 2^15 samples, so the 1/f
+// slope holds down to about sampleRate / 2^16
+const PINK_ROWS = 16;
+// Leak of the brown integrator - keeps it from wandering off below ~5 Hz
+const BROWN_LEAK = 0.02;
+// Lowest tilt pole (Hz); the slope flattens out below it
+const TILT_LOW_HZ = 20;
+
+// mulberry32, as in ppg/synthetic.js
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Trailing zero count of a 32-bit counter (0 -> 32)
+const trailingZeros = n => (n === 0 ? 32 : 31 - Math.clz32(n & -n));
+
+/**
+ * A noise source of one colour, roughly unit RMS (white is +-1.7 peak)
+ * @param {string} type - One of NOISE_TYPES
+ * @param {Object} options
+ * @param {number} options.seed - Random seed
+ * @returns {Object} { next() -> sample, type }
+ */
+export function createNoiseGenerator(type = NOISE_TYPES.WHITE, { seed = 1 } = {}) {
+  const random = createRandom(seed);
+  // Uniform on [-sqrt(3), sqrt(3)] has unit variance
+  const white = () => (random() * 2 - 1) * Math.sqrt(3);
+
+  if (type === NOISE_TYPES.PINK) {
+    const rows = new Float64Array(PINK_ROWS);
+    let running = 0;
+    for (let i = 0; i < PINK_ROWS; i++) {
+      rows[i] = white();
+      running += rows[i];
+    }
+    let counter = 0;
+    // Sum of PINK_ROWS + 1 unit-variance terms
+    const scale = 1 / Math.sqrt(PINK_ROWS + 1);
+    return {
+      type,
+      next() {
+        counter = (counter + 1) >>> 0;
+        const row = trailingZeros(counter);
+        if (row < PINK_ROWS) {
+          running -= rows[row];
+          rows[row] = white();
+          running += rows[row];
+        }
+        return (running + white()) * scale;
+      },
+    };
+  }
+
+  if (type === NOISE_TYPES.BROWN) {
+    let level = 0;
+    // level = a * (level + leak * white) with a = 1 / (1 + leak) has an RMS
+    // of a * leak / sqrt(1 - a^2); scale that back to 1
+    const a = 1 / (1 + BROWN_LEAK);
+    const scale = Math.sqrt(1 - a * a) / (BROWN_LEAK * a);
+    return {
+      type,
+      next() {
+        level = (level + BROWN_LEAK * white()) * a;
+        return level * scale;
+      },
+    };
+  }
+
+  return { type: NOISE_TYPES.WHITE, next: white };
+}
+
+/**
+ * Spectral tilt filter: a straight slope in dB/octave, unity gain at 1 kHz
+ * @param {number} sampleRate - Hz
+ * @returns {Object} { setTilt(dbPerOctave), process(sample) -> sample }
+ */
+export function createTiltFilter(sampleRate) {
+  const nyquist = sampleRate / 2;
+  const corners = [];
+  for (let f = TILT_LOW_HZ; f < nyquist * 0.7; f *= 2) corners.push(f);
+  const sections = corners.map(() => ({ b0: 1, b1: 0, a1: 0, x1: 0, y1: 0 }));
+  let tilt = 0;
+
+  // Matched-z first-order section with a pole at `pole` Hz and a zero at `zero` Hz
+  const design = (section, pole, zero) => {
+    const p = Math.exp(-2 * Math.PI * pole / sampleRate);
+    const z = Math.exp(-2 * Math.PI * zero / sampleRate);
+    section.b0 = 1;
+    section.b1 = -z;
+    section.a1 = -p;
+  };
+  const gainAt = (section, f) => {
+    const w = 2 * Math.PI * f / sampleRate;
+    const num = Math.hypot(section.b0 + section.b1 * Math.cos(w), section.b1 * Math.sin(w));
+    const den = Math.hypot(1 + section.a1 * Math.cos(w), section.a1 * Math.sin(w));
+    return num / den;
+  };
+
+  let norm = 1;
+  const setTilt = (dbPerOctave) => {
+    tilt = clamp(dbPerOctave || 0, -MAX_TILT_DB, MAX_TILT_DB);
+    const fraction = Math.abs(tilt) / MAX_TILT_DB;
+    let gain = 1;
+    sections.forEach((section, i) => {
+      const low = corners[i];
+      const high = Math.min(low * Math.pow(2, fraction), nyquist * 0.95);
+      // Falling slope: pole first, then the zero that levels it off
+      if (tilt < 0) design(section, low, high);
+      else design(section, high, low);
+      gain *= gainAt(section, 1000);
+    });
+    norm = gain > 0 ? 1 / gain : 1;
+  };
+  setTilt(0);
+
+  return {
+    setTilt,
+    getTilt: () => tilt,
+    process(x) {
+      if (tilt === 0) return x;
+      let y = x;
+      for (let i = 0; i < sections.length; i++) {
+        const s = sections[i];
+        const out = s.b0 * y + s.b1 * s.x1 - s.a1 * s.y1;
+        s.x1 = y;
+        s.y1 = out;
+        y = out;
+      }
+      return y * norm;
+    },
+    reset() {
+      sections.forEach((s) => {
+        s.x1 = 0;
+        s.y1 = 0;
+      });
+    },
+  };
+}
+
+// Parameter ranges for createNoiseSynth, from the 0-1 soundscape parameters
+const CUTOFF_MIN_HZ = 150;
+const CUTOFF_MAX_HZ = 16000;
+// Highest cutoff as a fraction of the sample rate
+const MAX_CUTOFF_RATIO = 0.45;
+const Q_MIN = 0.5;
+const Q_MAX = 6;
+// Drift moves the cutoff by up to this many octaves, over ~DRIFT_PERIOD_SEC
+const DRIFT_OCTAVES = 1.5;
+const DRIFT_PERIOD_SEC = 8;
+// Grains that density thins the noise into
+const GRAIN_MS = 45;
+// Smoothing of parameter changes, so block-to-block updates don't click
+const PARAM_SMOOTHING_MS = 60;
+
+export const DEFAULT_NOISE_PARAMS = {
+  amplitude: 0.8,
+  cutoffFreq: 0.7,
+  resonance: 0.3,
+  density: 1,
+  drift: 0,
+  modulation: 0,
+  // Hz - swell rate for `modulation`, e.g. heart rate / 60
+  modulationRate: 0.1,
+  // dB/octave on top of the colour
+  tilt: 0,
+};
+
+/**
+ * Map a 0-1 cutoff parameter to Hz (exponential, so equal steps sound even)
+ * @param {number} cutoff - 0-1
+ * @returns {number} Hz
+ */
+export function cutoffToHz(cutoff) {
+  return CUTOFF_MIN_HZ * Math.pow(CUTOFF_MAX_HZ / CUTOFF_MIN_HZ, clamp(cutoff, 0, 1));
+}
+
+/**
+ * Noise synth for the noise soundscape.
+ *
+ * Signal path: colour generator -> tilt -> resonant low-pass (state-variable)
+ * -> density gate -> modulation -> amplitude. Parameters are the noise
+ * screen's 0-1 `noiseParams`:
+ *   amplitude    output level
+ *   cutoffFreq   low-pass cutoff, 150 Hz - 16 kHz (below Nyquist)
+ *   resonance    filter Q, 0.5 - 6
+ *   density      1 is a steady bed; lower thins it into random grains
+ *   drift        slow random wander of the cutoff, up to 1.5 octaves
+ *   modulation   depth of a slow amplitude swell at `modulationRate` Hz
+ *   tilt         extra spectral slope, dB/octave
+ * plus `type` (NOISE_TYPES). Changes glide over ~60 ms; a type change
+ * crossfades over the next render.
+ *
+ * @param {Object} options
+ * @param {number} options.sampleRate - Hz
+ * @param {string} options.type - Initial NOISE_TYPES colour
+ * @param {Object} options.params - Initial parameters (see DEFAULT_NOISE_PARAMS)
+ * @param {number} options.seed - Random seed
+ * @returns {Object} { setType, setParams, getParams, render(frames) -> Float32Array, reset }
+ */
+export function createNoiseSynth({ sampleRate = 22050, type = NOISE_TYPES.WHITE, params = {}, seed = 1 } = {}) {
+  let nextSeed = seed;
+  const seedFor = () => {
+    nextSeed = (nextSeed * 1664525 + 1013904223) >>> 0;
+    return nextSeed;
+  };
+  const random = createRandom(seedFor());
+
+  let generator = createNoiseGenerator(type, { seed: seedFor() });
+  // Outgoing generator while a type change crossfades
+  let previous = null;
+  const tiltFilter = createTiltFilter(sampleRate);
+
+  let target = { ...DEFAULT_NOISE_PARAMS, ...params };
+  // Smoothed values, per sample
+  const current = {
+    amplitude: target.amplitude,
+    cutoffOctaves: Math.log2(cutoffToHz(target.cutoffFreq)),
+    q: Q_MIN + (Q_MAX - Q_MIN) * clamp(target.resonance, 0, 1),
+    density: clamp(target.density, 0, 1),
+    drift: clamp(target.drift, 0, 1),
+    modulation: clamp(target.modulation, 0, 1),
+  };
+  const smoothing = 1 - Math.exp(-1 / (PARAM_SMOOTHING_MS / 1000 * sampleRate));
+
+  // State-variable filter state (integrator memories)
+  let ic1 = 0;
+  let ic2 = 0;
+  // Drift: a new random target (-1 to 1) every period, glided to
+  const driftPeriod = Math.round(DRIFT_PERIOD_SEC * sampleRate);
+  let driftCountdown = 0;
+  let driftTarget = 0;
+  let driftLevel = 0;
+  const driftCoefficient = 1 - Math.exp(-1 / (driftPeriod / 3));
+  // Density grains: gate toggled every grain, smoothed into an envelope
+  const grainLength = Math.max(1, Math.round(GRAIN_MS / 1000 * sampleRate));
+  let grainCountdown = 0;
+  let gate = 1;
+  let envelope = 1;
+  const envelopeCoefficient = 1 - Math.exp(-1 / (grainLength / 4));
+  // Modulation phase, radians
+  let phase = 0;
+
+  tiltFilter.setTilt(target.tilt);
+
+  return {
+    /** @param {string} nextType - One of NOISE_TYPES */
+    setType(nextType) {
+      if (nextType === generator.type) return;
+      previous = generator;
+      generator = createNoiseGenerator(nextType, { seed: seedFor() });
+    },
+
+    /** @param {Object} next - Any of the DEFAULT_NOISE_PARAMS keys */
+    setParams(next = {}) {
+      target = { ...target, ...next };
+      if (next.tilt !== undefined) tiltFilter.setTilt(target.tilt);
+    },
+
+    getParams() {
+      return { ...target, type: generator.type };
+    },
+
+    /**
+     * Render the next `frames` samples, continuing seamlessly from the last call
+     * @param {number} frames
+     * @returns {Float32Array} Mono samples, roughly within +-1
+     */
+    render(frames) {
+      const out = new Float32Array(frames);
+      const targetCutoff = Math.log2(cutoffToHz(target.cutoffFreq));
+      const targetQ = Q_MIN + (Q_MAX - Q_MIN) * clamp(target.resonance, 0, 1);
+      const targetDensity = clamp(target.density, 0, 1);
+      const targetDrift = clamp(target.drift, 0, 1);
+      const targetModulation = clamp(target.modulation, 0, 1);
+      const phaseStep = 2 * Math.PI * Math.max(0, target.modulationRate || 0) / sampleRate;
+      const fading = previous;
+
+      for (let i = 0; i < frames; i++) {
+        current.amplitude += (target.amplitude - current.amplitude) * smoothing;
+        current.cutoffOctaves += (targetCutoff - current.cutoffOctaves) * smoothing;
+        current.q += (targetQ - current.q) * smoothing;
+        current.density += (targetDensity - current.density) * smoothing;
+        current.drift += (targetDrift - current.drift) * smoothing;
+        current.modulation += (targetModulation - current.modulation) * smoothing;
+
+        // Colour, with an equal-power crossfade across this render on a type change
+        let x = generator.next();
+        if (fading) {
+          const t = (i + 1) / frames;
+          x = x * Math.sin(t * Math.PI / 2) + fading.next() * Math.cos(t * Math.PI / 2);
+        }
+        x = tiltFilter.process(x);
+
+        if (--driftCountdown <= 0) {
+          driftCountdown = driftPeriod;
+          driftTarget = random() * 2 - 1;
+        }
+        driftLevel += (driftTarget - driftLevel) * driftCoefficient;
+
+        // Resonant low-pass: trapezoidal state-variable filter, stable at any
+        // cutoff and Q. Resonance gain is partly compensated so high Q
+        // doesn't just make it louder.
+        const octaves = current.cutoffOctaves + driftLevel * DRIFT_OCTAVES * current.drift;
+        const cutoff = Math.min(Math.pow(2, octaves), sampleRate * MAX_CUTOFF_RATIO);
+        const g = Math.tan(Math.PI * cutoff / sampleRate);
+        const k = 1 / current.q;
+        const a1 = 1 / (1 + g * (g + k));
+        const a2 = g * a1;
+        const a3 = g * a2;
+        const v3 = x - ic2;
+        const v1 = a1 * ic1 + a2 * v3;
+        const v2 = ic2 + a2 * ic1 + a3 * v3;
+        ic1 = 2 * v1 - ic1;
+        ic2 = 2 * v2 - ic2;
+        let y = v2 / (1 + 0.1 * (current.q - Q_MIN));
+
+        // Density: grains switch on with probability `density`
+        if (--grainCountdown <= 0) {
+          grainCountdown = grainLength;
+          gate = random() < current.density ? 1 : 0;
+        }
+        const gateTarget = current.density >= 0.999 ? 1 : gate;
+        envelope += (gateTarget - envelope) * envelopeCoefficient;
+        y *= envelope;
+
+        // Modulation: a slow swell between (1 - depth) and 1
+        phase += phaseStep;
+        if (phase > 2 * Math.PI) phase -= 2 * Math.PI;
+        y *= 1 - current.modulation * 0.5 * (1 - Math.cos(phase));
+
+        // Gentle saturation keeps resonant peaks inside +-1
+        out[i] = Math.tanh(y * current.amplitude * 0.35);
+      }
+
+      if (fading) previous = null;
+      return out;
+    },
+
+    reset() {
+      ic1 = 0;
+      ic2 = 0;
+      driftCountdown = 0;
+      driftLevel = 0;
+      envelope = 1;
+      phase = 0;
+      previous = null;
+      tiltFilter.reset();
+    },
+  };
+}
@@ -0,0 +1,310 @@
+// src/modules/audio/soundscape.js
+// Soundscape layer sources, and the mood soundscape built from them:
+//
+//   bed    procedural noise (noise.js), coloured and filtered per mood
+//   pad    a slow sine-partial drone on a chord, swelling gently
+//   pulse  a soft low thump on every beat at the soundscape tempo
+//
+// Each source renders mono blocks for a mixer layer (mixer.js).
+// buildSoundscapeParams() turns the generation screen's choices (mood,
+// tempo option, session type, pulse slider) and the biometric reading into
+// parameters and levels for the three layers; createSoundscapeLayers()
+// creates their sources.
+//
+// Framework-free, and deterministic for a given seed.
+import { createNoiseSynth, NOISE_TYPES } from './noise.js';
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Per-mood layer settings. `voicings` are chord ratios over `root` (Hz), one
+// per session type; `intensityDirection` is which way the tempo option
+// moves the sound (+1 brighter and fuller, -1 darker and softer).
+export const MOOD_PRESETS = {
+  calm: {
+    noiseType: NOISE_TYPES.PINK,
+    cutoff: 0.45,
+    tilt: -1,
+    root: 110,
+    voicings: [[1, 1.5, 2], [1, 1.25, 1.5], [1, 1.5, 3]],
+    levels: { bed: 0.5, pad: 0.35, pulse: 0.45 },
+    intensityDirection: -1,
+    pulsePitch: 58,
+  },
+  focused: {
+    noiseType: NOISE_TYPES.BROWN,
+    cutoff: 0.55,
+    tilt: 0,
+    root: 98,
+    voicings: [[1, 1.5, 2], [1, 1.5, 2.25], [1, 2, 3]],
+    levels: { bed: 0.55, pad: 0.3, pulse: 0.4 },
+    intensityDirection: 1,
+    pulsePitch: 62,
+  },
+  energized: {
+    noiseType: NOISE_TYPES.PINK,
+    cutoff: 0.75,
+    tilt: 1,
+    root: 130.8,
+    voicings: [[1, 1.25, 1.5, 2], [1, 1.5, 2, 2.5], [1, 1.335, 1.5, 2]],
+    levels: { bed: 0.45, pad: 0.3, pulse: 0.6 },
+    intensityDirection: 1,
+    pulsePitch: 68,
+  },
+  sleepy: {
+    noiseType: NOISE_TYPES.BROWN,
+    cutoff: 0.3,
+    tilt: -1.5,
+    root: 87.3,
+    voicings: [[1, 1.5, 2], [1, 2, 3], [1, 1.5]],
+    levels: { bed: 0.6, pad: 0.3, pulse: 0.3 },
+    intensityDirection: -1,
+    pulsePitch: 52,
+  },
+};
+
+/**
+ * Session length from a duration label ('5m', '1h', '∞ Loop')
+ * @param {string} label
+ * @returns {number|null} Milliseconds, or null for an open-ended session
+ */
+export function parseDuration(label) {
+  const match = /^(\d+(?:\.\d+)?)\s*([smh])/.exec(String(label || '').trim());
+  if (!match) return null;
+  const unit = { s: 1000, m: 60000, h: 3600000 }[match[2]];
+  return Math.round(Number(match[1]) * unit);
+}
+
+/**
+ * Layer parameters for a soundscape configuration
+ * @param {Object} config
+ * @param {string} config.mood - MOOD_PRESETS key
+ * @param {number} config.tempoIndex - Index into the mood's tempoOptions
+ * @param {number} config.tempoCount - Number of tempoOptions
+ * @param {number} config.sessionIndex - Index into the mood's sessionTypes
+ * @param {number} config.pulse - Pulse slider, 0-100
+ * @param {number} config.heartRate - Measured BPM; the tempo without `tempo`
+ * @param {number} config.tempo - Soundscape tempo (BPM), e.g. from an
+ *   entrainment ramp (entrainment.js)
+ * @param {Object} config.timbre - mapMorphologyToTimbre result, or null
+ * @param {number} config.filterCutoff - mapCoherenceToFilter result, or null
+ * @returns {Object} { tempo, noiseType, noise, pad, pulse, levels } -
+ *   noise, pad and pulse are source parameters; levels are layer gains
+ */
+export function buildSoundscapeParams({
+  mood = 'calm',
+  tempoIndex = 0,
+  tempoCount = 3,
+  sessionIndex = 0,
+  pulse = 50,
+  heartRate = 68,
+  tempo: rampTempo = null,
+  timbre = null,
+  filterCutoff = null,
+} = {}) {
+  const preset = MOOD_PRESETS[mood] || MOOD_PRESETS.calm;
+  const intensity = tempoCount > 1 ? clamp(tempoIndex / (tempoCount - 1), 0, 1) : 0.5;
+  const shift = (intensity - 0.5) * preset.intensityDirection;
+  const tempo = clamp(Number(rampTempo ?? heartRate) || 68, 40, 180);
+  const voicing = preset.voicings[clamp(sessionIndex, 0, preset.voicings.length - 1)] || preset.voicings[0];
+
+  const attack = timbre?.attack ?? 0.4;
+  const decay = timbre?.decay ?? 0.5;
+  const brightness = timbre?.brightness ?? 0.5;
+
+  return {
+    tempo,
+    noiseType: preset.noiseType,
+    noise: {
+      amplitude: 1,
+      cutoffFreq: clamp((filterCutoff ?? preset.cutoff) + shift * 0.2, 0.05, 1),
+      resonance: 0.2,
+      density: 1,
+      drift: 0.3,
+      // One slow swell every four beats
+      modulation: 0.25,
+      modulationRate: tempo / 60 / 4,
+      tilt: preset.tilt,
+    },
+    pad: {
+      chord: voicing.map(ratio => preset.root * ratio),
+      brightness: clamp(brightness + shift * 0.3, 0, 1),
+      swellRate: tempo / 60 / 8,
+    },
+    pulse: {
+      tempo,
+      pitch: preset.pulsePitch,
+      attackMs: 4 + attack * 26,
+      decayMs: 120 + decay * 330,
+    },
+    levels: {
+      bed: preset.levels.bed * (1 + shift * 0.3),
+      pad: preset.levels.pad * (1 + shift * 0.4),
+      pulse: preset.levels.pulse * clamp(pulse / 100, 0, 1) * 1.5,
+    },
+  };
+}
+
+// Level changes glide over this long
+const LEVEL_SMOOTHING_MS = 250;
+// Frequency changes (chord, tempo) glide over this long
+const PITCH_SMOOTHING_MS = 1500;
+const MAX_PARTIALS = 6;
+
+/**
+ * Drone on a chord: each note a sine plus an octave overtone (brightness),
+ * under a slow swell. Chord changes glide; notes fade in and out.
+ * @param {Object} options
+ * @param {number} options.sampleRate - Hz
+ * @param {Array<number>} options.chord - Note frequencies (Hz), up to 6
+ * @param {number} options.brightness - Overtone level, 0-1
+ * @param {number} options.swellRate - Hz
+ * @returns {Object} { setParams, render(frames) -> Float32Array }
+ */
+export function createPadSource({ sampleRate = 22050, chord = [110, 165, 220], brightness = 0.5, swellRate = 0.1 } = {}) {
+  let target = { chord, brightness, swellRate };
+  const levelCoefficient = 1 - Math.exp(-1 / (LEVEL_SMOOTHING_MS / 1000 * sampleRate));
+  const pitchCoefficient = 1 - Math.exp(-1 / (PITCH_SMOOTHING_MS / 1000 * sampleRate));
+  const partials = Array.from({ length: MAX_PARTIALS }, (_, i) => ({
+    frequency: chord[i] ?? chord[0],
+    level: i < chord.length ? 1 : 0,
+    phase: 0,
+    overtonePhase: 0,
+  }));
+  let currentBrightness = brightness;
+  let swellPhase = 0;
+
+  return {
+    /** @param {Object} next - Any of { chord, brightness, swellRate } */
+    setParams(next = {}) {
+      target = { ...target, ...next };
+    },
+
+    render(frames) {
+      const out = new Float32Array(frames);
+      const notes = target.chord.slice(0, MAX_PARTIALS);
+      const swellStep = 2 * Math.PI * target.swellRate / sampleRate;
+
+      for (let i = 0; i < frames; i++) {
+        currentBrightness += (target.brightness - currentBrightness) * levelCoefficient;
+        let sample = 0;
+        for (let p = 0; p < MAX_PARTIALS; p++) {
+          const partial = partials[p];
+          const active = p < notes.length;
+          if (active) partial.frequency += (notes[p] - partial.frequency) * pitchCoefficient;
+          partial.level += ((active ? 1 : 0) - partial.level) * levelCoefficient;
+          if (partial.level < 1e-4) continue;
+          partial.phase += 2 * Math.PI * partial.frequency / sampleRate;
+          partial.overtonePhase += 4 * Math.PI * partial.frequency / sampleRate;
+          if (partial.phase > 2 * Math.PI) partial.phase -= 2 * Math.PI;
+          if (partial.overtonePhase > 2 * Math.PI) partial.overtonePhase -= 2 * Math.PI;
+          sample += partial.level
+            * (Math.sin(partial.phase) + currentBrightness * 0.35 * Math.sin(partial.overtonePhase))
+            / (p + 1.5);
+        }
+        swellPhase += swellStep;
+        if (swellPhase > 2 * Math.PI) swellPhase -= 2 * Math.PI;
+        out[i] = sample * 0.5 * (0.75 + 0.25 * Math.sin(swellPhase));
+      }
+      return out;
+    },
+  };
+}
+
+/**
+ * A decaying low sine on every beat. With swing, every second beat is
+ * pushed late by up to a third of a beat; accent softens the off-beats.
+ * @param {Object} options
+ * @param {number} options.sampleRate - Hz
+ * @param {number} options.tempo - Beats per minute
+ * @param {number} options.pitch - Hz
+ * @param {number} options.attackMs
+ * @param {number} options.decayMs
+ * @param {number} options.swing - 0 (straight) - 1
+ * @param {number} options.accent - 0 (even) - 1 (off-beats silent)
+ * @returns {Object} { setParams, render(frames) -> Float32Array }
+ */
+export function createPulseSource({
+  sampleRate = 22050,
+  tempo = 60,
+  pitch = 58,
+  attackMs = 12,
+  decayMs = 250,
+  swing = 0,
+  accent = 0,
+} = {}) {
+  let target = { tempo, pitch, attackMs, decayMs, swing, accent };
+  const pitchCoefficient = 1 - Math.exp(-1 / (PITCH_SMOOTHING_MS / 1000 * sampleRate));
+  let currentTempo = tempo;
+  // Position in a two-beat bar, 0-2; the first beat sounds straight away
+  let barPhase = 0;
+  let hitAge = 0;
+  let hitPhase = 0;
+  let hitLevel = 1;
+
+  return {
+    /** @param {Object} next - Any of the options above but sampleRate */
+    setParams(next = {}) {
+      target = { ...target, ...next };
+    },
+
+    render(frames) {
+      const out = new Float32Array(frames);
+      const attack = Math.max(1, target.attackMs / 1000 * sampleRate);
+      const decay = Math.max(1, target.decayMs / 1000 * sampleRate);
+      const pitchStep = 2 * Math.PI * target.pitch / sampleRate;
+      const offbeatAt = 1 + clamp(target.swing, 0, 1) / 3;
+
+      for (let i = 0; i < frames; i++) {
+        currentTempo += (clamp(target.tempo, 20, 240) - currentTempo) * pitchCoefficient;
+        const previous = barPhase;
+        barPhase += currentTempo / 60 / sampleRate;
+        if (barPhase >= 2) {
+          barPhase -= 2;
+          hitAge = 0;
+          hitPhase = 0;
+          hitLevel = 1;
+        } else if (previous < offbeatAt && barPhase >= offbeatAt) {
+          hitAge = 0;
+          hitPhase = 0;
+          hitLevel = 1 - clamp(target.accent, 0, 1);
+        }
+        if (hitAge < decay * 8) {
+          const envelope = hitAge < attack
+            ? hitAge / attack
+            : Math.exp(-(hitAge - attack) / decay);
+          hitPhase += pitchStep;
+          out[i] = Math.sin(hitPhase) * envelope * hitLevel * 0.6;
+          hitAge += 1;
+        }
+      }
+      return out;
+    },
+  };
+}
+
+/**
+ * Sources for the mood soundscape's three layers
+ * @param {Object} options
+ * @param {number} options.sampleRate - Hz
+ * @param {Object} options.params - buildSoundscapeParams result
+ * @param {number} options.seed - Random seed for the noise bed
+ * @returns {Object} { bed, pad, pulse, setParams(params) } - setParams
+ *   updates all three sources in place (levels are the mixer's)
+ */
+export function createSoundscapeLayers({ sampleRate = 22050, params = buildSoundscapeParams(), seed = 1 } = {}) {
+  const bed = createNoiseSynth({ sampleRate, type: params.noiseType, params: params.noise, seed });
+  const pad = createPadSource({ sampleRate, ...params.pad });
+  const pulse = createPulseSource({ sampleRate, ...params.pulse });
+
+  return {
+    bed,
+    pad,
+    pulse,
+    setParams(next) {
+      bed.setType(next.noiseType);
+      bed.setParams(next.noise);
+      pad.setParams(next.pad);
+      pulse.setParams(next.pulse);
+    },
+  };
+}
@@ -0,0 +1,69 @@
+// src/modules/audio/wav.js
+// 16-bit PCM WAV encoding for rendered audio blocks. expo-av plays files,
+// not sample buffers, so rendered audio is written out as WAV (base64, which
+// is what expo-file-system writes).
+//
+// Framework-free.
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Encode mono or interleaved samples as a 16-bit PCM WAV file
+ * @param {Float32Array|Array<number>} samples - -1 to 1; clipped outside
+ * @param {number} sampleRate - Hz
+ * @param {number} channels - Interleaved channel count
+ * @returns {Uint8Array} WAV file bytes
+ */
+export function encodeWav(samples, sampleRate, channels = 1) {
+  const dataBytes = samples.length * 2;
+  const bytes = new Uint8Array(44 + dataBytes);
+  const view = new DataView(bytes.buffer);
+  const writeText = (offset, text) => {
+    for (let i = 0; i < text.length; i++) bytes[offset + i] = text.charCodeAt(i);
+  };
+
+  writeText(0, 'RIFF');
+  view.setUint32(4, 36 + dataBytes, true);
+  writeText(8, 'WAVE');
+  writeText(12, 'fmt ');
+  view.setUint32(16, 16, true);            // fmt chunk size
+  view.setUint16(20, 1, true);             // PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * channels * 2, true); // byte rate
+  view.setUint16(32, channels * 2, true);  // block align
+  view.setUint16(34, 16, true);            // bits per sample
+  writeText(36, 'data');
+  view.setUint32(40, dataBytes, true);
+
+  for (let i = 0; i < samples.length; i++) {
+    const s = Math.max(-1, Math.min(1, samples[i] || 0));
+    view.setInt16(44 + i * 2, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+  }
+  return bytes;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string} Base64
+ */
+export function bytesToBase64(bytes) {
+  const parts = [];
+  let chunk = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const b0 = bytes[i];
+    const b1 = i + 1 < bytes.length ? bytes[i + 1] : 0;
+    const b2 = i + 2 < bytes.length ? bytes[i + 2] : 0;
+    const bits = (b0 << 16) | (b1 << 8) | b2;
+    chunk += BASE64[(bits >> 18) & 63] + BASE64[(bits >> 12) & 63]
+      + (i + 1 < bytes.length ? BASE64[(bits >> 6) & 63] : '=')
+      + (i + 2 < bytes.length ? BASE64[bits & 63] : '=');
+    // Join in pieces - repeated concatenation of one huge string is slow on Hermes
+    if (chunk.length >= 8192) {
+      parts.push(chunk);
+      chunk = '';
+    }
+  }
+  parts.push(chunk);
+  return parts.join('');
+}
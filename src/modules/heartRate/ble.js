@@ -0,0 +1,204 @@
+// src/modules/heartRate/ble.js
+// Bluetooth Heart Rate Service (0x180D): chest straps, arm bands and most
+// watches in broadcast mode. Heart Rate Measurement (0x2A37) notifications
+// are parsed here; the BLE transport itself (scanning, connecting,
+// subscribing) is injected, so this module doesn't depend on a BLE library.
+//
+// Heart Rate Measurement layout (Bluetooth GATT specification supplement):
+//   byte 0  flags
+//     bit 0     heart rate format: 0 = uint8, 1 = uint16
+//     bits 1-2  sensor contact: 0b10 = supported, not detected;
+//               0b11 = supported, detected; otherwise not supported
+//     bit 3     energy expended present (uint16, kJ)
+//     bit 4     RR intervals present (uint16 each, 1/1024 s)
+//   then heart rate, energy expended (if present), RR intervals (to the end)
+// Multi-byte fields are little-endian.
+import { createBaseSource, HEART_RATE_EVENTS } from './source.js';
+
+export const HEART_RATE_SERVICE_UUID = '0000180d-0000-1000-8000-00805f9b34fb';
+export const HEART_RATE_MEASUREMENT_UUID = '00002a37-0000-1000-8000-00805f9b34fb';
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// The app's BLE transport, when it has one (see setBleTransport)
+let transport = null;
+
+/**
+ * Register the app's BLE transport, so Bluetooth sources can be created
+ * from plain options (a stored device id) rather than a subscribe function.
+ * With react-native-ble-plx, for example:
+ *
+ *   setBleTransport({
+ *     subscribe: (deviceId, onValue, onError) => {
+ *       const subscription = manager.monitorCharacteristicForDevice(
+ *         deviceId, HEART_RATE_SERVICE_UUID, HEART_RATE_MEASUREMENT_UUID,
+ *         (error, characteristic) => (error ? onError(error) : onValue(characteristic.value))
+ *       );
+ *       return () => subscription.remove();
+ *     },
+ *   });
+ *
+ * @param {Object|null} next - { subscribe(deviceId, onValue, onError) ->
+ *   unsubscribe }, or null to remove it. deviceId is undefined when none
+ *   was chosen; the transport then uses whichever sensor it has paired.
+ */
+export function setBleTransport(next) {
+  transport = next;
+}
+
+/** @returns {boolean} Whether a BLE transport is registered */
+export function hasBleTransport() {
+  return !!transport;
+}
+
+// BLE libraries hand characteristic values over as base64 (react-native-ble-plx)
+// or as byte arrays
+const toBytes = (value) => {
+  if (typeof value !== 'string') return Array.from(value || []);
+  const clean = value.replace(/[^A-Za-z0-9+/]/g, '');
+  const bytes = [];
+  for (let i = 0; i < clean.length; i += 4) {
+    const chunk = [0, 1, 2, 3].map(k => (i + k < clean.length ? BASE64.indexOf(clean[i + k]) : -1));
+    const bits = (chunk[0] << 18) | (chunk[1] << 12) | (Math.max(0, chunk[2]) << 6) | Math.max(0, chunk[3]);
+    bytes.push((bits >> 16) & 0xff);
+    if (chunk[2] >= 0) bytes.push((bits >> 8) & 0xff);
+    if (chunk[3] >= 0) bytes.push(bits & 0xff);
+  }
+  return bytes;
+};
+
+/**
+ * Parse a Heart Rate Measurement (0x2A37) value
+ * @param {Uint8Array|Array<number>|string} value - Raw bytes, or base64
+ * @returns {Object|null} { bpm, sensorContact, energyExpended, rrIntervals }
+ *   - sensorContact is true/false when the sensor reports it, else null;
+ *   energyExpended (kJ) is null when absent; rrIntervals are in ms. Null
+ *   when the value is too short for its flags.
+ */
+export function parseHeartRateMeasurement(value) {
+  const bytes = toBytes(value);
+  if (bytes.length < 2) return null;
+
+  const flags = bytes[0];
+  const wideRate = (flags & 0x01) !== 0;
+  const contactBits = (flags >> 1) & 0x03;
+  const hasEnergy = (flags & 0x08) !== 0;
+  const hasRR = (flags & 0x10) !== 0;
+  const uint16 = offset => bytes[offset] | (bytes[offset + 1] << 8);
+
+  let offset = 1;
+  if (bytes.length < offset + (wideRate ? 2 : 1) + (hasEnergy ? 2 : 0)) return null;
+  const bpm = wideRate ? uint16(offset) : bytes[offset];
+  offset += wideRate ? 2 : 1;
+
+  let energyExpended = null;
+  if (hasEnergy) {
+    energyExpended = uint16(offset);
+    offset += 2;
+  }
+
+  const rrIntervals = [];
+  if (hasRR) {
+    for (; offset + 1 < bytes.length; offset += 2) {
+      rrIntervals.push(Math.round((uint16(offset) / 1024) * 1000 * 10) / 10);
+    }
+  }
+
+  return {
+    bpm,
+    sensorContact: contactBits >= 2 ? contactBits === 3 : null,
+    energyExpended,
+    rrIntervals,
+  };
+}
+
+/**
+ * Heart rate from a Bluetooth heart rate sensor. The transport is supplied
+ * by the app; with react-native-ble-plx, for example:
+ *
+ *   subscribe: (onValue, onError) => {
+ *     const subscription = device.monitorCharacteristicForService(
+ *       HEART_RATE_SERVICE_UUID, HEART_RATE_MEASUREMENT_UUID,
+ *       (error, characteristic) => (error ? onError(error) : onValue(characteristic.value))
+ *     );
+ *     return () => subscription.remove();
+ *   }
+ *
+ * or, with a registered transport (setBleTransport), just the device id.
+ *
+ * RR intervals become beat events on a clock that starts at the first
+ * notification, so beat times are consistent with each other (not with
+ * camera timestamps).
+ *
+ * @param {Object} options
+ * @param {Function} options.subscribe - (onValue, onError) => unsubscribe
+ * @param {string} options.deviceId - Sensor to subscribe to through the
+ *   registered transport, when there's no `subscribe`
+ * @param {string} options.name - Device name, for the label
+ * @returns {Object} HeartRateSource with handleValue(value) for transports
+ *   that push values themselves; without `subscribe` or a registered
+ *   transport, start() fails
+ */
+export function createBleHeartRateSource({ subscribe, deviceId, name } = {}) {
+  let unsubscribe = null;
+  let lastBeat = null;
+  let handle = null;
+
+  const source = createBaseSource({
+    kind: 'ble',
+    label: name ? `Bluetooth (${name})` : 'Bluetooth',
+    onStart({ emit, fail }) {
+      lastBeat = null;
+      handle = (value) => {
+        const measurement = parseHeartRateMeasurement(value);
+        if (!measurement) {
+          emit(HEART_RATE_EVENTS.ERROR, { message: 'Malformed heart rate measurement' });
+          return;
+        }
+        const ts = Date.now();
+        if (measurement.rrIntervals.length) {
+          if (lastBeat === null) lastBeat = ts - measurement.rrIntervals.reduce((sum, rr) => sum + rr, 0);
+          const beats = measurement.rrIntervals.map((rr) => {
+            lastBeat += rr;
+            return lastBeat;
+          });
+          emit(HEART_RATE_EVENTS.BEATS, { beats });
+        }
+        // A strap that reports no skin contact sends stale or zero rates
+        const confidence = measurement.sensorContact === false || !measurement.bpm ? 0 : 100;
+        emit(HEART_RATE_EVENTS.BPM, { bpm: measurement.bpm || null, confidence, ts });
+        emit(HEART_RATE_EVENTS.QUALITY, {
+          ts,
+          sensorContact: measurement.sensorContact,
+          energyExpended: measurement.energyExpended,
+        });
+      };
+      const connect = subscribe
+        || (transport ? (onValue, onError) => transport.subscribe(deviceId, onValue, onError) : null);
+      if (!connect) {
+        fail('No Bluetooth transport registered');
+        return;
+      }
+      unsubscribe = connect(
+        value => source.handleValue(value),
+        error => fail(error?.message || 'Bluetooth heart rate sensor disconnected', error)
+      );
+    },
+    onStop() {
+      if (unsubscribe) unsubscribe();
+      unsubscribe = null;
+      handle = null;
+    },
+    onReset() {
+      lastBeat = null;
+    },
+    extras: ({ isRunning }) => ({
+      /** @param {Uint8Array|Array<number>|string} value - Heart Rate Measurement value */
+      handleValue(value) {
+        if (isRunning() && handle) handle(value);
+      },
+    }),
+  });
+
+  return source;
+}
@@ -0,0 +1,9 @@
+// src/modules/heartRate/index.js
+// Heart rate sources: one event stream (samples, beats, bpm, quality,
+// errors) whether the rate comes from the camera, a simulation, a saved
+// recording, the user, or a Bluetooth sensor. Screens use the
+// useHeartRateSource hook; see source.js for the contract.
+export * from './source.js';
+export * from './providers.js';
+export * from './ble.js';
+export * from './registry.js';
@@ -0,0 +1,144 @@
+// src/modules/heartRate/providers.js
+// Built-in heart rate source providers (the Bluetooth one is in ble.js).
+// Each factory takes its provider options and returns a HeartRateSource
+// (see source.js).
+import { createBaseSource, createPPGSamplePipeline, emitPPGBatch, HEART_RATE_EVENTS } from './source.js';
+import { createSyntheticSource } from '../ppg/synthetic.js';
+import { createReplaySource } from '../ppg/recording.js';
+
+/**
+ * Camera PPG. Frames are captured and pre-processed by the VisionCamera frame
+ * processor, which lives in a React hook - useHeartRateSource wires
+ * usePPGBatchProcessor's batches into `handleBatch` and hands the frame
+ * processor to the screen's <Camera>.
+ * @returns {Object} HeartRateSource with handleBatch(batch) and handleError(message)
+ */
+export function createCameraHeartRateSource() {
+  return createBaseSource({
+    kind: 'camera',
+    label: 'Camera',
+    extras: ({ emit, isRunning }) => ({
+      requiresCamera: true,
+      /** @param {Object} batch - usePPGBatchProcessor onBatch payload */
+      handleBatch(batch) {
+        if (isRunning()) emitPPGBatch(emit, batch);
+      },
+      /** @param {string} message - Frame processor error; capture carries on */
+      handleError(message) {
+        if (isRunning()) emit(HEART_RATE_EVENTS.ERROR, { message });
+      },
+    }),
+  });
+}
+
+// Shared by the synthetic and replay providers: a timed sample source run
+// through the JS-thread PPG pipeline
+const createTimedPPGSource = ({ kind, label, createSource, pipeline, extras }) => {
+  let timed = null;
+  let samples = null;
+
+  return createBaseSource({
+    kind,
+    label,
+    onStart({ emit, stop }) {
+      samples = createPPGSamplePipeline(batch => emitPPGBatch(emit, batch), pipeline);
+      timed = createSource();
+      timed.start(
+        sample => samples.push(sample),
+        () => {
+          samples.flush();
+          stop();
+        }
+      );
+    },
+    onStop() {
+      if (timed) timed.stop();
+    },
+    onReset() {
+      if (samples) samples.reset();
+    },
+    extras: extras ? () => extras(() => timed) : null,
+  });
+};
+
+/**
+ * Synthetic PPG with known ground truth (see ppg/synthetic.js)
+ * @param {Object} options - createSyntheticSource options, plus `pipeline`
+ *   (createWorkletPPGState options)
+ * @returns {Object} HeartRateSource with getGroundTruthBeats()
+ */
+export function createSyntheticHeartRateSource({ pipeline, ...options } = {}) {
+  return createTimedPPGSource({
+    kind: 'synthetic',
+    label: 'Simulated',
+    pipeline,
+    createSource: () => createSyntheticSource(options),
+    extras: getTimed => ({
+      /** @returns {Array<Object>} Ground-truth beats so far ([{ time, type }]) */
+      getGroundTruthBeats() {
+        const timed = getTimed();
+        return timed ? timed.getBeats() : [];
+      },
+    }),
+  });
+}
+
+/**
+ * A saved PPG recording played back at its recorded pace
+ * @param {Object} options
+ * @param {Object} options.recording - Parsed recording (parseRecording)
+ * @param {number} options.speed - Playback speed multiplier
+ * @param {boolean} options.loop - Start over at the end
+ * @param {Object} options.pipeline - createWorkletPPGState options
+ * @returns {Object} HeartRateSource
+ */
+export function createReplayHeartRateSource({ recording, speed = 1, loop = false, pipeline } = {}) {
+  return createTimedPPGSource({
+    kind: 'replay',
+    label: 'Recording',
+    pipeline,
+    createSource: () => {
+      if (!recording) throw new Error('No recording to replay');
+      return createReplaySource(recording, { speed, loop });
+    },
+  });
+}
+
+/**
+ * Heart rate typed in by the user, e.g. from a watch or a pulse count
+ * @param {Object} options
+ * @param {number} options.bpm - Initial value, emitted on start
+ * @returns {Object} HeartRateSource with setBpm(bpm)
+ */
+export function createManualHeartRateSource({ bpm = null } = {}) {
+  let current = bpm;
+
+  const emitBpm = (emit) => {
+    if (current == null) return;
+    const ts = Date.now();
+    emit(HEART_RATE_EVENTS.BPM, { bpm: current, confidence: 100, ts });
+    emit(HEART_RATE_EVENTS.QUALITY, { ts, manual: true });
+  };
+
+  return createBaseSource({
+    kind: 'manual',
+    label: 'Manual entry',
+    onStart: ({ emit }) => emitBpm(emit),
+    extras: ({ emit, isRunning }) => ({
+      /**
+       * @param {number} value - Heart rate in BPM (30-220)
+       * @returns {boolean} Whether the value was accepted
+       */
+      setBpm(value) {
+        const parsed = Math.round(Number(value));
+        if (!Number.isFinite(parsed) || parsed < 30 || parsed > 220) {
+          emit(HEART_RATE_EVENTS.ERROR, { message: `Heart rate out of range: ${value}` });
+          return false;
+        }
+        current = parsed;
+        if (isRunning()) emitBpm(emit);
+        return true;
+      },
+    }),
+  });
+}
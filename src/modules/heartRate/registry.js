@@ -0,0 +1,66 @@
+// src/modules/heartRate/registry.js
+// Provider registry: screens ask for a source by kind and get a
+// HeartRateSource, whatever is behind it. The built-in providers register
+// themselves here; others (e.g. a platform health-kit source) can be added
+// with registerHeartRateSource.
+import { createCameraHeartRateSource, createSyntheticHeartRateSource, createReplayHeartRateSource, createManualHeartRateSource } from './providers.js';
+import { createBleHeartRateSource } from './ble.js';
+
+export const HEART_RATE_SOURCES = {
+  CAMERA: 'camera',
+  SYNTHETIC: 'synthetic',
+  REPLAY: 'replay',
+  MANUAL: 'manual',
+  BLE: 'ble',
+};
+
+const providers = new Map();
+
+/**
+ * Register (or replace) a provider
+ * @param {string} kind - Source kind, e.g. HEART_RATE_SOURCES.CAMERA
+ * @param {Object} provider
+ * @param {string} provider.label - Display name
+ * @param {Function} provider.create - (options) => HeartRateSource
+ * @param {boolean} provider.requiresCamera - Needs the camera frame processor
+ */
+export function registerHeartRateSource(kind, { label, create, requiresCamera = false }) {
+  if (typeof create !== 'function') {
+    throw new Error(`Heart rate source "${kind}" needs a create function`);
+  }
+  providers.set(kind, { kind, label, create, requiresCamera });
+}
+
+/**
+ * @param {string} kind - Source kind
+ */
+export function unregisterHeartRateSource(kind) {
+  providers.delete(kind);
+}
+
+/**
+ * @returns {Array<Object>} Registered providers: [{ kind, label, requiresCamera }]
+ */
+export function getHeartRateSourceProviders() {
+  return Array.from(providers.values()).map(({ kind, label, requiresCamera }) => ({ kind, label, requiresCamera }));
+}
+
+/**
+ * Create a source of the given kind
+ * @param {string} kind - Source kind
+ * @param {Object} options - Provider options
+ * @returns {Object} HeartRateSource
+ */
+export function createHeartRateSource(kind, options = {}) {
+  const provider = providers.get(kind);
+  if (!provider) {
+    throw new Error(`Unknown heart rate source: ${kind}`);
+  }
+  return provider.create(options);
+}
+
+registerHeartRateSource(HEART_RATE_SOURCES.CAMERA, { label: 'Camera', create: createCameraHeartRateSource, requiresCamera: true });
+registerHeartRateSource(HEART_RATE_SOURCES.SYNTHETIC, { label: 'Simulated', create: createSyntheticHeartRateSource });
+registerHeartRateSource(HEART_RATE_SOURCES.REPLAY, { label: 'Recording', create: createReplayHeartRateSource });
+registerHeartRateSource(HEART_RATE_SOURCES.MANUAL, { label: 'Manual entry', create: createManualHeartRateSource });
+registerHeartRateSource(HEART_RATE_SOURCES.BLE, { label: 'Bluetooth', create: createBleHeartRateSource });
@@ -0,0 +1,195 @@
+// src/modules/heartRate/source.js
+// The HeartRateSource contract. Every provider (camera PPG, synthetic,
+// replay, manual entry, Bluetooth) produces a source with the same shape:
+//
+//   {
+//     kind, label,
+//     start(), stop(), isRunning(), reset(),
+//     on(event, listener) -> unsubscribe,
+//     ...provider extras (e.g. setBpm for manual entry)
+//   }
+//
+// and reports through one event stream (HEART_RATE_EVENTS). PPG sources
+// emit every event; sources that only know the rate (manual, most BLE
+// straps) skip samples, and beats when there are no RR intervals.
+//
+// Framework-free, so the non-camera providers run in Node too.
+import { createWorkletPPGState, pushWorkletSample, takeWorkletBatch } from '../ppg/dsp/worklet.js';
+
+export const HEART_RATE_EVENTS = {
+  // { samples: [{ ok, ts, luma }], filtered } - raw PPG, batched
+  SAMPLES: 'samples',
+  // { beats: [ms] } - beat times since the last event
+  BEATS: 'beats',
+  // { bpm, confidence (0-100), ts } - bpm is null until there is an estimate
+  BPM: 'bpm',
+  // { ts, ...provider-specific: perfusion, clipping, sampleRate, dropped, sensorContact }
+  QUALITY: 'quality',
+  // { message, error? }
+  ERROR: 'error',
+  // { state } - one of SOURCE_STATES
+  STATE: 'state',
+};
+
+export const SOURCE_STATES = {
+  IDLE: 'idle',
+  RUNNING: 'running',
+  STOPPED: 'stopped',
+  ERROR: 'error',
+};
+
+/**
+ * Minimal event emitter for a source
+ * @returns {Object} { on(event, listener), emit(event, payload), clear() }
+ */
+export function createSourceEmitter() {
+  const listeners = new Map();
+
+  return {
+    /**
+     * @param {string} event - One of HEART_RATE_EVENTS
+     * @param {Function} listener - Called with the event payload
+     * @returns {Function} Unsubscribe
+     */
+    on(event, listener) {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(listener);
+      return () => listeners.get(event).delete(listener);
+    },
+
+    emit(event, payload) {
+      const set = listeners.get(event);
+      if (!set) return;
+      set.forEach((listener) => {
+        try {
+          listener(payload);
+        } catch (error) {
+          console.error(`Heart rate source ${event} listener failed:`, error);
+        }
+      });
+    },
+
+    clear() {
+      listeners.clear();
+    },
+  };
+}
+
+/**
+ * Build a source from provider hooks; handles the lifecycle and emitter so
+ * providers only start and stop their own acquisition.
+ * @param {Object} definition
+ * @param {string} definition.kind - Registry kind
+ * @param {string} definition.label - Display name
+ * @param {Function} definition.onStart - ({ emit, fail, stop }) => void;
+ *   `fail(message)` reports an error and stops the source
+ * @param {Function} definition.onStop - Stop acquiring
+ * @param {Function} definition.onReset - Clear any derived state
+ * @param {Function} definition.extras - (context) => extra methods; context
+ *   is { emit, isRunning, fail, stop }
+ * @returns {Object} HeartRateSource
+ */
+export function createBaseSource({ kind, label, onStart, onStop, onReset, extras }) {
+  const emitter = createSourceEmitter();
+  let state = SOURCE_STATES.IDLE;
+
+  const setState = (next) => {
+    if (state === next) return;
+    state = next;
+    emitter.emit(HEART_RATE_EVENTS.STATE, { state });
+  };
+  const isRunning = () => state === SOURCE_STATES.RUNNING;
+  const emit = (event, payload) => emitter.emit(event, payload);
+
+  const stop = () => {
+    if (!isRunning()) return;
+    if (onStop) onStop();
+    setState(SOURCE_STATES.STOPPED);
+  };
+  const fail = (message, error) => {
+    emit(HEART_RATE_EVENTS.ERROR, { message, error });
+    if (onStop) onStop();
+    setState(SOURCE_STATES.ERROR);
+  };
+
+  const source = {
+    kind,
+    label,
+    start() {
+      if (isRunning()) return;
+      setState(SOURCE_STATES.RUNNING);
+      try {
+        if (onStart) onStart({ emit, fail, stop });
+      } catch (error) {
+        fail(error.message || `${label} failed to start`, error);
+      }
+    },
+    stop,
+    isRunning,
+    /** @returns {string} One of SOURCE_STATES */
+    getState() {
+      return state;
+    },
+    reset() {
+      if (onReset) onReset();
+    },
+    on: emitter.on,
+  };
+
+  return Object.assign(source, extras ? extras({ emit, isRunning, fail, stop }) : {});
+}
+
+/**
+ * Emit one PPG batch (usePPGBatchProcessor's `onBatch` shape) as source
+ * events: samples, then beats, then the BPM and quality from its snapshot
+ * @param {Function} emit - Source emit
+ * @param {Object} batch - { samples, filtered, beats, dropped, snapshot }
+ */
+export function emitPPGBatch(emit, { samples, filtered, beats, dropped, snapshot }) {
+  emit(HEART_RATE_EVENTS.SAMPLES, { samples, filtered });
+  if (beats && beats.length) {
+    emit(HEART_RATE_EVENTS.BEATS, { beats });
+  }
+  emit(HEART_RATE_EVENTS.BPM, { bpm: snapshot.bpm, confidence: snapshot.confidence, ts: snapshot.ts });
+  emit(HEART_RATE_EVENTS.QUALITY, {
+    ts: snapshot.ts,
+    perfusion: snapshot.perfusion,
+    clipping: snapshot.clipping,
+    sampleRate: snapshot.sampleRate,
+    dropped,
+  });
+}
+
+/**
+ * The frame-processor pipeline (dsp/worklet.js) on the JS thread, for PPG
+ * sources that aren't the camera: raw samples in, batches out.
+ * @param {Function} onBatch - Called with { samples, filtered, beats, dropped, snapshot }
+ * @param {Object} options - createWorkletPPGState options
+ * @returns {Object} { push(sample), flush(), reset() }
+ */
+export function createPPGSamplePipeline(onBatch, options) {
+  let state = createWorkletPPGState(options);
+
+  const deliver = () => {
+    const batch = takeWorkletBatch(state);
+    if (!batch.timestamps.length) return;
+    onBatch({
+      samples: batch.timestamps.map((ts, i) => ({ ok: true, ts, luma: batch.values[i] })),
+      filtered: batch.filtered,
+      beats: batch.beats,
+      dropped: batch.dropped,
+      snapshot: batch.snapshot,
+    });
+  };
+
+  return {
+    push(sample) {
+      if (!sample || typeof sample.luma !== 'number') return;
+      if (pushWorkletSample(state, sample.ts, sample.luma)) deliver();
+    },
+    flush: deliver,
+    reset() {
+      state = createWorkletPPGState(options);
+    },
+  };
+}
@@ -1,10 +1,18 @@
 // src/modules/ppg/PPGProcessor.real.js - Real Version with VisionCamera
-import { useCallback, useRef, useEffect } from 'react';
+import { useCallback, useRef, useEffect, useMemo } from 'react';
 import { useFrameProcessor } from 'react-native-vision-camera';
-import { runOnJS } from 'react-native-reanimated';
+import { Worklets, useSharedValue } from 'react-native-worklets-core';
 
 // Import the frame processor
 import { detectPPG } from '../../frameProcessors/detectPPG';
+import {
+  computeSQI,
+  estimateSpectralHeartRate,
+  SQI_REASONS,
+  createWorkletPPGState,
+  pushWorkletSample,
+  takeWorkletBatch,
+} from './dsp';
 
 const DEBUG_PPG = false;
 if (DEBUG_PPG) {
@@ -13,48 +21,78 @@ if (DEBUG_PPG) {
 }
 
 /**
- * Custom hook to process frames for PPG data extraction
- * @param {Function} onFrameProcessed - Callback to receive processed frame data
- * @param {Function} onError - Optional callback for error handling
- * @param {boolean} isActive - Whether frame processing is active
- * @returns {Function} - Frame processor function for use with Camera
+ * Batched PPG capture. Samples are buffered and filtered inside the frame
+ * processor worklet (see dsp/worklet.js) and reach the JS thread a few times
+ * a second, together with a live BPM / signal quality snapshot - so the UI
+ * isn't re-rendered on every frame. Other PPG sources (replay, synthetic)
+ * run the same pipeline on the JS thread - see modules/heartRate.
+ * 
+ * @param {Object} options
+ * @param {Function} options.onBatch - Called on the JS thread with
+ *   { samples: [{ ok, ts, luma }], filtered, beats, dropped, snapshot } -
+ *   see takeWorkletBatch / getWorkletSnapshot
+ * @param {Function} options.onError - Optional callback for error handling
+ * @param {boolean} options.isActive - Whether frame processing is active
+ * @param {Object} options.pipeline - createWorkletPPGState options (read once)
+ * @returns {Object} { frameProcessor, reset } - reset() clears the buffer
+ *   and beat history, e.g. when a new reading starts
  */
-export function usePPGFrameProcessor(onFrameProcessed, onError, isActive = true) {
+export function usePPGBatchProcessor({
+  onBatch,
+  onError,
+  isActive = true,
+  pipeline,
+} = {}) {
   // Keep track of latest callbacks
+  const onBatchRef = useRef(onBatch);
   const onErrorRef = useRef(onError);
-  const onFrameProcessedRef = useRef(onFrameProcessed);
-  const frameCountRef = useRef(0);
+  const pipelineRef = useRef(pipeline);
   
   // Update refs when callbacks change
   useEffect(() => {
+    onBatchRef.current = onBatch;
     onErrorRef.current = onError;
-    onFrameProcessedRef.current = onFrameProcessed;
-  }, [onError, onFrameProcessed]);
+  }, [onBatch, onError]);
   
-  // Create error handler that runs on JS thread
-  const handleError = useCallback((errorMessage) => {
-    'worklet';
+  // Pipeline state shared with the frame processor worklet
+  const initialState = useMemo(() => createWorkletPPGState(pipelineRef.current), []);
+  const pipelineState = useSharedValue(initialState);
+  
+  // Hand a batch to the consumer on the JS thread
+  const deliverBatch = useCallback((batch) => {
     if (DEBUG_PPG) {
       // eslint-disable-next-line no-console
-      console.log('[PPG Error]', errorMessage);
+      console.log('[PPG Batch]', batch.timestamps.length, 'samples', batch.snapshot);
     }
-    if (onErrorRef.current) {
-      runOnJS(onErrorRef.current)(errorMessage);
+    if (onBatchRef.current) {
+      onBatchRef.current({
+        samples: batch.timestamps.map((ts, i) => ({ ok: true, ts, luma: batch.values[i] })),
+        filtered: batch.filtered,
+        beats: batch.beats,
+        dropped: batch.dropped,
+        snapshot: batch.snapshot,
+      });
     }
   }, []);
   
-  // Create frame data handler that runs on JS thread
-  const processFrameData = useCallback((frameData) => {
-    'worklet';
+  const reportError = useCallback((errorMessage) => {
     if (DEBUG_PPG) {
       // eslint-disable-next-line no-console
-      console.log('[PPG Frame Data]', frameData);
+      console.log('[PPG Error]', errorMessage);
     }
-    if (onFrameProcessedRef.current) {
-      runOnJS(onFrameProcessedRef.current)(frameData);
+    if (onErrorRef.current) {
+      onErrorRef.current(errorMessage);
     }
   }, []);
   
+  // JS-thread entry points callable from the worklet
+  const deliverBatchOnJS = useMemo(() => Worklets.createRunOnJS(deliverBatch), [deliverBatch]);
+  const reportErrorOnJS = useMemo(() => Worklets.createRunOnJS(reportError), [reportError]);
+  
+  const reset = useCallback(() => {
+    pipelineState.value = createWorkletPPGState(pipelineRef.current);
+  }, [pipelineState]);
+  
   // Create the actual frame processor using Vision Camera's hook
   const frameProcessor = useFrameProcessor((frame) => {
     'worklet';
@@ -63,36 +101,31 @@ export function usePPGFrameProcessor(onFrameProcessed, onError, isActive = true)
       return;
     }
     
-    // Increment frame counter
-    frameCountRef.current++;
-    
-    // Process every frame for real-time PPG
     try {
-      if (DEBUG_PPG) {
-        // eslint-disable-next-line no-console
-        console.log('🎯 Processing frame #', frameCountRef.current);
-      }
-      
       // Call the native PPG detection
       const result = detectPPG(frame);
+      if (!result) {
+        return;
+      }
+      if (result.error) {
+        reportErrorOnJS(result.error);
+        return;
+      }
+      if (!result.ok || typeof result.luma !== 'number' || typeof result.ts !== 'number') {
+        return;
+      }
       
-      if (result) {
-        if (result.error) {
-          handleError(result.error);
-        } else {
-          processFrameData(result);
-        }
+      // Buffer and filter here; only cross to JS when a batch is due
+      const state = pipelineState.value;
+      if (pushWorkletSample(state, result.ts, result.luma)) {
+        deliverBatchOnJS(takeWorkletBatch(state));
       }
     } catch (error) {
-      if (DEBUG_PPG) {
-        // eslint-disable-next-line no-console
-        console.error('❌ Frame processor error:', error);
-      }
-      handleError(error.message || 'Frame processing failed');
+      reportErrorOnJS(error.message || 'Frame processing failed');
     }
-  }, [isActive, handleError, processFrameData]);
+  }, [isActive, pipelineState, deliverBatchOnJS, reportErrorOnJS]);
   
-  return frameProcessor;
+  return { frameProcessor, reset };
 }
 
 /**
@@ -100,28 +133,22 @@ export function usePPGFrameProcessor(onFrameProcessed, onError, isActive = true)
  */
 export const PPGUtils = {
   /**
-   * Calculate signal-to-noise ratio (SNR) from a window of PPG values
+   * Calculate signal-to-noise ratio (SNR) from a window of PPG values: power
+   * at the pulse frequency and its harmonic against the rest of the cardiac
+   * band
    * @param {Array} values - Array of PPG intensity values
+   * @param {number} sampleRate - Sample rate in Hz
    * @returns {number} SNR value in dB
    */
-  calculateSNR: (values) => {
+  calculateSNR: (values, sampleRate = 30) => {
     if (!values || values.length < 10) return 0;
     
-    // Calculate mean
-    const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
+    const timestamps = values.map((_, i) => (i * 1000) / sampleRate);
+    const purity = estimateSpectralHeartRate(values, timestamps).confidence / 100;
+    if (purity <= 0) return 0;
+    if (purity >= 1) return 40;
     
-    // Calculate standard deviation (noise)
-    const variance = values.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / values.length;
-    const stdDev = Math.sqrt(variance);
-    
-    // Calculate peak-to-peak amplitude (signal)
-    const min = Math.min(...values);
-    const max = Math.max(...values);
-    const amplitude = max - min;
-    
-    // SNR in dB
-    if (stdDev === 0) return 0;
-    const snr = 20 * Math.log10(amplitude / stdDev);
+    const snr = 10 * Math.log10(purity / (1 - purity));
     
     return Math.max(0, snr);
   },
@@ -173,67 +200,44 @@ export const PPGUtils = {
   },
   
   /**
-   * Check if signal quality is good enough for heart rate detection
+   * Check if signal quality is good enough for heart rate detection, using
+   * the signal quality index (see dsp/sqi.js)
    * @param {Object} data - Frame data from native processor
    * @param {Array} recentValues - Recent signal values
-   * @param {Object} options - Configuration options
-   * @returns {Object} Validation result
+   * @param {Object} options - { timestamps, sampleRate, minValues } plus
+   *   computeSQI thresholds
+   * @returns {Object} Validation result: { isValid, reason, reasons, score, metrics }
    */
   validateSignal: (data, recentValues = [], options = {}) => {
     const {
-      minSNR = 3,
-      minPerfusion = 0.5,
-      minValues = 30
+      timestamps,
+      sampleRate = 30,
+      minValues = 90,
+      ...sqiOptions
     } = options;
     
     // Check if we have enough data
     if (recentValues.length < minValues) {
       return {
         isValid: false,
-        reason: 'Insufficient data',
+        reason: SQI_REASONS.INSUFFICIENT_DATA,
+        reasons: [SQI_REASONS.INSUFFICIENT_DATA],
+        score: 0,
         metrics: {}
       };
     }
     
-    // Use native signal quality if available
-    if (data && data.signalQuality !== undefined) {
-      const isValid = data.signalQuality > 0.3;
-      return {
-        isValid,
-        reason: isValid ? 'Good signal' : 'Poor signal quality',
-        metrics: {
-          quality: data.signalQuality,
-          bpm: data.bpm || 0
-        }
-      };
-    }
-    
-    // Fallback to calculated metrics
-    const snr = PPGUtils.calculateSNR(recentValues);
-    const perfusion = PPGUtils.calculatePerfusionIndex(recentValues);
-    const hasMotion = PPGUtils.hasMotionArtifacts(recentValues);
-    
-    let reason = 'Good signal';
-    let isValid = true;
-    
-    if (hasMotion) {
-      isValid = false;
-      reason = 'Motion detected';
-    } else if (snr < minSNR) {
-      isValid = false;
-      reason = 'Low signal-to-noise ratio';
-    } else if (perfusion < minPerfusion) {
-      isValid = false;
-      reason = 'Low perfusion';
-    }
+    const times = timestamps || recentValues.map((_, i) => (i * 1000) / sampleRate);
+    const sqi = computeSQI(recentValues, times, sqiOptions);
     
     return {
-      isValid,
-      reason,
+      isValid: sqi.isValid,
+      reason: sqi.reason,
+      reasons: sqi.reasons,
+      score: sqi.score,
       metrics: {
-        snr,
-        perfusion,
-        hasMotion
+        ...sqi.metrics,
+        nativeQuality: data?.signalQuality
       }
     };
   },
@@ -242,44 +246,39 @@ export const PPGUtils = {
    * Get user-friendly feedback for finger placement
    * @param {Object} data - Frame data from native processor
    * @param {Array} recentValues - Recent signal values
+   * @param {Object} options - Passed through to validateSignal; a
+   *   precomputed `validation` result skips recomputing it
    * @returns {string} User feedback message
    */
-  getFingerPlacementFeedback: (data, recentValues = []) => {
-    // Use native signal quality if available
-    if (data && data.signalQuality !== undefined) {
-      if (data.isCalibrating) {
-        return `Calibrating... ${Math.round((data.progress || 0) * 100)}%`;
-      }
-      
-      if (data.signalQuality < 0.2) {
-        return "No finger detected - place finger on camera";
-      } else if (data.signalQuality < 0.4) {
-        return "Weak signal - press gently and hold steady";
-      } else if (data.signalQuality < 0.6) {
-        return "Fair signal - keep finger steady";
-      } else {
-        return data.bpm > 0 ? `Good signal - HR: ${Math.round(data.bpm)} BPM` : "Good signal - detecting pulse...";
-      }
+  getFingerPlacementFeedback: (data, recentValues = [], options = {}) => {
+    if (data && data.isCalibrating) {
+      return `Calibrating... ${Math.round((data.progress || 0) * 100)}%`;
     }
     
-    // Fallback validation
-    const validation = PPGUtils.validateSignal(data, recentValues);
+    const validation = options.validation || PPGUtils.validateSignal(data, recentValues, options);
     
     if (!validation.isValid) {
       switch (validation.reason) {
-        case 'Insufficient data':
+        case SQI_REASONS.INSUFFICIENT_DATA:
           return "Place finger on camera and hold steady";
-        case 'Motion detected':
+        case SQI_REASONS.NO_PULSE:
+          return "No pulse detected - cover camera and flash with your fingertip";
+        case SQI_REASONS.CLIPPING:
+          return "Signal saturated - ease pressure slightly";
+        case SQI_REASONS.LOW_PERFUSION:
+          return "Poor blood flow - press gently";
+        case SQI_REASONS.IRREGULAR_MORPHOLOGY:
           return "Motion detected - hold finger steady";
-        case 'Low signal-to-noise ratio':
+        case SQI_REASONS.NOISE_LIKE:
+        case SQI_REASONS.LOW_SPECTRAL_PURITY:
           return "Weak signal - adjust finger position";
-        case 'Low perfusion':
-          return "Poor blood flow - press gently";
         default:
-          return validation.reason;
+          return "Fair signal - keep finger steady";
       }
     }
     
-    return "Good signal - detecting heart rate...";
+    return data && data.bpm > 0
+      ? `Good signal - HR: ${Math.round(data.bpm)} BPM`
+      : "Good signal - detecting heart rate...";
   }
 };
@@ -0,0 +1,195 @@
+// src/modules/ppg/dsp/capture.js
+// HeartRateDetector's end-of-capture pipeline, kept framework-free so the
+// evaluation harness (scripts/evaluate-ppg.mjs) scores exactly what the
+// component runs:
+//  1. keep the longest unbroken run of frames passing the windowed SQI
+//  2. resample it onto a uniform grid, rejecting runs with frame gaps
+//  3. smooth, median-detrend and band-pass, then pick peaks
+//  4. classify the rhythm, correcting occasional ectopic beats
+//  5. cross-check against the spectral estimate
+import { movingAverage, medianDetrend, bandpassFilter } from './filters.js';
+import { findPeaks } from './peaks.js';
+import { resampleUniform } from './timing.js';
+import { estimateSpectralHeartRate, crossCheckEstimates } from './spectrum.js';
+import { windowedSQI } from './sqi.js';
+import { classifyRhythm, RHYTHM } from './rhythm.js';
+
+/**
+ * Heart rate for a finished capture
+ * @param {Array<number>} values - Raw PPG values for the whole capture
+ * @param {Array<number>} timestamps - Sample times in ms
+ * @param {Object} options
+ * @param {Function} options.onLog - Called with each diagnostic line
+ * @returns {Object} { bpm, confidence (0-100), error, details, beatTimes } -
+ *   on failure bpm is null and error is one of HeartRateDetector's error
+ *   messages; details holds lowConfidence/spectralBpm and rhythm fields, or
+ *   is undefined when there is nothing to add
+ */
+export function analyzeCapture(values, timestamps, { onLog } = {}) {
+  const log = (message) => {
+    if (onLog) onLog(message);
+  };
+  const fail = (error, beatTimes = []) => ({ bpm: null, confidence: 0, error, details: undefined, beatTimes });
+
+  // Keep the frames covered by at least one window that passes the SQI
+  const windows = windowedSQI(values, timestamps, { windowMs: 5000, stepMs: 1000 });
+
+  const validFrames = new Array(values.length).fill(false);
+  windows.forEach(({ start, end, sqi }) => {
+    if (!sqi.isValid) return;
+    for (let i = start; i < end; i++) validFrames[i] = true;
+  });
+  const validFrameIndices = validFrames.reduce((indices, valid, i) => {
+    if (valid) indices.push(i);
+    return indices;
+  }, []);
+
+  const passedWindows = windows.filter(w => w.sqi.isValid).length;
+  log(`SQI: ${passedWindows}/${windows.length} windows passed, ${validFrameIndices.length} valid frames`);
+
+  if (validFrameIndices.length < 20) {
+    log('Not enough valid data for calculation');
+    return fail('Not enough valid signal data');
+  }
+
+  // Longest unbroken run of valid frames - joining separate runs would
+  // splice unrelated stretches of signal together
+  let runStart = 0;
+  let best = { start: 0, length: 0 };
+  for (let k = 1; k <= validFrameIndices.length; k++) {
+    if (k === validFrameIndices.length || validFrameIndices[k] !== validFrameIndices[k - 1] + 1) {
+      if (k - runStart > best.length) best = { start: runStart, length: k - runStart };
+      runStart = k;
+    }
+  }
+  const run = validFrameIndices.slice(best.start, best.start + best.length);
+
+  // Put the camera samples on a uniform grid using their timestamps
+  const grid = resampleUniform(run.map(i => timestamps[i]), run.map(i => values[i]));
+  const { timing } = grid;
+
+  log(
+    `Timing: ${timing.effectiveFps.toFixed(2)} fps effective, ` +
+    `${timing.droppedFrames} dropped, ${timing.gaps.length} gaps, jitter ${timing.jitterMs.toFixed(1)}ms`
+  );
+
+  if (!timing.valid) {
+    log(`Rejecting window: ${timing.reason}`);
+    return fail('Too many dropped frames');
+  }
+
+  const times = grid.times;
+  const samplingRate = grid.rate;
+
+  log(`Resampled ${run.length} frames to ${grid.values.length} samples at ${samplingRate} Hz`);
+
+  const smoothedValues = movingAverage(grid.values, 5);
+  const detrendedValues = medianDetrend(smoothedValues, 15);
+
+  const lowCutoff = 0.5;
+  const highCutoff = 3.0;
+  const nyquistFreq = samplingRate / 2;
+  const adjustedHighCutoff = Math.min(highCutoff, nyquistFreq * 0.8);
+
+  log(`Filter parameters: ${lowCutoff.toFixed(2)}-${adjustedHighCutoff.toFixed(2)} Hz (Nyquist: ${nyquistFreq.toFixed(2)} Hz)`);
+
+  const filteredValues = bandpassFilter(detrendedValues, lowCutoff, adjustedHighCutoff, samplingRate, {
+    zeroPhase: true,
+  });
+
+  const minPeakDistance = Math.ceil(samplingRate / 4);
+  log(`Peak detection parameters: min distance ${minPeakDistance} samples`);
+
+  const peaks = findPeaks(filteredValues, { minDistance: minPeakDistance });
+  log(`Detected ${peaks.length} peaks`);
+
+  const peakTimes = peaks.map(idx => times[Math.min(idx, times.length - 1)]);
+
+  if (peaks.length < 4) {
+    log('Not enough peaks detected');
+    return fail('Irregular pulse detected', peakTimes);
+  }
+
+  const validIntervals = [];
+  for (let i = 1; i < peakTimes.length; i++) {
+    const interval = peakTimes[i] - peakTimes[i - 1];
+    const bpm = 60000 / interval;
+    if (bpm >= 30 && bpm <= 220) {
+      validIntervals.push(interval);
+    }
+  }
+
+  if (validIntervals.length < 3) {
+    log('Not enough valid peak intervals');
+    return fail('Insufficient valid pulse data', peakTimes);
+  }
+
+  // Classify the rhythm instead of rejecting variable pulses: occasional
+  // ectopic beats are corrected, a persistently irregular rhythm still
+  // gets its average rate
+  const rhythm = classifyRhythm(peakTimes);
+  log(
+    `Rhythm: ${rhythm.rhythm}, ${rhythm.ectopicCount} ectopic, ` +
+    `${rhythm.corrections.length} corrected, irregular fraction ${rhythm.irregularFraction.toFixed(2)}`
+  );
+
+  const correctedIntervals = rhythm.rhythm === RHYTHM.UNKNOWN ? validIntervals : rhythm.correctedIntervals;
+  const meanInterval = correctedIntervals.reduce((sum, val) => sum + val, 0) / correctedIntervals.length;
+  const intervalStdDev = Math.sqrt(
+    correctedIntervals.reduce((sum, val) => sum + Math.pow(val - meanInterval, 2), 0) / correctedIntervals.length
+  );
+  const variabilityPercent = (intervalStdDev / meanInterval) * 100;
+
+  log(`Interval stats: mean=${meanInterval.toFixed(0)}ms, variability=${variabilityPercent.toFixed(1)}%`);
+
+  const heartRate = rhythm.bpm || Math.round(60000 / meanInterval);
+  log(`Calculated heart rate: ${heartRate} BPM`);
+
+  if (heartRate < 40 || heartRate > 200) {
+    log('Heart rate outside valid range');
+    return fail('Measurement outside physiological range', peakTimes);
+  }
+
+  let confidence = 100;
+  if (rhythm.rhythm === RHYTHM.IRREGULAR) {
+    // Variability is the finding here, not noise - cap instead of penalizing
+    confidence = 70;
+  } else {
+    confidence -= variabilityPercent;
+    confidence -= rhythm.corrections.length * 5;
+  }
+  confidence -= Math.max(0, 15 - validIntervals.length) * 3;
+  confidence = Math.max(0, Math.min(100, confidence));
+
+  // Cross-check peak counting against the spectral estimate - dicrotic
+  // notches and noise spikes fool the former but not the latter
+  const spectral = estimateSpectralHeartRate(grid.values, times);
+  const crossCheck = crossCheckEstimates(heartRate, spectral);
+  log(`Spectral estimate: ${spectral.bpm ?? '--'} BPM (confidence ${spectral.confidence}%, harmonic support ${spectral.harmonicSupport.toFixed(2)})`);
+
+  if (!crossCheck.agree && rhythm.rhythm !== RHYTHM.IRREGULAR) {
+    log('Time and frequency estimates disagree - low confidence');
+    confidence = Math.min(confidence, 40);
+  }
+
+  log(`Final heart rate: ${heartRate} BPM (${confidence.toFixed(0)}% confidence)`);
+
+  const details = {};
+  if (!crossCheck.agree) {
+    details.lowConfidence = true;
+    details.spectralBpm = spectral.bpm;
+  }
+  if (rhythm.rhythm === RHYTHM.ECTOPIC || rhythm.rhythm === RHYTHM.IRREGULAR) {
+    details.rhythm = rhythm.rhythm;
+    details.ectopicCount = rhythm.ectopicCount;
+    details.rhythmMessage = rhythm.message;
+  }
+
+  return {
+    bpm: heartRate,
+    confidence,
+    error: null,
+    details: Object.keys(details).length ? details : undefined,
+    beatTimes: peakTimes,
+  };
+}
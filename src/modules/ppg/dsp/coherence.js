@@ -0,0 +1,170 @@
+// src/modules/ppg/dsp/coherence.js
+// Heart-rhythm coherence for resonance-breathing biofeedback.
+//
+// Breathing slowly (around 6 breaths/min) makes heart rate rise and fall
+// with each breath in a near-sine wave at ~0.1 Hz. Coherence measures how
+// much of the heart rate variability sits in that one rhythm:
+//  - the cleaned RR tachogram over the window is resampled at 4 Hz,
+//    detrended, and its power spectrum taken (one Hann window)
+//  - the dominant peak is found in COHERENCE_PEAK_BAND (0.04-0.26 Hz)
+//  - peak power is the power within ±0.015 Hz of that peak; total power is
+//    the power over COHERENCE_TOTAL_BAND (0.0033-0.4 Hz)
+//  - coherence = peak power / total power, 0-1
+// A 64 s window (as in HeartMath's coherence ratio) resolves the peak well;
+// from 30 s (three 0.1 Hz cycles) the value is reported as valid.
+import { extractRRIntervals, resampleTachogram } from './hrv.js';
+import { detrend } from './filters.js';
+import { welch } from './spectrum.js';
+
+export const COHERENCE_PEAK_BAND = { low: 0.04, high: 0.26 };
+export const COHERENCE_TOTAL_BAND = { low: 0.0033, high: 0.4 };
+
+export const COHERENCE_LEVELS = {
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high',
+};
+
+// Lowest coherence for each level above LOW
+export const COHERENCE_THRESHOLDS = {
+  high: 0.6,
+  medium: 0.35,
+};
+
+// Half-width of the peak (Hz)
+export const COHERENCE_PEAK_HALF_WIDTH = 0.015;
+// Tachogram resampling rate (Hz)
+const TACHOGRAM_RATE = 4;
+
+const integrate = (frequencies, power, lo, hi) => {
+  const df = frequencies[1] - frequencies[0];
+  let sum = 0;
+  for (let k = 0; k < frequencies.length; k++) {
+    if (frequencies[k] >= lo && frequencies[k] <= hi) sum += power[k] * df;
+  }
+  return sum;
+};
+
+/**
+ * Coherence over the most recent `windowMs` of beats
+ * @param {Array<number>} beatTimes - Beat times in ms
+ * @param {Object} options
+ * @param {number} options.windowMs - Analysis window, ending at the last beat
+ * @param {number} options.minDurationMs - Beat span needed for a valid value
+ * @returns {Object} { coherence: { value, valid }, level, peakFrequency (Hz),
+ *   peakPower, totalPower, durationSec } - level is one of COHERENCE_LEVELS,
+ *   or null when coherence isn't valid
+ */
+export function computeCoherence(beatTimes, { windowMs = 64000, minDurationMs = 30000 } = {}) {
+  const times = beatTimes || [];
+  const end = times.length ? times[times.length - 1] : 0;
+  const windowed = times.filter(t => t >= end - windowMs);
+  const durationSec = windowed.length > 1 ? (end - windowed[0]) / 1000 : 0;
+  const fail = { coherence: { value: null, valid: false }, level: null, peakFrequency: null, peakPower: null, totalPower: null, durationSec };
+
+  const { intervals, removed } = extractRRIntervals(windowed);
+  const tachogram = resampleTachogram(intervals, TACHOGRAM_RATE);
+  if (tachogram.length < 32) return fail;
+
+  const { frequencies, power } = welch(detrend(tachogram), TACHOGRAM_RATE, {
+    segmentLength: tachogram.length,
+    nfft: 1024,
+  });
+
+  let peak = -1;
+  for (let k = 0; k < frequencies.length; k++) {
+    if (frequencies[k] < COHERENCE_PEAK_BAND.low || frequencies[k] > COHERENCE_PEAK_BAND.high) continue;
+    if (peak < 0 || power[k] > power[peak]) peak = k;
+  }
+  const totalPower = integrate(frequencies, power, COHERENCE_TOTAL_BAND.low, COHERENCE_TOTAL_BAND.high);
+  if (peak < 0 || !(totalPower > 0)) return fail;
+
+  const peakFrequency = frequencies[peak];
+  const peakPower = integrate(frequencies, power, peakFrequency - COHERENCE_PEAK_HALF_WIDTH, peakFrequency + COHERENCE_PEAK_HALF_WIDTH);
+  const value = Math.min(1, peakPower / totalPower);
+
+  const valid = durationSec * 1000 >= minDurationMs &&
+    intervals.length >= 10 &&
+    removed <= (intervals.length + removed) * 0.2;
+
+  let level = null;
+  if (valid) {
+    if (value >= COHERENCE_THRESHOLDS.high) level = COHERENCE_LEVELS.HIGH;
+    else if (value >= COHERENCE_THRESHOLDS.medium) level = COHERENCE_LEVELS.MEDIUM;
+    else level = COHERENCE_LEVELS.LOW;
+  }
+
+  return {
+    coherence: { value, valid },
+    level,
+    peakFrequency,
+    peakPower,
+    totalPower,
+    durationSec,
+  };
+}
+
+/**
+ * Rolling coherence from a live stream of beats.
+ *
+ * Usage:
+ *   const tracker = createCoherenceTracker();
+ *   const unsubscribe = tracker.subscribe(({ coherence, level }) => ...);
+ *   tracker.push(batch.beats, batch.snapshot.ts); // with each batch
+ *
+ * @param {Object} options
+ * @param {number} options.windowMs - Rolling window
+ * @param {number} options.minDurationMs - Beat span needed for a valid value
+ * @param {number} options.updateIntervalMs - Time between recomputations
+ * @returns {Object} Tracker API
+ */
+export function createCoherenceTracker({ windowMs = 64000, minDurationMs = 30000, updateIntervalMs = 5000 } = {}) {
+  let beats = [];
+  let lastUpdate = null;
+  let state = computeCoherence([], { windowMs, minDurationMs });
+  const listeners = new Set();
+
+  return {
+    /**
+     * Add new beats and recompute once `updateIntervalMs` has passed
+     * @param {Array<number>} beatTimes - Beat times (ms) since the last push
+     * @param {number} timestamp - Current stream time in ms
+     * @returns {Object} Latest computeCoherence result
+     */
+    push(beatTimes, timestamp) {
+      (beatTimes || []).forEach((t) => {
+        if (!beats.length || t > beats[beats.length - 1]) beats.push(t);
+      });
+      // Keep a little more than the window so the first interval is whole
+      while (beats.length > 1 && beats[1] < timestamp - windowMs) beats.shift();
+
+      if (lastUpdate === null || timestamp - lastUpdate >= updateIntervalMs) {
+        lastUpdate = timestamp;
+        state = computeCoherence(beats, { windowMs, minDurationMs });
+        listeners.forEach(listener => listener(state));
+      }
+      return state;
+    },
+
+    /** @returns {Object} Latest computeCoherence result */
+    getState() {
+      return state;
+    },
+
+    /**
+     * @param {Function} listener - Called with each recomputed state
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    reset() {
+      beats = [];
+      lastUpdate = null;
+      state = computeCoherence([], { windowMs, minDurationMs });
+      listeners.forEach(listener => listener(state));
+    },
+  };
+}
@@ -0,0 +1,5 @@
+// src/modules/ppg/dsp/constants.js
+// Physiological limits shared across the library.
+
+export const MIN_BPM = 40;
+export const MAX_BPM = 200;
@@ -0,0 +1,178 @@
+// src/modules/ppg/dsp/contact.js
+// Finger-presence detection from the mean-luma stream.
+//
+// With the torch on, a fingertip over the lens gives a steady, mid-range
+// level carrying a small (~0.5-3%) pulsatile component. The other cases show
+// up as:
+//  - finger off: the level swings or drifts as the lens sees the room, or
+//    drops to near black (lens face down, torch off)
+//  - ambient light: the sensor saturates - light is leaking around the finger
+//  - too much pressure: steady level but no pulse; pressing hard blanches the
+//    fingertip and squeezes out the pulsatile blood volume
+import { bandpassFilter } from './filters.js';
+import { resampleUniform } from './timing.js';
+import { perfusionIndex } from './sqi.js';
+
+export const FINGER_STATES = {
+  UNKNOWN: 'unknown',
+  ON: 'finger-on',
+  OFF: 'finger-off',
+  PRESSURE: 'too-much-pressure',
+  AMBIENT: 'ambient-light',
+};
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+// Mean level, std relative to it, and the change between the window's halves
+const levelStats = (values) => {
+  const level = mean(values);
+  const std = Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - level, 2), 0) / values.length);
+  const half = Math.floor(values.length / 2);
+  return {
+    level,
+    relativeStd: level > 0 ? std / level : Infinity,
+    drift: level > 0 ? Math.abs(mean(values.slice(half)) - mean(values.slice(0, half))) / level : 0,
+  };
+};
+
+/**
+ * Classify a window of luma samples
+ * @param {Array<number>} values - Luma values (oldest first)
+ * @param {Array<number>} timestamps - Sample times in ms
+ * @param {Object} options - See createFingerDetector
+ * @returns {Object} { state, metrics: { level, relativeStd, drift, perfusion } } -
+ *   state is UNKNOWN when contact is steady but the pulse window isn't full yet
+ */
+export function classifyFingerContact(values, timestamps, options = {}) {
+  const {
+    pulseWindowMs = 3000,
+    stabilityWindowMs = 1000,
+    darkLevel = 15,
+    brightLevel = 235,
+    maxRelativeStd = 0.04,
+    maxDrift = 0.05,
+    minPerfusion = 0.15,
+  } = options;
+
+  const end = timestamps[timestamps.length - 1];
+  let start = timestamps.length - 1;
+  while (start > 0 && timestamps[start - 1] >= end - stabilityWindowMs) start--;
+
+  const { level, relativeStd, drift } = levelStats(values.slice(start));
+  const metrics = { level, relativeStd, drift, perfusion: null };
+
+  if (level < darkLevel) return { state: FINGER_STATES.OFF, metrics };
+  if (level > brightLevel) return { state: FINGER_STATES.AMBIENT, metrics };
+  if (relativeStd > maxRelativeStd || drift > maxDrift) return { state: FINGER_STATES.OFF, metrics };
+
+  // Steady contact - is there a pulse in it? Only judge once the whole pulse
+  // window is steady, or a recent level step would pass for pulsatility.
+  if (end - timestamps[0] < pulseWindowMs * 0.9) return { state: FINGER_STATES.UNKNOWN, metrics };
+  const settled = levelStats(values);
+  if (settled.relativeStd > maxRelativeStd || settled.drift > maxDrift) {
+    return { state: FINGER_STATES.UNKNOWN, metrics };
+  }
+  const grid = resampleUniform(timestamps, values);
+  const filtered = bandpassFilter(grid.values, 0.5, Math.min(3.5, grid.rate * 0.4), grid.rate, { zeroPhase: true });
+  metrics.perfusion = perfusionIndex(grid.values, filtered);
+
+  return {
+    state: metrics.perfusion < minPerfusion ? FINGER_STATES.PRESSURE : FINGER_STATES.ON,
+    metrics,
+  };
+}
+
+/**
+ * Create a streaming finger-presence detector.
+ *
+ * Usage:
+ *   const detector = createFingerDetector();
+ *   const { state, changed } = detector.push(ts, luma); // per frame
+ *
+ * A new state is only reported once it has held for `holdMs`, so a single
+ * shaky frame doesn't flip the capture state machine.
+ *
+ * @param {Object} options
+ * @param {number} options.pulseWindowMs - History used for the pulse check in ms
+ * @param {number} options.stabilityWindowMs - History used for level/variance in ms
+ * @param {number} options.holdMs - How long a new state must persist
+ * @param {number} options.evaluateEveryMs - Minimum time between classifications
+ * @param {number} options.darkLevel - Mean luma below which the lens is dark
+ * @param {number} options.brightLevel - Mean luma above which the sensor saturates
+ * @param {number} options.maxRelativeStd - Largest std/level for steady contact
+ * @param {number} options.maxDrift - Largest level change across the window (fraction)
+ * @param {number} options.minPerfusion - Smallest perfusion index (%) for a pulse
+ * @returns {Object} Detector API
+ */
+export function createFingerDetector(options = {}) {
+  const { pulseWindowMs = 3000, stabilityWindowMs: stabilityWindow = 1000, holdMs = 500, evaluateEveryMs = 250 } = options;
+
+  let timestamps = [];
+  let values = [];
+  let state = FINGER_STATES.UNKNOWN;
+  let candidate = null;
+  let candidateSince = 0;
+  let lastEvaluated = -Infinity;
+  let metrics = null;
+
+  return {
+    /**
+     * Add one luma sample
+     * @param {number} ts - Sample time in ms (must be increasing)
+     * @param {number} luma - Mean frame luma
+     * @returns {Object} { state, changed, metrics }
+     */
+    push(ts, luma) {
+      if (timestamps.length && ts <= timestamps[timestamps.length - 1]) {
+        return { state, changed: false, metrics };
+      }
+
+      timestamps.push(ts);
+      values.push(luma);
+      let start = 0;
+      while (start < timestamps.length && timestamps[start] < ts - pulseWindowMs) start++;
+      if (start > 0) {
+        timestamps = timestamps.slice(start);
+        values = values.slice(start);
+      }
+
+      if (ts - timestamps[0] < stabilityWindow * 0.9 || ts - lastEvaluated < evaluateEveryMs) {
+        return { state, changed: false, metrics };
+      }
+      lastEvaluated = ts;
+
+      const result = classifyFingerContact(values, timestamps, options);
+      metrics = result.metrics;
+
+      if (result.state === state || result.state === FINGER_STATES.UNKNOWN) {
+        candidate = null;
+        return { state, changed: false, metrics };
+      }
+      if (result.state !== candidate) {
+        candidate = result.state;
+        candidateSince = ts;
+      }
+      if (ts - candidateSince >= holdMs) {
+        state = candidate;
+        candidate = null;
+        return { state, changed: true, metrics };
+      }
+      return { state, changed: false, metrics };
+    },
+
+    /** @returns {string} Current FINGER_STATES value */
+    getState() {
+      return state;
+    },
+
+    reset() {
+      timestamps = [];
+      values = [];
+      state = FINGER_STATES.UNKNOWN;
+      candidate = null;
+      candidateSince = 0;
+      lastEvaluated = -Infinity;
+      metrics = null;
+    },
+  };
+}
@@ -0,0 +1,116 @@
+// src/modules/ppg/dsp/convergence.js
+// Decides when a reading has run long enough. Fed the whole-reading estimate
+// about once a second, it finishes the reading as soon as consecutive
+// estimates agree at good quality (after a minimum amount of data), keeps
+// going while quality is marginal, and gives up at a ceiling.
+//
+// Progress reflects that decision rather than elapsed time: part of it is
+// gathering the minimum data, the rest is the run of agreeing estimates -
+// so it stalls, or falls back, when the estimate won't settle.
+
+export const CONVERGENCE_STATES = {
+  COLLECTING: 'collecting', // not enough data for the minimum duration yet
+  SETTLING: 'settling', // good estimates, not enough of them agree yet
+  MARGINAL: 'marginal', // estimates too weak to count
+  CONVERGED: 'converged',
+  TIMED_OUT: 'timedOut',
+};
+
+// Share of the progress ring given to collecting the minimum data
+const DATA_SHARE = 0.3;
+
+/**
+ * Create a convergence monitor for one reading.
+ *
+ * Usage:
+ *   const monitor = createConvergenceMonitor({ maxDurationMs: 30000 });
+ *   // once a second:
+ *   const status = monitor.push(estimateHeartRate(values, times), elapsedMs);
+ *   if (status.done) finish();
+ *
+ * @param {Object} options
+ * @param {number} options.minDurationMs - Never finish before this much data
+ * @param {number} options.maxDurationMs - Ceiling; the reading ends here converged or not
+ * @param {number} options.toleranceBpm - Consecutive estimates within this agree
+ * @param {number} options.requiredAgreeing - Run of agreeing estimates needed
+ * @param {number} options.minConfidence - Confidence (0-100) a good estimate needs
+ * @returns {Object} { push(estimate, elapsedMs), getState(), reset() }
+ */
+export function createConvergenceMonitor({
+  minDurationMs = 6000,
+  maxDurationMs = 30000,
+  toleranceBpm = 3,
+  requiredAgreeing = 3,
+  minConfidence = 60,
+} = {}) {
+  let streak = 0;
+  let lastBpm = null;
+  let state = null;
+
+  const initialState = () => ({
+    state: CONVERGENCE_STATES.COLLECTING,
+    progress: 0,
+    done: false,
+    converged: false,
+    streak: 0,
+    bpm: null,
+    elapsedMs: 0,
+  });
+  state = initialState();
+
+  return {
+    /**
+     * @param {Object} estimate - { bpm, confidence, converged? } e.g. from
+     *   estimateHeartRate; an explicit `converged: false` never counts as good
+     * @param {number} elapsedMs - Duration of the reading so far
+     * @returns {Object} { state, progress (0-1), done, converged, streak, bpm, elapsedMs }
+     */
+    push(estimate, elapsedMs) {
+      if (state.done) return state;
+
+      const good = !!estimate && !!estimate.bpm && estimate.converged !== false &&
+        (estimate.confidence ?? 0) >= minConfidence;
+      if (!good) {
+        streak = 0;
+      } else {
+        streak = lastBpm !== null && Math.abs(estimate.bpm - lastBpm) <= toleranceBpm ? streak + 1 : 1;
+      }
+      lastBpm = good ? estimate.bpm : null;
+
+      const enoughData = elapsedMs >= minDurationMs;
+      const converged = enoughData && streak >= requiredAgreeing;
+      const timedOut = !converged && elapsedMs >= maxDurationMs;
+
+      let phase = CONVERGENCE_STATES.COLLECTING;
+      if (converged) phase = CONVERGENCE_STATES.CONVERGED;
+      else if (timedOut) phase = CONVERGENCE_STATES.TIMED_OUT;
+      else if (enoughData) phase = good ? CONVERGENCE_STATES.SETTLING : CONVERGENCE_STATES.MARGINAL;
+
+      const dataProgress = Math.min(1, elapsedMs / minDurationMs);
+      const agreement = Math.min(1, streak / requiredAgreeing);
+      const progress = converged || timedOut ? 1 : Math.min(0.95, DATA_SHARE * dataProgress + (1 - DATA_SHARE) * agreement);
+
+      state = {
+        state: phase,
+        progress,
+        done: converged || timedOut,
+        converged,
+        streak,
+        bpm: good ? estimate.bpm : state.bpm,
+        elapsedMs,
+      };
+      return state;
+    },
+
+    /** @returns {Object} Latest push() result */
+    getState() {
+      return state;
+    },
+
+    reset() {
+      streak = 0;
+      lastBpm = null;
+      state = initialState();
+    },
+  };
+}
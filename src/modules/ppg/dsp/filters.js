@@ -0,0 +1,275 @@
+// src/modules/ppg/dsp/filters.js
+// Pure filtering primitives for PPG signals. No React / React Native imports so
+// everything here runs unchanged in Node.
+
+/**
+ * Trailing moving average
+ * @param {Array<number>} values - Input signal
+ * @param {number} windowSize - Window length in samples
+ * @returns {Array<number>} Smoothed signal (same length as input)
+ */
+export function movingAverage(values, windowSize) {
+  if (!values || values.length === 0) return [];
+  const size = Math.max(1, Math.round(windowSize));
+
+  const result = new Array(values.length);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= size) sum -= values[i - size];
+    result[i] = sum / Math.min(i + 1, size);
+  }
+  return result;
+}
+
+/**
+ * Remove the least-squares linear trend
+ * @param {Array<number>} values - Input signal
+ * @returns {Array<number>} Detrended signal
+ */
+export function detrend(values) {
+  if (!values || values.length < 3) return values ? [...values] : [];
+
+  const n = values.length;
+  let sumX = 0;
+  let sumY = 0;
+  let sumXY = 0;
+  let sumXX = 0;
+
+  for (let i = 0; i < n; i++) {
+    sumX += i;
+    sumY += values[i];
+    sumXY += i * values[i];
+    sumXX += i * i;
+  }
+
+  const slope = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
+  const intercept = (sumY - slope * sumX) / n;
+
+  return values.map((y, i) => y - (slope * i + intercept));
+}
+
+/**
+ * Remove a slowly varying baseline by subtracting a trailing running median
+ * @param {Array<number>} values - Input signal
+ * @param {number} windowSize - Median window length in samples
+ * @returns {Array<number>} Detrended signal
+ */
+export function medianDetrend(values, windowSize = 15) {
+  if (!values || values.length === 0) return [];
+
+  const result = new Array(values.length);
+  for (let i = 0; i < values.length; i++) {
+    const window = values.slice(Math.max(0, i - windowSize), i + 1);
+    const sorted = window.sort((a, b) => a - b);
+    result[i] = values[i] - sorted[Math.floor(sorted.length / 2)];
+  }
+  return result;
+}
+
+// Minimal complex arithmetic for the pole computations below ({ re, im })
+const cAdd = (a, b) => ({ re: a.re + b.re, im: a.im + b.im });
+const cSub = (a, b) => ({ re: a.re - b.re, im: a.im - b.im });
+const cMul = (a, b) => ({ re: a.re * b.re - a.im * b.im, im: a.re * b.im + a.im * b.re });
+const cDiv = (a, b) => {
+  const d = b.re * b.re + b.im * b.im;
+  return { re: (a.re * b.re + a.im * b.im) / d, im: (a.im * b.re - a.re * b.im) / d };
+};
+const cScale = (a, k) => ({ re: a.re * k, im: a.im * k });
+const cAbs = (a) => Math.hypot(a.re, a.im);
+const cSqrt = (a) => {
+  const r = cAbs(a);
+  const re = Math.sqrt((r + a.re) / 2);
+  const im = Math.sqrt(Math.max(0, (r - a.re) / 2));
+  return { re, im: a.im < 0 ? -im : im };
+};
+
+/**
+ * Design a digital Butterworth band-pass as a cascade of biquads.
+ *
+ * The analog low-pass prototype of order `order` is transformed to a band-pass
+ * around the pre-warped cutoffs and mapped to z with the bilinear transform.
+ * The result has `order` second-order sections (2 * order poles), each with
+ * numerator 1 - z^-2, and unity gain at the geometric centre frequency.
+ *
+ * @param {number} lowCutoff - Low -3 dB cutoff in Hz
+ * @param {number} highCutoff - High -3 dB cutoff in Hz
+ * @param {number} sampleRate - Sample rate in Hz (use the measured rate)
+ * @param {number} order - Prototype order (1-8)
+ * @returns {Array<Object>|null} Sections { b0, b1, b2, a1, a2 }, or null if the
+ *   band is invalid for this sample rate
+ */
+export function designButterworthBandpass(lowCutoff, highCutoff, sampleRate, order = 2) {
+  if (!(sampleRate > 0) || !(lowCutoff > 0) || lowCutoff >= highCutoff) return null;
+  if (highCutoff >= sampleRate / 2) return null;
+
+  const fs2 = 2 * sampleRate;
+  // Pre-warp so the digital -3 dB points land exactly on the requested cutoffs
+  const wl = fs2 * Math.tan(Math.PI * lowCutoff / sampleRate);
+  const wh = fs2 * Math.tan(Math.PI * highCutoff / sampleRate);
+  const bw = wh - wl;
+  const w0sq = wl * wh;
+
+  // Analog band-pass poles: each prototype pole p yields the roots of
+  // s^2 - p*bw*s + w0^2 = 0
+  const analogPoles = [];
+  for (let k = 1; k <= order; k++) {
+    const theta = Math.PI * (2 * k + order - 1) / (2 * order);
+    const p = cScale({ re: Math.cos(theta), im: Math.sin(theta) }, bw);
+    const disc = cSqrt(cSub(cMul(p, p), { re: 4 * w0sq, im: 0 }));
+    analogPoles.push(cScale(cAdd(p, disc), 0.5), cScale(cSub(p, disc), 0.5));
+  }
+
+  // Bilinear transform z = (2fs + s) / (2fs - s)
+  const poles = analogPoles.map(s => cDiv(cAdd({ re: fs2, im: 0 }, s), cSub({ re: fs2, im: 0 }, s)));
+
+  // Pair conjugate poles into sections; real poles are paired with each other
+  const complexPoles = poles.filter(z => z.im > 1e-12);
+  const realPoles = poles.filter(z => Math.abs(z.im) <= 1e-12).map(z => z.re);
+  const sections = complexPoles.map(z => ({
+    b0: 1, b1: 0, b2: -1,
+    a1: -2 * z.re,
+    a2: z.re * z.re + z.im * z.im,
+  }));
+  for (let i = 0; i + 1 < realPoles.length; i += 2) {
+    sections.push({
+      b0: 1, b1: 0, b2: -1,
+      a1: -(realPoles[i] + realPoles[i + 1]),
+      a2: realPoles[i] * realPoles[i + 1],
+    });
+  }
+
+  // Normalize to unity gain at the centre frequency
+  const wc = 2 * Math.atan(Math.sqrt(w0sq) / fs2);
+  const gain = sections.reduce((g, section) => g * biquadMagnitude(section, wc), 1);
+  const scale = Math.pow(gain, -1 / sections.length);
+  return sections.map(section => ({
+    ...section,
+    b0: section.b0 * scale,
+    b1: section.b1 * scale,
+    b2: section.b2 * scale,
+  }));
+}
+
+/**
+ * Magnitude response of one biquad section
+ * @param {Object} section - { b0, b1, b2, a1, a2 }
+ * @param {number} omega - Digital frequency in radians/sample
+ * @returns {number} |H(e^jw)|
+ */
+export function biquadMagnitude({ b0, b1, b2, a1, a2 }, omega) {
+  const z1 = { re: Math.cos(omega), im: -Math.sin(omega) };
+  const z2 = cMul(z1, z1);
+  const num = cAdd(cAdd({ re: b0, im: 0 }, cScale(z1, b1)), cScale(z2, b2));
+  const den = cAdd(cAdd({ re: 1, im: 0 }, cScale(z1, a1)), cScale(z2, a2));
+  return cAbs(num) / cAbs(den);
+}
+
+/**
+ * Create a streaming biquad cascade. Feed it one sample at a time with
+ * `process(x)`; state is kept between calls.
+ * @param {Array<Object>} sections - Biquad coefficient sections
+ * @param {number} initialValue - Input level to start in steady state at, so a
+ *   DC offset doesn't produce a start-up transient
+ * @returns {Object} { process(x): number, reset(initialValue): void }
+ */
+export function createBiquadCascade(sections, initialValue = 0) {
+  const state = sections.map(() => ({ x1: 0, x2: 0, y1: 0, y2: 0 }));
+
+  const reset = (level = 0) => {
+    let input = level;
+    sections.forEach(({ b0, b1, b2, a1, a2 }, s) => {
+      const output = input * (b0 + b1 + b2) / (1 + a1 + a2);
+      state[s].x1 = input;
+      state[s].x2 = input;
+      state[s].y1 = output;
+      state[s].y2 = output;
+      input = output;
+    });
+  };
+  reset(initialValue);
+
+  return {
+    process(x) {
+      let value = x;
+      for (let s = 0; s < sections.length; s++) {
+        const { b0, b1, b2, a1, a2 } = sections[s];
+        const st = state[s];
+        const y = b0 * value + b1 * st.x1 + b2 * st.x2 - a1 * st.y1 - a2 * st.y2;
+        st.x2 = st.x1;
+        st.x1 = value;
+        st.y2 = st.y1;
+        st.y1 = y;
+        value = y;
+      }
+      return value;
+    },
+    reset,
+  };
+}
+
+/**
+ * Run a biquad cascade causally over a whole signal, starting in steady state
+ * at the first sample
+ * @param {Array<number>} values - Input signal
+ * @param {Array<Object>} sections - Biquad coefficient sections
+ * @returns {Array<number>} Filtered signal
+ */
+export function applyBiquadCascade(values, sections) {
+  if (!values || values.length === 0) return [];
+  const cascade = createBiquadCascade(sections, values[0]);
+  return values.map(x => cascade.process(x));
+}
+
+/**
+ * Zero-phase forward-backward filtering (filtfilt). The signal is extended at
+ * both ends by odd reflection to suppress edge transients, filtered forwards,
+ * then filtered again backwards, which cancels the phase delay and squares the
+ * magnitude response. Use for end-of-capture analysis, not live data.
+ * @param {Array<number>} values - Input signal
+ * @param {Array<Object>} sections - Biquad coefficient sections
+ * @param {Object} options
+ * @param {number} options.padLength - Reflection length in samples
+ * @returns {Array<number>} Filtered signal (same length as input)
+ */
+export function filtfilt(values, sections, { padLength } = {}) {
+  if (!values || values.length === 0) return [];
+
+  const n = values.length;
+  const pad = Math.max(0, Math.min(n - 1, padLength ?? 3 * (2 * sections.length + 1)));
+  const first = values[0];
+  const last = values[n - 1];
+
+  const extended = [];
+  for (let i = pad; i >= 1; i--) extended.push(2 * first - values[i]);
+  for (let i = 0; i < n; i++) extended.push(values[i]);
+  for (let i = n - 2; i >= n - 1 - pad; i--) extended.push(2 * last - values[i]);
+
+  const forward = applyBiquadCascade(extended, sections);
+  const backward = applyBiquadCascade(forward.reverse(), sections).reverse();
+  return backward.slice(pad, pad + n);
+}
+
+/**
+ * Band-pass filter a signal to the cardiac band with a Butterworth cascade
+ * @param {Array<number>} values - Input signal
+ * @param {number} lowCutoff - Low cutoff in Hz
+ * @param {number} highCutoff - High cutoff in Hz
+ * @param {number} sampleRate - Measured sample rate in Hz
+ * @param {Object} options
+ * @param {number} options.order - Butterworth prototype order
+ * @param {boolean} options.zeroPhase - Forward-backward (filtfilt) instead of causal
+ * @returns {Array<number>} Filtered signal (input copy if the band is invalid)
+ */
+export function bandpassFilter(values, lowCutoff, highCutoff, sampleRate, { order = 2, zeroPhase = false } = {}) {
+  if (!values || values.length === 0) return [];
+  const sections = designButterworthBandpass(lowCutoff, highCutoff, sampleRate, order);
+  if (!sections) return [...values];
+
+  if (zeroPhase) {
+    // Reflect about one period of the low cutoff so the slowest passband
+    // component has settled before the real data starts
+    return filtfilt(values, sections, { padLength: Math.round(sampleRate / lowCutoff) });
+  }
+  return applyBiquadCascade(values, sections);
+}
@@ -0,0 +1,196 @@
+// src/modules/ppg/dsp/heartRate.js
+// Time-domain heart rate estimation from timestamped PPG samples.
+import { bandpassFilter } from './filters.js';
+import { findPeaks } from './peaks.js';
+import { resampleUniform, analyzeTiming } from './timing.js';
+import { estimateSpectralHeartRate, crossCheckEstimates } from './spectrum.js';
+import { MIN_BPM, MAX_BPM } from './constants.js';
+import { classifyRhythm, RHYTHM } from './rhythm.js';
+
+/**
+ * Heart rate from beat times
+ * @param {Array<number>} beatTimes - Beat times in ms
+ * @returns {Object} { bpm, intervals, variability } - bpm is null if fewer
+ *   than three physiologically plausible intervals are found
+ */
+export function heartRateFromBeats(beatTimes) {
+  const intervals = [];
+  for (let i = 1; i < beatTimes.length; i++) {
+    const interval = beatTimes[i] - beatTimes[i - 1];
+    if (interval >= 60000 / MAX_BPM && interval <= 60000 / MIN_BPM) {
+      intervals.push(interval);
+    }
+  }
+
+  if (intervals.length < 3) return { bpm: null, intervals, variability: 0 };
+
+  const sorted = [...intervals].sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)];
+  const mean = intervals.reduce((sum, v) => sum + v, 0) / intervals.length;
+  const stdDev = Math.sqrt(intervals.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / intervals.length);
+
+  return {
+    bpm: Math.round(60000 / median),
+    intervals,
+    variability: stdDev / mean,
+  };
+}
+
+/**
+ * Detect beats in a window of samples. The window is resampled onto a
+ * uniform grid first; `peaks`, `filtered`, `times` and `values` all refer
+ * to that grid, not to the input arrays.
+ * @param {Array<number>} values - Raw PPG values
+ * @param {Array<number>} timestamps - Sample times in ms
+ * @param {Object} options - { lowCutoff, highCutoff } in Hz
+ * @returns {Object} { beatTimes, peaks, filtered, sampleRate, times, values,
+ *   timing } - timing is the analyzeTiming result for the input
+ */
+export function detectBeats(values, timestamps, { lowCutoff = 0.5, highCutoff = 3.5 } = {}) {
+  const grid = resampleUniform(timestamps, values);
+  const sampleRate = grid.rate;
+  if (!sampleRate) {
+    return { beatTimes: [], peaks: [], filtered: [], sampleRate, times: [], values: [], timing: grid.timing };
+  }
+
+  // Zero-phase so peak positions (and therefore beat intervals) aren't delayed
+  const filtered = bandpassFilter(grid.values, lowCutoff, Math.min(highCutoff, sampleRate * 0.4), sampleRate, {
+    zeroPhase: true,
+  });
+  // Shortest plausible beat interval
+  const minDistance = Math.max(1, Math.floor(sampleRate * 60 / MAX_BPM));
+  const peaks = findPeaks(filtered, { minDistance });
+
+  return {
+    beatTimes: peaks.map(index => grid.times[index]),
+    peaks,
+    filtered,
+    sampleRate,
+    times: grid.times,
+    values: grid.values,
+    timing: grid.timing,
+  };
+}
+
+/**
+ * Single-window heart rate estimate. Occasional ectopic beats are corrected
+ * before the rate is taken (see rhythm.js); a persistently irregular rhythm
+ * still yields its average rate, at reduced confidence.
+ * @param {Array<number>} values - Raw PPG values
+ * @param {Array<number>} timestamps - Sample times in ms
+ * @returns {Object} { bpm, confidence (0-100), reason, rhythm } - rhythm is
+ *   the classifyRhythm result, or null without enough beats
+ */
+export function estimateWindow(values, timestamps) {
+  const fail = (reason) => ({ bpm: null, confidence: 0, reason, rhythm: null });
+  if (!values || values.length < 20) return fail('Not enough samples');
+
+  const { beatTimes, sampleRate } = detectBeats(values, timestamps);
+  if (!sampleRate) return fail('Invalid timestamps');
+
+  const beats = heartRateFromBeats(beatTimes);
+  if (!beats.bpm) return fail('Not enough beats detected');
+
+  const rhythm = classifyRhythm(beatTimes);
+  const bpm = rhythm.bpm || beats.bpm;
+  if (bpm < MIN_BPM || bpm > MAX_BPM) return fail('Measurement outside physiological range');
+
+  // Penalize short recordings, and irregular intervals once ectopic beats are
+  // corrected. An irregular rhythm is expected to vary, so it gets a flat cap
+  // instead of a variability penalty.
+  let confidence = 100 - Math.max(0, 8 - beats.intervals.length) * 5;
+  if (rhythm.rhythm === RHYTHM.IRREGULAR) {
+    confidence = Math.min(confidence, 70);
+  } else {
+    const corrected = rhythm.rhythm === RHYTHM.UNKNOWN ? beats.intervals : rhythm.correctedIntervals;
+    const mean = corrected.reduce((sum, v) => sum + v, 0) / corrected.length;
+    const stdDev = Math.sqrt(corrected.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / corrected.length);
+    confidence -= (stdDev / mean) * 200 + rhythm.corrections.length * 5;
+  }
+  confidence = Math.round(Math.max(0, Math.min(100, confidence)));
+
+  return { bpm, confidence, reason: 'OK', rhythm };
+}
+
+/**
+ * Heart rate estimate for a whole reading. The estimate is considered
+ * converged when the full window and its most recent half agree, the
+ * peak-counting and spectral estimates agree, and the beat intervals are
+ * consistent enough to trust. Disagreement between the time- and
+ * frequency-domain estimates is flagged with `lowConfidence`. Readings with
+ * frame gaps or too many dropped frames are rejected outright.
+ *
+ * A persistently irregular rhythm has no sharp spectral peak and its rate
+ * drifts between half-windows, so for it the spectral check only flags
+ * `lowConfidence` and the stability tolerance is widened to 15%.
+ * @param {Array<number>} values - Raw PPG values
+ * @param {Array<number>} timestamps - Sample times in ms
+ * @param {Object} options - { minDurationMs, minConfidence, tolerance,
+ *   maxGapMs, maxDroppedFraction }
+ * @returns {Object} { bpm, confidence (0-100), converged, lowConfidence,
+ *   spectralBpm, spectralConfidence, effectiveFps, rhythm, ectopicCount,
+ *   rhythmMessage, reason }
+ */
+export function estimateHeartRate(values, timestamps, options = {}) {
+  const {
+    minDurationMs = 5000,
+    minConfidence = 50,
+    tolerance = 0.1,
+    maxGapMs,
+    maxDroppedFraction,
+  } = options;
+
+  const timing = analyzeTiming(timestamps, { maxGapMs, maxDroppedFraction });
+  const fail = (reason) => ({
+    bpm: null,
+    confidence: 0,
+    converged: false,
+    lowConfidence: true,
+    spectralBpm: null,
+    spectralConfidence: 0,
+    effectiveFps: timing.effectiveFps,
+    rhythm: RHYTHM.UNKNOWN,
+    ectopicCount: 0,
+    rhythmMessage: null,
+    reason,
+  });
+
+  if (!values || values.length < 30) return fail('Not enough samples');
+  if (timestamps[timestamps.length - 1] - timestamps[0] < minDurationMs) return fail('Recording too short');
+  if (!timing.valid) return fail(timing.reason);
+
+  const overall = estimateWindow(values, timestamps);
+  if (!overall.bpm) return fail(overall.reason);
+
+  const spectral = estimateSpectralHeartRate(values, timestamps);
+  const crossCheck = crossCheckEstimates(overall.bpm, spectral, tolerance);
+  const result = {
+    bpm: overall.bpm,
+    confidence: overall.confidence,
+    converged: false,
+    lowConfidence: !crossCheck.agree,
+    spectralBpm: spectral.bpm,
+    spectralConfidence: spectral.confidence,
+    effectiveFps: timing.effectiveFps,
+    rhythm: overall.rhythm.rhythm,
+    ectopicCount: overall.rhythm.ectopicCount,
+    rhythmMessage: overall.rhythm.message,
+    reason: 'OK',
+  };
+  const irregular = overall.rhythm.rhythm === RHYTHM.IRREGULAR;
+
+  const half = Math.floor(values.length / 2);
+  const recent = estimateWindow(values.slice(half), timestamps.slice(half));
+  const stabilityTolerance = irregular ? Math.max(tolerance, 0.15) : tolerance;
+  const stable = !!recent.bpm && Math.abs(overall.bpm - recent.bpm) <= Math.max(5, overall.bpm * stabilityTolerance);
+
+  if (!stable) {
+    return { ...result, confidence: Math.min(result.confidence, minConfidence - 1), reason: 'Estimate not stable yet' };
+  }
+  if (!crossCheck.agree && !irregular) {
+    return { ...result, confidence: Math.min(result.confidence, minConfidence - 1), reason: 'Time and frequency estimates disagree' };
+  }
+
+  const converged = overall.confidence >= minConfidence;
+  return { ...result, converged, reason: converged ? 'Converged' : 'Low confidence' };
+}
@@ -0,0 +1,140 @@
+// src/modules/ppg/dsp/hrv.js
+// Beat-to-beat (RR) interval extraction and heart rate variability metrics.
+import { detrend } from './filters.js';
+import { welch } from './spectrum.js';
+import { interpolateUniform } from './timing.js';
+
+// Minimum recording length (seconds) for each metric to be reported as valid.
+// RMSSD is usable from ultra-short (~10 s) recordings; SDNN and pNN50 need
+// longer, and LF/HF needs several LF cycles (0.04 Hz = 25 s period).
+export const HRV_MIN_DURATION_SEC = {
+  meanHR: 5,
+  rmssd: 10,
+  pnn50: 30,
+  sdnn: 60,
+  lfHf: 120,
+};
+
+/**
+ * Turn beat times into a cleaned RR series. Intervals outside the
+ * physiological range, or deviating more than `maxDeviation` from the median
+ * of their neighbours (missed or extra beats), are dropped.
+ * @param {Array<number>} beatTimes - Beat times in ms
+ * @param {Object} options - { minMs, maxMs, maxDeviation }
+ * @returns {Object} { intervals: [{ time, interval, index }], removed, total }
+ *   where `index` is the position in the raw series (gaps mark removed beats)
+ */
+export function extractRRIntervals(beatTimes, { minMs = 300, maxMs = 2000, maxDeviation = 0.2 } = {}) {
+  const raw = [];
+  for (let i = 1; i < (beatTimes || []).length; i++) {
+    raw.push({ time: beatTimes[i], interval: beatTimes[i] - beatTimes[i - 1], index: i - 1 });
+  }
+
+  const inRange = raw.filter(rr => rr.interval >= minMs && rr.interval <= maxMs);
+  const intervals = inRange.filter((rr, i) => {
+    const neighbours = inRange
+      .slice(Math.max(0, i - 2), i + 3)
+      .filter(other => other !== rr)
+      .map(other => other.interval)
+      .sort((a, b) => a - b);
+    if (neighbours.length < 2) return true;
+    const median = neighbours[Math.floor(neighbours.length / 2)];
+    return Math.abs(rr.interval - median) <= median * maxDeviation;
+  });
+
+  return { intervals, removed: raw.length - intervals.length, total: raw.length };
+}
+
+/**
+ * Resample an RR tachogram onto a uniform grid by linear interpolation
+ * @param {Array<Object>} intervals - [{ time, interval }] in ms
+ * @param {number} rate - Output rate in Hz
+ * @returns {Array<number>} Interval values (ms) at 1/rate spacing
+ */
+export function resampleTachogram(intervals, rate = 4) {
+  if (!intervals || intervals.length < 2) return [];
+  return interpolateUniform(intervals.map(rr => rr.time), intervals.map(rr => rr.interval), rate).values;
+}
+
+// Integrate a power spectrum between lo and hi Hz
+const integrate = (frequencies, power, lo, hi) => {
+  const df = frequencies[1] - frequencies[0];
+  let sum = 0;
+  for (let k = 0; k < frequencies.length; k++) {
+    if (frequencies[k] >= lo && frequencies[k] < hi) sum += power[k] * df;
+  }
+  return sum;
+};
+
+/**
+ * Standard HRV metrics from beat times. Every metric is returned as
+ * `{ value, valid }`; `valid` is false when the recording is shorter than
+ * HRV_MIN_DURATION_SEC for that metric or too few clean intervals remain.
+ * @param {Array<number>} beatTimes - Beat times in ms
+ * @param {Object} options
+ * @param {number} options.durationMs - Recording length (defaults to the beat span)
+ * @returns {Object} { meanHR, sdnn, rmssd, pnn50, lfHf, lf, hf, rrCount,
+ *   removed, durationSec } - lf / hf are relative band powers, only their
+ *   ratio is meaningful
+ */
+export function computeHRV(beatTimes, { durationMs } = {}) {
+  const { intervals, removed } = extractRRIntervals(beatTimes);
+  const span = beatTimes && beatTimes.length > 1 ? beatTimes[beatTimes.length - 1] - beatTimes[0] : 0;
+  const durationSec = (durationMs ?? span) / 1000;
+  const values = intervals.map(rr => rr.interval);
+
+  // Clean data requirement on top of recording length
+  const cleanEnough = values.length >= 5 && removed <= (values.length + removed) * 0.2;
+  const metric = (value, name) => ({
+    value,
+    valid: value != null && cleanEnough && durationSec >= HRV_MIN_DURATION_SEC[name],
+  });
+
+  if (values.length < 2) {
+    const empty = { value: null, valid: false };
+    return { meanHR: empty, sdnn: empty, rmssd: empty, pnn50: empty, lfHf: empty, lf: null, hf: null, rrCount: values.length, removed, durationSec };
+  }
+
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const sdnn = Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / (values.length - 1));
+
+  // Successive differences only between intervals that were adjacent in the raw series
+  const diffs = [];
+  for (let i = 1; i < intervals.length; i++) {
+    if (intervals[i].index === intervals[i - 1].index + 1) {
+      diffs.push(intervals[i].interval - intervals[i - 1].interval);
+    }
+  }
+  const rmssd = diffs.length
+    ? Math.sqrt(diffs.reduce((sum, d) => sum + d * d, 0) / diffs.length)
+    : null;
+  const pnn50 = diffs.length
+    ? (diffs.filter(d => Math.abs(d) > 50).length / diffs.length) * 100
+    : null;
+
+  // LF/HF from the tachogram resampled at 4 Hz
+  let lf = null;
+  let hf = null;
+  const tachogram = resampleTachogram(intervals, 4);
+  if (tachogram.length >= 64) {
+    const { frequencies, power } = welch(detrend(tachogram), 4, {
+      segmentLength: Math.min(tachogram.length, 256),
+      nfft: 1024,
+    });
+    lf = integrate(frequencies, power, 0.04, 0.15);
+    hf = integrate(frequencies, power, 0.15, 0.4);
+  }
+
+  return {
+    meanHR: metric(60000 / mean, 'meanHR'),
+    sdnn: metric(sdnn, 'sdnn'),
+    rmssd: metric(rmssd, 'rmssd'),
+    pnn50: metric(pnn50, 'pnn50'),
+    lfHf: metric(lf != null && hf > 0 ? lf / hf : null, 'lfHf'),
+    lf,
+    hf,
+    rrCount: values.length,
+    removed,
+    durationSec,
+  };
+}
@@ -0,0 +1,26 @@
+// src/modules/ppg/dsp/index.js
+// Shared PPG signal-processing library. Every capture path (SignalProcessingService,
+// utils/FrameProcessor, HeartRateDetector, BiometricCaptureScreen) goes through
+// these functions so they all produce the same numbers.
+//
+// Modules in this directory are framework-free and import each other with
+// explicit `.js` extensions so they can be loaded directly by Node.
+export * from './constants.js';
+export * from './filters.js';
+export * from './timing.js';
+export * from './peaks.js';
+export * from './heartRate.js';
+export * from './spectrum.js';
+export * from './hrv.js';
+export * from './stress.js';
+export * from './coherence.js';
+export * from './morphology.js';
+export * from './rhythm.js';
+export * from './respiration.js';
+export * from './sqi.js';
+export * from './contact.js';
+export * from './tracker.js';
+export * from './convergence.js';
+export * from './capture.js';
+export * from './stream.js';
+export * from './worklet.js';
@@ -0,0 +1,289 @@
+// src/modules/ppg/dsp/morphology.js
+// Pulse waveform morphology from a reading: beats are cut out of a wideband
+// filtered signal, averaged into a template, and shape features are measured
+// on the template.
+//
+// Blood volume rises as luma falls, so the signal is inverted first: the
+// template starts at the beat's foot (intersecting tangents, as in pulse
+// wave analysis) and its systolic peak is 1. Beats are sampled
+// onto a fine time grid relative to their own foot; because frame times
+// fall at a different phase in every beat, the average resolves the shape
+// better than a single 30 fps beat does.
+//
+// Features (Millasseau et al. 2002, Elgendi 2012):
+//  - rise time: foot to systolic peak (the tangent foot is later than the
+//    true onset, so this is shorter than onset-to-peak)
+//  - pulse width: width at half the systolic amplitude
+//  - dicrotic notch: local minimum after the systolic peak (often missing in
+//    fingertip PPG, particularly in stiffer arteries)
+//  - diastolic point: peak after the notch, or the inflection where the
+//    downslope flattens when there is no distinct peak
+//  - reflection index: diastolic height / systolic height
+//  - stiffness index: subject height / systolic-to-diastolic time (m/s);
+//    needs the height, so it is only computed when one is given
+import { bandpassFilter } from './filters.js';
+import { detectBeats } from './heartRate.js';
+
+export const MORPHOLOGY_REASONS = {
+  OK: 'OK',
+  LOW_SAMPLE_RATE: 'Sample rate too low for pulse shape',
+  TOO_FEW_BEATS: 'Not enough consistent beats',
+  NO_NOTCH: 'No dicrotic notch',
+  NO_DIASTOLIC: 'No diastolic wave',
+  NO_HEIGHT: 'Subject height needed for stiffness index',
+};
+
+// Template resolution
+const STEP_MS = 5;
+
+const interpolate = (times, values, t) => {
+  if (t <= times[0]) return values[0];
+  if (t >= times[times.length - 1]) return values[values.length - 1];
+  let lo = 0;
+  let hi = times.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (times[mid] <= t) lo = mid;
+    else hi = mid;
+  }
+  const f = (t - times[lo]) / (times[hi] - times[lo]);
+  return values[lo] + f * (values[hi] - values[lo]);
+};
+
+const correlation = (a, b) => {
+  const n = Math.min(a.length, b.length);
+  const meanA = a.slice(0, n).reduce((sum, v) => sum + v, 0) / n;
+  const meanB = b.slice(0, n).reduce((sum, v) => sum + v, 0) / n;
+  let cov = 0;
+  let varA = 0;
+  let varB = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (a[i] - meanA) * (b[i] - meanB);
+    varA += Math.pow(a[i] - meanA, 2);
+    varB += Math.pow(b[i] - meanB, 2);
+  }
+  return varA > 0 && varB > 0 ? cov / Math.sqrt(varA * varB) : 0;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+// Central-difference derivative, lightly smoothed (3-point average)
+const derivative = (values) => {
+  const raw = values.map((_, i) => {
+    const prev = values[Math.max(0, i - 1)];
+    const next = values[Math.min(values.length - 1, i + 1)];
+    return (next - prev) / 2;
+  });
+  return raw.map((_, i) => (raw[Math.max(0, i - 1)] + raw[i] + raw[Math.min(raw.length - 1, i + 1)]) / 3);
+};
+
+/**
+ * Measure shape features on a normalized beat template
+ * @param {Array<number>} template - Foot at index 0, systolic peak 1
+ * @param {Object} options - { stepMs, heightCm }
+ * @returns {Object} { features, reasons } - each feature is { value, valid }
+ */
+export function measurePulseFeatures(template, { stepMs = STEP_MS, heightCm = null } = {}) {
+  const reasons = [];
+  const n = template.length;
+  const at = (i) => i * stepMs;
+  const metric = (value, valid = value != null) => ({ value, valid: valid && value != null });
+
+  // Systolic peak: the maximum in the first 60% of the beat
+  let peak = 0;
+  for (let i = 1; i < Math.floor(n * 0.6); i++) {
+    if (template[i] > template[peak]) peak = i;
+  }
+
+  // Half-amplitude crossings either side of the peak
+  const half = template[peak] / 2;
+  let up = peak;
+  while (up > 0 && template[up] > half) up--;
+  let down = peak;
+  while (down < n - 1 && template[down] > half) down++;
+  const pulseWidth = down < n - 1 ? at(down) - at(up) : null;
+
+  // Dicrotic notch: first local minimum at least 60 ms past the peak and in
+  // the first 75% of the beat
+  const searchStart = peak + Math.round(60 / stepMs);
+  const searchEnd = Math.floor(n * 0.75);
+  let notch = null;
+  for (let i = Math.max(searchStart, 1); i < searchEnd; i++) {
+    if (template[i] < template[i - 1] && template[i] <= template[i + 1]) {
+      notch = i;
+      break;
+    }
+  }
+
+  // Diastolic point: the next local maximum after the notch; without one,
+  // the inflection where the downslope is flattest (a local maximum of the
+  // first derivative while it is still negative)
+  let diastolic = null;
+  let diastolicType = null;
+  if (notch !== null) {
+    for (let i = notch + 1; i < searchEnd; i++) {
+      if (template[i] > template[i - 1] && template[i] >= template[i + 1]) {
+        diastolic = i;
+        diastolicType = 'peak';
+        break;
+      }
+    }
+  }
+  if (diastolic === null) {
+    const slope = derivative(template);
+    for (let i = Math.max(searchStart, 1); i < searchEnd; i++) {
+      if (slope[i] > slope[i - 1] && slope[i] >= slope[i + 1] && slope[i] < 0) {
+        diastolic = i;
+        diastolicType = 'inflection';
+        break;
+      }
+    }
+  }
+
+  if (notch === null) reasons.push(MORPHOLOGY_REASONS.NO_NOTCH);
+  if (diastolic === null) reasons.push(MORPHOLOGY_REASONS.NO_DIASTOLIC);
+
+  const peakToPeak = diastolic !== null ? at(diastolic) - at(peak) : null;
+  // Reflected wave arrives 100-500 ms after the systolic peak in adults
+  const peakToPeakValid = peakToPeak !== null && peakToPeak >= 100 && peakToPeak <= 500;
+  if (!heightCm) reasons.push(MORPHOLOGY_REASONS.NO_HEIGHT);
+
+  return {
+    features: {
+      riseTimeMs: metric(at(peak), peak > 0),
+      pulseWidthMs: metric(pulseWidth),
+      notchTimeMs: metric(notch !== null ? at(notch) : null),
+      notchHeight: metric(notch !== null ? template[notch] : null),
+      diastolicTimeMs: metric(diastolic !== null ? at(diastolic) : null),
+      peakToPeakMs: metric(peakToPeak, peakToPeakValid),
+      reflectionIndex: metric(diastolic !== null ? template[diastolic] / template[peak] : null, peakToPeakValid),
+      stiffnessIndex: metric(
+        heightCm && peakToPeakValid ? heightCm / 100 / (peakToPeak / 1000) : null,
+        peakToPeakValid
+      ),
+    },
+    diastolicType,
+    reasons,
+  };
+}
+
+/**
+ * Average beat template and pulse shape features for a reading
+ * @param {Array<number>} values - Raw PPG (luma) values
+ * @param {Array<number>} timestamps - Sample times in ms
+ * @param {Object} options
+ * @param {number} options.heightCm - Subject height, for the stiffness index
+ * @param {number} options.minBeats - Consistent beats needed for a template
+ * @param {number} options.minCorrelation - Beats less correlated with the
+ *   provisional template than this are left out
+ * @returns {Object} { valid, reason, reasons, beatsUsed, beatsRejected,
+ *   templateCorrelation, durationMs, template: { stepMs, values },
+ *   features, diastolicType } - valid/reason are about the template;
+ *   reasons also lists features that couldn't be measured. Without a
+ *   template, features is null.
+ */
+export function analyzeMorphology(values, timestamps, { heightCm = null, minBeats = 5, minCorrelation = 0.9 } = {}) {
+  const fail = (reason, extra = {}) => ({
+    valid: false,
+    reason,
+    reasons: [reason],
+    beatsUsed: 0,
+    beatsRejected: 0,
+    templateCorrelation: 0,
+    durationMs: 0,
+    template: null,
+    features: null,
+    diastolicType: null,
+    ...extra,
+  });
+
+  const { beatTimes, sampleRate, times, values: gridValues } = detectBeats(values, timestamps);
+  if (!sampleRate || sampleRate < 20) return fail(MORPHOLOGY_REASONS.LOW_SAMPLE_RATE);
+  if (beatTimes.length < minBeats + 1) return fail(MORPHOLOGY_REASONS.TOO_FEW_BEATS);
+
+  // Wideband and inverted, so the notch and diastolic wave survive
+  const wide = bandpassFilter(gridValues, 0.4, Math.min(10, sampleRate * 0.4), sampleRate, { zeroPhase: true })
+    .map(v => -v);
+
+  // Refine each foot by intersecting tangents: the steepest point of the
+  // upstroke near the detected beat, projected back along its tangent to the
+  // level of the minimum before it. The minimum alone sits on a nearly flat
+  // diastolic tail, where noise moves it by tens of milliseconds.
+  const feet = beatTimes.map((beat) => {
+    let steepest = beat;
+    let maxSlope = -Infinity;
+    for (let t = beat - 150; t <= beat + 250; t += STEP_MS) {
+      const slope = (interpolate(times, wide, t + STEP_MS) - interpolate(times, wide, t - STEP_MS)) / (2 * STEP_MS);
+      if (slope > maxSlope) {
+        maxSlope = slope;
+        steepest = t;
+      }
+    }
+    let floor = Infinity;
+    for (let t = steepest - 200; t <= steepest; t += STEP_MS) {
+      floor = Math.min(floor, interpolate(times, wide, t));
+    }
+    const time = maxSlope > 0 ? steepest - (interpolate(times, wide, steepest) - floor) / maxSlope : steepest;
+    return { time, level: floor };
+  });
+
+  const intervals = feet.slice(1).map((foot, i) => foot.time - feet[i].time);
+  const typical = median(intervals);
+  const length = Math.floor(typical / STEP_MS);
+
+  // Cut out beats of typical length, with the baseline between consecutive
+  // foot levels removed and the amplitude normalized
+  const beats = [];
+  let rejected = 0;
+  for (let i = 0; i < intervals.length; i++) {
+    const foot = feet[i];
+    const next = feet[i + 1];
+    if (Math.abs(intervals[i] - typical) > typical * 0.2 || foot.time < times[0] || next.time > times[times.length - 1]) {
+      rejected++;
+      continue;
+    }
+    const beat = [];
+    for (let k = 0; k < length; k++) {
+      const t = foot.time + k * STEP_MS;
+      beat.push(interpolate(times, wide, t) - (foot.level + ((next.level - foot.level) * k * STEP_MS) / intervals[i]));
+    }
+    const amplitude = Math.max(...beat);
+    if (!(amplitude > 0)) {
+      rejected++;
+      continue;
+    }
+    beats.push(beat.map(v => v / amplitude));
+  }
+  if (beats.length < minBeats) return fail(MORPHOLOGY_REASONS.TOO_FEW_BEATS, { beatsRejected: rejected });
+
+  // Provisional template from the pointwise median, then average the beats
+  // that look like it
+  const provisional = Array.from({ length }, (_, k) => median(beats.map(beat => beat[k])));
+  const scored = beats.map(beat => ({ beat, r: correlation(beat, provisional) }));
+  const consistent = scored.filter(s => s.r >= minCorrelation);
+  rejected += scored.length - consistent.length;
+  if (consistent.length < minBeats) return fail(MORPHOLOGY_REASONS.TOO_FEW_BEATS, { beatsRejected: rejected });
+
+  const averaged = Array.from({ length }, (_, k) => consistent.reduce((sum, s) => sum + s.beat[k], 0) / consistent.length);
+  const peakValue = Math.max(...averaged);
+  const template = averaged.map(v => Math.round((v / peakValue) * 10000) / 10000);
+  const templateCorrelation = consistent.reduce((sum, s) => sum + s.r, 0) / consistent.length;
+
+  const { features, diastolicType, reasons } = measurePulseFeatures(template, { stepMs: STEP_MS, heightCm });
+
+  return {
+    valid: true,
+    reason: MORPHOLOGY_REASONS.OK,
+    reasons,
+    beatsUsed: consistent.length,
+    beatsRejected: rejected,
+    templateCorrelation,
+    durationMs: length * STEP_MS,
+    template: { stepMs: STEP_MS, values: template },
+    features,
+    diastolicType,
+  };
+}
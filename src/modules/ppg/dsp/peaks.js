@@ -0,0 +1,69 @@
+// src/modules/ppg/dsp/peaks.js
+// Peak detection for band-passed PPG signals.
+
+/**
+ * Prominence of a local maximum: height above the higher of the two
+ * surrounding minima. Each side is searched until a higher sample or
+ * `window` samples, whichever comes first.
+ * @param {Array<number>} values - Signal
+ * @param {number} index - Index of the peak
+ * @param {number} window - Maximum search distance in samples
+ * @returns {number} Prominence in signal units
+ */
+export function calculateProminence(values, index, window = 10) {
+  const peak = values[index];
+
+  let leftMin = peak;
+  for (let i = index - 1; i >= Math.max(0, index - window) && values[i] <= peak; i--) {
+    leftMin = Math.min(leftMin, values[i]);
+  }
+  let rightMin = peak;
+  for (let i = index + 1; i <= Math.min(values.length - 1, index + window) && values[i] <= peak; i++) {
+    rightMin = Math.min(rightMin, values[i]);
+  }
+  return peak - Math.max(leftMin, rightMin);
+}
+
+/**
+ * Find beat peaks. Local maxima are ranked by prominence and accepted greedily,
+ * so within `minDistance` the most prominent peak wins rather than the first.
+ * @param {Array<number>} values - Band-passed signal
+ * @param {Object} options
+ * @param {number} options.minDistance - Minimum peak spacing in samples
+ * @param {number} options.threshold - Minimum prominence as a fraction of the
+ *   signal's robust range (5th-95th percentile)
+ * @returns {Array<number>} Peak indices in ascending order
+ */
+export function findPeaks(values, { minDistance = 1, threshold = 0.3 } = {}) {
+  if (!values || values.length < 3) return [];
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const p5 = sorted[Math.floor(sorted.length * 0.05)];
+  const p95 = sorted[Math.floor(sorted.length * 0.95)];
+  const range = p95 - p5;
+  if (!(range > 0)) return [];
+
+  const minProminence = range * threshold;
+  // Look far enough to span a full beat at the slowest plausible rate
+  const window = Math.max(2, Math.round(minDistance * 5));
+  const candidates = [];
+
+  for (let i = 1; i < values.length - 1; i++) {
+    if (values[i] > values[i - 1] && values[i] >= values[i + 1]) {
+      const prominence = calculateProminence(values, i, window);
+      if (prominence >= minProminence) {
+        candidates.push({ index: i, prominence });
+      }
+    }
+  }
+
+  candidates.sort((a, b) => b.prominence - a.prominence);
+  const accepted = [];
+  for (const candidate of candidates) {
+    if (accepted.every(index => Math.abs(index - candidate.index) >= minDistance)) {
+      accepted.push(candidate.index);
+    }
+  }
+
+  return accepted.sort((a, b) => a - b);
+}
@@ -0,0 +1,119 @@
+// src/modules/ppg/dsp/respiration.js
+// Respiratory rate from the PPG waveform.
+//
+// Breathing modulates the PPG in three ways, each sampled once per beat:
+//  - baseline wander (BW): the mean level drifts with intrathoracic pressure
+//  - amplitude modulation (AM): pulse amplitude falls on inspiration
+//  - frequency modulation (FM): heart rate rises on inspiration (respiratory
+//    sinus arrhythmia), visible in the RR intervals
+// Each beat series is resampled to 4 Hz and its dominant frequency in the
+// breathing band is taken; the three are then fused by quality.
+import { detectBeats } from './heartRate.js';
+import { interpolateUniform } from './timing.js';
+import { dominantFrequency } from './spectrum.js';
+
+const SERIES_RATE = 4; // Hz
+
+/**
+ * Per-beat respiratory modulation series
+ * @param {Array<number>} values - Raw PPG values
+ * @param {Array<number>} timestamps - Sample times in ms
+ * @returns {Object} { times, baseline, amplitude, interval, heartRateHz }
+ */
+export function extractRespiratorySeries(values, timestamps) {
+  // Peaks index the resampled grid, so read levels and times from it too
+  const { peaks, filtered, times, values: uniform } = detectBeats(values, timestamps);
+  const series = { times: [], baseline: [], amplitude: [], interval: [], heartRateHz: 0 };
+  if (peaks.length < 3) return series;
+
+  for (let i = 1; i < peaks.length; i++) {
+    const start = peaks[i - 1];
+    const end = peaks[i];
+    let sum = 0;
+    let trough = Infinity;
+    for (let j = start; j < end; j++) {
+      sum += uniform[j];
+      trough = Math.min(trough, filtered[j]);
+    }
+    series.times.push(times[end]);
+    series.baseline.push(sum / (end - start));
+    series.amplitude.push(filtered[end] - trough);
+    series.interval.push(times[end] - times[start]);
+  }
+
+  const meanInterval = series.interval.reduce((sum, v) => sum + v, 0) / series.interval.length;
+  series.heartRateHz = 1000 / meanInterval;
+  return series;
+}
+
+/**
+ * Estimate breathing rate from one modulation series
+ * @param {Array<number>} times - Beat times in ms
+ * @param {Array<number>} series - Per-beat values
+ * @param {number} minHz - Breathing band lower edge
+ * @param {number} maxHz - Breathing band upper edge
+ * @returns {Object} { rate (breaths/min), quality (0-1) }
+ */
+export function estimateModulationRate(times, series, minHz, maxHz) {
+  const { values } = interpolateUniform(times, series, SERIES_RATE);
+  const { frequency, prominence } = dominantFrequency(values, SERIES_RATE, minHz, maxHz);
+  return frequency ? { rate: frequency * 60, quality: prominence } : { rate: null, quality: 0 };
+}
+
+/**
+ * Respiratory rate from a PPG recording, fused from baseline wander,
+ * amplitude modulation and frequency modulation.
+ *
+ * The fused rate is the quality-weighted mean of the modality estimates that
+ * pass `minQuality`; the fused quality is their mean quality, reduced when
+ * they disagree (by 1/4 per breath/min of weighted spread) and when fewer
+ * than three modalities contribute.
+ *
+ * @param {Array<number>} values - Raw PPG values
+ * @param {Array<number>} timestamps - Sample times in ms
+ * @param {Object} options - { minDurationSec, minRate, maxRate, minQuality }
+ * @returns {Object} { rate (breaths/min), quality (0-1), estimates: {
+ *   baseline, amplitude, frequency }, reason }
+ */
+export function estimateRespiratoryRate(values, timestamps, options = {}) {
+  const { minDurationSec = 20, minRate = 6, maxRate = 30, minQuality = 0.2 } = options;
+  const empty = { rate: null, quality: 0 };
+  const fail = (reason, estimates = { baseline: empty, amplitude: empty, frequency: empty }) => (
+    { rate: null, quality: 0, estimates, reason }
+  );
+
+  if (!values || values.length < 2) return fail('Not enough samples');
+  if ((timestamps[timestamps.length - 1] - timestamps[0]) / 1000 < minDurationSec) {
+    return fail('Recording too short');
+  }
+
+  const series = extractRespiratorySeries(values, timestamps);
+  if (series.times.length < 8) return fail('Not enough beats detected');
+
+  // A per-beat series can't represent anything above half the heart rate
+  const minHz = minRate / 60;
+  const maxHz = Math.min(maxRate / 60, series.heartRateHz / 2);
+  const estimates = {
+    baseline: estimateModulationRate(series.times, series.baseline, minHz, maxHz),
+    amplitude: estimateModulationRate(series.times, series.amplitude, minHz, maxHz),
+    frequency: estimateModulationRate(series.times, series.interval, minHz, maxHz),
+  };
+
+  const usable = Object.values(estimates).filter(e => e.rate != null && e.quality >= minQuality);
+  if (usable.length === 0) return fail('No clear respiratory modulation', estimates);
+
+  const weight = usable.reduce((sum, e) => sum + e.quality, 0);
+  const rate = usable.reduce((sum, e) => sum + e.rate * e.quality, 0) / weight;
+  const spread = Math.sqrt(usable.reduce((sum, e) => sum + e.quality * Math.pow(e.rate - rate, 2), 0) / weight);
+
+  const meanQuality = weight / usable.length;
+  const quality = meanQuality * Math.max(0, 1 - spread / 4) * Math.sqrt(usable.length / 3);
+  if (quality < minQuality) return fail('Respiratory estimates disagree', estimates);
+
+  return {
+    rate: Math.round(rate * 10) / 10,
+    quality: Math.round(quality * 100) / 100,
+    estimates,
+    reason: 'OK',
+  };
+}
@@ -0,0 +1,153 @@
+// src/modules/ppg/dsp/rhythm.js
+// Beat-to-beat rhythm classification.
+//
+// A variable pulse isn't necessarily a bad reading. Each RR interval is
+// compared with the median of its neighbours; recognisable one-off patterns
+// are corrected:
+//  - premature beat: a short interval followed by a compensatory long one
+//    that together span two normal beats
+//  - missed beat: one interval spanning two normal beats - usually a premature
+//    beat too weak to produce a pulse
+//  - extra detection: two short intervals that together span one normal beat
+//    (a detection artifact, not a heart beat)
+// If the corrected series is steady the rhythm is regular (or regular with
+// occasional ectopic beats); if it still deviates often, or corrections are
+// needed everywhere, it is persistently irregular.
+//
+// This describes the recording, not the heart - the messages are worded so
+// they never read as a diagnosis.
+import { MIN_BPM, MAX_BPM } from './constants.js';
+
+export const RHYTHM = {
+  UNKNOWN: 'unknown',
+  REGULAR: 'regular',
+  ECTOPIC: 'ectopic',
+  IRREGULAR: 'irregular',
+};
+
+export const RHYTHM_MESSAGES = {
+  [RHYTHM.UNKNOWN]: null,
+  [RHYTHM.REGULAR]: null,
+  [RHYTHM.ECTOPIC]: 'A few early or skipped beats were detected and smoothed over. Occasional extra beats are common.',
+  [RHYTHM.IRREGULAR]: 'Your pulse looked irregular during this reading. This is not a medical assessment - ' +
+    'if you notice this often or feel unwell, consider checking with a healthcare professional.',
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+// Median of the intervals around index i (i itself excluded)
+const localReference = (intervals, i, halfWidth) => {
+  const neighbours = [
+    ...intervals.slice(Math.max(0, i - halfWidth), i),
+    ...intervals.slice(i + 1, i + 1 + halfWidth),
+  ];
+  return neighbours.length ? median(neighbours) : intervals[i];
+};
+
+/**
+ * Classify the rhythm of a beat series and correct one-off ectopic or
+ * detection errors
+ * @param {Array<number>} beatTimes - Beat times in ms
+ * @param {Object} options - { minIntervals, halfWidth, deviation,
+ *   maxIrregularFraction, maxCorrectionFraction }
+ * @returns {Object} { rhythm, bpm, ectopicCount, corrections: [{ index, type }],
+ *   correctedBeatTimes, correctedIntervals, irregularFraction, message } -
+ *   corrections are 'premature', 'missed' or 'extra'; ectopicCount counts
+ *   the first two
+ */
+export function classifyRhythm(beatTimes, options = {}) {
+  const {
+    minIntervals = 6,
+    halfWidth = 4,
+    deviation = 0.2,
+    maxIrregularFraction = 0.2,
+    maxCorrectionFraction = 0.2,
+  } = options;
+
+  const minMs = 60000 / MAX_BPM / 2; // allow extra detections through to be merged
+  const maxMs = (60000 / MIN_BPM) * 2; // and missed beats to be split
+  const times = (beatTimes || []).filter((t, i, all) => i === 0 || t - all[i - 1] >= minMs);
+  const intervals = [];
+  for (let i = 1; i < times.length; i++) intervals.push(times[i] - times[i - 1]);
+
+  const result = {
+    rhythm: RHYTHM.UNKNOWN,
+    bpm: null,
+    ectopicCount: 0,
+    corrections: [],
+    correctedBeatTimes: times,
+    correctedIntervals: intervals,
+    irregularFraction: 0,
+    message: RHYTHM_MESSAGES[RHYTHM.UNKNOWN],
+  };
+  if (intervals.length < minIntervals || intervals.some(rr => rr > maxMs)) {
+    if (intervals.length >= 3) result.bpm = Math.round(60000 / median(intervals));
+    return result;
+  }
+
+  // Correct recognisable one-off patterns, rebuilding the beat list
+  const corrected = [times[0]];
+  const corrections = [];
+  for (let i = 0; i < intervals.length; i++) {
+    const rr = intervals[i];
+    const next = intervals[i + 1];
+    const ref = localReference(intervals, i, halfWidth);
+
+    if (next !== undefined && rr < ref * (1 - deviation) && next > ref * (1 + deviation / 2) &&
+        Math.abs(rr + next - 2 * ref) < ref * deviation) {
+      // Premature beat + compensatory pause: move the early beat to the midpoint
+      corrected.push(times[i] + (rr + next) / 2, times[i + 2]);
+      corrections.push({ index: i + 1, type: 'premature' });
+      i++;
+    } else if (next !== undefined && rr < ref * (1 - deviation) && Math.abs(rr + next - ref) < ref * deviation) {
+      // Spurious peak between two real beats: drop it
+      corrected.push(times[i + 2]);
+      corrections.push({ index: i + 1, type: 'extra' });
+      i++;
+    } else if (Math.abs(rr - 2 * ref) < ref * deviation) {
+      // One beat went undetected: put it back halfway
+      corrected.push(times[i] + rr / 2, times[i + 1]);
+      corrections.push({ index: i + 1, type: 'missed' });
+    } else {
+      corrected.push(times[i + 1]);
+    }
+  }
+
+  const correctedIntervals = [];
+  for (let i = 1; i < corrected.length; i++) correctedIntervals.push(corrected[i] - corrected[i - 1]);
+
+  let deviating = 0;
+  for (let i = 0; i < correctedIntervals.length; i++) {
+    const ref = localReference(correctedIntervals, i, halfWidth);
+    if (Math.abs(correctedIntervals[i] - ref) > ref * deviation) deviating++;
+  }
+  const irregularFraction = deviating / correctedIntervals.length;
+  const correctionFraction = corrections.length / intervals.length;
+  const ectopicCount = corrections.filter(c => c.type !== 'extra').length;
+
+  let rhythm = RHYTHM.REGULAR;
+  if (irregularFraction > maxIrregularFraction || correctionFraction > maxCorrectionFraction) {
+    rhythm = RHYTHM.IRREGULAR;
+  } else if (ectopicCount > 0) {
+    rhythm = RHYTHM.ECTOPIC;
+  }
+
+  // An irregular rhythm has no typical interval - report the average rate
+  const bpm = rhythm === RHYTHM.IRREGULAR
+    ? Math.round((60000 * intervals.length) / (times[times.length - 1] - times[0]))
+    : Math.round(60000 / median(correctedIntervals));
+
+  return {
+    rhythm,
+    bpm,
+    ectopicCount,
+    corrections,
+    correctedBeatTimes: corrected,
+    correctedIntervals,
+    irregularFraction,
+    message: RHYTHM_MESSAGES[rhythm],
+  };
+}
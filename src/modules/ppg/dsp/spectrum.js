@@ -0,0 +1,245 @@
+// src/modules/ppg/dsp/spectrum.js
+// Frequency-domain heart rate estimation (Welch periodogram).
+import { detrend } from './filters.js';
+import { resampleUniform } from './timing.js';
+
+/**
+ * In-place iterative radix-2 FFT
+ * @param {Array<number>} re - Real parts (length must be a power of two)
+ * @param {Array<number>} im - Imaginary parts
+ */
+export function fft(re, im) {
+  const n = re.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size;
+    const wRe = Math.cos(angle);
+    const wIm = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let curRe = 1;
+      let curIm = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * curRe - im[b] * curIm;
+        const tIm = re[b] * curIm + im[b] * curRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = nextRe;
+      }
+    }
+  }
+}
+
+const nextPowerOfTwo = (n) => Math.pow(2, Math.ceil(Math.log2(Math.max(2, n))));
+
+/**
+ * Welch power spectral density: Hann-windowed, overlapping, zero-padded segments
+ * @param {Array<number>} values - Uniformly sampled signal
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} options
+ * @param {number} options.segmentLength - Segment length in samples (default: whole signal, max 256)
+ * @param {number} options.overlap - Segment overlap fraction (0-1)
+ * @param {number} options.nfft - FFT size (zero padding), at least the segment length
+ * @returns {Object} { frequencies, power } for bins 0..nfft/2
+ */
+export function welch(values, sampleRate, { segmentLength, overlap = 0.5, nfft } = {}) {
+  const segLen = Math.min(values.length, segmentLength || 256);
+  const size = Math.max(nextPowerOfTwo(segLen), nfft ? nextPowerOfTwo(nfft) : 1024);
+  const step = Math.max(1, Math.floor(segLen * (1 - overlap)));
+  const bins = size / 2 + 1;
+  const power = new Array(bins).fill(0);
+
+  const hann = [];
+  for (let i = 0; i < segLen; i++) {
+    hann.push(0.5 - 0.5 * Math.cos(2 * Math.PI * i / Math.max(1, segLen - 1)));
+  }
+
+  let segments = 0;
+  for (let start = 0; start + segLen <= values.length; start += step) {
+    const segment = detrend(values.slice(start, start + segLen));
+    const re = new Array(size).fill(0);
+    const im = new Array(size).fill(0);
+    for (let i = 0; i < segLen; i++) re[i] = segment[i] * hann[i];
+    fft(re, im);
+    for (let k = 0; k < bins; k++) power[k] += re[k] * re[k] + im[k] * im[k];
+    segments++;
+  }
+
+  const frequencies = [];
+  for (let k = 0; k < bins; k++) {
+    frequencies.push(k * sampleRate / size);
+    if (segments) power[k] /= segments;
+  }
+
+  return { frequencies, power };
+}
+
+// Sum of power within +/- `width` Hz of `frequency`
+const bandPower = (frequencies, power, frequency, width) => {
+  let sum = 0;
+  for (let k = 0; k < frequencies.length; k++) {
+    if (Math.abs(frequencies[k] - frequency) <= width) sum += power[k];
+  }
+  return sum;
+};
+
+// Index of a local spectral maximum within +/- `width` Hz of `frequency`, or -1
+const localPeakNear = (power, frequencies, frequency, width) => {
+  let best = -1;
+  for (let k = 1; k < frequencies.length - 1; k++) {
+    if (Math.abs(frequencies[k] - frequency) > width) continue;
+    if (power[k] > power[k - 1] && power[k] >= power[k + 1] && (best < 0 || power[k] > power[best])) {
+      best = k;
+    }
+  }
+  return best;
+};
+
+/**
+ * Strongest spectral peak inside a band
+ * @param {Array<number>} values - Uniformly sampled signal
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} minHz - Band lower edge
+ * @param {number} maxHz - Band upper edge
+ * @returns {Object} { frequency, prominence } - prominence is the share of
+ *   in-band power within one main lobe of the peak (0-1); frequency is null if
+ *   the band holds no local maximum
+ */
+export function dominantFrequency(values, sampleRate, minHz, maxHz) {
+  if (!values || values.length < 16 || !(sampleRate > 0)) return { frequency: null, prominence: 0 };
+
+  const { frequencies, power } = welch(values, sampleRate, { segmentLength: values.length });
+  const k = localPeakNear(power, frequencies, (minHz + maxHz) / 2, (maxHz - minHz) / 2);
+  if (k < 0) return { frequency: null, prominence: 0 };
+
+  const lobe = 2 * sampleRate / values.length;
+  const inBand = bandPower(frequencies, power, (minHz + maxHz) / 2, (maxHz - minHz) / 2);
+  const [a, b, c] = [power[k - 1], power[k], power[k + 1]];
+  const denom = a - 2 * b + c;
+  const frequency = frequencies[k] + (denom !== 0 ? 0.5 * (a - c) / denom : 0) * frequencies[1];
+
+  return {
+    frequency,
+    prominence: inBand > 0 ? Math.min(1, bandPower(frequencies, power, frequency, lobe) / inBand) : 0,
+  };
+}
+
+// Share of the spectral confidence that depends on harmonic support: a
+// cardiac peak with no 2x harmonic keeps the rest
+const HARMONIC_CONFIDENCE_WEIGHT = 0.25;
+
+/**
+ * Dominant cardiac frequency from the Welch spectrum.
+ *
+ * The strongest peak in [minHz, maxHz] is checked against its subharmonic: a
+ * strong dicrotic notch can put more energy at 2x the pulse rate than at the
+ * pulse rate itself, so if f/2 is in band and carries a substantial share of
+ * the peak's power, f/2 is taken as the fundamental. How substantial depends
+ * on the peak's own 2x harmonic: a real pulse has one, while a dicrotic 2x
+ * component has little at 4x, so a peak without harmonic support yields to
+ * its subharmonic more readily. The chosen frequency's harmonic support
+ * also scales the confidence.
+ *
+ * @param {Array<number>} values - PPG values (resampled onto a uniform grid here)
+ * @param {Array<number>} timestamps - Sample times in ms
+ * @param {Object} options - { minHz, maxHz, subharmonicRatio } -
+ *   subharmonicRatio is the f/2 share needed at a harmonic support of 0.5
+ * @returns {Object} { bpm, frequency, confidence (0-100), prominence (0-1),
+ *   harmonicSupport (0-1), reason }
+ */
+export function estimateSpectralHeartRate(values, timestamps, options = {}) {
+  const { minHz = 0.5, maxHz = 3.5, subharmonicRatio = 0.4 } = options;
+  const fail = (reason) => ({ bpm: null, frequency: null, confidence: 0, prominence: 0, harmonicSupport: 0, reason });
+
+  if (!values || values.length < 64) return fail('Not enough samples');
+  const grid = resampleUniform(timestamps, values);
+  const sampleRate = grid.rate;
+  if (!sampleRate) return fail('Invalid timestamps');
+
+  // Two or more overlapping segments, each long enough for ~4 slow beats
+  const segmentLength = Math.min(grid.values.length, Math.max(128, Math.round(sampleRate * 8)));
+  const { frequencies, power } = welch(grid.values, sampleRate, { segmentLength });
+  const resolution = frequencies[1];
+
+  let peakIndex = -1;
+  let bandTotal = 0;
+  for (let k = 1; k < frequencies.length - 1; k++) {
+    if (frequencies[k] < minHz || frequencies[k] > maxHz) continue;
+    bandTotal += power[k];
+    if (power[k] > power[k - 1] && power[k] >= power[k + 1] && (peakIndex < 0 || power[k] > power[peakIndex])) {
+      peakIndex = k;
+    }
+  }
+  if (peakIndex < 0 || !(bandTotal > 0)) return fail('No spectral peak in cardiac band');
+
+  // Parabolic interpolation for sub-bin accuracy
+  const interpolate = (k) => {
+    const [a, b, c] = [power[k - 1], power[k], power[k + 1]];
+    const denom = a - 2 * b + c;
+    const shift = denom !== 0 ? 0.5 * (a - c) / denom : 0;
+    return frequencies[k] + shift * resolution;
+  };
+
+  let frequency = interpolate(peakIndex);
+  // Integrate over the main lobe of the Hann window (about 2 bins of the segment)
+  const lobe = 2 * sampleRate / segmentLength;
+  let peakPower = bandPower(frequencies, power, frequency, lobe);
+
+  // Power at 2x `at` relative to `atPower` (0-1)
+  const harmonicSupportOf = (at, atPower) => (at * 2 < sampleRate / 2 && atPower > 0
+    ? Math.min(1, bandPower(frequencies, power, at * 2, lobe) / atPower)
+    : 0);
+  let harmonicSupport = harmonicSupportOf(frequency, peakPower);
+
+  // The subharmonic only counts if it is a spectral peak in its own right
+  const half = frequency / 2;
+  const halfIndex = half >= minHz ? localPeakNear(power, frequencies, half, lobe) : -1;
+  if (halfIndex > 0) {
+    const halfPower = bandPower(frequencies, power, half, lobe);
+    if (halfPower >= peakPower * subharmonicRatio * (0.5 + harmonicSupport)) {
+      frequency = interpolate(halfIndex);
+      peakPower = halfPower;
+      harmonicSupport = harmonicSupportOf(frequency, peakPower);
+    }
+  }
+
+  const prominence = Math.min(1, peakPower / bandTotal);
+  const harmonicWeight = 1 - HARMONIC_CONFIDENCE_WEIGHT * (1 - harmonicSupport);
+
+  return {
+    bpm: Math.round(frequency * 60),
+    frequency,
+    confidence: Math.round(prominence * harmonicWeight * 100),
+    prominence,
+    harmonicSupport,
+    reason: 'OK',
+  };
+}
+
+/**
+ * Compare a time-domain (peak counting) estimate with the spectral one
+ * @param {number|null} timeBpm - Peak-counting estimate
+ * @param {Object} spectral - Result of estimateSpectralHeartRate
+ * @param {number} tolerance - Allowed relative difference
+ * @returns {Object} { agree, difference } - agree is false if either is missing
+ */
+export function crossCheckEstimates(timeBpm, spectral, tolerance = 0.1) {
+  if (!timeBpm || !spectral || !spectral.bpm) return { agree: false, difference: null };
+  const difference = Math.abs(timeBpm - spectral.bpm);
+  return { agree: difference <= Math.max(5, timeBpm * tolerance), difference };
+}
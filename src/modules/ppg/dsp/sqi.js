@@ -0,0 +1,281 @@
+// src/modules/ppg/dsp/sqi.js
+// Signal quality index (SQI) for a window of PPG samples.
+//
+// Five indicators, each mapped to a 0-1 component score:
+//  - template correlation: how alike the individual beats are
+//  - skewness: pulse waves are asymmetric (fast upstroke, slow decay);
+//    noise and motion are not
+//  - perfusion index: pulsatile amplitude relative to the DC level
+//  - clipping: share of samples pinned at the sensor limits or flat-topped
+//  - spectral purity: share of the cardiac band held by the pulse and its
+//    harmonic
+// The overall score is their weighted mean. A window is valid when no
+// indicator is past its failure threshold and the score clears `minScore`.
+import { bandpassFilter } from './filters.js';
+import { detectBeats } from './heartRate.js';
+import { estimateSpectralHeartRate } from './spectrum.js';
+import { analyzeTiming } from './timing.js';
+
+export const SQI_REASONS = {
+  INSUFFICIENT_DATA: 'Insufficient data',
+  NO_PULSE: 'No pulse detected',
+  CLIPPING: 'Signal clipping',
+  LOW_PERFUSION: 'Low perfusion',
+  IRREGULAR_MORPHOLOGY: 'Inconsistent beat shape',
+  NOISE_LIKE: 'Noise-like waveform',
+  LOW_SPECTRAL_PURITY: 'No dominant pulse frequency',
+  FRAME_GAPS: 'Dropped frames',
+  LOW_SCORE: 'Poor signal quality',
+};
+
+const WEIGHTS = {
+  templateCorrelation: 0.3,
+  skewness: 0.15,
+  perfusion: 0.2,
+  clipping: 0.15,
+  spectralPurity: 0.2,
+};
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+
+/**
+ * Mean correlation of each beat with the average beat
+ * @param {Array<number>} filtered - Band-passed signal
+ * @param {Array<number>} peaks - Beat peak indices
+ * @returns {number} Mean Pearson correlation (0-1, negatives clamp to 0)
+ */
+export function templateCorrelation(filtered, peaks) {
+  if (peaks.length < 3) return 0;
+
+  const gaps = [];
+  for (let i = 1; i < peaks.length; i++) gaps.push(peaks[i] - peaks[i - 1]);
+  gaps.sort((a, b) => a - b);
+  const half = Math.floor(gaps[Math.floor(gaps.length / 2)] / 2);
+  if (half < 2) return 0;
+
+  const beats = peaks
+    .filter(p => p - half >= 0 && p + half < filtered.length)
+    .map(p => filtered.slice(p - half, p + half + 1));
+  if (beats.length < 2) return 0;
+
+  const length = 2 * half + 1;
+  const template = new Array(length).fill(0);
+  for (const beat of beats) {
+    for (let j = 0; j < length; j++) template[j] += beat[j] / beats.length;
+  }
+
+  const correlate = (a, b) => {
+    const meanA = a.reduce((sum, v) => sum + v, 0) / length;
+    const meanB = b.reduce((sum, v) => sum + v, 0) / length;
+    let cov = 0;
+    let varA = 0;
+    let varB = 0;
+    for (let j = 0; j < length; j++) {
+      cov += (a[j] - meanA) * (b[j] - meanB);
+      varA += Math.pow(a[j] - meanA, 2);
+      varB += Math.pow(b[j] - meanB, 2);
+    }
+    return varA > 0 && varB > 0 ? cov / Math.sqrt(varA * varB) : 0;
+  };
+
+  const total = beats.reduce((sum, beat) => sum + correlate(beat, template), 0);
+  return Math.max(0, total / beats.length);
+}
+
+/**
+ * Sample skewness
+ * @param {Array<number>} values - Signal
+ * @returns {number} Skewness (0 for a symmetric distribution)
+ */
+export function skewness(values) {
+  const n = values.length;
+  if (n < 3) return 0;
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+  let m2 = 0;
+  let m3 = 0;
+  for (const v of values) {
+    m2 += Math.pow(v - mean, 2);
+    m3 += Math.pow(v - mean, 3);
+  }
+  m2 /= n;
+  m3 /= n;
+  return m2 > 0 ? m3 / Math.pow(m2, 1.5) : 0;
+}
+
+/**
+ * Perfusion index: pulsatile (AC) over steady (DC) level, in percent
+ * @param {Array<number>} values - Raw signal (DC level)
+ * @param {Array<number>} filtered - Band-passed signal (AC component)
+ * @returns {number} Perfusion index (%)
+ */
+export function perfusionIndex(values, filtered) {
+  if (!values.length || !filtered.length) return 0;
+  const dc = Math.abs(values.reduce((sum, v) => sum + v, 0) / values.length);
+  if (dc === 0) return 0;
+  const sorted = [...filtered].sort((a, b) => a - b);
+  const ac = percentile(sorted, 0.95) - percentile(sorted, 0.05);
+  return (ac / dc) * 100;
+}
+
+/**
+ * Fraction of samples that are clipped: at or beyond the sensor limits, or
+ * part of a flat run (3+ equal samples) at the window's extreme value. Flat
+ * runs are ignored when the signal spans fewer than 20 quantization steps,
+ * since a coarsely quantized pulse plateaus at its peaks anyway.
+ * @param {Array<number>} values - Raw signal
+ * @param {Object} options - { low, high } sensor limits (default 8-bit luma)
+ * @returns {number} Clipped fraction (0-1)
+ */
+export function clippingFraction(values, { low = 2, high = 253 } = {}) {
+  if (!values.length) return 0;
+
+  let max = -Infinity;
+  let min = Infinity;
+  for (const v of values) {
+    if (v > max) max = v;
+    if (v < min) min = v;
+  }
+
+  let step = Infinity;
+  for (let i = 1; i < values.length; i++) {
+    const diff = Math.abs(values[i] - values[i - 1]);
+    if (diff > 0 && diff < step) step = diff;
+  }
+  const checkPlateaus = max > min && (max - min) / step >= 20;
+
+  let clipped = 0;
+  for (let i = 0; i < values.length; i++) {
+    const v = values[i];
+    if (v <= low || v >= high) {
+      clipped++;
+    } else if (checkPlateaus && (v === max || v === min)) {
+      const runStart = values[i - 1] === v && values[i - 2] === v;
+      const runMiddle = values[i - 1] === v && values[i + 1] === v;
+      const runEnd = values[i + 1] === v && values[i + 2] === v;
+      if (runStart || runMiddle || runEnd) clipped++;
+    }
+  }
+  return clipped / values.length;
+}
+
+/**
+ * Signal quality index for a window of PPG samples
+ * @param {Array<number>} values - Raw PPG values
+ * @param {Array<number>} timestamps - Sample times in ms
+ * @param {Object} options - { minDurationMs, minScore, minCorrelation,
+ *   minSkewness, minPerfusion, maxClipping, minSpectralPurity, clipLow,
+ *   clipHigh, maxGapMs, maxDroppedFraction }
+ * @returns {Object} { score (0-1), isValid, reason, reasons, components,
+ *   metrics: { templateCorrelation, skewness, perfusionIndex, clipping,
+ *   spectralPurity, bpm, effectiveFps, droppedFraction } }
+ */
+export function computeSQI(values, timestamps, options = {}) {
+  const {
+    minDurationMs = 3000,
+    minScore = 0.5,
+    minCorrelation = 0.8,
+    minSkewness = 0.1,
+    minPerfusion = 0.05,
+    maxClipping = 0.05,
+    minSpectralPurity = 0.4,
+    clipLow,
+    clipHigh,
+    maxGapMs,
+    maxDroppedFraction,
+  } = options;
+
+  const insufficient = {
+    score: 0,
+    isValid: false,
+    reason: SQI_REASONS.INSUFFICIENT_DATA,
+    reasons: [SQI_REASONS.INSUFFICIENT_DATA],
+    components: {},
+    metrics: {},
+  };
+  if (!values || !timestamps || values.length < 16) return insufficient;
+  if (timestamps[timestamps.length - 1] - timestamps[0] < minDurationMs) return insufficient;
+
+  const timing = analyzeTiming(timestamps, { maxGapMs, maxDroppedFraction });
+  const { peaks, filtered, sampleRate, values: uniform } = detectBeats(values, timestamps);
+  const spectral = estimateSpectralHeartRate(values, timestamps);
+
+  // Morphology is judged on a wider band than beat detection uses: inside
+  // 0.5-3.5 Hz even white noise looks like a smooth pulse train
+  const wideband = bandpassFilter(uniform, 0.5, Math.min(8, sampleRate * 0.45), sampleRate, { zeroPhase: true });
+
+  const metrics = {
+    templateCorrelation: templateCorrelation(wideband, peaks),
+    skewness: skewness(wideband),
+    perfusionIndex: perfusionIndex(uniform, filtered),
+    clipping: clippingFraction(values, { low: clipLow, high: clipHigh }),
+    spectralPurity: spectral.confidence / 100,
+    bpm: spectral.bpm,
+    effectiveFps: timing.effectiveFps,
+    droppedFraction: timing.droppedFraction,
+  };
+
+  // Camera luma falls as blood volume rises, so the pulse can arrive with
+  // either polarity - only the magnitude of the asymmetry matters
+  const components = {
+    templateCorrelation: clamp01((metrics.templateCorrelation - 0.5) / 0.45),
+    skewness: clamp01(Math.abs(metrics.skewness) / 0.5),
+    perfusion: clamp01(metrics.perfusionIndex / 0.5),
+    clipping: clamp01(1 - metrics.clipping / (2 * maxClipping)),
+    spectralPurity: clamp01(metrics.spectralPurity / 0.6),
+  };
+
+  const reasons = [];
+  if (!timing.valid) reasons.push(SQI_REASONS.FRAME_GAPS);
+  if (metrics.clipping > maxClipping) reasons.push(SQI_REASONS.CLIPPING);
+  if (peaks.length < 3) reasons.push(SQI_REASONS.NO_PULSE);
+  if (metrics.perfusionIndex < minPerfusion) reasons.push(SQI_REASONS.LOW_PERFUSION);
+  if (peaks.length >= 3 && metrics.templateCorrelation < minCorrelation) {
+    reasons.push(SQI_REASONS.IRREGULAR_MORPHOLOGY);
+  }
+  if (Math.abs(metrics.skewness) < minSkewness) reasons.push(SQI_REASONS.NOISE_LIKE);
+  if (metrics.spectralPurity < minSpectralPurity) reasons.push(SQI_REASONS.LOW_SPECTRAL_PURITY);
+
+  const score = Object.keys(WEIGHTS).reduce((sum, key) => sum + WEIGHTS[key] * components[key], 0);
+  if (reasons.length === 0 && score < minScore) reasons.push(SQI_REASONS.LOW_SCORE);
+
+  return {
+    score: Math.round(score * 100) / 100,
+    isValid: reasons.length === 0,
+    reason: reasons[0] || 'Good signal',
+    reasons,
+    components,
+    metrics,
+  };
+}
+
+/**
+ * SQI over sliding windows, for marking which samples of a recording are
+ * usable
+ * @param {Array<number>} values - Raw PPG values
+ * @param {Array<number>} timestamps - Sample times in ms
+ * @param {Object} options - { windowMs, stepMs } plus computeSQI options
+ * @returns {Array<Object>} [{ start, end, sqi }] - sample index range
+ *   [start, end) and its computeSQI result
+ */
+export function windowedSQI(values, timestamps, options = {}) {
+  const { windowMs = 5000, stepMs = 1000, ...sqiOptions } = options;
+  const windows = [];
+  if (!timestamps || timestamps.length < 2) return windows;
+
+  let start = 0;
+  let end = 0;
+  for (let t = timestamps[0]; t + windowMs <= timestamps[timestamps.length - 1] + stepMs; t += stepMs) {
+    while (start < timestamps.length && timestamps[start] < t) start++;
+    while (end < timestamps.length && timestamps[end] < t + windowMs) end++;
+    if (end - start < 2) continue;
+    windows.push({
+      start,
+      end,
+      sqi: computeSQI(values.slice(start, end), timestamps.slice(start, end), sqiOptions),
+    });
+    if (end === timestamps.length) break;
+  }
+  return windows;
+}
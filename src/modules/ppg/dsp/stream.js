@@ -0,0 +1,107 @@
+// src/modules/ppg/dsp/stream.js
+// Streaming front end: push samples as they arrive, read back filtered values
+// and window estimates without re-implementing buffering in every caller.
+import { designButterworthBandpass, createBiquadCascade } from './filters.js';
+import { estimateSampleRate, analyzeTiming } from './timing.js';
+import { estimateWindow } from './heartRate.js';
+
+/**
+ * Create a streaming PPG processor.
+ *
+ * Usage:
+ *   const stream = createPPGStream({ windowMs: 10000 });
+ *   stream.push(ts, luma);        // per frame, returns filtered value or null
+ *   stream.estimate();            // { bpm, confidence, reason } over the window
+ *
+ * The causal Butterworth band-pass is designed once the first second of samples has
+ * arrived, from the measured (not nominal) frame rate.
+ *
+ * @param {Object} options
+ * @param {number} options.windowMs - Length of the retained window in ms
+ * @param {number} options.lowCutoff - Band-pass low cutoff in Hz
+ * @param {number} options.highCutoff - Band-pass high cutoff in Hz
+ * @returns {Object} Stream API
+ */
+export function createPPGStream({ windowMs = 10000, lowCutoff = 0.5, highCutoff = 3.5 } = {}) {
+  let timestamps = [];
+  let values = [];
+  let filtered = [];
+  let cascade = null;
+  let sampleRate = 0;
+
+  const trim = () => {
+    const cutoff = timestamps[timestamps.length - 1] - windowMs;
+    let start = 0;
+    while (start < timestamps.length && timestamps[start] < cutoff) start++;
+    if (start > 0) {
+      timestamps = timestamps.slice(start);
+      values = values.slice(start);
+      filtered = filtered.slice(start);
+    }
+  };
+
+  return {
+    /**
+     * Add one sample
+     * @param {number} ts - Sample time in ms (must be increasing)
+     * @param {number} value - Raw PPG value
+     * @returns {number|null} Causally filtered value, or null while warming up
+     */
+    push(ts, value) {
+      if (timestamps.length && ts <= timestamps[timestamps.length - 1]) return null;
+
+      timestamps.push(ts);
+      values.push(value);
+
+      if (!cascade && ts - timestamps[0] >= 1000) {
+        sampleRate = estimateSampleRate(timestamps);
+        const sections = designButterworthBandpass(lowCutoff, Math.min(highCutoff, sampleRate * 0.4), sampleRate);
+        if (sections) {
+          cascade = createBiquadCascade(sections, value);
+        }
+      }
+
+      const output = cascade ? cascade.process(value) : null;
+      filtered.push(output);
+      trim();
+      return output;
+    },
+
+    /** @returns {Object} { timestamps, values, filtered } copies of the current window */
+    getWindow() {
+      return {
+        timestamps: [...timestamps],
+        values: [...values],
+        filtered: [...filtered],
+      };
+    },
+
+    /** @returns {number} Sample rate measured over the current window in Hz */
+    getSampleRate() {
+      return timestamps.length > 1 ? estimateSampleRate(timestamps) : sampleRate;
+    },
+
+    /** @returns {number} Duration of the current window in ms */
+    getDuration() {
+      return timestamps.length > 1 ? timestamps[timestamps.length - 1] - timestamps[0] : 0;
+    },
+
+    /** @returns {Object} analyzeTiming result (effective fps, drops, gaps) for the current window */
+    getTiming() {
+      return analyzeTiming(timestamps);
+    },
+
+    /** @returns {Object} { bpm, confidence, reason } over the current window */
+    estimate() {
+      return estimateWindow(values, timestamps);
+    },
+
+    reset() {
+      timestamps = [];
+      values = [];
+      filtered = [];
+      cascade = null;
+      sampleRate = 0;
+    },
+  };
+}
@@ -0,0 +1,149 @@
+// src/modules/ppg/dsp/stress.js
+// Stress and relaxation from the cleaned RR series.
+//
+// Baevsky's stress index (SI) reads sympathetic load off the shape of the RR
+// histogram: a tall, narrow histogram (the heart ticking at one steady rate)
+// means stress, a low, wide one means relaxed, vagally modulated rhythm.
+//   SI = AMo / (2 * Mo * MxDMn)
+//  - Mo: the most common RR interval (centre of the fullest 50 ms bin), s
+//  - AMo: share of intervals in that bin, %
+//  - MxDMn: longest minus shortest interval, s, never taken as narrower than
+//    one histogram bin - a perfectly steady series is maximal stress, not
+//    a division by zero
+// Resting adults are typically 50-150; 150-500 is elevated, above 500 high.
+//
+// The relaxation score is SI on a log scale, flipped and normalized to
+// 0-100, so equal ratios of SI move the score by equal steps.
+import { extractRRIntervals } from './hrv.js';
+
+// Readings are short, so this is an ultra-short index, like RMSSD
+export const STRESS_MIN_DURATION_SEC = 10;
+// Clean intervals needed for a meaningful histogram
+export const STRESS_MIN_INTERVALS = 10;
+
+export const STRESS_LEVELS = {
+  LOW: 'low',
+  NORMAL: 'normal',
+  ELEVATED: 'elevated',
+  HIGH: 'high',
+};
+
+export const STRESS_CHANGES = {
+  RELAXED: 'relaxed',
+  UNCHANGED: 'unchanged',
+  STRESSED: 'stressed',
+};
+
+// SI at the ends of the relaxation scale (score 100 and 0)
+const RELAXED_SI = 25;
+const STRESSED_SI = 900;
+// Relaxation change (points) that counts as a real difference
+const CHANGE_THRESHOLD = 5;
+
+/**
+ * Relaxation score for a stress index
+ * @param {number} stressIndex - Baevsky SI
+ * @returns {number} 0 (very stressed) - 100 (deeply relaxed)
+ */
+export function relaxationFromStressIndex(stressIndex) {
+  const position = Math.log(stressIndex / RELAXED_SI) / Math.log(STRESSED_SI / RELAXED_SI);
+  return Math.round(Math.max(0, Math.min(1, 1 - position)) * 100);
+}
+
+/**
+ * Baevsky stress index and relaxation score from beat times. Like computeHRV,
+ * metrics are `{ value, valid }`; `valid` is false when the recording is
+ * shorter than STRESS_MIN_DURATION_SEC, too few clean intervals remain, or
+ * more than 20% of the intervals were artifacts.
+ * @param {Array<number>} beatTimes - Beat times in ms
+ * @param {Object} options
+ * @param {number} options.durationMs - Recording length (defaults to the beat span)
+ * @param {number} options.binMs - Histogram bin width
+ * @returns {Object} { stressIndex, relaxation, level, mode (ms),
+ *   amplitudeMode (%), range (ms), rrCount, removed, durationSec } - level
+ *   is one of STRESS_LEVELS, or null when the index isn't valid
+ */
+export function computeStressIndex(beatTimes, { durationMs, binMs = 50 } = {}) {
+  const { intervals, removed } = extractRRIntervals(beatTimes);
+  const span = beatTimes && beatTimes.length > 1 ? beatTimes[beatTimes.length - 1] - beatTimes[0] : 0;
+  const durationSec = (durationMs ?? span) / 1000;
+  const values = intervals.map(rr => rr.interval);
+
+  const empty = { value: null, valid: false };
+  const base = { rrCount: values.length, removed, durationSec };
+  if (values.length < 2) {
+    return { stressIndex: empty, relaxation: empty, level: null, mode: null, amplitudeMode: null, range: null, ...base };
+  }
+
+  // Histogram of intervals in fixed bins
+  const counts = new Map();
+  values.forEach((interval) => {
+    const bin = Math.floor(interval / binMs);
+    counts.set(bin, (counts.get(bin) || 0) + 1);
+  });
+  let modalBin = null;
+  counts.forEach((count, bin) => {
+    if (modalBin === null || count > counts.get(modalBin)) modalBin = bin;
+  });
+
+  const mode = (modalBin + 0.5) * binMs;
+  const amplitudeMode = (counts.get(modalBin) / values.length) * 100;
+  const range = Math.max(...values) - Math.min(...values);
+  // The histogram can't resolve a spread narrower than one bin
+  const spread = Math.max(range, binMs);
+  const stressIndex = amplitudeMode / (2 * (mode / 1000) * (spread / 1000));
+
+  const valid = values.length >= STRESS_MIN_INTERVALS &&
+    removed <= (values.length + removed) * 0.2 &&
+    durationSec >= STRESS_MIN_DURATION_SEC;
+
+  let level = null;
+  if (valid) {
+    if (stressIndex < 50) level = STRESS_LEVELS.LOW;
+    else if (stressIndex <= 150) level = STRESS_LEVELS.NORMAL;
+    else if (stressIndex <= 500) level = STRESS_LEVELS.ELEVATED;
+    else level = STRESS_LEVELS.HIGH;
+  }
+
+  return {
+    stressIndex: { value: stressIndex, valid },
+    relaxation: { value: relaxationFromStressIndex(stressIndex), valid },
+    level,
+    mode,
+    amplitudeMode,
+    range,
+    ...base,
+  };
+}
+
+/**
+ * Before/after comparison of two computeStressIndex results, e.g. readings
+ * taken either side of a session
+ * @param {Object} before - computeStressIndex result
+ * @param {Object} after - computeStressIndex result
+ * @returns {Object} { relaxationChange, stressIndexChange, direction } -
+ *   changes are after minus before as `{ value, valid }`; direction is one
+ *   of STRESS_CHANGES, or null unless both readings are valid
+ */
+export function compareStress(before, after) {
+  const valid = !!before?.relaxation?.valid && !!after?.relaxation?.valid;
+  const difference = (metric) => {
+    const a = before?.[metric]?.value;
+    const b = after?.[metric]?.value;
+    return { value: a != null && b != null ? b - a : null, valid };
+  };
+
+  const relaxationChange = difference('relaxation');
+  let direction = null;
+  if (valid) {
+    if (relaxationChange.value >= CHANGE_THRESHOLD) direction = STRESS_CHANGES.RELAXED;
+    else if (relaxationChange.value <= -CHANGE_THRESHOLD) direction = STRESS_CHANGES.STRESSED;
+    else direction = STRESS_CHANGES.UNCHANGED;
+  }
+
+  return {
+    relaxationChange,
+    stressIndexChange: difference('stressIndex'),
+    direction,
+  };
+}
@@ -0,0 +1,145 @@
+// src/modules/ppg/dsp/timing.js
+// Helpers for working with timestamped (camera-clocked) samples. Camera frames
+// arrive with jitter and the occasional drop; everything that filters a PPG
+// window resamples it onto a uniform grid first.
+
+/**
+ * Estimate the sample rate from timestamps
+ * @param {Array<number>} timestamps - Sample times in ms
+ * @returns {number} Sample rate in Hz (0 if it cannot be determined)
+ */
+export function estimateSampleRate(timestamps) {
+  if (!timestamps || timestamps.length < 2) return 0;
+  const durationSec = (timestamps[timestamps.length - 1] - timestamps[0]) / 1000;
+  return durationSec > 0 ? (timestamps.length - 1) / durationSec : 0;
+}
+
+/**
+ * Linearly interpolate an irregularly sampled series onto a uniform grid
+ * @param {Array<number>} times - Sample times in ms (increasing)
+ * @param {Array<number>} values - Sample values
+ * @param {number} rate - Output rate in Hz
+ * @returns {Object} { times, values } on the uniform grid from times[0] to the last time
+ */
+export function interpolateUniform(times, values, rate) {
+  if (!times || times.length < 2) return { times: [], values: [] };
+
+  const step = 1000 / rate;
+  const end = times[times.length - 1];
+  const outTimes = [];
+  const outValues = [];
+  let j = 0;
+  for (let t = times[0]; t <= end; t += step) {
+    while (j < times.length - 2 && times[j + 1] < t) j++;
+    const span = times[j + 1] - times[j];
+    const frac = span > 0 ? Math.min(1, Math.max(0, (t - times[j]) / span)) : 0;
+    outTimes.push(t);
+    outValues.push(values[j] + (values[j + 1] - values[j]) * frac);
+  }
+  return { times: outTimes, values: outValues };
+}
+
+/**
+ * Frame timing statistics: effective rate, dropped frames and gaps
+ *
+ * Frames are counted as dropped when an interval spans more than 1.5 median
+ * intervals; an interval longer than `maxGapMs` is a gap. The window is
+ * invalid if it has any gap or drops more than `maxDroppedFraction` of its
+ * expected frames.
+ *
+ * @param {Array<number>} timestamps - Sample times in ms
+ * @param {Object} options - { maxGapMs, maxDroppedFraction }
+ * @returns {Object} { effectiveFps, nominalFps, medianIntervalMs, jitterMs,
+ *   droppedFrames, droppedFraction, gaps: [{ index, start, end, durationMs }],
+ *   duplicates, valid, reason }
+ */
+export function analyzeTiming(timestamps, { maxGapMs = 200, maxDroppedFraction = 0.1 } = {}) {
+  const stats = {
+    effectiveFps: 0,
+    nominalFps: 0,
+    medianIntervalMs: 0,
+    jitterMs: 0,
+    droppedFrames: 0,
+    droppedFraction: 0,
+    gaps: [],
+    duplicates: 0,
+    valid: false,
+    reason: 'Not enough samples',
+  };
+  if (!timestamps || timestamps.length < 3) return stats;
+
+  const intervals = [];
+  for (let i = 1; i < timestamps.length; i++) {
+    const dt = timestamps[i] - timestamps[i - 1];
+    if (dt <= 0) {
+      stats.duplicates++;
+    } else {
+      intervals.push({ index: i, dt });
+    }
+  }
+  if (intervals.length < 2) return stats;
+
+  const sorted = intervals.map(interval => interval.dt).sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)];
+
+  const regular = [];
+  for (const { index, dt } of intervals) {
+    if (dt > median * 1.5) {
+      stats.droppedFrames += Math.round(dt / median) - 1;
+    } else {
+      regular.push(dt);
+    }
+    if (dt > maxGapMs) {
+      stats.gaps.push({ index, start: timestamps[index - 1], end: timestamps[index], durationMs: dt });
+    }
+  }
+
+  const regularMean = regular.reduce((sum, dt) => sum + dt, 0) / regular.length;
+  stats.jitterMs = Math.sqrt(regular.reduce((sum, dt) => sum + Math.pow(dt - regularMean, 2), 0) / regular.length);
+  stats.medianIntervalMs = median;
+  stats.nominalFps = 1000 / median;
+  stats.effectiveFps = estimateSampleRate(timestamps);
+  stats.droppedFraction = stats.droppedFrames / (intervals.length + 1 + stats.droppedFrames);
+
+  if (stats.gaps.length > 0) {
+    stats.reason = 'Gap in samples';
+  } else if (stats.droppedFraction > maxDroppedFraction) {
+    stats.reason = 'Too many dropped frames';
+  } else {
+    stats.valid = true;
+    stats.reason = 'OK';
+  }
+  return stats;
+}
+
+/**
+ * Put jittery camera samples on a uniform grid
+ *
+ * Out-of-order and duplicate timestamps are dropped, then the series is
+ * linearly interpolated at `rate` (default: the nominal frame rate, rounded).
+ * Dropped frames are bridged by the interpolation; whether that is
+ * acceptable is reported in `timing.valid`.
+ *
+ * @param {Array<number>} timestamps - Sample times in ms
+ * @param {Array<number>} values - Sample values
+ * @param {Object} options - { rate } plus analyzeTiming options
+ * @returns {Object} { times, values, rate, timing } - timing is the
+ *   analyzeTiming result for the input
+ */
+export function resampleUniform(timestamps, values, options = {}) {
+  const { rate, ...timingOptions } = options;
+
+  const cleanTimes = [];
+  const cleanValues = [];
+  for (let i = 0; i < (timestamps ? timestamps.length : 0); i++) {
+    if (cleanTimes.length && timestamps[i] <= cleanTimes[cleanTimes.length - 1]) continue;
+    cleanTimes.push(timestamps[i]);
+    cleanValues.push(values[i]);
+  }
+
+  const timing = analyzeTiming(timestamps, timingOptions);
+  const outputRate = rate || Math.round(timing.nominalFps);
+  if (!outputRate || cleanTimes.length < 2) return { times: [], values: [], rate: 0, timing };
+
+  return { ...interpolateUniform(cleanTimes, cleanValues, outputRate), rate: outputRate, timing };
+}
@@ -0,0 +1,205 @@
+// src/modules/ppg/dsp/tracker.js
+// Continuous heart rate tracking across successive window estimates.
+//
+// Each window estimate is noisy on its own, and neighbouring windows overlap,
+// so reading them one by one makes the display jump. The tracker runs a
+// two-state Kalman filter (rate and its slope) over the estimates:
+//  - each estimate's confidence sets its measurement noise, so a weak window
+//    nudges the track instead of moving it
+//  - when an estimate offers more than one candidate (peak counting and
+//    spectral), the one nearest the predicted rate is used
+//  - estimates too far from the prediction are rejected as implausible jumps;
+//    if several in a row agree with each other the track re-locks onto them,
+//    since the rate really did move (or the first lock was on a harmonic)
+// Without new estimates the uncertainty grows, and confidence falls with it.
+import { MIN_BPM, MAX_BPM } from './constants.js';
+
+export const TRENDS = {
+  RISING: 'rising',
+  FALLING: 'falling',
+  STEADY: 'steady',
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+const plausible = (bpm) => typeof bpm === 'number' && bpm >= MIN_BPM && bpm <= MAX_BPM;
+
+/**
+ * Create a heart rate tracker.
+ *
+ * Usage:
+ *   const tracker = createBpmTracker();
+ *   const unsubscribe = tracker.subscribe(({ bpm, confidence, trend }) => ...);
+ *   tracker.push(stream.estimate(), ts); // once per window, e.g. every second
+ *
+ * @param {Object} options
+ * @param {number} options.measurementSd - Noise (BPM) of a 100%-confidence estimate
+ * @param {number} options.processNoise - Rate acceleration noise (BPM²/s³)
+ * @param {number} options.gate - Largest accepted innovation, in standard deviations
+ * @param {number} options.minJumpBpm - Innovations smaller than this are never rejected
+ * @param {number} options.relockAfter - Consecutive agreeing rejections that re-lock the track
+ * @param {number} options.minConfidence - Estimates below this confidence (0-100) are ignored
+ * @param {number} options.trendThreshold - Slope (BPM/min) beyond which the rate is rising or falling
+ * @returns {Object} Tracker API
+ */
+export function createBpmTracker(options = {}) {
+  const {
+    measurementSd = 3,
+    processNoise = 0.02,
+    gate = 3,
+    minJumpBpm = 8,
+    relockAfter = 3,
+    minConfidence = 20,
+    trendThreshold = 3,
+  } = options;
+
+  let x = null; // [bpm, slope in BPM/s]
+  let P = null; // 2x2 covariance
+  let lastTs = null;
+  let rejected = [];
+  let state = { bpm: null, confidence: 0, trend: TRENDS.STEADY, slope: 0, accepted: false, timestamp: null };
+  const listeners = new Set();
+
+  const measurementVariance = (confidence) => {
+    const weight = Math.max(0.1, Math.min(1, confidence / 100));
+    return Math.pow(measurementSd / weight, 2);
+  };
+
+  const initialize = (bpm, confidence) => {
+    x = [bpm, 0];
+    P = [[measurementVariance(confidence), 0], [0, 0.05]];
+    rejected = [];
+  };
+
+  // Constant-slope model, white-noise acceleration
+  const predict = (dt) => {
+    x = [x[0] + x[1] * dt, x[1]];
+    const q = processNoise;
+    P = [
+      [
+        P[0][0] + dt * (P[1][0] + P[0][1]) + dt * dt * P[1][1] + (q * Math.pow(dt, 3)) / 3,
+        P[0][1] + dt * P[1][1] + (q * dt * dt) / 2,
+      ],
+      [P[1][0] + dt * P[1][1] + (q * dt * dt) / 2, P[1][1] + q * dt],
+    ];
+  };
+
+  const update = (bpm, variance) => {
+    const innovation = bpm - x[0];
+    const S = P[0][0] + variance;
+    const K = [P[0][0] / S, P[1][0] / S];
+    x = [x[0] + K[0] * innovation, x[1] + K[1] * innovation];
+    P = [
+      [(1 - K[0]) * P[0][0], (1 - K[0]) * P[0][1]],
+      [P[1][0] - K[1] * P[0][0], P[1][1] - K[1] * P[0][1]],
+    ];
+  };
+
+  const publish = (timestamp, accepted) => {
+    if (x) {
+      const sd = Math.sqrt(Math.max(0, P[0][0]));
+      const slope = x[1] * 60;
+      // Only call a trend once the slope is clear of its own uncertainty
+      const slopeThreshold = Math.max(trendThreshold, 2 * Math.sqrt(Math.max(0, P[1][1])) * 60);
+      state = {
+        bpm: Math.round(x[0]),
+        // 1 BPM of uncertainty costs 10 points
+        confidence: Math.round(Math.max(0, Math.min(100, 100 - (sd - 1) * 10))),
+        trend: slope > slopeThreshold ? TRENDS.RISING : slope < -slopeThreshold ? TRENDS.FALLING : TRENDS.STEADY,
+        slope: Math.round(slope * 10) / 10,
+        accepted,
+        timestamp,
+      };
+    } else {
+      state = { ...state, accepted, timestamp };
+    }
+    listeners.forEach(listener => listener(state));
+    return state;
+  };
+
+  return {
+    /**
+     * Feed one window estimate
+     * @param {Object} estimate - { bpm, confidence (0-100) } as returned by
+     *   estimateWindow / estimateHeartRate; spectralBpm and
+     *   spectralConfidence are used as a second candidate when present
+     * @param {number} timestamp - Time of the estimate in ms (must be increasing)
+     * @returns {Object} { bpm, confidence (0-100), trend, slope (BPM/min),
+     *   accepted, timestamp } - bpm is null until the first usable estimate
+     */
+    push(estimate, timestamp) {
+      if (lastTs !== null && timestamp <= lastTs) return state;
+      const dt = lastTs === null ? 0 : (timestamp - lastTs) / 1000;
+      lastTs = timestamp;
+
+      const candidates = [];
+      if (estimate && plausible(estimate.bpm) && estimate.confidence >= minConfidence) {
+        candidates.push({ bpm: estimate.bpm, confidence: estimate.confidence });
+      }
+      if (estimate && plausible(estimate.spectralBpm) && estimate.spectralConfidence >= minConfidence) {
+        candidates.push({ bpm: estimate.spectralBpm, confidence: estimate.spectralConfidence });
+      }
+
+      if (!x) {
+        if (!candidates.length) return publish(timestamp, false);
+        const best = candidates.reduce((a, b) => (b.confidence > a.confidence ? b : a));
+        initialize(best.bpm, best.confidence);
+        return publish(timestamp, true);
+      }
+
+      predict(dt);
+      if (!candidates.length) return publish(timestamp, false);
+
+      // Candidate with the smallest normalized innovation
+      const scored = candidates.map(c => {
+        const variance = measurementVariance(c.confidence);
+        const innovation = c.bpm - x[0];
+        return { ...c, variance, innovation, distance: Math.abs(innovation) / Math.sqrt(P[0][0] + variance) };
+      });
+      const best = scored.reduce((a, b) => (b.distance < a.distance ? b : a));
+
+      if (best.distance > gate && Math.abs(best.innovation) > minJumpBpm) {
+        // Implausible jump - unless it keeps happening at the same rate
+        rejected.push(candidates[0].bpm);
+        if (rejected.length > relockAfter) rejected.shift();
+        const level = median(rejected);
+        if (rejected.length === relockAfter && rejected.every(bpm => Math.abs(bpm - level) <= level * 0.1)) {
+          initialize(level, candidates[0].confidence);
+          return publish(timestamp, true);
+        }
+        return publish(timestamp, false);
+      }
+
+      rejected = [];
+      update(best.bpm, best.variance);
+      return publish(timestamp, true);
+    },
+
+    /**
+     * Listen for tracker updates
+     * @param {Function} listener - Called with the push result after every push
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /** @returns {Object} Latest { bpm, confidence, trend, slope, accepted, timestamp } */
+    getState() {
+      return state;
+    },
+
+    reset() {
+      x = null;
+      P = null;
+      lastTs = null;
+      rejected = [];
+      state = { bpm: null, confidence: 0, trend: TRENDS.STEADY, slope: 0, accepted: false, timestamp: null };
+      listeners.forEach(listener => listener(state));
+    },
+  };
+}
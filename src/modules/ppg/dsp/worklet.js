@@ -0,0 +1,256 @@
+// src/modules/ppg/dsp/worklet.js
+// Per-frame PPG front end that runs inside the VisionCamera frame-processor
+// worklet, so the JS thread sees a few batched updates a second instead of
+// one runOnJS call per frame.
+//
+// Everything below the state factory is a 'worklet' function over a plain
+// state object - arrays and numbers only, no closures or classes - so the
+// state can live in a worklets shared value. The same functions run on the
+// JS thread for replays.
+//
+// Per sample:
+//  - raw samples go into a fixed-size ring buffer
+//  - a causal Butterworth band-pass (from a bank designed up front, picked
+//    once the frame rate is known) filters incrementally
+//  - pulse feet are picked from the filtered signal (luma maxima, as in
+//    findPeaks) with an adaptive threshold and refractory period
+//  - perfusion and clipping are tracked with running averages
+// Every `flushIntervalMs` the new samples, the beats picked since the last
+// batch and a { bpm, confidence, quality } snapshot are taken as one batch
+// for the JS thread.
+import { designButterworthBandpass } from './filters.js';
+import { MIN_BPM, MAX_BPM } from './constants.js';
+
+// Candidate camera frame rates for the filter bank
+const FILTER_RATES = [15, 24, 30, 60];
+// A pulse foot must reach this fraction of the recent peak envelope
+const THRESHOLD = 0.5;
+
+/**
+ * Initial worklet PPG state. Call on the JS thread (it designs the filters)
+ * and hand the result to a shared value.
+ * @param {Object} options
+ * @param {number} options.capacity - Ring buffer size in samples
+ * @param {number} options.flushIntervalMs - Time between batches
+ * @param {number} options.lowCutoff - Band-pass low cutoff in Hz
+ * @param {number} options.highCutoff - Band-pass high cutoff in Hz
+ * @param {number} options.beatCount - Beat intervals behind the live BPM
+ * @returns {Object} State for pushWorkletSample / takeWorkletBatch
+ */
+export function createWorkletPPGState({
+  capacity = 512,
+  flushIntervalMs = 250,
+  lowCutoff = 0.5,
+  highCutoff = 3.5,
+  beatCount = 8,
+} = {}) {
+  const filterBank = FILTER_RATES
+    .map(rate => ({ rate, sections: designButterworthBandpass(lowCutoff, Math.min(highCutoff, rate * 0.4), rate) }))
+    .filter(entry => entry.sections);
+
+  return {
+    capacity,
+    flushIntervalMs,
+    beatCount,
+    // Ring buffer; sample n lives at n % capacity
+    ts: new Array(capacity).fill(0),
+    luma: new Array(capacity).fill(0),
+    filtered: new Array(capacity).fill(0),
+    written: 0,
+    flushed: 0,
+    firstTs: null,
+    lastTs: null,
+    lastFlushTs: null,
+    // Filtering
+    filterBank,
+    sampleRate: 0,
+    sections: null,
+    filterState: null,
+    // Beat picking on the filtered signal
+    prev: 0,
+    prevPrev: 0,
+    prevTs: null,
+    envelope: 0,
+    lastBeatTs: null,
+    intervals: [],
+    // Beat times picked since the last batch
+    beats: [],
+    // Signal level
+    dc: 0,
+    ac: 0,
+    clipping: 0,
+  };
+}
+
+// One sample through the biquad cascade
+function filterSample(state, x) {
+  'worklet';
+  let value = x;
+  for (let s = 0; s < state.sections.length; s++) {
+    const { b0, b1, b2, a1, a2 } = state.sections[s];
+    const st = state.filterState[s];
+    const y = b0 * value + b1 * st[0] + b2 * st[1] - a1 * st[2] - a2 * st[3];
+    st[1] = st[0];
+    st[0] = value;
+    st[3] = st[2];
+    st[2] = y;
+    value = y;
+  }
+  return value;
+}
+
+// Pick the bank filter nearest the measured rate, settled at `level`
+function startFilter(state, level) {
+  'worklet';
+  let best = null;
+  for (let i = 0; i < state.filterBank.length; i++) {
+    const entry = state.filterBank[i];
+    if (!best || Math.abs(entry.rate - state.sampleRate) < Math.abs(best.rate - state.sampleRate)) best = entry;
+  }
+  if (!best) return;
+  state.sections = best.sections;
+  state.filterState = [];
+  let input = level;
+  for (let s = 0; s < best.sections.length; s++) {
+    const { b0, b1, b2, a1, a2 } = best.sections[s];
+    const output = input * (b0 + b1 + b2) / (1 + a1 + a2);
+    state.filterState.push([input, input, output, output]);
+    input = output;
+  }
+}
+
+// Pulse feet are luma maxima of the filtered signal; `y` is the newest
+// filtered sample, so the candidate is the one before it
+function detectBeat(state, y, ts) {
+  'worklet';
+  const candidate = state.prev;
+  const isPeak = candidate > state.prevPrev && candidate >= y && candidate > state.envelope * THRESHOLD;
+  // Envelope decays by half in about 2 s, so weaker pulses are still found
+  state.envelope = Math.max(Math.abs(y), state.envelope * 0.988);
+
+  if (isPeak && state.prevTs !== null) {
+    // Parabolic interpolation between frames - at 30 fps the frame times
+    // alone are 33 ms apart, which is a lot of jitter on a 400 ms interval
+    const curvature = state.prevPrev - 2 * candidate + y;
+    const offset = curvature < 0 ? (0.5 * (state.prevPrev - y)) / curvature : 0;
+    const beatTs = state.prevTs + offset * (ts - state.prevTs);
+    const interval = state.lastBeatTs === null ? null : beatTs - state.lastBeatTs;
+    if (interval === null || interval >= 60000 / MAX_BPM) {
+      if (interval !== null && interval <= 60000 / MIN_BPM) {
+        state.intervals.push(interval);
+        if (state.intervals.length > state.beatCount) state.intervals.shift();
+      }
+      state.lastBeatTs = beatTs;
+      state.beats.push(beatTs);
+    }
+  }
+  state.prevPrev = state.prev;
+  state.prev = y;
+  state.prevTs = ts;
+}
+
+/**
+ * Add one camera sample
+ * @param {Object} state - From createWorkletPPGState
+ * @param {number} ts - Sample time in ms
+ * @param {number} luma - Raw PPG value
+ * @returns {boolean} Whether a batch is due (see takeWorkletBatch)
+ */
+export function pushWorkletSample(state, ts, luma) {
+  'worklet';
+  if (state.lastTs !== null && ts <= state.lastTs) return false;
+
+  const slot = state.written % state.capacity;
+  state.ts[slot] = ts;
+  state.luma[slot] = luma;
+  state.written++;
+  if (state.firstTs === null) {
+    state.firstTs = ts;
+    state.lastFlushTs = ts;
+    state.dc = luma;
+  }
+  state.lastTs = ts;
+
+  // Measure the frame rate over the first second before picking a filter
+  if (!state.sections && ts - state.firstTs >= 1000) {
+    state.sampleRate = ((state.written - 1) * 1000) / (ts - state.firstTs);
+    startFilter(state, luma);
+  }
+
+  let y = 0;
+  if (state.sections) {
+    y = filterSample(state, luma);
+    detectBeat(state, y, ts);
+  }
+  state.filtered[slot] = y;
+
+  state.dc += (luma - state.dc) * 0.02;
+  state.ac += (Math.abs(y) - state.ac) * 0.02;
+  state.clipping += ((luma >= 250 || luma <= 5 ? 1 : 0) - state.clipping) * 0.05;
+
+  return ts - state.lastFlushTs >= state.flushIntervalMs;
+}
+
+/**
+ * Live heart rate and signal quality from the recent beats
+ * @param {Object} state - From createWorkletPPGState
+ * @returns {Object} { ts, bpm, confidence (0-100), beats, perfusion (%),
+ *   clipping (0-1), sampleRate, frames } - bpm is null until three beat
+ *   intervals are in
+ */
+export function getWorkletSnapshot(state) {
+  'worklet';
+  const intervals = state.intervals;
+  let bpm = null;
+  let confidence = 0;
+  if (intervals.length >= 3) {
+    const sorted = intervals.slice().sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    bpm = Math.round(60000 / median);
+    let spread = 0;
+    for (let i = 0; i < intervals.length; i++) spread += Math.abs(intervals[i] - median);
+    // 10% mean deviation from the median costs half the confidence
+    confidence = Math.max(0, Math.min(100, Math.round(100 - (spread / intervals.length / median) * 500)));
+    confidence = Math.round(confidence * Math.min(1, intervals.length / state.beatCount));
+  }
+
+  return {
+    ts: state.lastTs,
+    bpm,
+    confidence,
+    beats: intervals.length,
+    perfusion: state.dc > 0 ? (state.ac / state.dc) * 100 : 0,
+    clipping: state.clipping,
+    sampleRate: state.sampleRate,
+    frames: state.written,
+  };
+}
+
+/**
+ * Take the samples added since the last batch. Samples overwritten before
+ * they were taken (the consumer fell more than `capacity` behind) are
+ * counted in `dropped`.
+ * @param {Object} state - From createWorkletPPGState
+ * @returns {Object} { timestamps, values, filtered, beats, dropped, snapshot } -
+ *   beats are the pulse-foot times (ms) picked since the last batch
+ */
+export function takeWorkletBatch(state) {
+  'worklet';
+  const start = Math.max(state.flushed, state.written - state.capacity);
+  const timestamps = [];
+  const values = [];
+  const filtered = [];
+  for (let n = start; n < state.written; n++) {
+    const slot = n % state.capacity;
+    timestamps.push(state.ts[slot]);
+    values.push(state.luma[slot]);
+    filtered.push(state.filtered[slot]);
+  }
+  const beats = state.beats;
+  const dropped = start - state.flushed;
+  state.flushed = state.written;
+  state.lastFlushTs = state.lastTs;
+  state.beats = [];
+
+  return { timestamps, values, filtered, beats, dropped, snapshot: getWorkletSnapshot(state) };
+}
@@ -0,0 +1,269 @@
+// src/modules/ppg/recording.js
+// Raw PPG session recordings: the per-frame samples detectPPG produced during
+// a reading, plus device and capture metadata, in a compact versioned format
+// that can be replayed through the same consumers in place of the camera.
+//
+// Framework-free so recordings can be loaded and replayed under Node.
+//
+// Format (version 1), plain JSON:
+//   {
+//     format: 'sonarly-ppg',
+//     version: 1,
+//     metadata: { startedAt, durationMs, sampleCount, ...capture metadata },
+//     t0: 123456.78,                  // first sample time in ms
+//     fields: ['ts', 'luma', ...],    // one column per recorded field
+//     columns: {
+//       ts: [0, 33.33, 66.67, ...],   // ms since t0
+//       luma: [141.2031, ...],        // null where a frame lacked the field
+//     },
+//   }
+// Columns keep repeated key names out of the file; times are relative to t0
+// so they stay short. Numbers are rounded (times to 0.01 ms, values to 4
+// decimals) - well below camera timestamp jitter and luma quantization.
+
+export const PPG_RECORDING_FORMAT = 'sonarly-ppg';
+export const PPG_RECORDING_VERSION = 1;
+
+const round = (value, decimals) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+const sampleTime = (sample) => (typeof sample.ts === 'number' ? sample.ts : sample.timestamp);
+
+/**
+ * Create a recorder for one reading.
+ *
+ * Usage:
+ *   const recorder = createPPGRecorder({ source: 'HeartRateDetector', platform: 'ios' });
+ *   recorder.add(result);                  // every detectPPG result
+ *   const recording = recorder.finish({ outcome: { bpm: 72 } });
+ *
+ * Number and boolean fields of each sample are recorded; anything else is
+ * dropped. Samples without a time (`ts`, or `timestamp` from older plugin
+ * builds) or arriving out of order are skipped.
+ *
+ * @param {Object} metadata - Device and capture metadata stored with the recording
+ * @param {Object} options
+ * @param {number} options.maxSamples - Stop recording after this many samples
+ * @returns {Object} Recorder API
+ */
+export function createPPGRecorder(metadata = {}, { maxSamples = 3600 } = {}) {
+  const fields = ['ts'];
+  const columns = { ts: [] };
+  let t0 = null;
+  let lastTs = -Infinity;
+  let count = 0;
+  const startedAt = new Date().toISOString();
+
+  return {
+    /**
+     * Record one frame's result
+     * @param {Object} sample - detectPPG result ({ ts, luma, ... })
+     * @returns {boolean} Whether the sample was recorded
+     */
+    add(sample) {
+      const ts = sample ? sampleTime(sample) : undefined;
+      if (typeof ts !== 'number' || ts <= lastTs || count >= maxSamples) return false;
+      if (t0 === null) t0 = ts;
+      lastTs = ts;
+
+      columns.ts.push(round(ts - t0, 2));
+      for (const key of Object.keys(sample)) {
+        if (key === 'ts') continue;
+        const value = sample[key];
+        if (typeof value !== 'number' && typeof value !== 'boolean') continue;
+        if (!columns[key]) {
+          // Field first seen mid-recording: earlier frames didn't have it
+          fields.push(key);
+          columns[key] = new Array(count).fill(null);
+        }
+        columns[key].push(typeof value === 'number' ? round(value, 4) : value);
+      }
+      count++;
+      // Fields this frame lacked
+      for (const key of fields) {
+        if (columns[key].length < count) columns[key].push(null);
+      }
+      return true;
+    },
+
+    /** @returns {number} Samples recorded so far */
+    getSampleCount() {
+      return count;
+    },
+
+    /**
+     * Close the recording
+     * @param {Object} extraMetadata - Merged into the metadata (e.g. the reading's outcome)
+     * @returns {Object} Recording in the current format version
+     */
+    finish(extraMetadata = {}) {
+      return {
+        format: PPG_RECORDING_FORMAT,
+        version: PPG_RECORDING_VERSION,
+        metadata: {
+          ...metadata,
+          ...extraMetadata,
+          startedAt,
+          durationMs: count > 1 ? columns.ts[count - 1] : 0,
+          sampleCount: count,
+        },
+        t0: t0 ?? 0,
+        fields: [...fields],
+        columns: Object.fromEntries(fields.map(key => [key, [...columns[key]]])),
+      };
+    },
+  };
+}
+
+/**
+ * Serialize a recording for storage or sharing
+ * @param {Object} recording - From recorder.finish()
+ * @returns {string} JSON text
+ */
+export function serializeRecording(recording) {
+  return JSON.stringify(recording);
+}
+
+/**
+ * Parse and validate a recording
+ * @param {string|Object} input - JSON text or an already-parsed object
+ * @returns {Object} The recording
+ * @throws {Error} If the input isn't a recording, or is a version this build can't read
+ */
+export function parseRecording(input) {
+  const recording = typeof input === 'string' ? JSON.parse(input) : input;
+
+  if (!recording || recording.format !== PPG_RECORDING_FORMAT) {
+    throw new Error('Not a PPG recording');
+  }
+  if (recording.version !== PPG_RECORDING_VERSION) {
+    throw new Error(`Unsupported PPG recording version: ${recording.version}`);
+  }
+  const { fields, columns } = recording;
+  if (!Array.isArray(fields) || !fields.includes('ts') || !columns) {
+    throw new Error('PPG recording has no sample times');
+  }
+  const length = columns.ts.length;
+  for (const key of fields) {
+    if (!Array.isArray(columns[key]) || columns[key].length !== length) {
+      throw new Error(`PPG recording column "${key}" is malformed`);
+    }
+  }
+  return recording;
+}
+
+/**
+ * Expand a recording into per-frame samples, as detectPPG returned them
+ * @param {Object} recording - Parsed recording
+ * @returns {Array<Object>} [{ ts, luma, ... }] - fields a frame lacked are omitted
+ */
+export function getRecordingSamples(recording) {
+  const { t0, fields, columns } = recording;
+  const samples = [];
+  for (let i = 0; i < columns.ts.length; i++) {
+    const sample = {};
+    for (const key of fields) {
+      const value = columns[key][i];
+      if (value !== null) sample[key] = key === 'ts' ? round(t0 + value, 2) : value;
+    }
+    samples.push(sample);
+  }
+  return samples;
+}
+
+/**
+ * Feed every sample of a recording to a consumer synchronously, in order -
+ * for tests and offline analysis
+ * @param {Object} recording - Parsed recording
+ * @param {Function} onSample - Called with each sample
+ * @returns {number} Number of samples replayed
+ */
+export function replayRecording(recording, onSample) {
+  const samples = getRecordingSamples(recording);
+  samples.forEach(sample => onSample(sample));
+  return samples.length;
+}
+
+/**
+ * Create a timed replay source that stands in for the camera.
+ *
+ * Usage:
+ *   const source = createReplaySource(recording, { speed: 1 });
+ *   source.start(sample => onFrameProcessed(sample), () => console.log('done'));
+ *
+ * Samples keep their recorded values and times; only the wall-clock delivery
+ * is scheduled, against the start time so timer drift doesn't accumulate.
+ * When looping, each pass is shifted forward so times keep increasing.
+ *
+ * @param {Object} recording - Parsed recording
+ * @param {Object} options
+ * @param {number} options.speed - Playback speed multiplier
+ * @param {boolean} options.loop - Start over at the end instead of stopping
+ * @returns {Object} { start(onSample, onEnd), stop(), isRunning() }
+ */
+export function createReplaySource(recording, { speed = 1, loop = false } = {}) {
+  const samples = getRecordingSamples(recording);
+  const first = samples.length ? samples[0].ts : 0;
+  const passLength = samples.length > 1
+    ? samples[samples.length - 1].ts - first + (samples[samples.length - 1].ts - first) / (samples.length - 1)
+    : 0;
+  let timer = null;
+  let running = false;
+
+  const stop = () => {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    running = false;
+  };
+
+  return {
+    /**
+     * @param {Function} onSample - Called with each sample at its recorded pace
+     * @param {Function} onEnd - Called once the recording has been played (not when looping)
+     */
+    start(onSample, onEnd) {
+      stop();
+      if (!samples.length) {
+        if (onEnd) onEnd();
+        return;
+      }
+      running = true;
+      const startedAt = Date.now();
+      let index = 0;
+      let pass = 0;
+
+      const tick = () => {
+        const elapsed = (Date.now() - startedAt) * speed;
+        while (running) {
+          const sample = samples[index];
+          const due = sample.ts - first + pass * passLength;
+          if (due > elapsed) break;
+          onSample(pass ? { ...sample, ts: round(sample.ts + pass * passLength, 2) } : sample);
+          index++;
+          if (index === samples.length) {
+            if (!loop || passLength <= 0) {
+              stop();
+              if (onEnd) onEnd();
+              return;
+            }
+            index = 0;
+            pass++;
+          }
+        }
+        if (!running) return;
+        const next = samples[index].ts - first + pass * passLength;
+        timer = setTimeout(tick, Math.max(0, (next - elapsed) / speed));
+      };
+      tick();
+    },
+
+    stop,
+
+    /** @returns {boolean} Whether samples are still being delivered */
+    isRunning() {
+      return running;
+    },
+  };
+}
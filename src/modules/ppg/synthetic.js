@@ -0,0 +1,310 @@
+// src/modules/ppg/synthetic.js
+// Synthetic camera PPG: realistic luma streams with known ground truth, for
+// scoring the estimators and for running the app without a camera.
+//
+// The model, per frame:
+//  - beats: RR intervals around the configured heart rate, shortened on
+//    inspiration (respiratory sinus arrhythmia) plus random beat-to-beat
+//    variation; optional premature (ectopic) beats with a compensatory pause
+//  - pulse shape: fast systolic upstroke, slower decay, dicrotic notch and
+//    a diastolic wave, stretched slightly with the beat interval
+//  - respiration: baseline wander and pulse amplitude modulation
+//  - camera: luma falls as blood volume rises, around a torch-lit baseline;
+//    frame-time jitter, sensor noise, 8-bit clipping
+//  - artifacts: motion bursts, light-leak saturation and frame dropouts,
+//    each over configurable time spans
+// Every beat's onset time is reported as ground truth.
+//
+// Framework-free, and deterministic for a given seed.
+import { createPPGRecorder } from './recording.js';
+
+// mulberry32 - small, fast, good enough for signal noise
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  const uniform = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const gaussian = () => {
+    const u = Math.max(uniform(), 1e-12);
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * uniform());
+  };
+  return { uniform, gaussian };
+};
+
+const inSpan = (spans, t) => spans.find(span => t >= span.startMs && t < span.startMs + span.durationMs);
+
+// Pulse waveform d ms after onset, peak ~1
+const pulseShape = (d, scale) => {
+  if (d < 0) return 0;
+  const peak = 140 * scale;
+  const systolic = Math.exp(-Math.pow((d - peak) / ((d < peak ? 55 : 120) * scale), 2));
+  const diastolic = 0.45 * Math.exp(-Math.pow((d - 390 * scale) / (100 * scale), 2));
+  // Slow diastolic runoff that lasts into the next beat, so the pulse's
+  // minimum is at the next upstroke rather than somewhere on a flat tail
+  const runoff = 0.35 * (1 - Math.exp(-Math.pow(d / peak, 3))) * Math.exp(-d / 600);
+  return systolic + diastolic + runoff;
+};
+
+/**
+ * Create a synthetic PPG generator.
+ *
+ * Usage:
+ *   const generator = createPPGGenerator({ heartRate: 72, seed: 1 });
+ *   generator.next();                 // { ok, ts, luma } for the next frame
+ *   generator.getBeats();             // [{ time, type }] ground truth so far
+ *
+ * Span options (`motion`, `saturation`, `dropouts`) take
+ * [{ startMs, durationMs, ... }] relative to the start of the stream.
+ *
+ * @param {Object} options
+ * @param {number|Function} options.heartRate - BPM, or (seconds since start) => BPM
+ * @param {number} options.hrvMs - Random beat-to-beat variation (SD of RR, ms)
+ * @param {number} options.respiratoryRate - Breaths per minute
+ * @param {number} options.rsaMs - RR shortening at peak inspiration (ms)
+ * @param {number} options.respBaseline - Baseline wander depth (fraction of baseline)
+ * @param {number} options.respAmplitude - Pulse amplitude modulation depth (0-1)
+ * @param {number} options.ectopicProbability - Chance per beat of a premature beat
+ * @param {number} options.baseline - Mean luma with a finger over the torch
+ * @param {number} options.perfusion - Pulse depth as a fraction of the baseline
+ * @param {number} options.noise - Sensor noise SD (luma units)
+ * @param {number} options.fps - Frame rate
+ * @param {number} options.jitterMs - Frame-time jitter SD (ms)
+ * @param {Array<Object>} options.motion - Motion bursts: { startMs, durationMs, amplitude }
+ * @param {Array<Object>} options.saturation - Light leaks: { startMs, durationMs, level }
+ * @param {Array<Object>} options.dropouts - Spans with no frames: { startMs, durationMs }
+ * @param {number} options.startTime - Timestamp of the first frame (ms)
+ * @param {number} options.seed - Random seed
+ * @returns {Object} Generator API
+ */
+export function createPPGGenerator(options = {}) {
+  const {
+    heartRate = 72,
+    hrvMs = 25,
+    respiratoryRate = 12,
+    rsaMs = 40,
+    respBaseline = 0.004,
+    respAmplitude = 0.1,
+    ectopicProbability = 0,
+    baseline = 140,
+    perfusion = 0.015,
+    noise = 0.15,
+    fps = 30,
+    jitterMs = 1.5,
+    motion = [],
+    saturation = [],
+    dropouts = [],
+    startTime = 0,
+    seed = 1,
+  } = options;
+
+  const random = createRandom(seed);
+  const bpmAt = typeof heartRate === 'function' ? heartRate : () => heartRate;
+  const respPhase = (t) => 2 * Math.PI * (respiratoryRate / 60) * (t / 1000);
+  const motionPhases = motion.map(() => [random.uniform(), random.uniform()].map(p => p * 2 * Math.PI));
+
+  const beats = []; // ground truth: { time (ms since start), type }
+  let active = []; // beats still shaping the waveform: { time, amplitude, scale }
+  let nextBeat = 0;
+  let pendingNormal = null; // beat after an ectopic's compensatory pause
+  let frame = 0;
+  let lastTime = -Infinity;
+
+  // Schedule beats up to time t (ms since start)
+  const scheduleUntil = (t) => {
+    while (nextBeat <= t) {
+      const time = nextBeat;
+      const rr = Math.max(300, 60000 / bpmAt(time / 1000) - rsaMs * Math.sin(respPhase(time)) + hrvMs * random.gaussian());
+      const scale = Math.sqrt(Math.min(1.1, Math.max(0.6, rr / 1000)));
+      let amplitude = 1 + respAmplitude * Math.sin(respPhase(time));
+
+      if (pendingNormal === null && beats.length > 1 && random.uniform() < ectopicProbability) {
+        // Premature beat: early and weak (the ventricle hasn't filled),
+        // then a compensatory pause so the next beat lands on schedule
+        const early = time - rr * 0.35;
+        beats.push({ time: early, type: 'ectopic' });
+        active.push({ time: early, amplitude: amplitude * 0.5, scale: scale * 0.85 });
+        pendingNormal = time + rr;
+        nextBeat = pendingNormal;
+        continue;
+      }
+      if (pendingNormal !== null) {
+        pendingNormal = null;
+        amplitude *= 1.15; // post-extrasystolic potentiation
+      }
+      beats.push({ time, type: 'normal' });
+      active.push({ time, amplitude, scale });
+      nextBeat = time + rr;
+    }
+    active = active.filter(beat => t - beat.time < 2000);
+  };
+
+  // Luma at t (ms since start), without timing effects
+  const lumaAt = (t) => {
+    scheduleUntil(t);
+    const pulse = active.reduce((sum, beat) => sum + beat.amplitude * pulseShape(t - beat.time, beat.scale), 0);
+    let luma = baseline * (1 + respBaseline * Math.sin(respPhase(t)) - perfusion * pulse);
+    luma += noise * random.gaussian();
+
+    motion.forEach((span, i) => {
+      if (!inSpan([span], t)) return;
+      const s = (t - span.startMs) / 1000;
+      const envelope = Math.sin((Math.PI * (t - span.startMs)) / span.durationMs);
+      const [a, b] = motionPhases[i];
+      const amplitude = span.amplitude ?? 20;
+      luma += amplitude * envelope * (0.6 * Math.sin(2 * Math.PI * 1.3 * s + a) + 0.4 * Math.sin(2 * Math.PI * 2.7 * s + b));
+      luma += amplitude * 0.1 * random.gaussian();
+    });
+
+    const leak = inSpan(saturation, t);
+    if (leak) luma += (leak.level ?? 255) - baseline;
+
+    return Math.max(0, Math.min(255, luma));
+  };
+
+  return {
+    /**
+     * Sample at an arbitrary time - for callers with their own clock
+     * @param {number} time - Timestamp in ms, not before the previous call
+     * @returns {Object} { ok, ts, luma }
+     */
+    sampleAt(time) {
+      const t = Math.max(time - startTime, lastTime, 0);
+      lastTime = t;
+      return { ok: true, ts: startTime + t, luma: lumaAt(t) };
+    },
+
+    /**
+     * Next camera frame, skipping frames lost to dropouts
+     * @returns {Object} { ok, ts, luma }
+     */
+    next() {
+      for (;;) {
+        const nominal = (frame * 1000) / fps;
+        frame++;
+        const t = Math.max(nominal + jitterMs * random.gaussian(), lastTime + 1);
+        if (inSpan(dropouts, t)) continue;
+        lastTime = t;
+        return { ok: true, ts: startTime + t, luma: lumaAt(t) };
+      }
+    },
+
+    /** @returns {Array<Object>} Ground-truth beats so far: [{ time (ms timestamp), type: 'normal'|'ectopic' }] */
+    getBeats() {
+      return beats.map(beat => ({ time: startTime + beat.time, type: beat.type }));
+    },
+  };
+}
+
+/**
+ * Generate a complete synthetic reading
+ * @param {Object} options - createPPGGenerator options plus `durationSec`
+ * @returns {Object} { timestamps, values, beats, beatTimes, options } -
+ *   beats are ground truth within the reading ([{ time, type }]), beatTimes
+ *   just their times
+ */
+export function generatePPG(options = {}) {
+  const { durationSec = 30, ...generatorOptions } = options;
+  const generator = createPPGGenerator(generatorOptions);
+  const start = generatorOptions.startTime ?? 0;
+  const end = start + durationSec * 1000;
+
+  const timestamps = [];
+  const values = [];
+  for (let sample = generator.next(); sample.ts < end; sample = generator.next()) {
+    timestamps.push(sample.ts);
+    values.push(sample.luma);
+  }
+  const beats = generator.getBeats().filter(beat => beat.time >= start && beat.time < end);
+
+  return {
+    timestamps,
+    values,
+    beats,
+    beatTimes: beats.map(beat => beat.time),
+    options,
+  };
+}
+
+/**
+ * A synthetic reading in the PPG recording format, so it can be replayed
+ * anywhere a recording can (e.g. the replay heart rate source)
+ * @param {Object} options - generatePPG options
+ * @returns {Object} Recording, with the ground-truth beats in its metadata
+ */
+export function createSyntheticRecording(options = {}) {
+  const reading = generatePPG(options);
+  const recorder = createPPGRecorder({ source: 'synthetic', synthetic: options });
+  reading.timestamps.forEach((ts, i) => recorder.add({ ok: true, ts, luma: reading.values[i] }));
+  return recorder.finish({ groundTruth: { beats: reading.beats } });
+}
+
+/**
+ * Create a real-time synthetic source that stands in for the camera, with
+ * the same API as createReplaySource.
+ *
+ * Usage:
+ *   const source = createSyntheticSource({ heartRate: 65 });
+ *   source.start(sample => onFrame(sample));
+ *
+ * @param {Object} options - createPPGGenerator options plus `durationSec`
+ *   (default: run until stopped); frame times follow the wall clock
+ * @returns {Object} { start(onSample, onEnd), stop(), isRunning(), getBeats() }
+ */
+export function createSyntheticSource(options = {}) {
+  const { durationSec = Infinity, ...generatorOptions } = options;
+  let generator = null;
+  let timer = null;
+  let running = false;
+
+  const stop = () => {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    running = false;
+  };
+
+  return {
+    /**
+     * @param {Function} onSample - Called with each { ok, ts, luma } frame
+     * @param {Function} onEnd - Called after `durationSec`
+     */
+    start(onSample, onEnd) {
+      stop();
+      const startedAt = Date.now();
+      generator = createPPGGenerator({ ...generatorOptions, startTime: startedAt });
+      running = true;
+      let pending = generator.next();
+
+      const tick = () => {
+        const now = Date.now();
+        while (running && pending.ts <= now) {
+          if (pending.ts - startedAt >= durationSec * 1000) {
+            stop();
+            if (onEnd) onEnd();
+            return;
+          }
+          onSample(pending);
+          pending = generator.next();
+        }
+        if (!running) return;
+        timer = setTimeout(tick, Math.max(0, pending.ts - Date.now()));
+      };
+      tick();
+    },
+
+    stop,
+
+    /** @returns {boolean} Whether frames are still being delivered */
+    isRunning() {
+      return running;
+    },
+
+    /** @returns {Array<Object>} Ground-truth beats so far */
+    getBeats() {
+      return generator ? generator.getBeats() : [];
+    },
+  };
+}
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import {
   View,
   Text,
@@ -12,6 +12,12 @@ import {
   Alert,
 } from 'react-native';
 import SoundscapeStorageService from '../services/SoundscapeStorageService';
+import { mapMorphologyToTimbre, mapCoherenceToFilter } from '../utils/biometric-mappings';
+import { useBpmTracker } from '../hooks/useBpmTracker';
+import { TRENDS } from '../modules/ppg/dsp';
+import { createPadSource, createNoiseSynth, NOISE_TYPES } from '../modules/audio';
+import { MIX_SAMPLE_RATE } from '../services/AudioMixerService';
+import { useMixerLayer } from '../hooks/useMixerLayer';
 
 // Defensive import with fallbacks
 let colors = {
@@ -44,6 +50,13 @@ try {
 
 const { width, height } = Dimensions.get('window');
 
+// Pad notes as ratios of the root; padLayers takes the first 2-6
+const PAD_ROOT = 110;
+const PAD_RATIOS = [1, 1.5, 2, 2.5, 3, 4];
+// Pad level per intensity; the air layer follows atmosphericDensity
+const PAD_GAINS = { gentle: 0.45, moderate: 0.6, intense: 0.75 };
+const AIR_GAIN = 0.4;
+
 const AmbientMonitorScreen = ({ route, navigation }) => {
   // Extract biometric data and mode from navigation
   const { 
@@ -52,6 +65,12 @@ const AmbientMonitorScreen = ({ route, navigation }) => {
     key = 'Dm', 
     mode = 'ambient', 
     modeConfig,
+    hrv: hrvMetrics = null,  // HRV metrics from the biometric capture (computeHRV)
+    morphology = null,       // Pulse shape from the biometric capture (analyzeMorphology)
+    stress = null,           // Stress index from the biometric capture (computeStressIndex)
+    stressChange = null,     // Change since a reading before the session (compareStress)
+    coherence = null,        // Heart-rhythm coherence from a resonance session (computeCoherence)
+    respiration = null,      // Respiratory rate from the biometric capture (estimateRespiratoryRate)
     savedSession = false,    // Detect if this is playback
     savedData = null         // Get the saved session data
   } = route?.params || {};
@@ -63,6 +82,46 @@ const AmbientMonitorScreen = ({ route, navigation }) => {
   
   // Session mode - 'create' or 'playback' - compute directly from props
   const isPlaybackMode = Boolean(savedSession && savedData);
+
+  // Measured HRV (RMSSD, ms) from the biometric capture - or from the saved
+  // session in playback. Null when no valid measurement exists, in which case
+  // the HRV-driven parameters keep their defaults.
+  const measuredHrv = useMemo(() => {
+    const metrics = isPlaybackMode ? savedData?.hrv : hrvMetrics;
+    return metrics?.rmssd?.valid ? metrics.rmssd.value : null;
+  }, [isPlaybackMode, savedData, hrvMetrics]);
+
+  // Timbre from the pulse shape (mapMorphologyToTimbre); null without a valid
+  // pulse template
+  const timbre = useMemo(
+    () => mapMorphologyToTimbre(isPlaybackMode ? savedData?.morphology : morphology),
+    [isPlaybackMode, savedData, morphology]
+  );
+
+  // Relaxation score (0-100) from the biometric capture, and its change since
+  // the reading before the session when there was one
+  const relaxation = useMemo(() => {
+    const reading = isPlaybackMode ? savedData?.stress : stress;
+    const change = isPlaybackMode ? savedData?.stressChange : stressChange;
+    return {
+      score: reading?.relaxation?.valid ? reading.relaxation.value : null,
+      change: change?.relaxationChange?.valid ? change.relaxationChange.value : null,
+    };
+  }, [isPlaybackMode, savedData, stress, stressChange]);
+
+  // Filter opening from coherence (mapCoherenceToFilter); when present it
+  // takes over the filter from breathing and HRV
+  const coherenceCutoff = useMemo(
+    () => mapCoherenceToFilter(isPlaybackMode ? savedData?.coherence : coherence),
+    [isPlaybackMode, savedData, coherence]
+  );
+
+  // Measured breathing rate (breaths/min). Drives filter_cutoff when present;
+  // otherwise the cutoff falls back to HRV.
+  const measuredBreathing = useMemo(() => {
+    const estimate = isPlaybackMode ? savedData?.respiration : respiration;
+    return estimate?.rate != null && estimate.quality >= 0.5 ? estimate.rate : null;
+  }, [isPlaybackMode, savedData, respiration]);
   
   console.log('isPlaybackMode:', isPlaybackMode);
   
@@ -72,6 +131,8 @@ const AmbientMonitorScreen = ({ route, navigation }) => {
   const [currentBpm, setCurrentBpm] = useState(
     isPlaybackMode ? savedData?.heartRate || bpm : bpm
   );
+  // Links the once-a-second readings so the HR display doesn't jump
+  const bpmTracker = useBpmTracker();
   const [intensityLevel, setIntensityLevel] = useState(
     isPlaybackMode ? savedData?.intensityLevel || 'moderate' : 'moderate'
   );
@@ -128,6 +189,41 @@ const AmbientMonitorScreen = ({ route, navigation }) => {
     },
   };
   
+  // Audio: a drone pad with `padLayers` notes over a pink-noise air layer,
+  // both on the shared mix
+  const padParams = useMemo(() => ({
+    chord: PAD_RATIOS.slice(0, ambientParams.padLayers).map(ratio => PAD_ROOT * ratio),
+    brightness: ambientParams.filterCutoff,
+    swellRate: currentBpm / 60 / 8,
+  }), [ambientParams.padLayers, ambientParams.filterCutoff, currentBpm]);
+  const airParams = useMemo(() => ({
+    amplitude: 0.8,
+    cutoffFreq: ambientParams.filterCutoff * 0.8,
+    resonance: 0.2,
+    drift: ambientParams.evolutionRate,
+    modulation: ambientParams.reverbSize * 0.5,
+    modulationRate: currentBpm / 60 / 4,
+    tilt: -1,
+  }), [ambientParams.filterCutoff, ambientParams.evolutionRate, ambientParams.reverbSize, currentBpm]);
+  
+  useMixerLayer('ambient.pad', {
+    active: isPlaying,
+    createSource: () => createPadSource({ sampleRate: MIX_SAMPLE_RATE, ...padParams }),
+    params: padParams,
+    gain: PAD_GAINS[intensityLevel] ?? PAD_GAINS.moderate,
+  });
+  useMixerLayer('ambient.air', {
+    active: isPlaying,
+    createSource: () => createNoiseSynth({
+      sampleRate: MIX_SAMPLE_RATE,
+      type: NOISE_TYPES.PINK,
+      params: airParams,
+      seed: Date.now(),
+    }),
+    params: airParams,
+    gain: AIR_GAIN * ambientParams.atmosphericDensity,
+  });
+  
   // Biometric simulation - different behavior for playback vs create mode
   useEffect(() => {
     let interval;
@@ -136,13 +232,18 @@ const AmbientMonitorScreen = ({ route, navigation }) => {
         if (isPlaybackMode && savedBiometricData.length > 0) {
           // PLAYBACK MODE: Loop through saved biometric data
           const currentIndex = biometricIndex % savedBiometricData.length;
-          const newBpm = savedBiometricData[currentIndex];
+          const reading = savedBiometricData[currentIndex];
+          const newBpm = bpmTracker.push({ bpm: reading, confidence }).bpm ?? reading;
           setCurrentBpm(newBpm);
           setBiometricIndex(prev => prev + 1);
           
           // Calculate parameters from saved biometric data
           const normalizedBpm = (newBpm - 60) / 40;
-          const hrv = 35 + Math.sin(currentIndex * 0.3) * 10;
+          const hrv = measuredHrv;
+          // Slow breathing (6/min) closes the filter, fast breathing (24/min) opens it
+          const breathingCutoff = measuredBreathing != null
+            ? Math.max(0.2, Math.min(0.8, measuredBreathing / 30))
+            : null;
           
           // Determine intensity level based on BPM ranges
           let newIntensityLevel = 'moderate';
@@ -150,11 +251,13 @@ const AmbientMonitorScreen = ({ route, navigation }) => {
           else if (newBpm > 85) newIntensityLevel = 'intense';
           setIntensityLevel(newIntensityLevel);
           
-          setBiorhythmIntensity(Math.max(0.2, Math.min(0.9, hrv / 50)));
+          if (hrv != null) {
+            setBiorhythmIntensity(Math.max(0.2, Math.min(0.9, hrv / 50)));
+          }
           setAmbientParams(prev => ({
             ...prev,
             reverbSize: Math.max(0.3, Math.min(0.9, normalizedBpm)),
-            filterCutoff: Math.max(0.2, Math.min(0.8, hrv / 60)),
+            filterCutoff: coherenceCutoff ?? breathingCutoff ?? (hrv != null ? Math.max(0.2, Math.min(0.8, hrv / 60)) : prev.filterCutoff),
             padLayers: Math.round(Math.max(2, Math.min(6, normalizedBpm * 6))),
           }));
           
@@ -164,7 +267,9 @@ const AmbientMonitorScreen = ({ route, navigation }) => {
             bpm: newBpm,
             intensity: newIntensityLevel,
             reverb: Math.round(normalizedBpm * 100) / 100,
-            filter: Math.round((hrv / 60) * 100) / 100,
+            filter: coherenceCutoff ?? (breathingCutoff != null
+              ? Math.round(breathingCutoff * 100) / 100
+              : hrv != null ? Math.round((hrv / 60) * 100) / 100 : null),
             layers: Math.round(normalizedBpm * 6),
           };
           
@@ -172,22 +277,28 @@ const AmbientMonitorScreen = ({ route, navigation }) => {
         } else {
           // CREATE MODE: Live heart rate variation simulation
           const variation = Math.sin(Date.now() * 0.001) * 3;
-          const newBpm = bpm + variation;
+          const newBpm = bpmTracker.push({ bpm: bpm + variation, confidence }).bpm ?? bpm + variation;
           setCurrentBpm(Math.round(newBpm));
           
           const normalizedBpm = (newBpm - 60) / 40;
-          const hrv = 35 + Math.random() * 15;
+          const hrv = measuredHrv;
+          // Slow breathing (6/min) closes the filter, fast breathing (24/min) opens it
+          const breathingCutoff = measuredBreathing != null
+            ? Math.max(0.2, Math.min(0.8, measuredBreathing / 30))
+            : null;
           
           let newIntensityLevel = 'moderate';
           if (newBpm < 70) newIntensityLevel = 'gentle';
           else if (newBpm > 85) newIntensityLevel = 'intense';
           setIntensityLevel(newIntensityLevel);
           
-          setBiorhythmIntensity(Math.max(0.2, Math.min(0.9, hrv / 50)));
+          if (hrv != null) {
+            setBiorhythmIntensity(Math.max(0.2, Math.min(0.9, hrv / 50)));
+          }
           setAmbientParams(prev => ({
             ...prev,
             reverbSize: Math.max(0.3, Math.min(0.9, normalizedBpm)),
-            filterCutoff: Math.max(0.2, Math.min(0.8, hrv / 60)),
+            filterCutoff: coherenceCutoff ?? breathingCutoff ?? (hrv != null ? Math.max(0.2, Math.min(0.8, hrv / 60)) : prev.filterCutoff),
             padLayers: Math.round(Math.max(2, Math.min(6, normalizedBpm * 6))),
           }));
           
@@ -197,7 +308,9 @@ const AmbientMonitorScreen = ({ route, navigation }) => {
             bpm: Math.round(newBpm),
             intensity: newIntensityLevel,
             reverb: Math.round(normalizedBpm * 100) / 100,
-            filter: Math.round((hrv / 60) * 100) / 100,
+            filter: coherenceCutoff ?? (breathingCutoff != null
+              ? Math.round(breathingCutoff * 100) / 100
+              : hrv != null ? Math.round((hrv / 60) * 100) / 100 : null),
             layers: Math.round(normalizedBpm * 6),
           };
           
@@ -206,7 +319,7 @@ const AmbientMonitorScreen = ({ route, navigation }) => {
       }, 1000);
     }
     return () => clearInterval(interval);
-  }, [isPlaying, bpm, isPlaybackMode, biometricIndex, savedBiometricData]);
+  }, [isPlaying, bpm, confidence, isPlaybackMode, biometricIndex, savedBiometricData, measuredHrv, measuredBreathing, coherenceCutoff]);
   
   // Session timer
   useEffect(() => {
@@ -301,6 +414,12 @@ const AmbientMonitorScreen = ({ route, navigation }) => {
         reverbSize: ambientParams.reverbSize,
         padLayers: ambientParams.padLayers,
         quality: confidence,
+        hrv: hrvMetrics,
+        morphology,
+        stress,
+        stressChange,
+        coherence,
+        respiration,
         createdAt: timestamp,
       };
       
@@ -475,11 +594,17 @@ const AmbientMonitorScreen = ({ route, navigation }) => {
           
           <View style={styles.parameterRow}>
             <Text style={styles.parameterText}>
-              HR: <Text style={[styles.accentText, { color: modeInfo.color }]}>{currentBpm} BPM</Text> | 
+              HR: <Text style={[styles.accentText, { color: modeInfo.color }]}>{currentBpm} BPM{bpmTracker.tracked.trend === TRENDS.RISING ? ' ↑' : bpmTracker.tracked.trend === TRENDS.FALLING ? ' ↓' : ''}</Text> | 
               Reverb: <Text style={[styles.accentText, { color: modeInfo.color }]}>{Math.round(ambientParams.reverbSize * 100)}%</Text> | 
               Layers: <Text style={[styles.accentText, { color: modeInfo.color }]}>{ambientParams.padLayers}</Text>
             </Text>
           </View>
+          <View style={styles.parameterRow}>
+            <Text style={styles.parameterText}>
+              Relax: <Text style={[styles.accentText, { color: modeInfo.color }]}>{relaxation.score ?? '--'}</Text>
+              {relaxation.change != null ? ` (${relaxation.change > 0 ? '+' : ''}${relaxation.change} since before)` : ''}
+            </Text>
+          </View>
         </View>
         
         {/* Pad Layer Control */}
@@ -563,6 +688,13 @@ const AmbientMonitorScreen = ({ route, navigation }) => {
               <Text style={[styles.mappingTarget, { color: modeInfo.color }]}>pad_layers</Text>
               <Text style={styles.mappingValue}>{ambientParams.padLayers}</Text>
             </View>
+            
+            <View style={styles.mappingItem}>
+              <Text style={styles.mappingSource}>pulse_shape</Text>
+              <Text style={[styles.mappingArrow, { color: modeInfo.color }]}>→</Text>
+              <Text style={[styles.mappingTarget, { color: modeInfo.color }]}>attack</Text>
+              <Text style={styles.mappingValue}>{timbre?.attack != null ? `${Math.round(timbre.attack * 100)}%` : '--'}</Text>
+            </View>
           </View>
         </View>
         
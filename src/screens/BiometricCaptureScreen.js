@@ -1,4 +1,4 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
 import {
   View,
   Text,
@@ -17,29 +17,120 @@ import {
   Camera as VisionCamera, 
   useCameraDevice,
   useCameraPermission,
-  useFrameProcessor
 } from 'react-native-vision-camera';
-import { runOnJS } from 'react-native-reanimated';
-import { detectPPG } from '../frameProcessors/detectPPG';
+import {
+  estimateHeartRate,
+  detectBeats,
+  computeHRV,
+  HRV_MIN_DURATION_SEC,
+  estimateRespiratoryRate,
+  analyzeMorphology,
+  computeStressIndex,
+  compareStress,
+  computeCoherence,
+  COHERENCE_LEVELS,
+  createFingerDetector,
+  FINGER_STATES,
+  TRENDS,
+  createConvergenceMonitor,
+  CONVERGENCE_STATES,
+} from '../modules/ppg/dsp';
+import { useBpmTracker } from '../hooks/useBpmTracker';
+import { useCoherence } from '../hooks/useCoherence';
+import { useHeartRateSource } from '../hooks/useHeartRateSource';
+import { HEART_RATE_SOURCES } from '../modules/heartRate';
+import { createPPGRecorder } from '../modules/ppg/recording';
+import PPGRecordingService from '../services/PPGRecordingService';
+import { MIX_SAMPLE_RATE } from '../services/AudioMixerService';
+import { createHeartbeatSource } from '../modules/audio';
+import { useMixerLayer } from '../hooks/useMixerLayer';
 const { width, height } = Dimensions.get('window');
 
+// Reading length: a reading ends once consecutive estimates agree at good
+// quality, runs on while quality is marginal, and stops at the ceiling. Never
+// shorter than RMSSD needs, so a converged reading carries a valid HRV.
+const READING_CONVERGENCE = { minDurationMs: HRV_MIN_DURATION_SEC.rmssd * 1000, maxDurationMs: 30000 };
+// Resonance-breathing session (mode 'coherence'): at least a minute, so the
+// coherence window fills
+const RESONANCE_CONVERGENCE = { minDurationMs: 60000, maxDurationMs: 90000 };
+
+// "Hear your heart" level on the mix
+const HEARTBEAT_GAIN = 0.7;
+
+const READING_STATUS_TEXT = {
+  [CONVERGENCE_STATES.COLLECTING]: 'Listening for your pulse...',
+  [CONVERGENCE_STATES.SETTLING]: 'Locking on to your rhythm...',
+  [CONVERGENCE_STATES.MARGINAL]: 'Weak signal - hold still, this may take a little longer',
+  [CONVERGENCE_STATES.CONVERGED]: 'Got it',
+  [CONVERGENCE_STATES.TIMED_OUT]: 'Finishing up...',
+};
+
 const BiometricCaptureScreen = () => {
   const navigation = useNavigation();
   const route = useRoute();
   
   // Get params from navigation (emotion data, mode, etc.)
   const { selectedEmotion, emotionData, mode } = route.params || {};
+  // Where the pulse comes from - a PPG source (camera, or synthetic / replay
+  // for demos and reproducing problems); see modules/heartRate
+  const { source: sourceKind = HEART_RATE_SOURCES.CAMERA, sourceOptions } = route.params || {};
+  // Stress from an earlier reading, when this one is the after-session check-in
+  const { baselineStress = null } = route.params || {};
+  // Resonance breathing with live coherence feedback instead of a quick reading
+  const isResonanceSession = mode === 'coherence';
+  const readingConvergence = isResonanceSession ? RESONANCE_CONVERGENCE : READING_CONVERGENCE;
   
   // State management
   const [currentState, setCurrentState] = useState(0);
   const [isReturningUser, setIsReturningUser] = useState(false); // TODO: Get from AsyncStorage
-  const [readingProgress, setReadingProgress] = useState(0);
+  const [readingProgress, setReadingProgress] = useState(0); // Convergence of the estimate, 0-1
+  const [readingStatus, setReadingStatus] = useState(CONVERGENCE_STATES.COLLECTING);
   const [currentBpm, setCurrentBpm] = useState('--');
   const [debugInfo, setDebugInfo] = useState(''); // Debug overlay state
   const [ppgData, setPpgData] = useState(null); // PPG frame processor results
   const [frameCount, setFrameCount] = useState(0); // Track frame processing
   const [cameraMounted, setCameraMounted] = useState(false);
   const [cameraPaused, setCameraPaused] = useState(false);
+  const [measurement, setMeasurement] = useState(null); // { bpm, confidence, hrv, respiration, morphology, stress, coherence, rhythm, ... } from the last reading
+  const [fingerState, setFingerState] = useState(FINGER_STATES.UNKNOWN); // From the finger-presence detector
+  const [readingPaused, setReadingPaused] = useState(false); // Reading stopped because the finger left
+  const [hearHeart, setHearHeart] = useState(false); // Heartbeat audio during the reading
+  
+  // PPG sample buffer for the current reading ({ ts, luma } per frame)
+  const ppgSamplesRef = useRef([]);
+  // Raw detectPPG results of the current reading, saved for replay
+  const recorderRef = useRef(null);
+  // Decides when the reading has converged (see READING_CONVERGENCE); made
+  // once, on the first render
+  const convergenceRef = useRef(null);
+  if (!convergenceRef.current) convergenceRef.current = createConvergenceMonitor(readingConvergence);
+  // Smooths the once-a-second live estimates into the displayed BPM
+  const liveTracker = useBpmTracker();
+  // Rolling coherence from the worklet's beats, shown in resonance sessions
+  const liveCoherence = useCoherence();
+  // Optional heartbeat while reading: hits at the displayed BPM, locked to
+  // the beats the source detects
+  const liveBpmValue = Number(currentBpm);
+  const heartbeatParams = useMemo(() => ({ bpm: liveBpmValue }), [liveBpmValue]);
+  const heartbeatLayer = useMixerLayer('capture.heartbeat', {
+    active: hearHeart && currentState === 2 && Number.isFinite(liveBpmValue),
+    createSource: () => createHeartbeatSource({ sampleRate: MIX_SAMPLE_RATE, bpm: liveBpmValue }),
+    params: heartbeatParams,
+    gain: HEARTBEAT_GAIN,
+    fadeMs: 400,
+  });
+  const lastLiveTsRef = useRef(0);
+  // Latest signal quality event from the source (perfusion, dropped frames)
+  const signalQualityRef = useRef(null);
+  // Time of the latest PPG sample - "now" on the beats' clock
+  const lastSampleTsRef = useRef(null);
+  const frameCountRef = useRef(0);
+  const isReadingRef = useRef(false);
+  // Finger-presence detector; starts, pauses and restarts the reading
+  const fingerDetectorRef = useRef(null);
+  if (!fingerDetectorRef.current) fingerDetectorRef.current = createFingerDetector();
+  // Mirror of currentState for the frame callback, which can't see fresh state
+  const currentStateRef = useRef(0);
   
   // Camera permission and device hooks
   const { hasPermission, requestPermission } = useCameraPermission();
@@ -65,60 +156,120 @@ const BiometricCaptureScreen = () => {
   // Camera ref
   const camera = useRef(null);
   
-  // Determine if camera should be active
-  const isCameraActive = !cameraPaused && cameraMounted && currentState === 2; // Only active during reading
+  // Determine if camera should be active - during placement too, so the
+  // finger detector can start the reading
+  const isCameraActive = !cameraPaused && cameraMounted && (currentState === 1 || currentState === 2);
   
-  // Frame processor for PPG detection
-  const frameProcessor = useFrameProcessor((frame) => {
-    'worklet';
-    const result = detectPPG(frame);
-    if (result && result.ok) {
-      runOnJS(handlePPGDetected)(result);
-    }
-  }, []);
+  // Heart rate source - the camera by default. PPG samples are buffered and
+  // filtered in the frame-processor worklet and arrive here about four times
+  // a second, as samples, beats, BPM and quality events.
+  const { frameProcessor, reset: resetPPGPipeline } = useHeartRateSource(sourceKind, {
+    sourceOptions,
+    autoStart: true,
+    onSamples: handlePPGSamples,
+    onBeats: handlePPGBeats,
+    onBpm: handleLiveBpm,
+    onQuality: handleSignalQuality,
+  });
   
   /**
-   * Handle PPG detection result
-   * This replaces faceDetectionCallback from the example
+   * Handle a batch of PPG samples from the heart rate source
    * 
-   * @param {any} ppgData Detection result 
-   * @param {Frame} frame Current frame
+   * @param {Object} event { samples: [{ ok, ts, luma }], filtered }
    * @returns {void}
    */
-  function handlePPGDetected(ppgData) {
-    // Avoid per-frame logging to prevent console noise
-    
-    // Update frame count
-    setFrameCount(prev => prev + 1);
+  function handlePPGSamples({ samples }) {
+    // Avoid per-frame logging and state updates - one render per batch
+    // NOTE: use refs and state setters here; the reading state changes
+    // mid-batch when the finger detector starts or pauses it.
+    if (samples.length) lastSampleTsRef.current = samples[samples.length - 1].ts;
+    for (const sample of samples) {
+      // Finger presence drives the placement/reading state machine
+      const contact = fingerDetectorRef.current.push(sample.ts, sample.luma);
+      if (contact.changed) {
+        handleFingerStateChange(contact.state);
+      }
+      
+      if (isReadingRef.current) {
+        // Buffer the raw sample for the estimator
+        ppgSamplesRef.current.push({ ts: sample.ts, luma: sample.luma });
+        if (recorderRef.current) {
+          recorderRef.current.add(sample);
+        }
+        frameCountRef.current += 1;
+      }
+    }
     
-    // Update debug info
-    const debugMsg = `📊 Frame ${frameCount}: luma=${ppgData?.luma?.toFixed?.(2) ?? '—'}`;
+    if (!isReadingRef.current || !samples.length) return;
+    setFrameCount(frameCountRef.current);
+    setPpgData(samples[samples.length - 1]);
+  }
+  
+  /**
+   * Beats picked by the source since its last event feed the live coherence
+   * and keep the heartbeat audio in phase
+   * @param {Object} event { beats } - beat times in ms
+   * @returns {void}
+   */
+  function handlePPGBeats({ beats }) {
+    if (!isReadingRef.current) return;
+    liveCoherence.push(beats, beats[beats.length - 1]);
+    heartbeatLayer.getSource()?.syncBeats(beats, { clockNow: lastSampleTsRef.current });
+  }
+  
+  /**
+   * Refresh the live BPM roughly once per second from the source's estimate,
+   * tracked across updates so the readout doesn't jump
+   * @param {Object} event { bpm, confidence, ts }
+   * @returns {void}
+   */
+  function handleLiveBpm({ bpm, confidence, ts }) {
+    if (!isReadingRef.current || ts - lastLiveTsRef.current < 1000) return;
+    lastLiveTsRef.current = ts;
+    const live = liveTracker.push({ bpm, confidence }, ts);
+    if (live.bpm) {
+      setCurrentBpm(live.bpm.toString());
+    }
+    const perfusion = signalQualityRef.current?.perfusion;
+    const debugMsg = `📊 Frame ${frameCountRef.current}: ${bpm ?? '--'} BPM (${confidence}%), PI ${perfusion != null ? perfusion.toFixed(2) : '--'}%`;
     setDebugInfo(prev => `${debugMsg}\n${prev}`.slice(0, 500));
-    
-    // Simulate PPG data processing
-    if (frameCount > 30) { // After 30 frames, start showing BPM
-      const simulatedBpm = 65 + Math.floor(Math.random() * 20);
-      setCurrentBpm(simulatedBpm.toString());
+  }
+  
+  /**
+   * @param {Object} event { ts, perfusion, clipping, sampleRate, dropped }
+   * @returns {void}
+   */
+  function handleSignalQuality(quality) {
+    signalQualityRef.current = quality;
+    if (isReadingRef.current && quality.dropped > 0) {
+      setDebugInfo(prev => `⚠️ ${quality.dropped} samples dropped before JS caught up\n${prev}`.slice(0, 500));
     }
-    
-    // Store PPG data
-    setPpgData(ppgData);
-    
-    // Only process if camera ref is defined (reserved for future use)
-    // if (camera.current) { }
   }
   
-  // Add a simple frame counter effect for testing
-  useEffect(() => {
-    if (isCameraActive) {
-      const frameTimer = setInterval(() => {
-        // Simulate frame processing
-        handlePPGDetected({ timestamp: Date.now() }, null);
-      }, 100); // 10 FPS simulation
-      
-      return () => clearInterval(frameTimer);
+  /**
+   * React to a finger-presence change: start the reading when a finger
+   * settles on the lens, pause it when the finger leaves (or presses too
+   * hard, or light leaks in), and restart it from scratch when it returns.
+   * Called from handlePPGSamples, so it has the same refs-only constraint.
+   *
+   * @param {string} state - FINGER_STATES value
+   * @returns {void}
+   */
+  function handleFingerStateChange(state) {
+    setFingerState(state);
+    setDebugInfo(prev => `👆 Finger: ${state}\n${prev}`.slice(0, 500));
+    
+    const screenState = currentStateRef.current;
+    if (state === FINGER_STATES.ON) {
+      if (!isReadingRef.current && (screenState === 1 || screenState === 2)) {
+        currentStateRef.current = 2;
+        setCurrentState(2); // reading
+        startReading();
+      }
+    } else if (screenState === 2 && isReadingRef.current) {
+      pauseReading();
     }
-  }, [isCameraActive, frameCount]);
+  }
   
   // Timer refs
   const readingTimer = useRef(null);
@@ -149,8 +300,9 @@ const BiometricCaptureScreen = () => {
       showReadingTimer: true
     },
     success: {
-      title: 'Got it. You\'re at 75 BPM.',
+      title: `Got it. You're at ${measurement?.bpm ?? '--'} BPM.`,
       helper: 'Let\'s build your soundscape to match.',
+      helper2: measurement?.rhythmMessage,
       showPermissionExplanation: false,
       buttonText: 'Create My Soundscape',
       buttonStyle: 'outline'
@@ -197,8 +349,9 @@ const BiometricCaptureScreen = () => {
       showReadingTimer: true
     },
     success: {
-      title: 'Got it. You\'re at 75 BPM.',
+      title: `Got it. You're at ${measurement?.bpm ?? '--'} BPM.`,
       helper: 'Let\'s build your soundscape to match.',
+      helper2: measurement?.rhythmMessage,
       showPermissionExplanation: false,
       buttonText: 'Create My Soundscape',
       buttonStyle: 'outline'
@@ -315,10 +468,23 @@ const BiometricCaptureScreen = () => {
       breathingLoop.stop();
       cameraGlowLoop.stop();
       coverGestureLoop.stop();
+    };
+  }, [currentState, isReturningUser]);
+
+  // Keep the frame callback's view of the state machine current
+  useEffect(() => {
+    currentStateRef.current = currentState;
+  }, [currentState]);
+
+  // Clear timers on unmount only - the reading timer must survive the
+  // placement -> reading state change that starts it
+  useEffect(() => {
+    return () => {
+      isReadingRef.current = false;
       if (readingTimer.current) clearInterval(readingTimer.current);
       if (waveformTimer.current) clearInterval(waveformTimer.current);
     };
-  }, [currentState, isReturningUser]);
+  }, []);
 
   // Sonar ripple animation for reading state
   useEffect(() => {
@@ -399,7 +565,7 @@ const BiometricCaptureScreen = () => {
       if (granted) {
         // Permission granted - go to placement
         console.log("✅ Camera permission granted");
-        setCurrentState(1);
+        startPlacement();
       } else {
         // Permission denied - show denied state
         console.log("❌ Camera permission denied");
@@ -425,51 +591,116 @@ const BiometricCaptureScreen = () => {
     }
   }; 
 
+  // Placement: mount the camera with the torch on and wait for a finger
+  const startPlacement = () => {
+    fingerDetectorRef.current.reset();
+    setFingerState(FINGER_STATES.UNKNOWN);
+    setReadingPaused(false);
+    setCameraMounted(true);
+    setCameraPaused(false);
+    setCurrentState(1);
+  };
+
   const startReading = () => {
     console.log('🔴 Starting PPG reading...');
     setDebugInfo(prev => `🔴 Starting PPG reading...\n${prev}`);
     
+    if (readingTimer.current) clearInterval(readingTimer.current);
+    
     // Mount and activate camera for frame processing
     setCameraMounted(true);
     setCameraPaused(false);
+    setReadingPaused(false);
     setFrameCount(0); // Reset frame count
+    setCurrentBpm('--');
+    setMeasurement(null);
+    ppgSamplesRef.current = [];
+    recorderRef.current = createPPGRecorder({
+      source: 'BiometricCaptureScreen',
+      platform: Platform.OS,
+      osVersion: String(Platform.Version),
+      camera: cameraDevice ? { id: cameraDevice.id, name: cameraDevice.name, position: cameraDevice.position } : null,
+      torch: true,
+    });
+    resetPPGPipeline();
+    liveTracker.reset();
+    liveCoherence.reset();
+    lastLiveTsRef.current = 0;
+    frameCountRef.current = 0;
+    isReadingRef.current = true;
     setDebugInfo(prev => `🎥 Camera mounted and active\n${prev}`);
     
-    let timeRemaining = 10;
-    let bpm = Math.floor(Math.random() * 20) + 65; // 65-85 BPM
+    setReadingProgress(0);
+    progressAnim.setValue(0);
+    
+    convergenceRef.current.reset();
+    setReadingStatus(CONVERGENCE_STATES.COLLECTING);
+    const startedAt = Date.now();
     
+    // Re-estimate over the whole reading once a second; the reading ends
+    // when the estimate converges or the ceiling is reached
     readingTimer.current = setInterval(() => {
-      timeRemaining--;
-      
-      // Update progress
-      const progress = (10 - timeRemaining) / 10;
-      setReadingProgress(progress);
+      const samples = ppgSamplesRef.current;
+      const values = samples.map(s => s.luma);
+      const times = samples.map(s => s.ts);
+      const estimate = estimateHeartRate(values, times);
+      const dataMs = times.length > 1 ? times[times.length - 1] - times[0] : 0;
+      const status = convergenceRef.current.push(estimate, dataMs);
+      // Frames can stall; don't wait on them past the ceiling
+      const stalled = Date.now() - startedAt >= readingConvergence.maxDurationMs + 5000;
       
+      // Progress follows convergence, not the clock
+      setReadingStatus(status.state);
+      setReadingProgress(status.progress);
       Animated.timing(progressAnim, {
-        toValue: progress,
-        duration: 100,
+        toValue: status.progress,
+        duration: 300,
         useNativeDriver: false,
       }).start();
       
-      // Simulate BPM detection based on frame count
-      if (frameCount > 30) {
-        bpm += Math.floor(Math.random() * 6) - 3; // Slight variation
-        bpm = Math.max(60, Math.min(100, bpm));
-        setCurrentBpm(bpm.toString());
-      }
-      
-      if (timeRemaining <= 0) {
+      if (status.done || stalled) {
         clearInterval(readingTimer.current);
+        isReadingRef.current = false;
         
         // Pause camera
         setCameraPaused(true);
         setDebugInfo(prev => `🎥 Camera paused\n${prev}`);
         
-        // Simulate success (90% chance) or error (10% chance)
-        if (Math.random() > 0.1) {
-          // Update success title with dynamic BPM
-          const stateData = getCurrentStateData();
-          stateData.success.title = `Got it. You're at ${bpm} BPM.`;
+        // The last estimate covers everything captured during the reading
+        setDebugInfo(prev => `💓 ${samples.length} samples over ${(dataMs / 1000).toFixed(1)}s (${status.state}) @ ${estimate.effectiveFps.toFixed(1)} fps → ${estimate.bpm ?? '--'} BPM (${estimate.confidence}%, ${estimate.reason})\n${prev}`);
+        
+        if (recorderRef.current) {
+          PPGRecordingService.saveRecording(recorderRef.current.finish({
+            outcome: { bpm: estimate.bpm, confidence: estimate.confidence, converged: estimate.converged, reason: estimate.reason, durationMs: dataMs },
+          }));
+          recorderRef.current = null;
+        }
+        
+        if (estimate.converged) {
+          const { beatTimes } = detectBeats(values, times);
+          const hrv = computeHRV(beatTimes, { durationMs: times[times.length - 1] - times[0] });
+          const stress = computeStressIndex(beatTimes, { durationMs: times[times.length - 1] - times[0] });
+          // Over the whole reading; only valid for resonance-length readings
+          const coherence = computeCoherence(beatTimes);
+          // Usually too short for a confident breathing rate; quality says so
+          const respiration = estimateRespiratoryRate(values, times, { minDurationSec: 8 });
+          // Pulse shape; invalid (with a reason) when beats are too noisy to average
+          const morphology = analyzeMorphology(values, times);
+          setDebugInfo(prev => `〰️ Pulse shape: ${morphology.valid ? `${morphology.beatsUsed} beats, rise ${morphology.features.riseTimeMs.value}ms` : morphology.reason}\n${prev}`);
+          setMeasurement({
+            bpm: estimate.bpm,
+            confidence: estimate.confidence,
+            hrv,
+            respiration,
+            morphology,
+            stress,
+            stressChange: baselineStress ? compareStress(baselineStress, stress) : null,
+            coherence,
+            rhythm: estimate.rhythm,
+            ectopicCount: estimate.ectopicCount,
+            rhythmMessage: estimate.rhythmMessage,
+          });
+          setCurrentBpm(estimate.bpm.toString());
           setTimeout(() => {
             setCurrentState(3); // success
             setCameraMounted(false); // Unmount camera after success
@@ -484,6 +715,22 @@ const BiometricCaptureScreen = () => {
     }, 1000);
   };
 
+  // Finger left mid-reading: stop the clock and drop what we have. The
+  // camera stays on so the finger detector can restart the reading.
+  const pauseReading = () => {
+    console.log('⏸️ Finger lost - pausing PPG reading');
+    setDebugInfo(prev => `⏸️ Reading paused\n${prev}`);
+    
+    if (readingTimer.current) clearInterval(readingTimer.current);
+    isReadingRef.current = false;
+    ppgSamplesRef.current = [];
+    recorderRef.current = null;
+    setReadingPaused(true);
+    setReadingProgress(0);
+    progressAnim.setValue(0);
+    setCurrentBpm('--');
+  };
+
   // NEW: Skip to soundscape function with estimated/default BPM
   const skipToSoundscape = (estimatedBpm = 72) => {
     console.log('Skipping biometric capture, navigating to soundscape with estimated BPM:', estimatedBpm);
@@ -534,14 +781,24 @@ const BiometricCaptureScreen = () => {
           selectedEmotion,
           emotionData,
           biometricData: {
-            heartRate: parseInt(currentBpm) || 72,
+            heartRate: measurement.bpm,
+            confidence: measurement.confidence,
+            hrv: measurement.hrv,
+            respiration: measurement.respiration,
+            morphology: measurement.morphology,
+            stress: measurement.stress,
+            stressBefore: baselineStress,
+            stressChange: measurement.stressChange,
+            coherence: measurement.coherence,
+            rhythm: measurement.rhythm,
+            ectopicCount: measurement.ectopicCount,
             timestamp: Date.now(),
             isEstimated: false,
           },
         });
         break;
       case 'error':
-        setCurrentState(1); // retry - go back to placement
+        startPlacement(); // retry - go back to placement
         break;
       case 'permission-denied':
         openSettings(); // Open device settings instead of just retrying
@@ -569,6 +826,17 @@ const BiometricCaptureScreen = () => {
     navigation.goBack();
   };
 
+  // Breathing cue and live coherence for resonance sessions; coherence is
+  // shown once the window holds enough beats, and praised when it's high
+  const getResonanceText = () => {
+    const { coherence, level } = liveCoherence.coherence;
+    if (!coherence.valid) return 'Breathe in for 5 seconds, out for 5 seconds...';
+    const percent = Math.round(coherence.value * 100);
+    return level === COHERENCE_LEVELS.HIGH
+      ? `Coherence ${percent}% - you're in resonance`
+      : `Coherence ${percent}% - keep your breathing slow and even`;
+  };
+
   const getCurrentData = () => {
     const stateData = getCurrentStateData();
     return stateData[states[currentState]];
@@ -576,6 +844,36 @@ const BiometricCaptureScreen = () => {
 
   const data = getCurrentData();
 
+  // What the finger detector wants the user to know, or null to show the
+  // state's own helper text
+  const getFingerMessage = () => {
+    if (currentState === 1) {
+      switch (fingerState) {
+        case FINGER_STATES.ON:
+          return 'Finger detected — hold still.';
+        case FINGER_STATES.PRESSURE:
+          return 'Ease off a little — pressing too hard hides your pulse.';
+        case FINGER_STATES.AMBIENT:
+          return 'Too much light is getting in — cover the lens and flash completely.';
+        default:
+          return null;
+      }
+    }
+    if (currentState === 2 && readingPaused) {
+      switch (fingerState) {
+        case FINGER_STATES.PRESSURE:
+          return 'Pressing too hard — reading paused. Ease off to restart.';
+        case FINGER_STATES.AMBIENT:
+          return 'Light is leaking in — reading paused. Cover the lens fully to restart.';
+        default:
+          return 'Finger lifted — reading paused. Cover the camera to restart.';
+      }
+    }
+    return null;
+  };
+
+  const helperText = getFingerMessage() || data.helper;
+
   const renderStateContent = () => {
     switch (states[currentState]) {
       case 'permission':
@@ -664,7 +962,17 @@ const BiometricCaptureScreen = () => {
             {/* BPM Display */}
             <View style={styles.bpmDisplay}>
               <Text style={styles.bpmNumber}>{currentBpm}</Text>
-              <Text style={styles.bpmLabel}>BPM</Text>
+              <Text style={styles.bpmLabel}>
+                BPM{liveTracker.tracked.trend === TRENDS.RISING ? ' ↑' : liveTracker.tracked.trend === TRENDS.FALLING ? ' ↓' : ''}
+              </Text>
+              <TouchableOpacity
+                style={[styles.heartToggle, hearHeart && styles.heartToggleActive]}
+                onPress={() => setHearHeart(prev => !prev)}
+              >
+                <Text style={[styles.heartToggleText, hearHeart && styles.heartToggleTextActive]}>
+                  {hearHeart ? '♥ Hearing your heart' : '♡ Hear your heart'}
+                </Text>
+              </TouchableOpacity>
             </View>
           </View>
         );
@@ -743,10 +1051,10 @@ const BiometricCaptureScreen = () => {
           </Animated.View>
         )}
 
-        {/* Reading timer */}
+        {/* Reading status */}
         {data.showReadingTimer && (
           <Text style={styles.readingTimer}>
-            {Math.max(0, 10 - Math.floor(readingProgress * 10))} seconds remaining
+            {isResonanceSession ? getResonanceText() : READING_STATUS_TEXT[readingStatus]}
           </Text>
         )}
 
@@ -945,8 +1253,8 @@ const BiometricCaptureScreen = () => {
           </View>
 
           {/* Helper text */}
-          {data.helper && (
-            <Text style={styles.helperText}>{data.helper}</Text>
+          {helperText && (
+            <Text style={styles.helperText}>{helperText}</Text>
           )}
 
           {/* Additional content */}
@@ -1366,6 +1674,24 @@ const styles = StyleSheet.create({
     letterSpacing: 1,
     fontWeight: '400', // Slightly reduced for consistency
   },
+  heartToggle: {
+    marginTop: 16,
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#334155',
+  },
+  heartToggleActive: {
+    borderColor: '#ec4899',
+  },
+  heartToggleText: {
+    fontSize: 13,
+    color: '#64748b',
+  },
+  heartToggleTextActive: {
+    color: '#ec4899',
+  },
 
   // Success sonar
   successSonar: {
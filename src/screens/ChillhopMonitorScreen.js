@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import {
   View,
   Text,
@@ -12,6 +12,11 @@ import {
   Alert,
 } from 'react-native';
 import SoundscapeStorageService from '../services/SoundscapeStorageService';
+import { mapMorphologyToTimbre } from '../utils/biometric-mappings';
+import { useBpmTracker } from '../hooks/useBpmTracker';
+import { createPulseSource, createPadSource, createNoiseSynth, NOISE_TYPES } from '../modules/audio';
+import { MIX_SAMPLE_RATE } from '../services/AudioMixerService';
+import { useMixerLayer } from '../hooks/useMixerLayer';
 
 // Defensive import with fallbacks
 let colors = {
@@ -44,6 +49,23 @@ try {
 
 const { width, height } = Dimensions.get('window');
 
+// Keys chord: a seventh chord on the session key, around octave 3
+const NOTE_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const keyChord = (key = 'Dm') => {
+  const semitone = (NOTE_SEMITONES[key[0]?.toUpperCase()] ?? 2)
+    + (key[1] === '#' ? 1 : key[1] === 'b' ? -1 : 0);
+  const root = 130.81 * Math.pow(2, semitone / 12);
+  const minor = /m$/.test(key) && !/maj$/i.test(key);
+  const intervals = minor ? [0, 3, 7, 10] : [0, 4, 7, 11];
+  return intervals.map(interval => root * Math.pow(2, interval / 12));
+};
+// Beat level per activity; keys and vinyl sit under it
+const BEAT_GAINS = { low: 0.5, moderate: 0.65, high: 0.8 };
+const KEYS_GAIN = 0.3;
+const VINYL_GAIN = 0.25;
+// The vinyl bed dips under each kick
+const VINYL_DUCK = { by: 'chillhop.beat', amount: 0.5, threshold: 0.2, attackMs: 10, releaseMs: 200 };
+
 const ChillhopMonitorScreen = ({ route, navigation }) => {
   // Extract biometric data and mode from navigation
   const { 
@@ -52,6 +74,11 @@ const ChillhopMonitorScreen = ({ route, navigation }) => {
     key = 'Dm', 
     mode = 'chillhop', 
     modeConfig,
+    hrv: hrvMetrics = null,  // HRV metrics from the biometric capture (computeHRV)
+    morphology = null,       // Pulse shape from the biometric capture (analyzeMorphology)
+    stress = null,           // Stress index from the biometric capture (computeStressIndex)
+    stressChange = null,     // Change since a reading before the session (compareStress)
+    coherence = null,        // Heart-rhythm coherence from a resonance session (computeCoherence)
     savedSession = false,    // Detect if this is playback
     savedData = null         // Get the saved session data
   } = route?.params || {};
@@ -59,6 +86,32 @@ const ChillhopMonitorScreen = ({ route, navigation }) => {
   // Session mode - 'create' or 'playback'
   const [sessionMode] = useState(savedSession ? 'playback' : 'create');
   const isPlaybackMode = sessionMode === 'playback';
+
+  // Measured HRV (RMSSD, ms) from the biometric capture - or from the saved
+  // session in playback. Null when no valid measurement exists, in which case
+  // the HRV-driven parameters keep their defaults.
+  const measuredHrv = useMemo(() => {
+    const metrics = isPlaybackMode ? savedData?.hrv : hrvMetrics;
+    return metrics?.rmssd?.valid ? metrics.rmssd.value : null;
+  }, [isPlaybackMode, savedData, hrvMetrics]);
+
+  // Timbre from the pulse shape (mapMorphologyToTimbre); null without a valid
+  // pulse template
+  const timbre = useMemo(
+    () => mapMorphologyToTimbre(isPlaybackMode ? savedData?.morphology : morphology),
+    [isPlaybackMode, savedData, morphology]
+  );
+
+  // Relaxation score (0-100) from the biometric capture, and its change since
+  // the reading before the session when there was one
+  const relaxation = useMemo(() => {
+    const reading = isPlaybackMode ? savedData?.stress : stress;
+    const change = isPlaybackMode ? savedData?.stressChange : stressChange;
+    return {
+      score: reading?.relaxation?.valid ? reading.relaxation.value : null,
+      change: change?.relaxationChange?.valid ? change.relaxationChange.value : null,
+    };
+  }, [isPlaybackMode, savedData, stress, stressChange]);
   
   // Initialize state based on session mode
   const [isPlaying, setIsPlaying] = useState(false);
@@ -66,6 +119,8 @@ const ChillhopMonitorScreen = ({ route, navigation }) => {
   const [currentBpm, setCurrentBpm] = useState(
     isPlaybackMode ? savedData?.heartRate || bpm : bpm
   );
+  // Links the once-a-second readings so the HR display doesn't jump
+  const bpmTracker = useBpmTracker();
   const [activityLevel, setActivityLevel] = useState(
     isPlaybackMode ? savedData?.activityLevel || 'moderate' : 'moderate'
   );
@@ -122,6 +177,48 @@ const ChillhopMonitorScreen = ({ route, navigation }) => {
     },
   };
   
+  // Audio: a swung kick at the session tempo, keys on the session key and a
+  // crackly vinyl bed ducked by the kick, all on the shared mix
+  const beatSourceParams = useMemo(() => ({
+    tempo: beatParams.tempo,
+    swing: beatParams.swing,
+    pitch: 70 - beatParams.bassWeight * 20,
+    attackMs: 5,
+    decayMs: 120 + beatParams.bassWeight * 180,
+    accent: 0.3,
+  }), [beatParams.tempo, beatParams.swing, beatParams.bassWeight]);
+  const keysParams = useMemo(() => ({
+    chord: keyChord(key),
+    brightness: beatParams.melodyComplexity,
+    swellRate: beatParams.tempo / 60 / 4,
+  }), [key, beatParams.melodyComplexity, beatParams.tempo]);
+  
+  useMixerLayer('chillhop.beat', {
+    active: isPlaying,
+    createSource: () => createPulseSource({ sampleRate: MIX_SAMPLE_RATE, ...beatSourceParams }),
+    params: beatSourceParams,
+    gain: (BEAT_GAINS[activityLevel] ?? BEAT_GAINS.moderate) * beatParams.layerIntensity,
+  });
+  useMixerLayer('chillhop.keys', {
+    active: isPlaying,
+    createSource: () => createPadSource({ sampleRate: MIX_SAMPLE_RATE, ...keysParams }),
+    params: keysParams,
+    gain: KEYS_GAIN,
+    pan: -0.2,
+  });
+  useMixerLayer('chillhop.vinyl', {
+    active: isPlaying,
+    createSource: () => createNoiseSynth({
+      sampleRate: MIX_SAMPLE_RATE,
+      type: NOISE_TYPES.BROWN,
+      params: { amplitude: 0.8, cutoffFreq: 0.8, resonance: 0.1, density: 0.35, tilt: 2 },
+      seed: Date.now(),
+    }),
+    gain: VINYL_GAIN,
+    pan: 0.2,
+    duck: VINYL_DUCK,
+  });
+  
   // Biometric simulation - different behavior for playback vs create mode
   useEffect(() => {
     let interval;
@@ -130,13 +227,14 @@ const ChillhopMonitorScreen = ({ route, navigation }) => {
         if (isPlaybackMode && savedBiometricData.length > 0) {
           // PLAYBACK MODE: Loop through saved biometric data
           const currentIndex = biometricIndex % savedBiometricData.length;
-          const newBpm = savedBiometricData[currentIndex];
+          const reading = savedBiometricData[currentIndex];
+          const newBpm = bpmTracker.push({ bpm: reading, confidence }).bpm ?? reading;
           setCurrentBpm(newBpm);
           setBiometricIndex(prev => prev + 1);
           
           // Calculate parameters from saved biometric data
           const normalizedBpm = (newBpm - 60) / 40;
-          const hrv = 35 + Math.sin(currentIndex * 0.3) * 10;
+          const hrv = measuredHrv;
           
           // Determine activity level based on BPM ranges
           let newActivityLevel = 'moderate';
@@ -144,12 +242,14 @@ const ChillhopMonitorScreen = ({ route, navigation }) => {
           else if (newBpm > 85) newActivityLevel = 'high';
           setActivityLevel(newActivityLevel);
           
-          setBiorhythmIntensity(Math.max(0.2, Math.min(0.9, hrv / 50)));
+          if (hrv != null) {
+            setBiorhythmIntensity(Math.max(0.2, Math.min(0.9, hrv / 50)));
+          }
           setBeatParams(prev => ({
             ...prev,
             tempo: newBpm,
             layerIntensity: Math.max(0.3, Math.min(0.9, normalizedBpm)),
-            swing: Math.max(0.4, Math.min(0.8, hrv / 60)),
+            swing: hrv != null ? Math.max(0.4, Math.min(0.8, hrv / 60)) : prev.swing,
           }));
           
           const timestamp = new Date().toISOString().substr(14, 8);
@@ -159,30 +259,32 @@ const ChillhopMonitorScreen = ({ route, navigation }) => {
             activity: newActivityLevel,
             tempo: newBpm,
             layers: Math.round(normalizedBpm * 100) / 100,
-            swing: Math.round((hrv / 60) * 100) / 100,
+            swing: hrv != null ? Math.round((hrv / 60) * 100) / 100 : null,
           };
           
           setTelemetryLog(prev => [logEntry, ...prev.slice(0, 5)]);
         } else {
           // CREATE MODE: Live heart rate variation simulation
           const variation = Math.sin(Date.now() * 0.001) * 3;
-          const newBpm = bpm + variation;
+          const newBpm = bpmTracker.push({ bpm: bpm + variation, confidence }).bpm ?? bpm + variation;
           setCurrentBpm(Math.round(newBpm));
           
           const normalizedBpm = (newBpm - 60) / 40;
-          const hrv = 35 + Math.random() * 15;
+          const hrv = measuredHrv;
           
           let newActivityLevel = 'moderate';
           if (newBpm < 70) newActivityLevel = 'low';
           else if (newBpm > 85) newActivityLevel = 'high';
           setActivityLevel(newActivityLevel);
           
-          setBiorhythmIntensity(Math.max(0.2, Math.min(0.9, hrv / 50)));
+          if (hrv != null) {
+            setBiorhythmIntensity(Math.max(0.2, Math.min(0.9, hrv / 50)));
+          }
           setBeatParams(prev => ({
             ...prev,
             tempo: Math.round(newBpm),
             layerIntensity: Math.max(0.3, Math.min(0.9, normalizedBpm)),
-            swing: Math.max(0.4, Math.min(0.8, hrv / 60)),
+            swing: hrv != null ? Math.max(0.4, Math.min(0.8, hrv / 60)) : prev.swing,
           }));
           
           const timestamp = new Date().toISOString().substr(14, 8);
@@ -192,7 +294,7 @@ const ChillhopMonitorScreen = ({ route, navigation }) => {
             activity: newActivityLevel,
             tempo: Math.round(newBpm),
             layers: Math.round(normalizedBpm * 100) / 100,
-            swing: Math.round((hrv / 60) * 100) / 100,
+            swing: hrv != null ? Math.round((hrv / 60) * 100) / 100 : null,
           };
           
           setTelemetryLog(prev => [logEntry, ...prev.slice(0, 5)]);
@@ -200,7 +302,7 @@ const ChillhopMonitorScreen = ({ route, navigation }) => {
       }, 1000);
     }
     return () => clearInterval(interval);
-  }, [isPlaying, bpm, isPlaybackMode, biometricIndex, savedBiometricData]);
+  }, [isPlaying, bpm, confidence, isPlaybackMode, biometricIndex, savedBiometricData, measuredHrv]);
   
   // Session timer
   useEffect(() => {
@@ -295,6 +397,11 @@ const ChillhopMonitorScreen = ({ route, navigation }) => {
         layerIntensity: beatParams.layerIntensity,
         swing: beatParams.swing,
         quality: confidence,
+        hrv: hrvMetrics,
+        morphology,
+        stress,
+        stressChange,
+        coherence,
         createdAt: timestamp,
       };
       
@@ -471,6 +578,12 @@ const ChillhopMonitorScreen = ({ route, navigation }) => {
               Swing: <Text style={[styles.accentText, { color: modeInfo.color }]}>{Math.round(beatParams.swing * 100)}%</Text>
             </Text>
           </View>
+          <View style={styles.parameterRow}>
+            <Text style={styles.parameterText}>
+              Relax: <Text style={[styles.accentText, { color: modeInfo.color }]}>{relaxation.score ?? '--'}</Text>
+              {relaxation.change != null ? ` (${relaxation.change > 0 ? '+' : ''}${relaxation.change} since before)` : ''}
+            </Text>
+          </View>
         </View>
         
         {/* Biometric Mapping */}
@@ -503,6 +616,13 @@ const ChillhopMonitorScreen = ({ route, navigation }) => {
               <Text style={[styles.mappingTarget, { color: modeInfo.color }]}>layer_count</Text>
               <Text style={styles.mappingValue}>{Math.round(beatParams.layerIntensity * 100)}%</Text>
             </View>
+            
+            <View style={styles.mappingItem}>
+              <Text style={styles.mappingSource}>pulse_shape</Text>
+              <Text style={[styles.mappingArrow, { color: modeInfo.color }]}>→</Text>
+              <Text style={[styles.mappingTarget, { color: modeInfo.color }]}>decay</Text>
+              <Text style={styles.mappingValue}>{timbre?.decay != null ? `${Math.round(timbre.decay * 100)}%` : '--'}</Text>
+            </View>
           </View>
         </View>
         
@@ -10,6 +10,9 @@ import {
   StatusBar,
   Platform,
 } from 'react-native';
+import { HEART_RATE_SOURCES } from '../modules/heartRate';
+import { computeHRV, HRV_MIN_DURATION_SEC } from '../modules/ppg/dsp';
+import { useHeartRateSource } from '../hooks/useHeartRateSource';
 
 // Defensive import with fallbacks
 let colors = {
@@ -101,47 +104,65 @@ const HeartRateCapture = ({ navigation, route, onHeartRateDetected }) => {
   
   const modeConfig = getModeConfig(selectedMode);
   
-  // Mock data simulation (replace with real PPG when ready)
+  // Beat times (ms) picked since the capture started, for HRV
+  const beatTimesRef = useRef([]);
+  const readingRef = useRef({ bpm: null, confidence: 0 });
+
+  // Simulated pulse through the real PPG pipeline (no camera on this screen)
+  const { start, stop, reset } = useHeartRateSource(HEART_RATE_SOURCES.SYNTHETIC, {
+    onBeats: ({ beats }) => {
+      beatTimesRef.current.push(...beats);
+    },
+    onBpm: ({ bpm: liveBpm, confidence: liveConfidence }) => {
+      readingRef.current = { bpm: liveBpm, confidence: liveConfidence };
+    },
+  });
+
+  // HRV over every beat of the capture; RMSSD needs HRV_MIN_DURATION_SEC.rmssd
+  // of beats, shorter captures leave it invalid
+  const measureHRV = () => computeHRV(beatTimesRef.current);
+
+  // Refresh the readout and telemetry once a second from the live reading
   useEffect(() => {
     let interval;
     if (isCapturing) {
       interval = setInterval(() => {
-        // Mock biometric data with musical mapping
-        const mockBpm = 72 + Math.sin(Date.now() * 0.001) * 8;
-        const mockConfidence = 85 + Math.random() * 10;
-        const mockQuality = 88 + Math.random() * 8;
+        const { bpm: liveBpm, confidence: liveConfidence } = readingRef.current;
+        if (!liveBpm) return;
+        const hrv = measureHRV();
         
-        setBpm(Math.round(mockBpm));
-        setConfidence(Math.round(mockConfidence));
-        setSignalQuality(Math.round(mockQuality));
+        setBpm(liveBpm);
+        setConfidence(liveConfidence);
+        setSignalQuality(liveConfidence);
         
         // Map BPM to musical key (simplified)
         const keys = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-        const keyIndex = Math.floor(mockBpm) % 12;
-        const mode = mockBpm < 75 ? 'm' : 'M'; // minor for lower BPM
+        const keyIndex = Math.floor(liveBpm) % 12;
+        const mode = liveBpm < 75 ? 'm' : 'M'; // minor for lower BPM
         setKey(keys[keyIndex] + mode);
         
         // Add telemetry log entry with mode context
         const timestamp = new Date().toISOString().substr(14, 8);
         const logEntry = {
           timestamp,
-          bpm: Math.round(mockBpm),
-          confidence: Math.round(mockConfidence),
+          bpm: liveBpm,
+          confidence: liveConfidence,
           key: keys[keyIndex] + mode,
-          hrv: Math.round(35 + Math.random() * 15),
-          quality: Math.round(mockQuality),
+          hrv: hrv.rmssd.valid ? Math.round(hrv.rmssd.value) : '--',
+          quality: liveConfidence,
           mode: selectedMode,
         };
         
         setTelemetryLog(prev => [logEntry, ...prev.slice(0, 4)]);
         
         // Trigger callback for navigation with mode context
-        if (onHeartRateDetected && mockConfidence > 90) {
+        if (onHeartRateDetected && liveConfidence > 90) {
           onHeartRateDetected({
-            bpm: Math.round(mockBpm),
-            confidence: Math.round(mockConfidence),
+            bpm: liveBpm,
+            confidence: liveConfidence,
             key: keys[keyIndex] + mode,
             mode: selectedMode,
+            hrv,
           });
         }
       }, 1000);
@@ -215,27 +236,37 @@ const HeartRateCapture = ({ navigation, route, onHeartRateDetected }) => {
     if (!isCapturing) {
       setSessionTime(0);
       setTelemetryLog([]);
+      beatTimesRef.current = [];
+      readingRef.current = { bpm: null, confidence: 0 };
+      reset();
+      start();
+    } else {
+      stop();
     }
   };
 
+  // Long enough for RMSSD, so the soundscape gets a measured HRV
+  const canGenerate = bpm > 0 && confidence > 80 && sessionTime >= HRV_MIN_DURATION_SEC.rmssd;
+
   const navigateToSoundscape = () => {
-    if (bpm > 0 && confidence > 80) {
+    if (canGenerate) {
+      const hrv = measureHRV();
       if (selectedMode === 'noise') {
         navigation.navigate('NoiseMonitor', {
-          bpm, confidence, key, mode: selectedMode, modeConfig,
+          bpm, confidence, key, mode: selectedMode, modeConfig, hrv,
         });
       } else if (selectedMode === 'chillhop') {
         navigation.navigate('ChillhopMonitor', {
-          bpm, confidence, key, mode: selectedMode, modeConfig,
+          bpm, confidence, key, mode: selectedMode, modeConfig, hrv,
         });
       } else if (selectedMode === 'ambient') {
         navigation.navigate('AmbientMonitor', {
-          bpm, confidence, key, mode: selectedMode, modeConfig,
+          bpm, confidence, key, mode: selectedMode, modeConfig, hrv,
         });
       } else {
         // Fallback to generic player
         navigation.navigate('Soundscape', {
-          bpm, confidence, key, mode: selectedMode, modeConfig,
+          bpm, confidence, key, mode: selectedMode, modeConfig, hrv,
         });
       }
     }
@@ -416,7 +447,7 @@ const HeartRateCapture = ({ navigation, route, onHeartRateDetected }) => {
             </Text>
           </TouchableOpacity>
           
-          {bpm > 0 && confidence > 80 && (
+          {canGenerate && (
             <TouchableOpacity 
               style={[styles.navigateButton, { backgroundColor: modeConfig.accentColor }]}
               onPress={navigateToSoundscape}
@@ -1,5 +1,5 @@
 // src/screens/HeartRateScreen.js (Mock Version - No Camera Dependencies)
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { 
   View, 
   Text, 
@@ -11,13 +11,21 @@ import {
 import { StatusBar } from 'expo-status-bar';
 // REMOVED: import { Camera } from 'expo-camera';
 import HeartRateDetector from '../components/HeartRateDetector';
+import PPGRecordingService from '../services/PPGRecordingService';
+import { HEART_RATE_SOURCES } from '../modules/heartRate';
 
-export default function HeartRateScreen({ navigation }) {
+export default function HeartRateScreen({ navigation, route }) {
+  // Reproduce a saved reading, or run a synthetic one (demo mode), instead
+  // of using the camera
+  const replayRecordingId = route?.params?.replayRecordingId;
+  const demo = !!route?.params?.demo;
+  const [replayRecording, setReplayRecording] = useState(null);
   const [hasPermission, setHasPermission] = useState(true); // Mock as granted
   const [heartRate, setHeartRate] = useState('--');
   const [isCapturing, setIsCapturing] = useState(false);
   const [progress, setProgress] = useState(0);
   const [error, setError] = useState('');
+  const [rhythmNote, setRhythmNote] = useState(''); // Non-diagnostic note about an irregular reading
   
   // Mock camera permissions check
   useEffect(() => {
@@ -35,6 +43,29 @@ export default function HeartRateScreen({ navigation }) {
     mockPermissionCheck();
   }, []);
   
+  useEffect(() => {
+    if (!replayRecordingId) {
+      setReplayRecording(null);
+      return;
+    }
+    PPGRecordingService.getRecording(replayRecordingId).then((recording) => {
+      if (recording) {
+        console.log("HeartRateScreen: Loaded recording for replay:", replayRecordingId);
+        setReplayRecording(recording);
+      } else {
+        setError('Recording not found');
+      }
+    });
+  }, [replayRecordingId]);
+
+  // The camera, until a saved reading has loaded or in demo mode
+  const source = replayRecording ? HEART_RATE_SOURCES.REPLAY
+    : demo ? HEART_RATE_SOURCES.SYNTHETIC
+      : HEART_RATE_SOURCES.CAMERA;
+  const sourceOptions = useMemo(() => (replayRecording
+    ? { recording: replayRecording }
+    : { durationSec: 12, seed: Date.now() }), [replayRecording]);
+  
   const handleHeartRateDetected = (rate, confidence, errorInfo) => {
     console.log("HeartRateScreen: Heart rate detected:", rate, "confidence:", confidence);
     
@@ -47,10 +78,11 @@ export default function HeartRateScreen({ navigation }) {
     }
     
     setHeartRate(rate.toString());
+    setRhythmNote(errorInfo?.rhythmMessage || '');
     setIsCapturing(false);
     setProgress(100);
     
-    // Navigate to soundscape player after detection
+    // Navigate to soundscape player after detection - give a rhythm note time to be read
     setTimeout(() => {
       navigation.navigate('SoundscapePlayer', {
         id: `soundscape-${Date.now()}`,
@@ -59,28 +91,18 @@ export default function HeartRateScreen({ navigation }) {
         tempo: Math.min(Math.max(rate * 0.7, 60), 90),
         duration: 300 // 5 minutes in seconds
       });
-    }, 1500);
+    }, errorInfo?.rhythmMessage ? 5000 : 1500);
   };
   
   const startCapture = () => {
     setError('');
+    setRhythmNote('');
     setHeartRate('--');
     setProgress(0);
     setIsCapturing(true);
     
-    console.log("HeartRateScreen: Starting mock capture");
-    
-    // Simulate progress for UI feedback
-    const interval = setInterval(() => {
-      setProgress(prev => {
-        // When real detection happens, this will be updated differently
-        if (prev >= 95) {
-          clearInterval(interval);
-          return 95; // Keep at 95% until actual detection completes
-        }
-        return prev + 5;
-      });
-    }, 500);
+    // Progress comes from HeartRateDetector as the estimate converges
+    console.log("HeartRateScreen: Starting capture");
   };
   
   const stopCapture = () => {
@@ -162,6 +184,12 @@ export default function HeartRateScreen({ navigation }) {
         </View>
       ) : null}
       
+      {rhythmNote ? (
+        <View style={styles.rhythmNoteContainer}>
+          <Text style={styles.rhythmNoteText}>{rhythmNote}</Text>
+        </View>
+      ) : null}
+      
       <TouchableOpacity
         style={[
           styles.captureButton,
@@ -211,6 +239,8 @@ export default function HeartRateScreen({ navigation }) {
       {hasPermission && (
         <HeartRateDetector 
           isCapturing={isCapturing}
+          source={source}
+          sourceOptions={sourceOptions}
           onHeartRateDetected={handleHeartRateDetected}
           onProgress={(value) => {
             console.log("HeartRateScreen: Progress update:", value);
@@ -316,6 +346,16 @@ const styles = StyleSheet.create({
     color: '#D32F2F',
     textAlign: 'center',
   },
+  rhythmNoteContainer: {
+    backgroundColor: '#FFF8E1',
+    padding: 10,
+    borderRadius: 8,
+    marginBottom: 20,
+  },
+  rhythmNoteText: {
+    color: '#6D4C41',
+    textAlign: 'center',
+  },
   instructionsContainer: {
     backgroundColor: '#f8f9fa',
     padding: 20,
@@ -234,6 +234,14 @@ export default function LibraryScreen({ navigation }) {
             type: <Text style={styles.sessionValue}>{item.noiseType}</Text> | 
             created: <Text style={styles.sessionValue}>{formatDate(item.createdAt)}</Text>
           </Text>
+          {item.stress?.relaxation?.valid && (
+            <Text style={styles.sessionDetail}>
+              relax: <Text style={styles.sessionValue}>{item.stress.relaxation.value}</Text>/100
+              {item.stressChange?.relaxationChange?.valid
+                ? ` | change: ${item.stressChange.relaxationChange.value > 0 ? '+' : ''}${item.stressChange.relaxationChange.value}`
+                : ''}
+            </Text>
+          )}
         </View>
       </TouchableOpacity>
     );
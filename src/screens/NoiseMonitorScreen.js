@@ -12,6 +12,10 @@ import {
   Alert,
 } from 'react-native';
 import SoundscapeStorageService from '../services/SoundscapeStorageService';
+import SoundService from '../services/SoundService';
+import { mapMorphologyToTimbre, mapCoherenceToFilter } from '../utils/biometric-mappings';
+import { useBpmTracker } from '../hooks/useBpmTracker';
+import { TRENDS } from '../modules/ppg/dsp';
 
 // Defensive import with fallbacks
 let colors = {
@@ -44,6 +48,9 @@ try {
 
 const { width, height } = Dimensions.get('window');
 
+// Playback volume of the synthesized noise; loudness within it follows noiseParams.amplitude
+const NOISE_VOLUME = 0.8;
+
 // Move noiseTypes outside component to prevent recreation
 const noiseTypes = {
   white: {
@@ -74,6 +81,11 @@ const NoiseMonitorScreen = ({ route, navigation }) => {
     key = 'Dm', 
     mode = 'noise', 
     modeConfig,
+    hrv: hrvMetrics = null,  // HRV metrics from the biometric capture (computeHRV)
+    morphology = null,       // Pulse shape from the biometric capture (analyzeMorphology)
+    stress = null,           // Stress index from the biometric capture (computeStressIndex)
+    stressChange = null,     // Change since a reading before the session (compareStress)
+    coherence = null,        // Heart-rhythm coherence from a resonance session (computeCoherence)
     savedSession = false,    // Detect if this is playback
     savedData = null         // Get the saved session data
   } = route?.params || {};
@@ -82,6 +94,39 @@ const NoiseMonitorScreen = ({ route, navigation }) => {
   const isPlaybackMode = useMemo(() => {
     return savedSession === true && savedData != null;
   }, [savedSession, savedData]);
+
+  // Measured HRV (RMSSD, ms) from the biometric capture - or from the saved
+  // session in playback. Null when no valid measurement exists, in which case
+  // the HRV-driven parameters keep their defaults.
+  const measuredHrv = useMemo(() => {
+    const metrics = isPlaybackMode ? savedData?.hrv : hrvMetrics;
+    return metrics?.rmssd?.valid ? metrics.rmssd.value : null;
+  }, [isPlaybackMode, savedData, hrvMetrics]);
+
+  // Timbre from the pulse shape (mapMorphologyToTimbre); null without a valid
+  // pulse template
+  const timbre = useMemo(
+    () => mapMorphologyToTimbre(isPlaybackMode ? savedData?.morphology : morphology),
+    [isPlaybackMode, savedData, morphology]
+  );
+
+  // Relaxation score (0-100) from the biometric capture, and its change since
+  // the reading before the session when there was one
+  const relaxation = useMemo(() => {
+    const reading = isPlaybackMode ? savedData?.stress : stress;
+    const change = isPlaybackMode ? savedData?.stressChange : stressChange;
+    return {
+      score: reading?.relaxation?.valid ? reading.relaxation.value : null,
+      change: change?.relaxationChange?.valid ? change.relaxationChange.value : null,
+    };
+  }, [isPlaybackMode, savedData, stress, stressChange]);
+
+  // Filter opening from coherence (mapCoherenceToFilter); when present it
+  // takes over the filter from HRV
+  const coherenceCutoff = useMemo(
+    () => mapCoherenceToFilter(isPlaybackMode ? savedData?.coherence : coherence),
+    [isPlaybackMode, savedData, coherence]
+  );
   
   // Debug logging - moved to useEffect to reduce console spam
   useEffect(() => {
@@ -106,6 +151,8 @@ const NoiseMonitorScreen = ({ route, navigation }) => {
   const [currentBpm, setCurrentBpm] = useState(
     isPlaybackMode ? savedData?.heartRate || bpm : bpm
   );
+  // Links the once-a-second readings so the HR display doesn't jump
+  const bpmTracker = useBpmTracker();
   const [selectedNoiseType, setSelectedNoiseType] = useState(
     isPlaybackMode ? savedData?.noiseType || 'white' : 'white'
   );
@@ -145,6 +192,8 @@ const NoiseMonitorScreen = ({ route, navigation }) => {
   const biorhythmAnim = useRef(new Animated.Value(0)).current;
   const scanlineAnim = useRef(new Animated.Value(0)).current;
   const scrollViewRef = useRef(null);
+  // Synthesized noise while playing (SoundService.createNoiseSound)
+  const noiseSoundRef = useRef(null);
   
   // FIX #1: Biometric simulation - removed biometricIndex from dependencies
   useEffect(() => {
@@ -154,19 +203,22 @@ const NoiseMonitorScreen = ({ route, navigation }) => {
         if (isPlaybackMode && savedBiometricData.length > 0) {
           // PLAYBACK MODE: Loop through saved biometric data
           const currentIndex = biometricIndexRef.current % savedBiometricData.length;
-          const newBpm = savedBiometricData[currentIndex];
+          const reading = savedBiometricData[currentIndex];
+          const newBpm = bpmTracker.push({ bpm: reading, confidence }).bpm ?? reading;
           setCurrentBpm(newBpm);
           biometricIndexRef.current += 1; // Use ref instead of state
           
           // Calculate parameters from saved biometric data
           const normalizedBpm = (newBpm - 60) / 40;
-          const hrv = 35 + Math.sin(currentIndex * 0.3) * 10; // Simulated HRV pattern
+          const hrv = measuredHrv;
           
-          setBiorhythmIntensity(Math.max(0.2, Math.min(0.9, hrv / 50)));
+          if (hrv != null) {
+            setBiorhythmIntensity(Math.max(0.2, Math.min(0.9, hrv / 50)));
+          }
           setNoiseParams(prev => ({
             ...prev,
             amplitude: Math.max(0.4, Math.min(1.0, normalizedBpm)),
-            cutoffFreq: Math.max(0.3, Math.min(0.8, hrv / 60)),
+            cutoffFreq: coherenceCutoff ?? (hrv != null ? Math.max(0.3, Math.min(0.8, hrv / 60)) : prev.cutoffFreq),
             modulation: Math.max(0.2, Math.min(0.7, (newBpm % 10) / 10)),
           }));
           
@@ -178,24 +230,26 @@ const NoiseMonitorScreen = ({ route, navigation }) => {
             noiseType: selectedNoiseType,
             amplitude: Math.round(normalizedBpm * 100) / 100,
             modulation: Math.round(((newBpm % 10) / 10) * 100) / 100,
-            hrv: Math.round(hrv),
+            hrv: hrv != null ? Math.round(hrv) : null,
           };
           
           setTelemetryLog(prev => [logEntry, ...prev.slice(0, 5)]);
         } else {
           // CREATE MODE: Live heart rate variation simulation
           const variation = Math.sin(Date.now() * 0.001) * 3;
-          const newBpm = bpm + variation;
+          const newBpm = bpmTracker.push({ bpm: bpm + variation, confidence }).bpm ?? bpm + variation;
           setCurrentBpm(Math.round(newBpm));
           
           const normalizedBpm = (newBpm - 60) / 40;
-          const hrv = 35 + Math.random() * 15;
+          const hrv = measuredHrv;
           
-          setBiorhythmIntensity(Math.max(0.2, Math.min(0.9, hrv / 50)));
+          if (hrv != null) {
+            setBiorhythmIntensity(Math.max(0.2, Math.min(0.9, hrv / 50)));
+          }
           setNoiseParams(prev => ({
             ...prev,
             amplitude: Math.max(0.4, Math.min(1.0, normalizedBpm)),
-            cutoffFreq: Math.max(0.3, Math.min(0.8, hrv / 60)),
+            cutoffFreq: coherenceCutoff ?? (hrv != null ? Math.max(0.3, Math.min(0.8, hrv / 60)) : prev.cutoffFreq),
             modulation: Math.max(0.2, Math.min(0.7, (newBpm % 10) / 10)),
           }));
           
@@ -206,7 +260,7 @@ const NoiseMonitorScreen = ({ route, navigation }) => {
             noiseType: selectedNoiseType,
             amplitude: Math.round(normalizedBpm * 100) / 100,
             modulation: Math.round(((newBpm % 10) / 10) * 100) / 100,
-            hrv: Math.round(hrv),
+            hrv: hrv != null ? Math.round(hrv) : null,
           };
           
           setTelemetryLog(prev => [logEntry, ...prev.slice(0, 5)]);
@@ -214,7 +268,43 @@ const NoiseMonitorScreen = ({ route, navigation }) => {
       }, 1000);
     }
     return () => clearInterval(interval);
-  }, [isPlaying, bpm, selectedNoiseType, isPlaybackMode, savedBiometricData]); // Removed biometricIndex
+  }, [isPlaying, bpm, confidence, selectedNoiseType, isPlaybackMode, savedBiometricData, measuredHrv, coherenceCutoff]); // Removed biometricIndex
+  
+  // Noise synthesis - started and stopped with playback. The noise type and
+  // noiseParams drive the synth directly; the swell follows the heart rate.
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+    let cancelled = false;
+    
+    SoundService.createNoiseSound(selectedNoiseType, NOISE_VOLUME, {
+      ...noiseParams,
+      modulationRate: currentBpm / 60,
+    }).then(async (noise) => {
+      if (cancelled) {
+        await SoundService.unloadSound(noise.sound);
+        return;
+      }
+      noiseSoundRef.current = noise;
+      await noise.play();
+    });
+    
+    return () => {
+      cancelled = true;
+      const noise = noiseSoundRef.current;
+      noiseSoundRef.current = null;
+      if (noise) {
+        noise.stop().then(() => SoundService.unloadSound(noise.sound));
+      }
+    };
+  }, [isPlaying]);
+  
+  useEffect(() => {
+    noiseSoundRef.current?.setType(selectedNoiseType);
+  }, [selectedNoiseType]);
+  
+  useEffect(() => {
+    noiseSoundRef.current?.setParams({ ...noiseParams, modulationRate: currentBpm / 60 });
+  }, [noiseParams, currentBpm]);
   
   // Session timer
   useEffect(() => {
@@ -310,6 +400,11 @@ const NoiseMonitorScreen = ({ route, navigation }) => {
         amplitude: noiseParams.amplitude,
         modulation: noiseParams.modulation,
         quality: confidence,
+        hrv: hrvMetrics,
+        morphology,
+        stress,
+        stressChange,
+        coherence,
         createdAt: timestamp,
       };
       
@@ -510,11 +605,17 @@ const NoiseMonitorScreen = ({ route, navigation }) => {
           
           <View style={styles.parameterRow}>
             <Text style={styles.parameterText}>
-              HR: <Text style={[styles.accentText, { color: modeInfo.color }]}>{currentBpm} BPM</Text> | 
+              HR: <Text style={[styles.accentText, { color: modeInfo.color }]}>{currentBpm} BPM{bpmTracker.tracked.trend === TRENDS.RISING ? ' ↑' : bpmTracker.tracked.trend === TRENDS.FALLING ? ' ↓' : ''}</Text> | 
               Amp: <Text style={[styles.accentText, { color: modeInfo.color }]}>{Math.round(noiseParams.amplitude * 100)}%</Text> | 
               Mod: <Text style={[styles.accentText, { color: modeInfo.color }]}>{Math.round(noiseParams.modulation * 100)}%</Text>
             </Text>
           </View>
+          <View style={styles.parameterRow}>
+            <Text style={styles.parameterText}>
+              Relax: <Text style={[styles.accentText, { color: modeInfo.color }]}>{relaxation.score ?? '--'}</Text>
+              {relaxation.change != null ? ` (${relaxation.change > 0 ? '+' : ''}${relaxation.change} since before)` : ''}
+            </Text>
+          </View>
         </View>
         
         {/* Biometric Mapping */}
@@ -547,6 +648,13 @@ const NoiseMonitorScreen = ({ route, navigation }) => {
               <Text style={[styles.mappingTarget, { color: modeInfo.color }]}>modulation</Text>
               <Text style={styles.mappingValue}>{Math.round(noiseParams.modulation * 100)}%</Text>
             </View>
+            
+            <View style={styles.mappingItem}>
+              <Text style={styles.mappingSource}>pulse_shape</Text>
+              <Text style={[styles.mappingArrow, { color: modeInfo.color }]}>→</Text>
+              <Text style={[styles.mappingTarget, { color: modeInfo.color }]}>brightness</Text>
+              <Text style={styles.mappingValue}>{timbre?.brightness != null ? `${Math.round(timbre.brightness * 100)}%` : '--'}</Text>
+            </View>
           </View>
         </View>
         
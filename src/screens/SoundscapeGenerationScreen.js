@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import {
   View,
   Text,
@@ -10,11 +10,19 @@ import {
   Modal,
   SafeAreaView,
   StatusBar,
+  TextInput,
 } from 'react-native';
 import Svg, { Circle } from 'react-native-svg';
 import Slider from '@react-native-community/slider';
+import { mapMorphologyToTimbre, mapCoherenceToFilter } from '../utils/biometric-mappings';
+import SoundscapeEngine, { ENGINE_STATES } from '../services/SoundscapeEngine';
+import { useHeartRateSource } from '../hooks/useHeartRateSource';
+import { HEART_RATE_SOURCES } from '../modules/heartRate';
+import LiveHeartRateService from '../services/LiveHeartRateService';
 
 const { width, height } = Dimensions.get('window');
+// A typed-in heart rate steers the tempo ramp for this long
+const MANUAL_HR_MAX_AGE_MS = 2 * 60000;
 
 // Design Tokens
 const SPACING = {
@@ -26,11 +34,13 @@ const SPACING = {
 
 const SoundscapeGenerationScreen = ({ navigation, route }) => {
   // Props from navigation
-  const { selectedEmotion = 'energized', biometricData = { heartRate: 68 } } = route.params || {};
+  const { selectedEmotion = 'energized', emotionData, biometricData = { heartRate: 68 } } = route.params || {};
 
   // State management
   const [currentMood, setCurrentMood] = useState(selectedEmotion);
-  const [isPlaying, setIsPlaying] = useState(false);
+  // Mirrors SoundscapeEngine, so the button shows what the audio is really doing
+  const [engine, setEngine] = useState(() => SoundscapeEngine.getState());
+  const isPlaying = engine.state === ENGINE_STATES.PLAYING;
   const [showCustomizeDrawer, setShowCustomizeDrawer] = useState(false);
   const [showMoodDropdown, setShowMoodDropdown] = useState(false);
   const [hasInteracted, setHasInteracted] = useState(false);
@@ -200,6 +210,88 @@ const SoundscapeGenerationScreen = ({ navigation, route }) => {
 
   const currentTheme = moodThemes[currentMood];
 
+  // Breathing pacer: half-cycle duration in ms. With a confident measured
+  // respiratory rate, guide breathing 20% slower than measured (never below
+  // 6 breaths/min); otherwise use the mood's default pace.
+  const breathePace = useMemo(() => {
+    const respiration = biometricData?.respiration;
+    if (respiration?.rate == null || respiration.quality < 0.5) {
+      return currentTheme.animationSpeed.breathe;
+    }
+    const pacedRate = Math.max(6, respiration.rate * 0.8);
+    return Math.round(30000 / pacedRate);
+  }, [biometricData, currentTheme]);
+
+  // Timbre (attack, decay, brightness) from the measured pulse shape; null
+  // without a valid pulse template, in which case the voices keep their defaults
+  const timbre = useMemo(() => mapMorphologyToTimbre(biometricData?.morphology), [biometricData]);
+
+  // Relaxation score (0-100) and, after a check-in reading, the change since
+  // the reading before it
+  const relaxation = biometricData?.stress?.relaxation?.valid ? biometricData.stress.relaxation.value : null;
+  const relaxationChange = biometricData?.stressChange?.relaxationChange?.valid
+    ? biometricData.stressChange.relaxationChange.value
+    : null;
+
+  // Coherence from a resonance-breathing session opens the filter
+  const coherence = biometricData?.coherence?.coherence?.valid ? biometricData.coherence.coherence.value : null;
+  const filterCutoff = useMemo(() => mapCoherenceToFilter(biometricData?.coherence), [biometricData]);
+
+  // Everything the soundscape is built from; changes are applied to a
+  // playing soundscape as they happen
+  const soundscapeConfig = useMemo(() => ({
+    mood: currentMood,
+    tempoIndex: selectedTempo,
+    tempoCount: currentTheme.tempoOptions.length,
+    tempoId: currentTheme.tempoOptions[selectedTempo]?.id,
+    sessionIndex: selectedSession,
+    duration: currentTheme.durations[selectedDuration],
+    pulse: pulseValue,
+    heartRate: biometricData.heartRate,
+    timbre,
+    filterCutoff,
+  }), [currentMood, selectedTempo, selectedSession, selectedDuration, pulseValue, biometricData, timbre, filterCutoff]);
+
+  // Optional live heart rate during the session, from the source picked
+  // below and remembered by LiveHeartRateService; it slows the tempo ramp
+  // while the listener isn't following. With none picked this is an idle
+  // manual source.
+  const [liveSource, setLiveSource] = useState(null); // { kind, options }
+  const [manualBpm, setManualBpm] = useState('');
+  const liveHeartRate = useHeartRateSource(liveSource?.kind || HEART_RATE_SOURCES.MANUAL, {
+    sourceOptions: liveSource?.options,
+    onBpm: ({ bpm, confidence }) => SoundscapeEngine.setLiveHeartRate(bpm, confidence, {
+      maxAgeMs: liveSource?.kind === HEART_RATE_SOURCES.MANUAL ? MANUAL_HR_MAX_AGE_MS : undefined,
+    }),
+  });
+  const { start: startLiveHeartRate, stop: stopLiveHeartRate } = liveHeartRate;
+
+  useEffect(() => {
+    LiveHeartRateService.getPreference().then(setLiveSource);
+  }, []);
+
+  useEffect(() => {
+    if (liveSource) {
+      startLiveHeartRate();
+    } else {
+      stopLiveHeartRate();
+      SoundscapeEngine.setLiveHeartRate(null);
+    }
+  }, [liveSource, startLiveHeartRate, stopLiveHeartRate]);
+
+  useEffect(() => {
+    const unsubscribe = SoundscapeEngine.subscribe(setEngine);
+    setEngine(SoundscapeEngine.getState());
+    return () => {
+      unsubscribe();
+      SoundscapeEngine.stop();
+    };
+  }, []);
+
+  useEffect(() => {
+    SoundscapeEngine.update(soundscapeConfig);
+  }, [soundscapeConfig]);
+
   // Animation effects
   useEffect(() => {
     // Breathing animation
@@ -207,12 +299,12 @@ const SoundscapeGenerationScreen = ({ navigation, route }) => {
       Animated.sequence([
         Animated.timing(breatheAnim, {
           toValue: 1.05,
-          duration: currentTheme.animationSpeed.breathe,
+          duration: breathePace,
           useNativeDriver: true,
         }),
         Animated.timing(breatheAnim, {
           toValue: 1,
-          duration: currentTheme.animationSpeed.breathe,
+          duration: breathePace,
           useNativeDriver: true,
         }),
       ])
@@ -317,19 +409,23 @@ const SoundscapeGenerationScreen = ({ navigation, route }) => {
       waveformAnimations.forEach(anim => anim.stop());
       glowAnimation.stop();
     };
-  }, [currentMood]);
+  }, [currentMood, breathePace]);
 
   // Handler functions
   const handlePlayPause = () => {
-    const newPlayingState = !isPlaying;
-    setIsPlaying(newPlayingState);
     setHasInteracted(true);
-    console.log('Play/Pause toggled. New state:', newPlayingState);
-    // Here you would integrate with your audio system
-    if (newPlayingState) {
-      console.log('▶️ Starting audio playback for mood:', currentMood);
-    } else {
-      console.log('⏸️ Pausing audio playback');
+    switch (engine.state) {
+      case ENGINE_STATES.PLAYING:
+        SoundscapeEngine.pause();
+        break;
+      case ENGINE_STATES.PAUSED:
+        SoundscapeEngine.resume();
+        break;
+      case ENGINE_STATES.STARTING:
+        // Already on its way
+        break;
+      default:
+        SoundscapeEngine.start(soundscapeConfig);
     }
   };
 
@@ -350,13 +446,54 @@ const SoundscapeGenerationScreen = ({ navigation, route }) => {
   const handleApplySettings = () => {
     setShowCustomizeDrawer(false);
     setHasInteracted(true); // Set interaction state when they actually apply
-    // Here you would apply the settings to the audio system
+    // A playing soundscape already follows the settings; otherwise start one
+    if (engine.state === ENGINE_STATES.IDLE || engine.state === ENGINE_STATES.ERROR) {
+      SoundscapeEngine.start(soundscapeConfig);
+    }
     console.log('Applied settings:', {
       mood: currentMood,
       tempo: selectedTempo,
       session: selectedSession,
       duration: selectedDuration,
       pulse: pulseValue,
+      timbre,
+      filterCutoff,
+    });
+  };
+
+  // Measure again after listening; the capture screen compares against this reading
+  const handleCheckIn = () => {
+    navigation.navigate('BiometricCaptureScreen', {
+      selectedEmotion: currentMood,
+      emotionData,
+      baselineStress: biometricData.stress,
+      timestamp: Date.now(),
+    });
+  };
+
+  // Off -> each source usable during a session -> off; the choice is remembered
+  const handleLiveSourcePress = () => {
+    const kinds = [null, ...LiveHeartRateService.getAvailableSources().map(source => source.kind)];
+    const next = kinds[(kinds.indexOf(liveSource?.kind ?? null) + 1) % kinds.length];
+    const preference = next ? { kind: next, options: {} } : null;
+    setLiveSource(preference);
+    setManualBpm('');
+    LiveHeartRateService.setPreference(preference);
+  };
+
+  const handleManualBpm = () => {
+    if (liveHeartRate.source.setBpm && liveHeartRate.source.setBpm(manualBpm)) {
+      setManualBpm('');
+    }
+  };
+
+  // A minute of paced breathing with live coherence feedback
+  const handleResonanceSession = () => {
+    navigation.navigate('BiometricCaptureScreen', {
+      selectedEmotion: currentMood,
+      emotionData,
+      mode: 'coherence',
+      timestamp: Date.now(),
     });
   };
 
@@ -367,6 +504,8 @@ const SoundscapeGenerationScreen = ({ navigation, route }) => {
       session: selectedSession,
       duration: selectedDuration,
       pulse: pulseValue,
+      timbre,
+      filterCutoff,
       biometricData,
     });
     // Here you would save to user's library
@@ -734,7 +873,21 @@ const SoundscapeGenerationScreen = ({ navigation, route }) => {
           <Text style={[styles.trackInfo, { color: currentTheme.colors.primary }]}>
             {currentTheme.track}
           </Text>
-          <Text style={styles.biometricInfo}>({biometricData.heartRate} BPM)</Text>
+          <Text style={styles.biometricInfo}>
+            ({biometricData.heartRate} BPM{relaxation != null ? ` · relaxation ${relaxation}` : ''}
+            {relaxationChange != null ? `, ${relaxationChange > 0 ? '+' : ''}${relaxationChange} since before` : ''}
+            {coherence != null ? ` · coherence ${Math.round(coherence * 100)}%` : ''})
+          </Text>
+          {relaxation != null && (
+            <TouchableOpacity onPress={handleCheckIn}>
+              <Text style={[styles.checkInText, { color: currentTheme.colors.primary }]}>Check in again</Text>
+            </TouchableOpacity>
+          )}
+          {currentMood === 'calm' && (
+            <TouchableOpacity onPress={handleResonanceSession}>
+              <Text style={[styles.checkInText, { color: currentTheme.colors.primary }]}>Breathe with your heart</Text>
+            </TouchableOpacity>
+          )}
         </View>
 
         {/* Bottom Section with Action Buttons - Always Visible */}
@@ -750,11 +903,41 @@ const SoundscapeGenerationScreen = ({ navigation, route }) => {
                 }
               ]}
               onPress={handlePlayPause}
+              disabled={engine.state === ENGINE_STATES.STARTING}
             >
               <Text style={styles.primaryButtonText}>
-                {isPlaying ? currentTheme.playButtonText.pause : currentTheme.playButtonText.play}
+                {engine.state === ENGINE_STATES.STARTING
+                  ? 'Starting...'
+                  : isPlaying ? currentTheme.playButtonText.pause : currentTheme.playButtonText.play}
+              </Text>
+            </TouchableOpacity>
+            {engine.state === ENGINE_STATES.ERROR && (
+              <Text style={styles.engineErrorText}>Couldn't play audio ({engine.error}). Tap to try again.</Text>
+            )}
+            {isPlaying && engine.tempo && Math.round(engine.tempo.startBpm) !== Math.round(engine.tempo.targetBpm) && (
+              <Text style={[styles.tempoRampText, { color: currentTheme.colors.primary }]}>
+                ♪ {Math.round(engine.tempo.tempo)} BPM → {Math.round(engine.tempo.targetBpm)}
+                {engine.tempo.rate < 1 ? ' · waiting for you' : ''}
+              </Text>
+            )}
+            <TouchableOpacity onPress={handleLiveSourcePress}>
+              <Text style={[styles.checkInText, { color: currentTheme.colors.primary }]}>
+                ♥ Live heart rate: {liveSource ? liveHeartRate.source.label : 'off'}
+                {liveSource && liveHeartRate.bpm != null ? ` · ${liveHeartRate.bpm} BPM` : ''}
               </Text>
             </TouchableOpacity>
+            {liveSource?.kind === HEART_RATE_SOURCES.MANUAL && (
+              <TextInput
+                style={[styles.manualBpmInput, { borderColor: currentTheme.colors.primary }]}
+                value={manualBpm}
+                onChangeText={setManualBpm}
+                onSubmitEditing={handleManualBpm}
+                keyboardType="number-pad"
+                returnKeyType="done"
+                placeholder="BPM from your watch"
+                placeholderTextColor="#94a3b8"
+              />
+            )}
 
             {/* Status Text - Removed per feedback */}
             {/* {isPlaying && (
@@ -977,6 +1160,37 @@ const styles = StyleSheet.create({
     fontWeight: '300',
     marginBottom: 0, // No bottom margin needed now
   },
+  checkInText: {
+    textAlign: 'center',
+    fontSize: 11,
+    fontWeight: '400',
+    letterSpacing: 0.3,
+    marginTop: 4,
+  },
+  engineErrorText: {
+    textAlign: 'center',
+    fontSize: 12,
+    fontWeight: '400',
+    color: '#dc2626',
+    marginTop: 8,
+  },
+  tempoRampText: {
+    textAlign: 'center',
+    fontSize: 12,
+    fontWeight: '400',
+    opacity: 0.8,
+    marginTop: 8,
+  },
+  manualBpmInput: {
+    textAlign: 'center',
+    fontSize: 12,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingVertical: 4,
+    paddingHorizontal: 12,
+    marginTop: 6,
+    minWidth: 160,
+  },
   // CLEAN ACTION SECTION - Single layout path with proper spacing
   actionSection: {
     alignItems: 'center',
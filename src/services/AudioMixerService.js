@@ -0,0 +1,233 @@
+// src/services/AudioMixerService.js
+import { createMixer, createBlockPlayer } from '../modules/audio';
+
+// Layer sources must render at this rate
+export const MIX_SAMPLE_RATE = 22050;
+const OUTPUT_VOLUME = 0.9;
+// Fade applied when the whole mix stops
+export const STOP_FADE_MS = 1500;
+
+// The app's one mix: every generated layer goes through this mixer, so they
+// share a master bus and limiter. A stop detaches both, so layers added
+// while an old mix fades out start a fresh one.
+let mixer = null;
+let player = null;
+let starting = null;
+// Owners whose layers are paused (see pause()); they outlive the mix, so a
+// layer an owner adds while paused starts paused too
+const pausedOwners = new Set();
+const errorListeners = new Set();
+
+const ensureMixer = () => {
+  if (!mixer) mixer = createMixer({ sampleRate: MIX_SAMPLE_RATE });
+  return mixer;
+};
+
+// 'soundscape.bed' -> 'soundscape'
+const ownerOf = name => name.split('.')[0];
+const isHeld = name => pausedOwners.has(ownerOf(name));
+const ownedLayers = owner => (mixer ? mixer.getLayers().filter(layer => ownerOf(layer.name) === owner) : []);
+const hasAudibleLayers = () => !!mixer && mixer.getLayers().some(layer => !layer.removing && !isHeld(layer.name));
+
+// Fade the output out and stop it once only paused layers are left; they
+// stay on the mix for their owners' resume(). The player is detached like
+// in stop(), so output restarting during the fade gets a fresh one.
+const stopOutputIfSilent = async (fadeMs) => {
+  if (!player || hasAudibleLayers()) return;
+  // Layers on their way out go with the output rather than finishing
+  // their fade when it restarts
+  mixer.getLayers().filter(layer => layer.removing).forEach(layer => mixer.removeLayer(layer.name, 0));
+  const stopping = player;
+  player = null;
+  try {
+    await stopping.stop({ fadeMs });
+  } catch (error) {
+    console.error('Error pausing audio mix:', error);
+  }
+};
+
+/**
+ * Shared mixer for generated audio (modules/audio/mixer.js) and its output.
+ * Layers are named per owner (e.g. 'soundscape.bed', 'noise.bed') and take
+ * mono sources with render(frames, playsAt) at MIX_SAMPLE_RATE. Output starts with the first layer; the
+ * last layer leaving fades the output out and stops it.
+ *
+ * Pausing is per owner: the owner's layers go quiet and hold, everyone
+ * else's play on. The output only stops while nothing but paused layers
+ * is left.
+ */
+export default class AudioMixerService {
+  /**
+   * Add or replace a layer (a replaced source crossfades) and make sure the
+   * mix is playing. A layer whose owner is paused is added paused.
+   * @param {string} name - '<owner>.<layer>'
+   * @param {Object} source - { render(frames) -> Float32Array }
+   * @param {Object} options - mixer.setLayer options: gain, pan, crossfadeMs, fadeInMs, duck
+   * @returns {Promise<boolean>} Whether the mix is playing
+   */
+  static async setLayer(name, source, options = {}) {
+    const current = ensureMixer();
+    const adding = !current.hasLayer(name);
+    current.setLayer(name, source, options);
+    if (isHeld(name)) {
+      if (adding) current.pauseLayer(name, 0);
+      return this.isPlaying();
+    }
+    return this.start();
+  }
+
+  /**
+   * @param {string} name
+   * @param {number} gain - 0-1
+   * @param {number} rampMs
+   */
+  static setLayerGain(name, gain, rampMs) {
+    if (mixer) mixer.setGain(name, gain, rampMs);
+  }
+
+  /**
+   * @param {string} name
+   * @param {number} pan - -1 (left) to 1 (right)
+   */
+  static setLayerPan(name, pan) {
+    if (mixer) mixer.setPan(name, pan);
+  }
+
+  /**
+   * @param {string} name
+   * @param {Object|null} duck - mixer.setDuck options
+   */
+  static setLayerDuck(name, duck) {
+    if (mixer) mixer.setDuck(name, duck);
+  }
+
+  /**
+   * Fade a layer out; when it's the last one, the whole output fades and stops
+   * @param {string} name
+   * @param {number} fadeMs
+   * @returns {Promise<void>}
+   */
+  static async removeLayer(name, fadeMs = STOP_FADE_MS) {
+    if (!mixer || !mixer.hasLayer(name)) return;
+    const others = mixer.getLayers().filter(layer => layer.name !== name && !layer.removing);
+    if (!others.length) {
+      await this.stop({ fadeMs });
+      return;
+    }
+    // A paused layer is already silent
+    mixer.removeLayer(name, isHeld(name) ? 0 : fadeMs);
+    await stopOutputIfSilent(fadeMs);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean}
+   */
+  static hasLayer(name) {
+    return !!mixer && mixer.hasLayer(name);
+  }
+
+  /**
+   * Start (or resume) output
+   * @returns {Promise<boolean>} Whether it's playing
+   */
+  static async start() {
+    if (player?.isPlaying()) return true;
+    if (starting) return starting;
+
+    const current = ensureMixer();
+    if (!player) {
+      const created = createBlockPlayer({
+        render: (frames, playsAt) => current.render(frames, playsAt),
+        sampleRate: MIX_SAMPLE_RATE,
+        channels: 2,
+        volume: OUTPUT_VOLUME,
+        label: 'mix',
+        onError: (error) => {
+          if (player !== created) return;
+          player = null;
+          mixer = null;
+          errorListeners.forEach(listener => listener(error));
+        },
+      });
+      player = created;
+    }
+
+    starting = player.start().finally(() => {
+      starting = null;
+    });
+    return starting;
+  }
+
+  /**
+   * Fade an owner's layers out and hold them, for resume(); other owners'
+   * layers play on. Layers the owner adds meanwhile start paused.
+   * @param {string} owner - Layer name prefix, e.g. 'soundscape'
+   * @param {Object} options
+   * @param {number} options.fadeMs
+   * @returns {Promise<void>}
+   */
+  static async pause(owner, { fadeMs = 300 } = {}) {
+    pausedOwners.add(owner);
+    ownedLayers(owner).forEach(layer => mixer.pauseLayer(layer.name, fadeMs));
+    await stopOutputIfSilent(fadeMs);
+  }
+
+  /**
+   * Bring an owner's paused layers back, restarting the output if needed
+   * @param {string} owner - As passed to pause()
+   * @param {Object} options
+   * @param {number} options.fadeMs
+   * @returns {Promise<boolean>} Whether the mix is playing
+   */
+  static async resume(owner, { fadeMs = 300 } = {}) {
+    pausedOwners.delete(owner);
+    ownedLayers(owner)
+      .filter(layer => !layer.removing)
+      .forEach(layer => mixer.resumeLayer(layer.name, fadeMs));
+    if (!hasAudibleLayers()) return this.isPlaying();
+    return this.start();
+  }
+
+  /**
+   * @param {string} owner
+   * @returns {boolean} Whether pause() holds the owner's layers
+   */
+  static isPaused(owner) {
+    return pausedOwners.has(owner);
+  }
+
+  /**
+   * Fade everything out, stop, and drop all layers
+   * @param {Object} options
+   * @param {number} options.fadeMs
+   * @returns {Promise<void>}
+   */
+  static async stop({ fadeMs = STOP_FADE_MS } = {}) {
+    const stopping = player;
+    player = null;
+    mixer = null;
+    if (stopping) {
+      try {
+        await stopping.stop({ fadeMs });
+      } catch (error) {
+        console.error('Error stopping audio mix:', error);
+      }
+    }
+  }
+
+  /** @returns {boolean} */
+  static isPlaying() {
+    return !!player && player.isPlaying();
+  }
+
+  /**
+   * @param {Function} listener - (error) => void, when output fails; the mix
+   *   is dropped first
+   * @returns {Function} Unsubscribe
+   */
+  static onError(listener) {
+    errorListeners.add(listener);
+    return () => errorListeners.delete(listener);
+  }
+}
@@ -0,0 +1,67 @@
+// src/services/LiveHeartRateService.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { HEART_RATE_SOURCES, getHeartRateSourceProviders, hasBleTransport } from '../modules/heartRate';
+
+const STORAGE_KEY = 'SONARLY_LIVE_HEART_RATE';
+
+/**
+ * Which heart rate source, if any, follows the listener during a session.
+ * The choice is stored as { kind, options } with plain options (e.g. a
+ * Bluetooth device id) so screens can create the source themselves; see
+ * modules/heartRate.
+ */
+export default class LiveHeartRateService {
+  /**
+   * Sources that work during a session: not the camera, and Bluetooth only
+   * once the app has registered a BLE transport
+   * @returns {Array<Object>} [{ kind, label }]
+   */
+  static getAvailableSources() {
+    return getHeartRateSourceProviders()
+      .filter(({ kind, requiresCamera }) => !requiresCamera && (
+        kind === HEART_RATE_SOURCES.MANUAL || (kind === HEART_RATE_SOURCES.BLE && hasBleTransport())
+      ))
+      .map(({ kind, label }) => ({ kind, label }));
+  }
+
+  /**
+   * @returns {Promise<Object|null>} { kind, options }, or null for none (or
+   *   a stored source that isn't available any more)
+   */
+  static async getPreference() {
+    try {
+      const stored = await AsyncStorage.getItem(STORAGE_KEY);
+      if (!stored) {
+        return null;
+      }
+      const preference = JSON.parse(stored);
+      const available = this.getAvailableSources().some(source => source.kind === preference?.kind);
+      return available ? { kind: preference.kind, options: preference.options || {} } : null;
+    } catch (error) {
+      console.error('Error getting live heart rate source:', error);
+      return null;
+    }
+  }
+
+  /**
+   * @param {Object|null} preference - { kind, options }, or null for none;
+   *   options must be JSON-serializable
+   * @returns {Promise<boolean>} success
+   */
+  static async setPreference(preference) {
+    try {
+      if (!preference) {
+        await AsyncStorage.removeItem(STORAGE_KEY);
+      } else {
+        await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify({
+          kind: preference.kind,
+          options: preference.options || {},
+        }));
+      }
+      return true;
+    } catch (error) {
+      console.error('Error saving live heart rate source:', error);
+      return false;
+    }
+  }
+}
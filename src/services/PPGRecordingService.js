@@ -0,0 +1,107 @@
+// src/services/PPGRecordingService.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { serializeRecording, parseRecording } from '../modules/ppg/recording';
+
+const INDEX_KEY = 'SONARLY_PPG_RECORDINGS';
+const RECORDING_KEY_PREFIX = 'SONARLY_PPG_RECORDING_';
+// Only the most recent readings are kept - enough to attach to a bug report
+const MAX_RECORDINGS = 10;
+
+export default class PPGRecordingService {
+  /**
+   * Save a raw PPG recording, dropping the oldest beyond MAX_RECORDINGS
+   * @param {Object} recording - From createPPGRecorder().finish()
+   * @returns {Promise<string|null>} Recording ID, or null on failure
+   */
+  static async saveRecording(recording) {
+    try {
+      if (!recording?.metadata?.sampleCount) {
+        return null;
+      }
+
+      const id = Date.now().toString();
+      await AsyncStorage.setItem(RECORDING_KEY_PREFIX + id, serializeRecording(recording));
+
+      const index = await this.getRecordings();
+      index.unshift({
+        id,
+        startedAt: recording.metadata.startedAt,
+        durationMs: recording.metadata.durationMs,
+        sampleCount: recording.metadata.sampleCount,
+        source: recording.metadata.source,
+        outcome: recording.metadata.outcome,
+      });
+
+      const expired = index.splice(MAX_RECORDINGS);
+      if (expired.length) {
+        await AsyncStorage.multiRemove(expired.map(entry => RECORDING_KEY_PREFIX + entry.id));
+      }
+
+      await AsyncStorage.setItem(INDEX_KEY, JSON.stringify(index));
+      return id;
+    } catch (error) {
+      console.error('Error saving PPG recording:', error);
+      return null;
+    }
+  }
+
+  /**
+   * List saved recordings, newest first
+   * @returns {Promise<Array>} [{ id, startedAt, durationMs, sampleCount, source, outcome }]
+   */
+  static async getRecordings() {
+    try {
+      const stored = await AsyncStorage.getItem(INDEX_KEY);
+      return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error('Error loading PPG recordings:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Load a recording for replay
+   * @param {string} id - Recording ID
+   * @returns {Promise<Object|null>} Parsed recording, or null if missing or unreadable
+   */
+  static async getRecording(id) {
+    try {
+      const text = await this.exportRecording(id);
+      return text ? parseRecording(text) : null;
+    } catch (error) {
+      console.error('Error loading PPG recording:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Raw file contents of a recording, for sharing with a bug report
+   * @param {string} id - Recording ID
+   * @returns {Promise<string|null>} Serialized recording
+   */
+  static async exportRecording(id) {
+    try {
+      return await AsyncStorage.getItem(RECORDING_KEY_PREFIX + id);
+    } catch (error) {
+      console.error('Error exporting PPG recording:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Delete a recording
+   * @param {string} id - Recording ID
+   * @returns {Promise<boolean>} success
+   */
+  static async deleteRecording(id) {
+    try {
+      await AsyncStorage.removeItem(RECORDING_KEY_PREFIX + id);
+      const index = await this.getRecordings();
+      await AsyncStorage.setItem(INDEX_KEY, JSON.stringify(index.filter(entry => entry.id !== id)));
+      return true;
+    } catch (error) {
+      console.error('Error deleting PPG recording:', error);
+      return false;
+    }
+  }
+}
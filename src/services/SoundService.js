@@ -1,5 +1,14 @@
 // src/services/SoundService.js
 import { Audio } from 'expo-av';
+import { createNoiseSynth, createHeartbeatSource, NOISE_TYPES } from '../modules/audio';
+import AudioMixerService, { MIX_SAMPLE_RATE } from './AudioMixerService';
+
+// Type changes crossfade to a fresh synth over this long
+const NOISE_CROSSFADE_MS = 1500;
+let nextNoiseLayer = 1;
+// Heartbeat layers fade out quickly; a trailing beat sounds odd
+const HEARTBEAT_FADE_MS = 400;
+let nextHeartbeatLayer = 1;
 
 export default class SoundService {
   static async initAudio() {
@@ -19,9 +28,56 @@ export default class SoundService {
     }
   }
   
+  /**
+   * "Hear your heart": a synthesized heartbeat (modules/audio/heartbeat.js)
+   * on the shared mix. Each beat is a triggered event at the current BPM;
+   * setBpm() changes are smoothed, and syncBeats() locks the hits to beats
+   * detected by live PPG.
+   * @param {number} bpm - Starting heart rate
+   * @param {number} volume - 0-1
+   * @returns {Promise<Object>} { sound, play, stop, setVolume, setBpm, syncBeats }
+   */
   static async createHeartbeatSound(bpm, volume = 0.5) {
+    const layerName = `heartbeat.${nextHeartbeatLayer++}`;
+    const heartbeat = createHeartbeatSource({ sampleRate: MIX_SAMPLE_RATE, bpm });
+    let gain = volume;
+    
+    return {
+      sound: {
+        unloadAsync: async () => AudioMixerService.removeLayer(layerName, HEARTBEAT_FADE_MS),
+      },
+      play: async () => AudioMixerService.setLayer(layerName, heartbeat, { gain }),
+      stop: async () => {
+        await AudioMixerService.removeLayer(layerName, HEARTBEAT_FADE_MS);
+        return true;
+      },
+      setVolume: async (newVolume) => {
+        gain = newVolume;
+        AudioMixerService.setLayerGain(layerName, newVolume);
+        return true;
+      },
+      // Measured BPM; missing readings are ignored
+      setBpm: nextBpm => heartbeat.setBpm(nextBpm),
+      // Beat times from the heart rate source's beats event, and the
+      // current time on their clock (e.g. the latest sample's ts)
+      syncBeats: (beats, clockNow) => heartbeat.syncBeats(beats, { clockNow }),
+    };
+  }
+  
+  /**
+   * Noise for the noise soundscape. White, pink and brown are synthesized
+   * (modules/audio/noise.js) and streamed in blocks, so they never loop;
+   * rain is a recording.
+   *
+   * @param {string} type - 'white' | 'pink' | 'brown' | 'rain'
+   * @param {number} volume - 0-1
+   * @param {Object} params - Synth parameters (the noise screen's noiseParams:
+   *   amplitude, cutoffFreq, resonance, density, drift, modulation, plus
+   *   modulationRate and tilt); ignored for rain
+   * @returns {Promise<Object>} { sound, play, stop, setVolume, setParams, setType }
+   */
+  static async createNoiseSound(type, volume = 0.5, params = {}) {
     // Create a dummy sound object that simulates playback
-    // This will allow the app to function even if sound files can't be loaded
     const dummySound = {
       sound: {
         setVolumeAsync: async () => {},
@@ -32,112 +88,58 @@ export default class SoundService {
       },
       play: async () => true,
       stop: async () => true,
-      setVolume: async () => true
+      setVolume: async () => true,
+      setParams: () => {},
+      setType: () => {},
     };
     
-    try {
-      const soundObject = new Audio.Sound();
-      
-      // Try loading the sound file - but use try/catch to handle errors
+    if (Object.values(NOISE_TYPES).includes(type)) {
       try {
-        // Use a simpler approach that's less likely to fail
-        await soundObject.loadAsync(require('../assets/sounds/heartbeat.mp3'));
-        await soundObject.setVolumeAsync(volume);
+        // Synthesized noise is a layer on the shared mix
+        const layerName = `noise.${nextNoiseLayer++}`;
+        let synth = createNoiseSynth({ sampleRate: MIX_SAMPLE_RATE, type, params, seed: Date.now() });
+        let gain = volume;
         
         return {
-          sound: soundObject,
-          play: async (shouldLoop = false) => {
-            try {
-              if (shouldLoop) {
-                await soundObject.setIsLoopingAsync(true);
-              }
-              await soundObject.playAsync();
-              return true;
-            } catch (error) {
-              console.error('Error playing heartbeat sound:', error);
-              return false;
-            }
+          sound: {
+            unloadAsync: async () => AudioMixerService.removeLayer(layerName),
           },
+          play: async () => AudioMixerService.setLayer(layerName, synth, { gain }),
           stop: async () => {
-            try {
-              // Check if the sound is loaded before stopping it
-              if (soundObject && soundObject._loaded) {
-                await soundObject.stopAsync();
-              }
-              return true;
-            } catch (error) {
-              console.error('Error stopping heartbeat sound:', error);
-              return false;
-            }
+            await AudioMixerService.removeLayer(layerName);
+            return true;
           },
           setVolume: async (newVolume) => {
-            try {
-              await soundObject.setVolumeAsync(newVolume);
-              return true;
-            } catch (error) {
-              console.error('Error setting heartbeat volume:', error);
-              return false;
+            gain = newVolume;
+            AudioMixerService.setLayerGain(layerName, newVolume);
+            return true;
+          },
+          // Heard from the next block on
+          setParams: nextParams => synth.setParams(nextParams),
+          setType: (nextType) => {
+            if (!Object.values(NOISE_TYPES).includes(nextType)) return;
+            synth = createNoiseSynth({
+              sampleRate: MIX_SAMPLE_RATE,
+              type: nextType,
+              params: synth.getParams(),
+              seed: Date.now(),
+            });
+            if (AudioMixerService.hasLayer(layerName)) {
+              AudioMixerService.setLayer(layerName, synth, { crossfadeMs: NOISE_CROSSFADE_MS });
             }
-          }
+          },
         };
-      } catch (loadError) {
-        console.error('Could not load heartbeat sound:', loadError);
-        // Return the dummy sound to avoid crashing the app
+      } catch (error) {
+        console.error(`Error creating ${type} noise:`, error);
         return dummySound;
       }
-    } catch (error) {
-      console.error('Error creating heartbeat sound:', error);
-      return dummySound;
     }
-  }
-  
-  static async createNoiseSound(type, volume = 0.5) {
-    // Create a dummy sound object that simulates playback
-    const dummySound = {
-      sound: {
-        setVolumeAsync: async () => {},
-        setIsLoopingAsync: async () => {},
-        playAsync: async () => {},
-        stopAsync: async () => {},
-        unloadAsync: async () => {},
-      },
-      play: async () => true,
-      stop: async () => true,
-      setVolume: async () => true
-    };
     
     try {
       const soundObject = new Audio.Sound();
       
-      // Try to load the appropriate sound file
       try {
-        // Using a simpler approach for loading sounds
-        let soundFile;
-        
-        // Map noise type to the correct sound file
-        switch (type) {
-          case 'white':
-            soundFile = require('../assets/sounds/white-noise.mp3');
-            break;
-          case 'pink':
-            // If pink noise isn't available, use white noise as fallback
-            try {
-              soundFile = require('../assets/sounds/pink-noise.mp3');
-            } catch {
-              soundFile = require('../assets/sounds/white-noise.mp3');
-            }
-            break;
-          case 'brown':
-            soundFile = require('../assets/sounds/brown-noise.mp3');
-            break;
-          case 'rain':
-            soundFile = require('../assets/sounds/rain.mp3');
-            break;
-          default:
-            soundFile = require('../assets/sounds/white-noise.mp3');
-        }
-        
-        await soundObject.loadAsync(soundFile);
+        await soundObject.loadAsync(require('../assets/sounds/rain.mp3'));
         await soundObject.setVolumeAsync(volume);
         
         return {
@@ -174,7 +176,9 @@ export default class SoundService {
               console.error('Error setting noise volume:', error);
               return false;
             }
-          }
+          },
+          setParams: () => {},
+          setType: () => {},
         };
       } catch (loadError) {
         console.error(`Could not load ${type} noise sound:`, loadError);
@@ -0,0 +1,350 @@
+// src/services/SoundscapeEngine.js
+import {
+  createSoundscapeLayers,
+  buildSoundscapeParams,
+  parseDuration,
+  createTempoRamp,
+  resolveEntrainment,
+} from '../modules/audio';
+import AudioMixerService, { MIX_SAMPLE_RATE, STOP_FADE_MS } from './AudioMixerService';
+
+export const ENGINE_STATES = {
+  IDLE: 'idle',
+  STARTING: 'starting',
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+  ERROR: 'error',
+};
+
+// Mixer layers, and how long a new mood takes to crossfade in. Pause and
+// resume go to the mixer by owner, so other owners' layers play on.
+const LAYER_OWNER = 'soundscape';
+const LAYER_NAMES = { bed: 'soundscape.bed', pad: 'soundscape.pad', pulse: 'soundscape.pulse' };
+const MOOD_CROSSFADE_MS = 3000;
+// The noise bed dips under each pulse
+const BED_DUCK = { by: LAYER_NAMES.pulse, amount: 0.35, threshold: 0.15, attackMs: 15, releaseMs: 300 };
+// How often the tempo ramp moves on; the pulse glides between steps
+const RAMP_TICK_MS = 1000;
+// A live heart rate older than this (unless it says otherwise), or less
+// confident, doesn't steer the ramp
+const LIVE_HR_MAX_AGE_MS = 10000;
+const LIVE_HR_MIN_CONFIDENCE = 50;
+
+// One soundscape plays at a time
+let layers = null;
+let config = null;
+let state = ENGINE_STATES.IDLE;
+let error = null;
+// Listening time so far, excluding pauses
+let elapsedMs = 0;
+let resumedAt = 0;
+let endTimer = null;
+// Tempo entrainment (modules/audio/entrainment.js), ticked while playing
+let ramp = null;
+let rampTimer = null;
+let lastTickAt = 0;
+let liveHeartRate = null;
+const listeners = new Set();
+
+const getElapsed = () => elapsedMs + (state === ENGINE_STATES.PLAYING ? Date.now() - resumedAt : 0);
+
+const snapshot = () => {
+  const durationMs = config ? parseDuration(config.duration) : null;
+  return {
+    state,
+    error,
+    config,
+    elapsedMs: getElapsed(),
+    durationMs,
+    tempo: ramp ? ramp.getState() : null,
+  };
+};
+
+const notify = () => {
+  const current = snapshot();
+  listeners.forEach((listener) => {
+    try {
+      listener(current);
+    } catch (listenerError) {
+      console.error('SoundscapeEngine listener failed:', listenerError);
+    }
+  });
+};
+
+const setState = (next, nextError = null) => {
+  state = next;
+  error = nextError;
+  notify();
+};
+
+// Ramp start, target and curve for the current config
+const entrainmentFor = current => ({
+  ...resolveEntrainment(current),
+  durationMs: parseDuration(current.duration),
+});
+
+// Layer parameters at the ramp's current tempo
+const currentParams = () => buildSoundscapeParams({
+  ...config,
+  tempo: ramp ? ramp.getState().tempo : null,
+});
+
+const liveBpmForRamp = () => {
+  if (!liveHeartRate) return null;
+  const fresh = Date.now() - liveHeartRate.at < liveHeartRate.maxAgeMs;
+  return fresh && liveHeartRate.confidence >= LIVE_HR_MIN_CONFIDENCE ? liveHeartRate.bpm : null;
+};
+
+const stopRamp = () => {
+  if (rampTimer) clearInterval(rampTimer);
+  rampTimer = null;
+};
+
+// Move the tempo along the ramp once a second while playing
+const runRamp = () => {
+  stopRamp();
+  if (!ramp) return;
+  lastTickAt = Date.now();
+  rampTimer = setInterval(() => {
+    if (!ramp || !layers) return;
+    const now = Date.now();
+    const before = Math.round(ramp.getState().tempo);
+    const { tempo } = ramp.advance(now - lastTickAt, liveBpmForRamp());
+    lastTickAt = now;
+    layers.setParams(currentParams());
+    if (Math.round(tempo) !== before) notify();
+  }, RAMP_TICK_MS);
+};
+
+
+// Put the soundscape's sources on the mixer; replacing sources (a new
+// mood) crossfades
+const applyLayers = (params, crossfadeMs) => {
+  ['bed', 'pad', 'pulse'].forEach((key) => {
+    AudioMixerService.setLayer(LAYER_NAMES[key], layers[key], {
+      gain: params.levels[key],
+      crossfadeMs,
+      fadeInMs: 1000,
+      duck: key === 'bed' ? BED_DUCK : undefined,
+    });
+  });
+};
+
+const clearEndTimer = () => {
+  if (endTimer) clearTimeout(endTimer);
+  endTimer = null;
+};
+
+// Stop at the end of the chosen duration (open-ended sessions run until stopped)
+const scheduleEnd = () => {
+  clearEndTimer();
+  const durationMs = parseDuration(config?.duration);
+  if (durationMs == null) return;
+  endTimer = setTimeout(() => {
+    console.log('⏹️ Soundscape session complete');
+    SoundscapeEngine.stop();
+  }, Math.max(0, durationMs - getElapsed()));
+};
+
+/**
+ * Plays the layered mood soundscape (modules/audio/soundscape.js). The
+ * generation screen drives it with its current choices:
+ *
+ *   {
+ *     mood,                      // 'calm' | 'focused' | 'energized' | 'sleepy'
+ *     tempoId,                   // chosen tempoOptions id; picks the tempo ramp
+ *     tempoIndex, tempoCount,    // chosen tempoOptions entry
+ *     sessionIndex,              // chosen sessionTypes entry
+ *     duration,                  // chosen durations entry, e.g. '10m' or '∞ Loop'
+ *     pulse,                     // pulse slider, 0-100
+ *     heartRate,                 // biometricData.heartRate; the ramp starts here
+ *     targetBpm,                 // optional; overrides the ramp profile's target
+ *     timbre, filterCutoff,      // from the biometric mappings, or null
+ *   }
+ *
+ * The tempo starts at the measured heart rate and ramps toward the mood's
+ * target over the session (modules/audio/entrainment.js). A live heart rate
+ * (setLiveHeartRate) slows the ramp while the listener isn't following.
+ *
+ * Subscribers get { state, error, config, elapsedMs, durationMs, tempo } on
+ * every state change and whenever the tempo moves a BPM, so UI reflects
+ * what the engine is actually doing; tempo is the ramp state.
+ */
+export default class SoundscapeEngine {
+  /**
+   * Start a soundscape, replacing any that's playing
+   * @param {Object} nextConfig - See above
+   * @returns {Promise<boolean>} Whether playback started
+   */
+  static async start(nextConfig) {
+    const replacing = !!layers && state !== ENGINE_STATES.ERROR;
+    clearEndTimer();
+    stopRamp();
+    config = nextConfig;
+    elapsedMs = 0;
+    setState(ENGINE_STATES.STARTING);
+    console.log('▶️ Starting soundscape:', config);
+
+    try {
+      ramp = createTempoRamp(entrainmentFor(config));
+      const params = currentParams();
+      const starting = createSoundscapeLayers({ sampleRate: MIX_SAMPLE_RATE, params, seed: Date.now() });
+      layers = starting;
+      applyLayers(params, replacing ? MOOD_CROSSFADE_MS : 0);
+
+      // Also lifts a pause left over from the soundscape being replaced
+      const started = await AudioMixerService.resume(LAYER_OWNER);
+      if (!started) {
+        // Unless the mixer's error listener has reported it, or it was
+        // stopped or replaced meanwhile, don't leave it STARTING
+        if (layers === starting && state === ENGINE_STATES.STARTING) {
+          layers = null;
+          ramp = null;
+          Object.values(LAYER_NAMES).forEach(name => AudioMixerService.removeLayer(name, 0));
+          setState(ENGINE_STATES.IDLE);
+        }
+        return false;
+      }
+      resumedAt = Date.now();
+      setState(ENGINE_STATES.PLAYING);
+      scheduleEnd();
+      runRamp();
+      return true;
+    } catch (startError) {
+      console.error('Error starting soundscape:', startError);
+      layers = null;
+      ramp = null;
+      setState(ENGINE_STATES.ERROR, startError.message || 'Audio playback failed');
+      return false;
+    }
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether it was playing
+   */
+  static async pause() {
+    if (state !== ENGINE_STATES.PLAYING) return false;
+    elapsedMs = getElapsed();
+    clearEndTimer();
+    stopRamp();
+    setState(ENGINE_STATES.PAUSED);
+    await AudioMixerService.pause(LAYER_OWNER);
+    console.log('⏸️ Soundscape paused');
+    return true;
+  }
+
+  /**
+   * Carry on where pause() left off, with the session clock too
+   * @returns {Promise<boolean>} Whether playback resumed
+   */
+  static async resume() {
+    if (state !== ENGINE_STATES.PAUSED || !layers) return false;
+    setState(ENGINE_STATES.STARTING);
+    // Put the layers back in case the mix was stopped meanwhile; ones still
+    // there keep their sources
+    applyLayers(currentParams(), 0);
+    const resuming = layers;
+    const started = await AudioMixerService.resume(LAYER_OWNER);
+    if (!started) {
+      // Still paused (and held on the mix), unless an error, stop or new
+      // soundscape came meanwhile
+      if (layers === resuming && state === ENGINE_STATES.STARTING) {
+        setState(ENGINE_STATES.PAUSED);
+        await AudioMixerService.pause(LAYER_OWNER, { fadeMs: 0 });
+      }
+      return false;
+    }
+    resumedAt = Date.now();
+    setState(ENGINE_STATES.PLAYING);
+    scheduleEnd();
+    runRamp();
+    console.log('▶️ Soundscape resumed');
+    return true;
+  }
+
+  /**
+   * Change the playing (or paused) soundscape in place; heard within a
+   * couple of seconds, with every change gliding and a new mood crossfading
+   * @param {Object} changes - Any config fields
+   * @returns {boolean} Whether there was a soundscape to update
+   */
+  static update(changes) {
+    if (!layers || state === ENGINE_STATES.ERROR) return false;
+    const durationChanged = changes.duration !== undefined && changes.duration !== config.duration;
+    const moodChanged = changes.mood !== undefined && changes.mood !== config.mood;
+    config = { ...config, ...changes };
+    // The ramp keeps its start and progress, and heads for the new target
+    if (ramp) ramp.retarget(entrainmentFor(config));
+    const params = currentParams();
+
+    if (moodChanged) {
+      layers = createSoundscapeLayers({ sampleRate: MIX_SAMPLE_RATE, params, seed: Date.now() });
+      applyLayers(params, MOOD_CROSSFADE_MS);
+    } else {
+      layers.setParams(params);
+      Object.entries(LAYER_NAMES).forEach(([key, name]) => {
+        AudioMixerService.setLayerGain(name, params.levels[key]);
+      });
+    }
+    if (durationChanged && state === ENGINE_STATES.PLAYING) scheduleEnd();
+    setState(state, error);
+    return true;
+  }
+
+  /**
+   * Fade the soundscape out and release it
+   * @param {Object} options
+   * @param {number} options.fadeMs
+   * @returns {Promise<void>}
+   */
+  static async stop({ fadeMs = STOP_FADE_MS } = {}) {
+    clearEndTimer();
+    stopRamp();
+    const stopping = layers;
+    layers = null;
+    ramp = null;
+    elapsedMs = 0;
+    if (state !== ENGINE_STATES.IDLE) setState(ENGINE_STATES.IDLE);
+    if (stopping) {
+      await Promise.all(Object.values(LAYER_NAMES).map(name => AudioMixerService.removeLayer(name, fadeMs)));
+    }
+    // Forget any pause, so the next soundscape isn't held
+    await AudioMixerService.resume(LAYER_OWNER);
+  }
+
+  /**
+   * Live heart rate from a running source, to check the listener is
+   * following the tempo ramp
+   * @param {number} bpm - null when the source has no estimate
+   * @param {number} confidence - 0-100
+   * @param {Object} options
+   * @param {number} options.maxAgeMs - How long the reading counts for; a
+   *   streaming source updates well within the default
+   */
+  static setLiveHeartRate(bpm, confidence = 100, { maxAgeMs = LIVE_HR_MAX_AGE_MS } = {}) {
+    liveHeartRate = Number.isFinite(bpm) ? { bpm, confidence, at: Date.now(), maxAgeMs } : null;
+  }
+
+  /** @returns {Object} { state, error, config, elapsedMs, durationMs, tempo } */
+  static getState() {
+    return snapshot();
+  }
+
+  /**
+   * @param {Function} listener - Called with getState() on every change
+   * @returns {Function} Unsubscribe
+   */
+  static subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+}
+
+AudioMixerService.onError((mixError) => {
+  if (!layers) return;
+  clearEndTimer();
+  stopRamp();
+  layers = null;
+  ramp = null;
+  setState(ENGINE_STATES.ERROR, mixError?.message || 'Audio playback failed');
+});
@@ -1,4 +1,10 @@
 // src/utils/FrameProcessor.js
+import { bandpassFilter, movingAverage, detrend, findPeaks, estimateWindow, createBpmTracker } from '../modules/ppg/dsp';
+import { createPPGGenerator } from '../modules/ppg/synthetic';
+
+// Stands in for real pixel data until frames are decoded
+let simulatedSignal = null;
+
 export default class FrameProcessor {
     /**
      * Extract average red intensity from a camera frame
@@ -25,24 +31,13 @@ export default class FrameProcessor {
           // - Get the image data
           // - Calculate average red values
           
-          // For now, we'll return a simulated value
-          // This simulates what the actual processing would do
-          const now = Date.now() / 1000;
-          
-          // Create a simulated red channel value that varies like a PPG signal
-          // We use a combination of a primary heart rate signal, respiratory modulation,
-          // and some noise to make it realistic
-          const baseValue = 150;
-          const heartRateFreq = 1.2; // ~72 BPM
-          const respirationFreq = 0.2; // ~12 breaths per minute
-          
-          const heartPulse = 20 * Math.sin(2 * Math.PI * heartRateFreq * now);
-          const respiration = 10 * Math.sin(2 * Math.PI * respirationFreq * now);
-          const noise = 5 * (Math.random() - 0.5);
-          
-          const redValue = baseValue + heartPulse + respiration + noise;
+          // For now, return a synthetic PPG value for the current time
+          // (~72 BPM with HRV, respiration and sensor noise)
+          if (!simulatedSignal) {
+            simulatedSignal = createPPGGenerator({ heartRate: 72, startTime: Date.now() });
+          }
           
-          resolve(redValue);
+          resolve(simulatedSignal.sampleAt(Date.now()).luma);
         } catch (error) {
           console.error('Error processing frame:', error);
           reject(error);
@@ -129,73 +124,56 @@ export default class FrameProcessor {
     }
     
     /**
-     * Apply a bandpass filter to isolate heart rate frequencies
+     * Create a tracker for trackHeartRate - one per capture session
+     * @param {Object} options - createBpmTracker options
+     * @returns {Object} Tracker
      */
-    static bandpassFilter(data, lowCutoff, highCutoff, sampleRate) {
-      // Implement a simple bandpass filter using moving averages
-      // Low pass filter
-      const lowPassWindowSize = Math.ceil(sampleRate / lowCutoff);
-      const lowPassFiltered = this.movingAverage(data, lowPassWindowSize);
+    static createTracker(options) {
+      return createBpmTracker(options);
+    }
+    
+    /**
+     * Sliding-window heart rate linked across calls: the latest window's
+     * estimate is fed to `tracker`, which smooths successive windows and
+     * rejects implausible jumps between them
+     * @param {Array<number>} values - Array of red intensity values
+     * @param {Array<number>} timestamps - Array of corresponding timestamps
+     * @param {Object} tracker - From createTracker
+     * @param {number} windowSize - Size of the analysis window in seconds
+     * @returns {Object} - { bpm, confidence, trend, slope, accepted, timestamp }
+     */
+    static trackHeartRate(values, timestamps, tracker, windowSize = 10) {
+      if (!values || !timestamps || values.length !== timestamps.length || !timestamps.length) {
+        return tracker.getState();
+      }
       
-      // High pass filter (subtract a more heavily smoothed signal)
-      const highPassWindowSize = Math.ceil(sampleRate / highCutoff);
-      const verySmoothed = this.movingAverage(data, highPassWindowSize);
+      const windowStart = timestamps[timestamps.length - 1] - windowSize * 1000;
+      let start = timestamps.length - 1;
+      while (start > 0 && timestamps[start - 1] >= windowStart) start--;
       
-      // Subtract the very smoothed signal to get the high frequency components
-      return lowPassFiltered.map((value, i) => value - verySmoothed[i]);
+      const estimate = estimateWindow(values.slice(start), timestamps.slice(start));
+      return tracker.push(estimate, timestamps[timestamps.length - 1]);
+    }
+    
+    /**
+     * Apply a zero-phase Butterworth bandpass filter to isolate heart rate frequencies
+     */
+    static bandpassFilter(data, lowCutoff, highCutoff, sampleRate) {
+      return bandpassFilter(data, lowCutoff, highCutoff, sampleRate, { zeroPhase: true });
     }
     
     /**
      * Simple moving average filter
      */
     static movingAverage(data, windowSize) {
-      if (!data || data.length < windowSize) {
-        return data;
-      }
-      
-      const result = [];
-      
-      for (let i = 0; i < data.length; i++) {
-        let sum = 0;
-        let count = 0;
-        
-        for (let j = Math.max(0, i - windowSize + 1); j <= i; j++) {
-          sum += data[j];
-          count++;
-        }
-        
-        result.push(sum / count);
-      }
-      
-      return result;
+      return movingAverage(data, windowSize);
     }
     
     /**
      * Remove linear trend from data
      */
     static detrend(data) {
-      if (!data || data.length < 3) {
-        return data;
-      }
-      
-      const n = data.length;
-      let sumX = 0;
-      let sumY = 0;
-      let sumXY = 0;
-      let sumXX = 0;
-      
-      for (let i = 0; i < n; i++) {
-        sumX += i;
-        sumY += data[i];
-        sumXY += i * data[i];
-        sumXX += i * i;
-      }
-      
-      const slope = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
-      const intercept = (sumY - slope * sumX) / n;
-      
-      // Subtract the trend line
-      return data.map((y, i) => y - (slope * i + intercept));
+      return detrend(data);
     }
     
     /**
@@ -205,44 +183,6 @@ export default class FrameProcessor {
      * @returns {Array<number>} - Array of peak indices
      */
     static findPeaks(data, minDistance = 5) {
-      if (!data || data.length < 3) {
-        return [];
-      }
-      
-      const peaks = [];
-      
-      // Normalize data between 0 and 1 for easier threshold determination
-      const max = Math.max(...data);
-      const min = Math.min(...data);
-      const range = max - min;
-      
-      if (range === 0) return []; // Flat signal, no peaks
-      
-      const normalized = data.map(value => (value - min) / range);
-      
-      // Adaptive threshold based on signal characteristics
-      const meanValue = normalized.reduce((sum, val) => sum + val, 0) / normalized.length;
-      const threshold = meanValue + 0.2;
-      
-      // Find peaks
-      for (let i = 1; i < normalized.length - 1; i++) {
-        // Local maximum
-        if (normalized[i] > normalized[i-1] && normalized[i] > normalized[i+1]) {
-          // Check if it's above threshold
-          if (normalized[i] > threshold) {
-            // Check minimum distance from previous peak
-            if (peaks.length === 0 || (i - peaks[peaks.length - 1]) >= minDistance) {
-              peaks.push(i);
-            } 
-            // If this peak is higher than the previous one and within minimum distance,
-            // replace the previous peak with this one
-            else if (normalized[i] > normalized[peaks[peaks.length - 1]]) {
-              peaks[peaks.length - 1] = i;
-            }
-          }
-        }
-      }
-      
-      return peaks;
+      return findPeaks(data, { minDistance });
     }
   }
\ No newline at end of file
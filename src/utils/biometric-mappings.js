@@ -0,0 +1,41 @@
+// src/utils/biometric-mappings.js
+// Maps measured physiology onto soundscape parameters. Every mapping returns
+// normalized 0-1 values; a null parameter means the measurement behind it
+// wasn't valid, and the caller keeps its default.
+
+const normalize = (value, low, high) => Math.max(0, Math.min(1, (value - low) / (high - low)));
+
+/**
+ * Timbre from the pulse waveform shape (analyzeMorphology).
+ *  - attack: rise time - a slow upstroke gives a slow attack
+ *  - decay: pulse width - a broad pulse rings on longer
+ *  - brightness: reflection index - a strong reflected wave (stiffer
+ *    arteries, more vasoconstriction) darkens the tone
+ * @param {Object} morphology - analyzeMorphology result
+ * @returns {Object|null} { attack, decay, brightness }, or null without a
+ *   valid template
+ */
+export function mapMorphologyToTimbre(morphology) {
+  if (!morphology?.valid || !morphology.features) return null;
+  const { riseTimeMs, pulseWidthMs, reflectionIndex } = morphology.features;
+  const round = (value) => Math.round(value * 100) / 100;
+
+  return {
+    attack: riseTimeMs.valid ? round(normalize(riseTimeMs.value, 60, 200)) : null,
+    decay: pulseWidthMs.valid ? round(normalize(pulseWidthMs.value, 150, 400)) : null,
+    brightness: reflectionIndex.valid ? round(1 - normalize(reflectionIndex.value, 0.3, 0.9)) : null,
+  };
+}
+
+/**
+ * Filter opening from heart-rhythm coherence (computeCoherence): the filter
+ * opens as the heart settles into the slow breathing rhythm, so resonance
+ * breathing is heard as the sound brightening.
+ * @param {Object} coherence - computeCoherence result
+ * @returns {number|null} Filter cutoff 0.2 (closed) - 0.9 (open), or null
+ *   without a valid coherence value
+ */
+export function mapCoherenceToFilter(coherence) {
+  if (!coherence?.coherence?.valid) return null;
+  return Math.round((0.2 + 0.7 * Math.max(0, Math.min(1, coherence.coherence.value))) * 100) / 100;
+}